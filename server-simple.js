@@ -12,11 +12,17 @@ require('dotenv').config();
 const DocumentGenerator = require('./services/DocumentGenerator');
 const StorageService = require('./services/StorageService');
 const PDFConverter = require('./services/PDFConverter');
+const DocumentArchive = require('./services/DocumentArchive');
+const { createStorage, createSignedFileHandler } = require('./services/storage');
 
 // Configuração Express
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Este servidor não é multi-tenant: todos os documentos ficam no mesmo tenant
+const TENANT_ID = process.env.DEFAULT_TENANT_ID || 'default';
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
 // Middlewares
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*', // URL do Base44
@@ -33,8 +39,10 @@ const upload = multer({
 
 // Inicializar serviços
 const documentGenerator = new DocumentGenerator();
-const storageService = new StorageService();
+const storage = createStorage();
+const storageService = new StorageService(storage);
 const pdfConverter = new PDFConverter();
+const documentArchive = new DocumentArchive(storage);
 
 // Criar diretórios necessários
 async function setupDirectories() {
@@ -53,10 +61,14 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     service: 'JusWay Documents API',
+    storage: storage.name,
     timestamp: new Date().toISOString()
   });
 });
 
+// Download de arquivos do storage local via link assinado
+app.get('/files/*', createSignedFileHandler(storage));
+
 // ====================================
 // 1. UPLOAD DE TEMPLATE
 // ====================================
@@ -120,7 +132,8 @@ app.post('/api/documents/generate', async (req, res) => {
       templateId,       // OU ID do template local
       data,            // Dados para preencher
       outputFormat,    // 'docx', 'pdf', ou 'both'
-      fileName        // Nome do arquivo de saída
+      fileName,       // Nome do arquivo de saída
+      confidential    // true = PDF apenas com engines da nossa infraestrutura
     } = req.body;
 
     console.log('📄 Iniciando geração de documento...');
@@ -159,52 +172,66 @@ app.post('/api/documents/generate', async (req, res) => {
     // 3. Gerar nome do arquivo
     const baseFileName = fileName || `documento_${Date.now()}`;
     const docxFileName = `${baseFileName}.docx`;
-    
-    // 4. Fazer upload do DOCX
-    console.log('☁️ Fazendo upload do DOCX...');
-    const docxUrl = await storageService.uploadFile(
-      outputPath,
-      `documents/${docxFileName}`
-    );
+    const files = [];
 
     const response = {
       success: true,
-      documentId: uuidv4(),
+      documentId: null,
       fileName: baseFileName,
       formats: {}
     };
 
-    // 5. Se solicitado, gerar PDF
+    // 4. Se solicitado, gerar PDF
     if (outputFormat === 'pdf' || outputFormat === 'both') {
       console.log('📑 Convertendo para PDF...');
       try {
-        const pdfPath = await pdfConverter.convert(outputPath);
-        const pdfFileName = `${baseFileName}.pdf`;
-        
-        console.log('☁️ Fazendo upload do PDF...');
-        const pdfUrl = await storageService.uploadFile(
-          pdfPath,
-          `documents/${pdfFileName}`
-        );
-        
-        response.formats.pdf = {
-          url: pdfUrl,
-          fileName: pdfFileName
-        };
+        const pdf = await pdfConverter.convert(outputPath, { confidential: confidential === true });
+        if (!pdf) {
+          throw new Error('PDF conversion not available');
+        }
+
+        files.push({
+          format: 'pdf',
+          filename: `${baseFileName}.pdf`,
+          contentType: 'application/pdf',
+          buffer: await fs.readFile(pdf.path),
+          engine: pdf.engine
+        });
+        response.pdfEngine = pdf.engine;
         
         // Limpar arquivo PDF temporário
-        await fs.unlink(pdfPath).catch(() => {});
+        await fs.unlink(pdf.path).catch(() => {});
       } catch (pdfError) {
         console.error('Erro na conversão PDF:', pdfError);
         response.warning = 'PDF conversion failed, but DOCX was generated successfully';
       }
     }
 
-    // Sempre incluir DOCX
-    if (outputFormat !== 'pdf') {
-      response.formats.docx = {
-        url: docxUrl,
-        fileName: docxFileName
+    // Incluir DOCX (sempre, exceto quando só o PDF foi pedido e gerado)
+    if (outputFormat !== 'pdf' || files.length === 0) {
+      files.unshift({
+        format: 'docx',
+        filename: docxFileName,
+        contentType: DOCX_CONTENT_TYPE,
+        buffer: await fs.readFile(outputPath)
+      });
+    }
+
+    // 5. Arquivar o documento e gerar os links de acesso
+    console.log('☁️ Arquivando documento...');
+    const record = await documentArchive.store(TENANT_ID, {
+      files: files,
+      templateId: templateId || null,
+      templateName: baseFileName,
+      source: 'generate'
+    });
+    response.documentId = record.id;
+
+    for (const file of files) {
+      response.formats[file.format] = {
+        url: await fileUrl(record, file),
+        fileName: file.filename,
+        engine: file.engine
       };
     }
 
@@ -322,10 +349,87 @@ app.get('/api/templates', async (req, res) => {
   }
 });
 
+// ====================================
+// 6. DOCUMENTOS GERADOS
+// ====================================
+app.get('/api/documents', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+    const { documents, pagination } = await documentArchive.list(TENANT_ID, { page, limit });
+
+    res.json({
+      success: true,
+      documents: documents,
+      count: documents.length,
+      pagination: pagination
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/documents/:documentId', async (req, res) => {
+  try {
+    const record = await documentArchive.get(TENANT_ID, req.params.documentId);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({ success: true, document: record });
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/documents/:documentId/download', async (req, res) => {
+  try {
+    const record = await documentArchive.get(TENANT_ID, req.params.documentId);
+
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const format = req.query.format || (record.formats.pdf ? 'pdf' : 'docx');
+    const file = await documentArchive.getFile(TENANT_ID, record.id, format);
+
+    if (!file) {
+      return res.status(404).json({ error: `Format ${format} not available for this document` });
+    }
+
+    res.set('Content-Type', file.contentType);
+    res.attachment(file.filename);
+    res.send(file.buffer);
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ====================================
 // FUNÇÕES AUXILIARES
 // ====================================
 
+/**
+ * URL de acesso a um arquivo arquivado: link assinado do storage ou,
+ * quando o driver não permite leitura (Base44), a URL pública do upload
+ */
+async function fileUrl(record, file) {
+  const stored = record.formats[file.format];
+
+  if (stored.key) {
+    return await storage.presign(stored.key, {
+      expiresIn: storageService.urlExpiresIn,
+      filename: stored.filename
+    });
+  }
+
+  return await storageService.uploadBuffer(file.buffer, `documents/${file.filename}`, file.contentType);
+}
+
 async function downloadTemplate(url) {
   try {
     const response = await axios({
@@ -372,6 +476,8 @@ async function start() {
 ║                                      ║
 ║   Endpoints disponíveis:             ║
 ║   - POST /api/documents/generate     ║
+║   - GET  /api/documents              ║
+║   - GET  /api/documents/:id          ║
 ║   - POST /api/templates/upload       ║
 ║   - GET  /api/templates              ║
 ║   - GET  /health                     ║
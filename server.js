@@ -2,10 +2,8 @@
 require('dotenv').config();
 
 const express = require('express');
-const Docxtemplater = require('docxtemplater');
 const PizZip = require('pizzip');
 const cors = require('cors');
-const axios = require('axios');
 const multer = require('multer');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
@@ -21,23 +19,42 @@ const generateId = () => {
   });
 };
 
-// Importar módulo R2 (se existir)
-let r2Storage = null;
-try {
-  r2Storage = require('./r2-storage');
-  console.log('📦 Módulo R2 carregado');
-} catch (error) {
-  console.log('⚠️  Módulo R2 não encontrado - usando apenas memória');
-}
+// Camada de armazenamento (R2/S3, disco local ou Base44, conforme STORAGE_DRIVER)
+const { createStorage, createSignedFileHandler } = require('./services/storage');
+const storage = createStorage();
+console.log(`📦 Storage: driver ${storage.name}`);
 
-// Importar módulo PDF (se existir)
-let pdfConverter = null;
-try {
-  pdfConverter = require('./pdf-converter');
-  console.log('📄 Módulo PDF carregado');
-} catch (error) {
-  console.log('⚠️  Módulo PDF não encontrado');
-}
+// Conversão PDF (ConvertAPI, LibreOffice local, Gotenberg — ordem em PDF_ENGINES)
+const { createPdfConverter } = require('./services/pdf');
+const pdfConverter = createPdfConverter();
+
+const TemplateCatalog = require('./services/TemplateCatalog');
+const GenerationService = require('./services/GenerationService');
+const { GenerationError } = GenerationService;
+const JobQueue = require('./services/JobQueue');
+const SpreadsheetParser = require('./services/SpreadsheetParser');
+const DocumentArchive = require('./services/DocumentArchive');
+const VariableSchema = require('./services/VariableSchema');
+const TemplateInspector = require('./services/TemplateInspector');
+const TemplateLinter = require('./services/TemplateLinter');
+const Extenso = require('./services/Extenso');
+const { filters: templateFilters, toNumber, toDate } = require('./services/TemplateFilters');
+const DocumentGenerator = require('./services/DocumentGenerator');
+const DeadlineCalculator = require('./services/DeadlineCalculator');
+const CourtCalendars = require('./services/CourtCalendars');
+const TenantAssets = require('./services/TenantAssets');
+const ClauseLibrary = require('./services/ClauseLibrary');
+const { ClauseError } = ClauseLibrary;
+const PdfToolkit = require('./services/PdfToolkit');
+const { PdfError } = PdfToolkit;
+const DocumentKits = require('./services/DocumentKits');
+const { KitDefinitionError } = DocumentKits;
+const DocxHtmlRenderer = require('./services/DocxHtmlRenderer');
+const { PreviewError } = DocxHtmlRenderer;
+const TenantRegistry = require('./services/TenantRegistry');
+const { TenantRegistryError, SCOPES, normalizeScopes, tokenScopes } = TenantRegistry;
+const { CalendarDefinitionError, dateKey } = DeadlineCalculator;
+const { SchemaDefinitionError } = VariableSchema;
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -52,8 +69,84 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB
 });
 
-// Storage em memória para templates (temporário)
-const templateStore = {};
+// Upload de PDFs para as rotas /api/pdf (documentos e anexos costumam passar de 5MB)
+const pdfUpload = multer({
+  memory: true,
+  limits: {
+    fileSize: (parseInt(process.env.PDF_MAX_UPLOAD_MB) || 25) * 1024 * 1024,
+    files: 30
+  }
+});
+
+// Cadastro de tenants e das suas API keys (registry/tenants.json)
+const tenantRegistry = new TenantRegistry(storage);
+
+// Catálogo de templates (índice persistente no storage, memória apenas como cache)
+const templateCatalog = new TemplateCatalog(storage, {
+  trashRetentionDays: parseInt(process.env.TEMPLATE_TRASH_RETENTION_DAYS || '30')
+});
+
+// Arquivo de documentos gerados (tenants/{tenantId}/documents/)
+const documentArchive = new DocumentArchive(storage);
+
+// Calendários de tribunais cadastrados pelos tenants (tenants/{tenantId}/calendars/)
+const courtCalendars = new CourtCalendars(storage);
+
+// Imagens dos tenants usadas nas tags {{%imagem}} (tenants/{tenantId}/assets/)
+const tenantAssets = new TenantAssets(storage);
+
+// Biblioteca de cláusulas incluídas nos templates com {{> id}} (tenants/{tenantId}/clauses/)
+const clauseLibrary = new ClauseLibrary(storage);
+
+// Kits de documentos: vários templates gerados com os mesmos dados (tenants/{tenantId}/kits/)
+const documentKits = new DocumentKits(storage, { templateCatalog });
+
+// Junção, anexos, divisão e contagem de páginas de PDFs
+const pdfToolkit = new PdfToolkit({
+  documentArchive,
+  isValidTemplateUrl: (url) => isValidTemplateUrl(url)
+});
+
+// Geração de documentos (compartilhada entre a rota síncrona e os jobs)
+const generationService = new GenerationService({
+  templateCatalog,
+  pdfConverter,
+  documentArchive,
+  courtCalendars,
+  tenantAssets,
+  clauseLibrary,
+  pdfToolkit,
+  isValidTemplateUrl: (url) => isValidTemplateUrl(url),
+  maxBatchRecords: parseInt(process.env.BATCH_MAX_RECORDS) || 500
+});
+
+// Leitura de planilhas CSV/XLSX para mala direta
+const spreadsheetParser = new SpreadsheetParser();
+
+// Extração estruturada de variáveis dos templates
+const templateInspector = new TemplateInspector();
+
+// Diagnósticos de template (tags quebradas, seções sem fechamento...) no envio e em /api/templates/lint
+const templateLinter = new TemplateLinter({ templateInspector });
+
+// Prévia HTML dos templates e documentos (estilos, listas, tabelas, variáveis destacadas)
+const docxHtmlRenderer = new DocxHtmlRenderer();
+
+// Números por extenso (também disponíveis nos templates como filtros)
+const extenso = new Extenso();
+
+// Prazos processuais (CPC) e formatação de datas do DocumentGenerator
+const deadlineCalculator = new DeadlineCalculator();
+const dateFormatter = new DocumentGenerator();
+
+// Fila de jobs assíncronos (estado gravado no storage para sobreviver a quedas)
+const jobQueue = new JobQueue({
+  storage,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  retentionHours: parseInt(process.env.JOB_RETENTION_HOURS) || 24,
+  leaseSeconds: parseInt(process.env.JOB_LEASE_SECONDS) || 120,
+  callbackSecret: process.env.CALLBACK_SIGNING_SECRET || process.env.JWT_SECRET
+});
 
 // Rate limiting simples
 const requestCounts = {};
@@ -65,76 +158,129 @@ const requestCounts = {};
 // Usar a chave do ambiente ou a fornecida
 const JWT_SECRET = process.env.JWT_SECRET || 'f608cf6e0cf03d987b7ee2b77ea6c549c35e55dab58bc4802d2f0f00b5d1df13';
 
+// Key mestra: administra o cadastro de tenants e, por compatibilidade com o
+// Base44, ainda acessa tenants que não estão no cadastro (x-tenant-id).
+// Com REQUIRE_TENANT_KEYS=true todo acesso a tenant exige a key do próprio tenant.
+const MASTER_API_KEY = process.env.MASTER_API_KEY || 'YmFzZTQ0OnNlbmhhMTIzOjE3NTgzMDk2Mjc5MDk=';
+const REQUIRE_TENANT_KEYS = process.env.REQUIRE_TENANT_KEYS === 'true';
+
+if (!process.env.MASTER_API_KEY) {
+  console.warn('⚠️  MASTER_API_KEY não configurada - usando a key mestra padrão');
+}
+
 // ========================================
 // FUNÇÃO AUXILIAR PARA EXTRAIR VARIÁVEIS (CORREÇÃO PRINCIPAL)
 // ========================================
 
-function extractVariablesFromDocx(fileBuffer) {
+// Variáveis a partir do template compilado pelo docxtemplater (entende tags
+// divididas entre runs, loops, condições e seções invertidas) em todas as
+// partes do documento: corpo, cabeçalhos, rodapés, notas e caixas de texto.
+// Retorna { variables, structure, locations }; vazio se o template tiver tags malformadas.
+function inspectTemplate(fileBuffer) {
   try {
-    const zip = new PizZip(fileBuffer);
-    const documentXml = zip.file('word/document.xml').asText();
-    
-    // Regex para encontrar {{variavel}}
-    const matches = documentXml.match(/\{\{([^}]+)\}\}/g) || [];
-    
-    // Remover duplicatas e formatar
-    const uniqueVariables = [...new Set(
-      matches.map(v => v.replace(/[{}]/g, '').trim())
-    )];
-    
-    // Retornar como objeto para compatibilidade
-    const variablesObj = {};
-    uniqueVariables.forEach(v => {
-      variablesObj[v] = v;
-    });
-    
-    return variablesObj;
+    return templateInspector.inspect(fileBuffer);
   } catch (error) {
-    console.error('Erro ao extrair variáveis:', error);
-    return {};
+    console.error('Erro ao extrair variáveis:', generationService.describeError(error));
+    return { variables: {}, structure: [], locations: {} };
+  }
+}
+
+// Templates com erros de diagnóstico só são aceitos com force=true (campo ou query)
+function shouldRejectTemplate(req, lint) {
+  return !lint.valid && !booleanOption(req.body.force ?? req.query.force, false);
+}
+
+function sendTemplateLintErrors(res, lint) {
+  res.status(422).json({
+    error: 'Template has errors',
+    hint: 'Fix the diagnostics below or send force=true to upload anyway',
+    errorCount: lint.errorCount,
+    warningCount: lint.warningCount,
+    diagnostics: lint.diagnostics
+  });
+}
+
+/**
+ * Lê o esquema de variáveis enviado (objeto ou JSON em campo multipart).
+ * Retorna undefined se não foi enviado, null para remover o esquema.
+ * Lança SchemaDefinitionError se a definição for inválida.
+ */
+function parseSchemaInput(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  if (value === null || value === 'null') {
+    return null;
+  }
+
+  let definition = value;
+  if (typeof value === 'string') {
+    try {
+      definition = JSON.parse(value);
+    } catch (error) {
+      throw new SchemaDefinitionError(['schema must be valid JSON']);
+    }
   }
+
+  return new VariableSchema(definition).toJSON();
+}
+
+// Compara o esquema com as variáveis encontradas no template
+function describeSchemaCoverage(schema, variables) {
+  const names = Object.keys(variables || {});
+  const fields = Object.keys(schema || {});
+
+  return {
+    undeclaredVariables: names.filter(name => !fields.includes(name)),
+    unknownFields: fields.filter(field => !names.includes(field))
+  };
 }
 
 // ========================================
 // MIDDLEWARES
 // ========================================
 
+const isMasterKey = (apiKey) => {
+  const expected = Buffer.from(MASTER_API_KEY);
+  const received = Buffer.from(String(apiKey || ''));
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Motivo para recusar a key mestra no acesso a um tenant (null = permitido).
+// Tenants cadastrados só aceitam as próprias keys.
+async function masterKeyAccessError(tenantId) {
+  if (REQUIRE_TENANT_KEYS) {
+    return 'Master API key cannot access tenant resources; use a tenant API key';
+  }
+  if (await tenantRegistry.get(tenantId)) {
+    return 'Tenant is registered; use one of its API keys';
+  }
+  return null;
+}
+
+// Rate limiting por tenant (30 requests por minuto)
+const isRateLimited = (tenantId) => {
+  const now = Date.now();
+  const minute = Math.floor(now / 60000);
+  const key = `${tenantId}-${minute}`;
+  
+  requestCounts[key] = (requestCounts[key] || 0) + 1;
+  
+  return requestCounts[key] > 30;
+};
+
 // Middleware de autenticação JWT para SaaS multi-tenant
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   // Primeiro, tentar JWT (novo método)
   const authHeader = req.headers.authorization;
   
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.replace('Bearer ', '');
+    let decoded;
     
     try {
       // Verificar e decodificar JWT
-      const decoded = jwt.verify(token, JWT_SECRET);
-      
-      // Validar campos obrigatórios
-      if (!decoded.tenantId) {
-        return res.status(401).json({ error: 'Invalid token: missing tenantId' });
-      }
-      
-      // Rate limiting por tenant
-      const now = Date.now();
-      const minute = Math.floor(now / 60000);
-      const key = `${decoded.tenantId}-${minute}`;
-      
-      requestCounts[key] = (requestCounts[key] || 0) + 1;
-      
-      if (requestCounts[key] > 30) {
-        return res.status(429).json({ error: 'Rate limit exceeded' });
-      }
-      
-      // Adicionar informações ao request
-      req.tenantId = decoded.tenantId;
-      req.tenantName = decoded.tenantName || decoded.tenantId;
-      req.permissions = decoded.permissions || [];
-      
-      console.log(`🔐 JWT Auth: Tenant ${req.tenantId} (${req.tenantName})`);
-      
-      next();
+      decoded = jwt.verify(token, JWT_SECRET);
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
         return res.status(401).json({ error: 'Token expired' });
@@ -144,39 +290,96 @@ const authenticate = (req, res, next) => {
       }
       return res.status(401).json({ error: 'Authentication failed' });
     }
-  } else {
-    // Fallback para API Key com x-tenant-id (compatibilidade)
-    const apiKey = req.headers['x-api-key'];
-    const tenantId = req.headers['x-tenant-id'];
     
-    if (!apiKey) {
-      return res.status(401).json({ error: 'Authentication required (Bearer token or API key)' });
+    // Validar campos obrigatórios
+    if (!decoded.tenantId) {
+      return res.status(401).json({ error: 'Invalid token: missing tenantId' });
     }
     
-    if (!tenantId) {
-      return res.status(401).json({ error: 'Tenant ID required when using API key' });
+    // O tenantId vira caminho no storage ("tenants/{tenantId}/..."): nada de "/" ou ".."
+    if (!tenantRegistry.isValidTenantId(decoded.tenantId)) {
+      return res.status(400).json({ error: 'Invalid tenant ID' });
     }
     
-    // Validar API key mestra (para compatibilidade com Base44 atual)
-    const MASTER_API_KEY = 'YmFzZTQ0OnNlbmhhMTIzOjE3NTgzMDk2Mjc5MDk=';
+    try {
+      // Tenant desativado ou key revogada invalidam os tokens já emitidos
+      const tokenError = await tenantRegistry.tokenError(decoded);
+      if (tokenError) {
+        return res.status(tokenError === 'Tenant is disabled' ? 403 : 401).json({ error: tokenError });
+      }
+    } catch (error) {
+      console.error('❌ Erro ao consultar cadastro de tenants:', error);
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
     
-    if (apiKey !== MASTER_API_KEY) {
-      return res.status(401).json({ error: 'Invalid API key' });
+    if (isRateLimited(decoded.tenantId)) {
+      return res.status(429).json({ error: 'Rate limit exceeded' });
     }
     
-    // Rate limiting por tenant
-    const now = Date.now();
-    const minute = Math.floor(now / 60000);
-    const key = `${tenantId}-${minute}`;
+    // Adicionar informações ao request
+    req.tenantId = decoded.tenantId;
+    req.tenantName = decoded.tenantName || decoded.tenantId;
+    req.scopes = tokenScopes(decoded);
+    req.apiKeyId = decoded.keyId || null;
     
-    requestCounts[key] = (requestCounts[key] || 0) + 1;
+    console.log(`🔐 JWT Auth: Tenant ${req.tenantId} (${req.tenantName})`);
     
-    if (requestCounts[key] > 30) {
-      return res.status(429).json({ error: 'Rate limit exceeded' });
+    next();
+  } else {
+    // API key do tenant (jwk_...) ou key mestra com x-tenant-id (compatibilidade)
+    const apiKey = req.headers['x-api-key'];
+    const tenantHeader = req.headers['x-tenant-id'];
+    
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Authentication required (Bearer token or API key)' });
+    }
+    
+    try {
+      if (tenantRegistry.isKeyFormat(apiKey)) {
+        const result = await tenantRegistry.verify(apiKey);
+        if (result.error) {
+          return res.status(result.status || 401).json({ error: result.error });
+        }
+        
+        if (tenantHeader && tenantHeader !== result.tenant.id) {
+          return res.status(403).json({ error: 'API key does not belong to this tenant' });
+        }
+        
+        req.tenantId = result.tenant.id;
+        req.tenantName = result.tenant.name;
+        req.apiKeyId = result.key.id;
+        req.scopes = tenantRegistry.keyScopes(result.key);
+      } else {
+        if (!tenantHeader) {
+          return res.status(401).json({ error: 'Tenant ID required when using API key' });
+        }
+        
+        if (!tenantRegistry.isValidTenantId(tenantHeader)) {
+          return res.status(400).json({ error: 'Invalid tenant ID' });
+        }
+        
+        if (!isMasterKey(apiKey)) {
+          return res.status(401).json({ error: 'Invalid API key' });
+        }
+        
+        const accessError = await masterKeyAccessError(tenantHeader);
+        if (accessError) {
+          return res.status(403).json({ error: accessError });
+        }
+        
+        req.tenantId = tenantHeader;
+        req.tenantName = tenantHeader;
+        req.apiKeyId = null;
+        req.scopes = [...SCOPES];
+      }
+    } catch (error) {
+      console.error('❌ Erro ao consultar cadastro de tenants:', error);
+      return res.status(500).json({ error: 'Authentication failed' });
     }
     
-    req.tenantId = tenantId;
-    req.tenantName = tenantId;
+    if (isRateLimited(req.tenantId)) {
+      return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
     
     console.log(`🔑 API Key Auth: Tenant ${req.tenantId}`);
     
@@ -184,6 +387,26 @@ const authenticate = (req, res, next) => {
   }
 };
 
+// Escopo exigido pela rota (depois de authenticate): 403 indicando o escopo que falta
+const requireScope = (scope) => (req, res, next) => {
+  if (!(req.scopes || []).includes(scope)) {
+    return res.status(403).json({
+      error: `Missing required scope: ${scope}`,
+      requiredScope: scope,
+      grantedScopes: req.scopes || []
+    });
+  }
+  next();
+};
+
+// Rotas de administração do cadastro de tenants: somente a key mestra
+const requireMasterKey = (req, res, next) => {
+  if (!isMasterKey(req.headers['x-api-key'])) {
+    return res.status(401).json({ error: 'Master API key required' });
+  }
+  next();
+};
+
 // ========================================
 // FUNÇÕES AUXILIARES
 // ========================================
@@ -207,14 +430,36 @@ const isValidTemplateUrl = (url) => {
   }
 };
 
-// Função para converter DOCX para PDF
-async function convertToPDF(docxBuffer) {
-  if (!pdfConverter) {
-    console.log('📄 Conversor PDF não está disponível');
+// Resposta padrão para templates na lixeira
+const sendTemplateDeleted = (res, entry) => {
+  return res.status(410).json({
+    error: 'Template has been deleted',
+    templateId: entry.id,
+    deletedAt: entry.deletedAt,
+    purgeAt: templateCatalog.purgeDate(entry).toISOString()
+  });
+};
+
+// Variáveis de uma versão do template: { variables, structure, locations }.
+// Versões catalogadas antes da extração estruturada (ou do registro dos locais
+// das variáveis) são reprocessadas a partir do arquivo.
+async function getVersionInspection(tenantId, templateId, versionInfo) {
+  if (versionInfo.variables && versionInfo.structure && templateInspector.hasLocations(versionInfo.structure)) {
+    return {
+      variables: versionInfo.variables,
+      structure: versionInfo.structure,
+      locations: templateInspector.locations(versionInfo.structure)
+    };
+  }
+  
+  const template = await templateCatalog.getTemplate(tenantId, templateId, versionInfo.version);
+  if (!template) {
     return null;
   }
   
-  return await pdfConverter.convertToPDF(docxBuffer);
+  const { variables, structure, locations } = inspectTemplate(template.buffer);
+  await templateCatalog.setVersionVariables(tenantId, templateId, versionInfo.version, variables, structure);
+  return { variables, structure, locations };
 }
 
 // ========================================
@@ -232,51 +477,91 @@ app.get('/health', (req, res) => {
     service: 'JusWay Documents API',
     authMode: 'JWT + API Key',
     modules: {
-      r2: r2Storage ? 'loaded' : 'not loaded',
-      pdf: pdfConverter ? 'loaded' : 'not loaded'
+      storage: storage.isConfigured ? storage.name : 'not configured',
+      pdf: pdfConverter.isConfigured
+        ? pdfConverter.available().map(engine => engine.name)
+        : 'not configured'
     }
   });
 });
 
-// Rota de teste do R2
-app.get('/test-r2', async (req, res) => {
-  if (!r2Storage) {
-    return res.json({ success: false, message: 'R2 module not loaded' });
-  }
-  const result = await r2Storage.testConnection();
+// Rota de teste do storage (/test-r2 mantida por compatibilidade)
+app.get(['/test-storage', '/test-r2'], async (req, res) => {
+  const result = await storage.testConnection();
   res.json(result);
 });
 
+// Download de arquivos do storage local via link assinado
+app.get('/files/*', createSignedFileHandler(storage));
+
 // Rota de teste do PDF
 app.get('/test-pdf', async (req, res) => {
-  if (!pdfConverter) {
-    return res.json({ success: false, message: 'PDF converter not loaded' });
-  }
   const result = await pdfConverter.testConnection();
   res.json(result);
 });
 
 // Endpoint para gerar JWT (para o Base44 usar)
-app.post('/api/auth/generate-token', (req, res) => {
-  const { apiKey, tenantId, tenantName } = req.body;
+// apiKey: key do tenant (o token vale só para ele) ou a key mestra com tenantId.
+// scopes (opcional): escopos do token, dentro dos escopos da key (ex.: só leitura)
+app.post('/api/auth/generate-token', async (req, res) => {
+  const { apiKey, tenantName } = req.body;
+  let { tenantId } = req.body;
+  let keyId = null;
+  let grantedScopes = SCOPES;
   
-  // Validar API key mestra
-  const MASTER_API_KEY = 'YmFzZTQ0OnNlbmhhMTIzOjE3NTgzMDk2Mjc5MDk=';
-  
-  if (apiKey !== MASTER_API_KEY) {
-    return res.status(401).json({ error: 'Invalid master API key' });
+  try {
+    if (tenantRegistry.isKeyFormat(apiKey)) {
+      const result = await tenantRegistry.verify(apiKey);
+      if (result.error) {
+        return res.status(result.status || 401).json({ error: result.error });
+      }
+      
+      if (tenantId && tenantId !== result.tenant.id) {
+        return res.status(403).json({ error: 'API key does not belong to this tenant' });
+      }
+      
+      tenantId = result.tenant.id;
+      keyId = result.key.id;
+      grantedScopes = tenantRegistry.keyScopes(result.key);
+    } else {
+      if (!isMasterKey(apiKey)) {
+        return res.status(401).json({ error: 'Invalid master API key' });
+      }
+      
+      if (!tenantId) {
+        return res.status(400).json({ error: 'tenantId required' });
+      }
+      
+      if (!tenantRegistry.isValidTenantId(tenantId)) {
+        return res.status(400).json({ error: 'Invalid tenant ID' });
+      }
+      
+      const accessError = await masterKeyAccessError(tenantId);
+      if (accessError) {
+        return res.status(403).json({ error: accessError });
+      }
+    }
+  } catch (error) {
+    console.error('❌ Erro ao consultar cadastro de tenants:', error);
+    return res.status(500).json({ error: 'Failed to generate token' });
   }
   
-  if (!tenantId) {
-    return res.status(400).json({ error: 'tenantId required' });
+  let scopes;
+  try {
+    scopes = normalizeScopes(req.body.scopes, grantedScopes);
+  } catch (error) {
+    return handleRegistryError(res, error, 'Failed to generate token');
   }
   
+  const tenant = await tenantRegistry.get(tenantId);
+  
   // Gerar JWT
   const token = jwt.sign(
     {
       tenantId: tenantId,
-      tenantName: tenantName || tenantId,
-      permissions: ['upload', 'generate', 'list', 'delete'],
+      tenantName: tenant ? tenant.name : (tenantName || tenantId),
+      scopes: scopes,
+      keyId: keyId,
       issuedAt: Date.now()
     },
     JWT_SECRET,
@@ -287,39 +572,202 @@ app.post('/api/auth/generate-token', (req, res) => {
     success: true,
     token: token,
     expiresIn: '24h',
-    type: 'Bearer'
+    type: 'Bearer',
+    scopes: scopes
   });
 });
 
+// ========================================
+// TENANTS E API KEYS
+// ========================================
+
+const handleRegistryError = (res, error, message) => {
+  if (error instanceof TenantRegistryError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`❌ ${message}:`, error);
+  res.status(500).json({ error: message });
+};
+
+// Key recém-emitida: a key em texto só aparece nesta resposta
+const describeIssuedKey = (result) => ({
+  apiKey: result.apiKey,
+  key: tenantRegistry.describeKey(result.key),
+  warning: 'Store this API key now; it cannot be retrieved again'
+});
+
+// Administração (key mestra): cadastrar, listar e desativar tenants e gerir as keys de qualquer tenant
+app.get('/api/admin/tenants', requireMasterKey, async (req, res) => {
+  try {
+    const tenants = await tenantRegistry.list();
+    res.json({
+      success: true,
+      tenants: tenants.map(tenant => tenantRegistry.describeTenant(tenant))
+    });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to list tenants');
+  }
+});
+
+// Cadastra o tenant e, por padrão, já emite a primeira key (issueKey: false para não emitir)
+app.post('/api/admin/tenants', requireMasterKey, async (req, res) => {
+  const { tenantId, name, label, expiresAt, expiresInDays } = req.body;
+  
+  try {
+    const tenant = await tenantRegistry.create(tenantId, { name });
+    const issued = req.body.issueKey === false
+      ? null
+      : await tenantRegistry.issueKey(tenant.id, { label, expiresAt, expiresInDays, createdBy: 'admin' });
+    
+    res.status(201).json({
+      success: true,
+      tenant: tenantRegistry.describeTenant(tenant),
+      ...(issued ? describeIssuedKey(issued) : {})
+    });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to create tenant');
+  }
+});
+
+app.get('/api/admin/tenants/:tenantId', requireMasterKey, async (req, res) => {
+  try {
+    const tenant = await tenantRegistry.require(req.params.tenantId);
+    res.json({ success: true, tenant: tenantRegistry.describeTenant(tenant) });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to get tenant');
+  }
+});
+
+app.post('/api/admin/tenants/:tenantId/disable', requireMasterKey, async (req, res) => {
+  try {
+    const tenant = await tenantRegistry.setStatus(req.params.tenantId, 'disabled');
+    res.json({ success: true, tenant: tenantRegistry.describeTenant(tenant) });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to disable tenant');
+  }
+});
+
+app.post('/api/admin/tenants/:tenantId/enable', requireMasterKey, async (req, res) => {
+  try {
+    const tenant = await tenantRegistry.setStatus(req.params.tenantId, 'active');
+    res.json({ success: true, tenant: tenantRegistry.describeTenant(tenant) });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to enable tenant');
+  }
+});
+
+// Emissão, rotação e revogação de keys: as mesmas operações pela administração
+// (/api/admin/tenants/:tenantId/keys) e pelo próprio tenant (/api/keys)
+// Pelo próprio tenant, a key emitida (ou rotacionada) não pode ter escopos que o chamador não tem
+const issueKeyHandler = (getTenantId, createdBy) => async (req, res) => {
+  const { label, scopes, expiresAt, expiresInDays } = req.body;
+  
+  try {
+    const result = await tenantRegistry.issueKey(getTenantId(req), {
+      label,
+      scopes,
+      allowedScopes: req.scopes || SCOPES,
+      expiresAt,
+      expiresInDays,
+      createdBy: createdBy(req)
+    });
+    res.status(201).json({ success: true, ...describeIssuedKey(result) });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to issue API key');
+  }
+};
+
+const rotateKeyHandler = (getTenantId, createdBy) => async (req, res) => {
+  const { gracePeriodHours, expiresAt, expiresInDays } = req.body;
+  
+  try {
+    const result = await tenantRegistry.rotateKey(getTenantId(req), req.params.keyId, {
+      gracePeriodHours,
+      allowedScopes: req.scopes || SCOPES,
+      expiresAt,
+      expiresInDays,
+      createdBy: createdBy(req)
+    });
+    res.json({
+      success: true,
+      ...describeIssuedKey(result),
+      previousKey: tenantRegistry.describeKey(result.previous)
+    });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to rotate API key');
+  }
+};
+
+const revokeKeyHandler = (getTenantId) => async (req, res) => {
+  try {
+    const key = await tenantRegistry.revokeKey(getTenantId(req), req.params.keyId);
+    res.json({ success: true, key: tenantRegistry.describeKey(key) });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to revoke API key');
+  }
+};
+
+const adminTenant = req => req.params.tenantId;
+const ownTenant = req => req.tenantId;
+
+app.post('/api/admin/tenants/:tenantId/keys', requireMasterKey, issueKeyHandler(adminTenant, () => 'admin'));
+app.post('/api/admin/tenants/:tenantId/keys/:keyId/rotate', requireMasterKey, rotateKeyHandler(adminTenant, () => 'admin'));
+app.delete('/api/admin/tenants/:tenantId/keys/:keyId', requireMasterKey, revokeKeyHandler(adminTenant));
+
+// Keys do próprio tenant (só para tenants cadastrados)
+app.get('/api/keys', authenticate, requireScope('admin'), async (req, res) => {
+  try {
+    const tenant = await tenantRegistry.require(req.tenantId);
+    res.json({ success: true, keys: tenant.keys.map(key => tenantRegistry.describeKey(key)) });
+  } catch (error) {
+    handleRegistryError(res, error, 'Failed to list API keys');
+  }
+});
+
+app.post('/api/keys', authenticate, requireScope('admin'), issueKeyHandler(ownTenant, req => req.apiKeyId || req.tenantName));
+app.post('/api/keys/:keyId/rotate', authenticate, requireScope('admin'), rotateKeyHandler(ownTenant, req => req.apiKeyId || req.tenantName));
+app.delete('/api/keys/:keyId', authenticate, requireScope('admin'), revokeKeyHandler(ownTenant));
+
 // ========================================
 // ROTAS DE TEMPLATES
 // ========================================
 
 // Listar templates
-app.get('/api/templates', authenticate, async (req, res) => {
+app.get('/api/templates', authenticate, requireScope('templates:read'), async (req, res) => {
   const tenantId = req.tenantId;
-  const templates = templateStore[tenantId] || {};
-  
-  // Combinar templates da memória
-  const list = Object.values(templates).map(t => ({
-    id: t.id,
-    name: t.name,
-    uploadedAt: t.uploadedAt,
-    storage: 'memory',
-    variableCount: t.variableCount || 0
-  }));
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
   
-  res.json({ 
-    success: true,
-    tenant: tenantId,
-    tenantName: req.tenantName,
-    templates: list,
-    count: list.length
-  });
+  try {
+    const { templates, pagination } = await templateCatalog.list(tenantId, { page, limit });
+    
+    const list = templates.map(t => ({
+      id: t.id,
+      name: t.name,
+      uploadedAt: t.uploadedAt,
+      size: t.size,
+      storage: t.storage,
+      storageKey: t.storageKey,
+      variableCount: t.variableCount || 0
+    }));
+    
+    res.json({ 
+      success: true,
+      tenant: tenantId,
+      tenantName: req.tenantName,
+      templates: list,
+      count: list.length,
+      pagination: pagination
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao listar templates:', error);
+    res.status(500).json({ error: 'Failed to list templates' });
+  }
 });
 
 // Upload de template (CORRIGIDO)
-app.post('/api/templates/upload', authenticate, upload.single('template'), async (req, res) => {
+app.post('/api/templates/upload', authenticate, requireScope('templates:write'), upload.single('template'), async (req, res) => {
   try {
     const tenantId = req.tenantId;
     const file = req.file;
@@ -334,11 +782,18 @@ app.post('/api/templates/upload', authenticate, upload.single('template'), async
       return res.status(400).json({ error: 'Only DOCX files are allowed' });
     }
     
+    const schema = parseSchemaInput(req.body.schema);
+    
+    const lint = templateLinter.lint(file.buffer);
+    if (shouldRejectTemplate(req, lint)) {
+      return sendTemplateLintErrors(res, lint);
+    }
+    
     // Gerar ID único
     const templateId = `tmpl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    // CORREÇÃO: Usar a nova função para extrair variáveis
-    const variables = extractVariablesFromDocx(file.buffer);
+    // Extração estruturada (loops, condições, tags divididas entre runs)
+    const { variables, structure, locations } = inspectTemplate(file.buffer);
     const variableCount = Object.keys(variables).length;
     console.log(`📝 Template ${templateId}: ${variableCount} variáveis detectadas`);
     
@@ -351,29 +806,17 @@ app.post('/api/templates/upload', authenticate, upload.single('template'), async
       uploadedAt: new Date().toISOString(),
       uploadedBy: req.tenantName,
       variables: variables,
-      variableCount: variableCount
-    };
-    
-    // Salvar na memória (sempre)
-    if (!templateStore[tenantId]) {
-      templateStore[tenantId] = {};
-    }
-    
-    templateStore[tenantId][templateId] = {
-      ...metadata,
-      buffer: file.buffer
+      variableCount: variableCount,
+      structure: structure,
+      schema: schema || null
     };
     
-    console.log(`💾 Template ${templateId} salvo para tenant ${tenantId}`);
+    // Salvar arquivo + registrar no catálogo
+    const entry = await templateCatalog.save(tenantId, templateId, file.buffer, metadata);
     
-    // Tentar salvar no R2 também
-    let storageLocation = 'local';
-    if (r2Storage && r2Storage.isConfigured) {
-      const r2Result = await r2Storage.saveTemplate(tenantId, templateId, file.buffer, metadata);
-      if (r2Result.success) {
-        console.log(`☁️  Template ${templateId} também salvo no R2!`);
-        storageLocation = 'cloud';
-      }
+    console.log(`💾 Template ${templateId} salvo para tenant ${tenantId} (${entry.storage})`);
+    if (!lint.valid) {
+      console.warn(`⚠️  Template ${templateId} enviado com ${lint.errorCount} erro(s) de diagnóstico (force)`);
     }
     
     // Resposta para o Base44
@@ -381,8 +824,14 @@ app.post('/api/templates/upload', authenticate, upload.single('template'), async
       success: true,
       templateId: templateId,
       message: 'Template uploaded successfully',
-      storage: storageLocation,
+      storage: entry.storage,
+      storageKey: entry.storageKey,
       variables: variables,
+      structure: structure,
+      locations: locations,
+      clauses: await clauseLibrary.describeIncludes(tenantId, structure),
+      lint: lint,
+      schema: metadata.schema,
       metadata: {
         name: metadata.name,
         size: metadata.size,
@@ -392,13 +841,17 @@ app.post('/api/templates/upload', authenticate, upload.single('template'), async
     });
     
   } catch (error) {
+    if (error instanceof SchemaDefinitionError) {
+      return res.status(400).json({ error: error.message, schemaErrors: error.errors });
+    }
+    
     console.error('❌ Erro no upload:', error);
     res.status(500).json({ error: 'Upload failed: ' + error.message });
   }
 });
 
 // Extrair conteúdo HTML de template para visualização (CORRIGIDO)
-app.post('/api/templates/extract-content', authenticate, upload.single('template'), async (req, res) => {
+app.post('/api/templates/extract-content', authenticate, requireScope('templates:read'), upload.single('template'), async (req, res) => {
   try {
     const file = req.file;
     
@@ -406,86 +859,18 @@ app.post('/api/templates/extract-content', authenticate, upload.single('template
       return res.status(400).json({ error: 'Template file required' });
     }
     
-    // CORREÇÃO: Usar a nova função para extrair variáveis
-    const variables = extractVariablesFromDocx(file.buffer);
+    const { variables, structure, locations } = inspectTemplate(file.buffer);
     
-    // Processar o documento
-    const zip = new PizZip(file.buffer);
-    
-    // Extrair texto do documento
+    // Renderizar o documento (estilos, numeração, tabelas, cabeçalho e rodapé)
     let textContent = '';
     let htmlContent = '';
+    let paragraphCount = 0;
     
     try {
-      // Acessar o XML interno do documento
-      const documentXml = zip.file('word/document.xml').asText();
-      
-      // Extrair parágrafos do XML
-      const paragraphs = [];
-      const paragraphRegex = /<w:p[^>]*>(.*?)<\/w:p>/gs;
-      let match;
-      
-      while ((match = paragraphRegex.exec(documentXml)) !== null) {
-        const paragraphContent = match[1];
-        const textRegex = /<w:t[^>]*>(.*?)<\/w:t>/g;
-        let paragraphText = '';
-        let textMatch;
-        
-        while ((textMatch = textRegex.exec(paragraphContent)) !== null) {
-          paragraphText += textMatch[1];
-        }
-        
-        if (paragraphText.trim()) {
-          paragraphs.push(paragraphText.trim());
-        }
-      }
-      
-      textContent = paragraphs.join('\n\n');
-      
-      // Criar HTML formatado
-      htmlContent = `
-        <div style="font-family: 'Segoe UI', Arial, sans-serif; line-height: 1.8; padding: 30px; max-width: 800px; margin: 0 auto;">
-          <style>
-            .template-variable {
-              background-color: #fff3cd;
-              color: #856404;
-              padding: 2px 6px;
-              border: 1px solid #ffeeba;
-              border-radius: 4px;
-              font-family: 'Courier New', monospace;
-              font-size: 0.95em;
-              margin: 0 2px;
-              display: inline-block;
-            }
-            .template-paragraph {
-              margin-bottom: 16px;
-              text-align: justify;
-            }
-            .template-container h1, .template-container h2, .template-container h3 {
-              color: #2c3e50;
-              margin-top: 24px;
-              margin-bottom: 12px;
-            }
-          </style>
-          <div class="template-container">
-            ${paragraphs.map(paragraph => {
-              // Destacar variáveis no HTML
-              const highlightedParagraph = paragraph.replace(
-                /\{\{(\w+)\}\}/g,
-                '<span class="template-variable">{{$1}}</span>'
-              );
-              
-              // Detectar se é título (geralmente em caps ou no início)
-              if (paragraph === paragraph.toUpperCase() && paragraph.length < 100) {
-                return `<h2 style="text-align: center;">${highlightedParagraph}</h2>`;
-              }
-              
-              return `<p class="template-paragraph">${highlightedParagraph}</p>`;
-            }).join('\n')}
-          </div>
-        </div>
-      `;
-      
+      const preview = docxHtmlRenderer.render(file.buffer);
+      textContent = preview.text;
+      htmlContent = preview.html;
+      paragraphCount = preview.paragraphCount;
     } catch (err) {
       console.warn('⚠️  Erro ao processar XML:', err.message);
       
@@ -507,8 +892,10 @@ app.post('/api/templates/extract-content', authenticate, upload.single('template
       htmlContent: htmlContent,
       textContent: textContent,
       variables: variables,
+      structure: structure,
+      locations: locations,
       variableCount: Object.keys(variables).length,
-      paragraphCount: textContent.split('\n\n').length
+      paragraphCount: paragraphCount
     });
     
   } catch (error) {
@@ -520,291 +907,2121 @@ app.post('/api/templates/extract-content', authenticate, upload.single('template
   }
 });
 
-// Extrair variáveis de um template enviado (CORRIGIDO)
-app.post('/api/templates/extract-variables', authenticate, upload.single('template'), async (req, res) => {
-  try {
-    const file = req.file;
-    
+// Prévia renderizada: página HTML com Accept: text/html; senão JSON
+const sendPreview = (req, res, buffer, { title, ...extra }) => {
+  const preview = docxHtmlRenderer.render(buffer, {
+    highlightVariables: req.query.highlight !== 'false',
+    headers: req.query.headers !== 'false'
+  });
+  
+  if (req.accepts(['application/json', 'text/html']) === 'text/html') {
+    // O HTML vem de um DOCX enviado pelo cliente: nada de scripts nem recursos externos
+    // (imagens do documento são embutidas como data:)
+    res.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; img-src data:");
+    return res.type('html').send(docxHtmlRenderer.page(preview.html, title));
+  }
+  
+  res.json({
+    success: true,
+    ...extra,
+    html: preview.html,
+    text: preview.text,
+    variables: preview.variables,
+    unfilled: preview.unfilled,
+    paragraphCount: preview.paragraphCount
+  });
+};
+
+const handlePreviewError = (res, error, tenantId) => {
+  if (error instanceof GenerationError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  if (error instanceof PreviewError) {
+    return res.status(422).json({ error: error.message });
+  }
+  console.error(`❌ Tenant ${tenantId}: Erro ao gerar prévia:`, error);
+  res.status(500).json({ error: 'Failed to render preview' });
+};
+
+// Prévia de um template enviado (campo "template"), opcionalmente preenchido
+// com "data" (JSON). Variáveis sem valor aparecem destacadas em "unfilled".
+app.post('/api/templates/preview', authenticate, requireScope('templates:read'), upload.single('template'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Template file required' });
+    }
+    
+    const data = req.body.data ? parseJsonField(req.body.data, 'data') : null;
+    const preview = await generationService.preview(req.tenantId, { templateBuffer: req.file.buffer, data });
+    
+    sendPreview(req, res, preview.buffer, {
+      title: req.file.originalname,
+      filled: !!data,
+      fieldErrors: preview.fieldErrors
+    });
+    
+  } catch (error) {
+    handlePreviewError(res, error, req.tenantId);
+  }
+});
+
+// Prévia de um template do catálogo: { data, version } (sem data, mostra o template)
+app.post('/api/templates/:templateId/preview', authenticate, requireScope('templates:read'), async (req, res) => {
+  const { templateId } = req.params;
+  
+  try {
+    const { data, version } = req.body || {};
+    const preview = await generationService.preview(req.tenantId, { templateId, version, data });
+    
+    sendPreview(req, res, preview.buffer, {
+      title: preview.templateName,
+      templateId: templateId,
+      templateName: preview.templateName,
+      version: preview.templateVersion,
+      filled: !!data,
+      fieldErrors: preview.fieldErrors
+    });
+    
+  } catch (error) {
+    handlePreviewError(res, error, req.tenantId);
+  }
+});
+
+// Extrair variáveis de um template enviado (CORRIGIDO)
+app.post('/api/templates/extract-variables', authenticate, requireScope('templates:read'), upload.single('template'), async (req, res) => {
+  try {
+    const file = req.file;
+    
+    if (!file) {
+      return res.status(400).json({ error: 'Template file required' });
+    }
+    
+    const { variables, structure, locations } = inspectTemplate(file.buffer);
+    
+    res.json({
+      success: true,
+      variables: variables,
+      structure: structure,
+      locations: locations,
+      clauses: await clauseLibrary.describeIncludes(req.tenantId, structure),
+      count: Object.keys(variables).length
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao extrair variáveis:', error);
+    res.status(500).json({ error: 'Failed to extract variables' });
+  }
+});
+
+// Diagnóstico de um template enviado (campo "template"), sem salvar: tags sem
+// fechamento, seções trocadas, filtros desconhecidos, formatação no meio da tag...
+app.post('/api/templates/lint', authenticate, requireScope('templates:read'), upload.single('template'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Template file required' });
+    }
+    
+    const lint = templateLinter.lint(req.file.buffer);
+    
+    res.json({
+      success: true,
+      valid: lint.valid,
+      errorCount: lint.errorCount,
+      warningCount: lint.warningCount,
+      diagnostics: lint.diagnostics
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao analisar template:', error);
+    res.status(500).json({ error: 'Failed to lint template' });
+  }
+});
+
+// Verificar variáveis de template armazenado (CORRIGIDO)
+app.get('/api/templates/:templateId/variables', authenticate, requireScope('templates:read'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const { templateId } = req.params;
+  
+  try {
+    const entry = await templateCatalog.get(tenantId, templateId);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (entry.deletedAt) {
+      return sendTemplateDeleted(res, entry);
+    }
+    
+    const versionInfo = templateCatalog.resolveVersion(entry, req.query.version);
+    
+    if (!versionInfo) {
+      return res.status(404).json({ error: `Template version ${req.query.version} not found` });
+    }
+    
+    const inspection = await getVersionInspection(tenantId, templateId, versionInfo);
+    
+    if (!inspection) {
+      return res.status(404).json({ error: 'Template file not found' });
+    }
+    
+    res.json({
+      success: true,
+      templateId: templateId,
+      templateName: entry.name,
+      version: versionInfo.version,
+      variables: inspection.variables,
+      structure: inspection.structure,
+      locations: inspection.locations,
+      clauses: await clauseLibrary.describeIncludes(tenantId, inspection.structure),
+      count: Object.keys(inspection.variables).length,
+      schema: versionInfo.schema || null
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao buscar variáveis:', error);
+    res.status(500).json({ error: 'Failed to get template variables' });
+  }
+});
+
+// Esquema de variáveis de uma versão (?version=N; padrão: mais recente)
+app.get('/api/templates/:templateId/schema', authenticate, requireScope('templates:read'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const { templateId } = req.params;
+  
+  try {
+    const entry = await templateCatalog.get(tenantId, templateId);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (entry.deletedAt) {
+      return sendTemplateDeleted(res, entry);
+    }
+    
+    const versionInfo = templateCatalog.resolveVersion(entry, req.query.version);
+    
+    if (!versionInfo) {
+      return res.status(404).json({ error: `Template version ${req.query.version} not found` });
+    }
+    
+    const inspection = await getVersionInspection(tenantId, templateId, versionInfo);
+    
+    res.json({
+      success: true,
+      templateId: templateId,
+      version: versionInfo.version,
+      schema: versionInfo.schema || null,
+      types: VariableSchema.TYPES,
+      ...describeSchemaCoverage(versionInfo.schema, inspection?.variables)
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao buscar esquema:', error);
+    res.status(500).json({ error: 'Failed to get template schema' });
+  }
+});
+
+// Definir (ou remover, com schema: null) o esquema de variáveis de uma versão
+app.put('/api/templates/:templateId/schema', authenticate, requireScope('templates:write'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const { templateId } = req.params;
+  
+  try {
+    if (req.body.schema === undefined) {
+      return res.status(400).json({ error: 'schema is required (use null to remove it)' });
+    }
+    
+    const schema = parseSchemaInput(req.body.schema);
+    const entry = await templateCatalog.get(tenantId, templateId);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (entry.deletedAt) {
+      return sendTemplateDeleted(res, entry);
+    }
+    
+    const versionInfo = templateCatalog.resolveVersion(entry, req.body.version);
+    
+    if (!versionInfo) {
+      return res.status(404).json({ error: `Template version ${req.body.version} not found` });
+    }
+    
+    await templateCatalog.setVersionSchema(tenantId, templateId, versionInfo.version, schema);
+    const inspection = await getVersionInspection(tenantId, templateId, versionInfo);
+    
+    console.log(`🧩 Template ${templateId} (v${versionInfo.version}): esquema ${schema ? 'atualizado' : 'removido'}`);
+    
+    res.json({
+      success: true,
+      templateId: templateId,
+      version: versionInfo.version,
+      schema: schema,
+      ...describeSchemaCoverage(schema, inspection?.variables)
+    });
+    
+  } catch (error) {
+    if (error instanceof SchemaDefinitionError) {
+      return res.status(400).json({ error: error.message, schemaErrors: error.errors });
+    }
+    
+    console.error('❌ Erro ao salvar esquema:', error);
+    res.status(500).json({ error: 'Failed to save template schema' });
+  }
+});
+
+// Enviar nova versão de um template existente (mantém o mesmo ID)
+app.post('/api/templates/:templateId/versions', authenticate, requireScope('templates:write'), upload.single('template'), async (req, res) => {
+  try {
+    const tenantId = req.tenantId;
+    const { templateId } = req.params;
+    const file = req.file;
+    const { name, comment } = req.body;
+    
+    if (!file) {
+      return res.status(400).json({ error: 'Template file required' });
+    }
+    
+    if (!file.mimetype.includes('wordprocessingml') && !file.mimetype.includes('msword')) {
+      return res.status(400).json({ error: 'Only DOCX files are allowed' });
+    }
+    
+    const schema = parseSchemaInput(req.body.schema);
+    
+    const entry = await templateCatalog.get(tenantId, templateId);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (entry.deletedAt) {
+      return sendTemplateDeleted(res, entry);
+    }
+    
+    const lint = templateLinter.lint(file.buffer);
+    if (shouldRejectTemplate(req, lint)) {
+      return sendTemplateLintErrors(res, lint);
+    }
+    
+    const { variables, structure, locations } = inspectTemplate(file.buffer);
+    const variableCount = Object.keys(variables).length;
+    
+    const result = await templateCatalog.addVersion(tenantId, templateId, file.buffer, {
+      name: name,
+      originalName: file.originalname,
+      size: file.buffer.length,
+      uploadedAt: new Date().toISOString(),
+      uploadedBy: req.tenantName,
+      comment: comment,
+      variables: variables,
+      variableCount: variableCount,
+      structure: structure,
+      schema: schema
+    });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    console.log(`📝 Template ${templateId}: versão ${result.version.version} salva (${variableCount} variáveis)`);
+    if (!lint.valid) {
+      console.warn(`⚠️  Template ${templateId}: versão ${result.version.version} enviada com ${lint.errorCount} erro(s) de diagnóstico (force)`);
+    }
+    
+    res.json({
+      success: true,
+      templateId: templateId,
+      version: result.version.version,
+      message: 'Template version uploaded successfully',
+      storage: result.version.storage,
+      storageKey: result.version.storageKey,
+      variables: variables,
+      structure: structure,
+      locations: locations,
+      clauses: await clauseLibrary.describeIncludes(tenantId, structure),
+      lint: lint,
+      schema: result.version.schema,
+      metadata: {
+        name: result.entry.name,
+        size: result.version.size,
+        variableCount: variableCount,
+        tenant: req.tenantName
+      }
+    });
+    
+  } catch (error) {
+    if (error instanceof SchemaDefinitionError) {
+      return res.status(400).json({ error: error.message, schemaErrors: error.errors });
+    }
+    
+    console.error('❌ Erro no upload de versão:', error);
+    res.status(500).json({ error: 'Version upload failed: ' + error.message });
+  }
+});
+
+// Listar versões de um template
+app.get('/api/templates/:templateId/versions', authenticate, requireScope('templates:read'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const { templateId } = req.params;
+  
+  try {
+    const entry = await templateCatalog.get(tenantId, templateId);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (entry.deletedAt) {
+      return sendTemplateDeleted(res, entry);
+    }
+    
+    const versions = templateCatalog.versionsOf(entry).map(v => ({
+      version: v.version,
+      originalName: v.originalName,
+      size: v.size,
+      uploadedAt: v.uploadedAt,
+      uploadedBy: v.uploadedBy,
+      comment: v.comment || null,
+      storage: v.storage,
+      storageKey: v.storageKey,
+      variableCount: v.variableCount || 0
+    }));
+    
+    res.json({
+      success: true,
+      templateId: templateId,
+      templateName: entry.name,
+      latestVersion: versions[versions.length - 1].version,
+      versions: versions,
+      count: versions.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao listar versões:', error);
+    res.status(500).json({ error: 'Failed to list template versions' });
+  }
+});
+
+// Comparar variáveis entre duas versões (?from=1&to=2, "to" padrão: mais recente)
+app.get('/api/templates/:templateId/versions/diff', authenticate, requireScope('templates:read'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const { templateId } = req.params;
+  
+  try {
+    const entry = await templateCatalog.get(tenantId, templateId);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (entry.deletedAt) {
+      return sendTemplateDeleted(res, entry);
+    }
+    
+    if (!req.query.from) {
+      return res.status(400).json({ error: 'Query parameter "from" is required' });
+    }
+    
+    const fromVersion = templateCatalog.resolveVersion(entry, req.query.from);
+    const toVersion = templateCatalog.resolveVersion(entry, req.query.to);
+    
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Template version not found' });
+    }
+    
+    const fromInspection = await getVersionInspection(tenantId, templateId, fromVersion);
+    const toInspection = await getVersionInspection(tenantId, templateId, toVersion);
+    
+    if (!fromInspection || !toInspection) {
+      return res.status(404).json({ error: 'Template file not found' });
+    }
+    
+    // Caminhos completos, para acusar também campos internos de loops ("clientes[].nome")
+    const fromNames = templateInspector.paths(fromInspection.structure);
+    const toNames = templateInspector.paths(toInspection.structure);
+    
+    res.json({
+      success: true,
+      templateId: templateId,
+      from: fromVersion.version,
+      to: toVersion.version,
+      added: toNames.filter(v => !fromNames.includes(v)),
+      removed: fromNames.filter(v => !toNames.includes(v)),
+      unchanged: toNames.filter(v => fromNames.includes(v))
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao comparar versões:', error);
+    res.status(500).json({ error: 'Failed to compare template versions' });
+  }
+});
+
+// Listar templates na lixeira
+app.get('/api/templates/trash', authenticate, requireScope('templates:read'), async (req, res) => {
+  const tenantId = req.tenantId;
+  
+  try {
+    const trash = await templateCatalog.listTrash(tenantId);
+    
+    const list = trash.map(t => ({
+      id: t.id,
+      name: t.name,
+      uploadedAt: t.uploadedAt,
+      deletedAt: t.deletedAt,
+      deletedBy: t.deletedBy,
+      purgeAt: t.purgeAt,
+      version: t.version || 1,
+      storage: t.storage,
+      storageKey: t.storageKey
+    }));
+    
+    res.json({
+      success: true,
+      tenant: tenantId,
+      retentionDays: templateCatalog.trashRetentionDays,
+      templates: list,
+      count: list.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao listar lixeira:', error);
+    res.status(500).json({ error: 'Failed to list deleted templates' });
+  }
+});
+
+// Deletar template (soft delete)
+app.delete('/api/templates/:templateId', authenticate, requireScope('templates:write'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const { templateId } = req.params;
+  
+  try {
+    const entry = await templateCatalog.get(tenantId, templateId);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (entry.deletedAt) {
+      return sendTemplateDeleted(res, entry);
+    }
+    
+    const deleted = await templateCatalog.softDelete(tenantId, templateId, req.tenantName);
+    
+    console.log(`🗑️  Template ${templateId} movido para a lixeira`);
+    
+    res.json({
+      success: true,
+      message: 'Template deleted successfully',
+      templateId: templateId,
+      deletedAt: deleted.deletedAt,
+      purgeAt: templateCatalog.purgeDate(deleted).toISOString()
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao deletar template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+// Restaurar template da lixeira
+app.post('/api/templates/:templateId/restore', authenticate, requireScope('templates:write'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const { templateId } = req.params;
+  
+  try {
+    const entry = await templateCatalog.get(tenantId, templateId);
+    
+    if (!entry) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    if (!entry.deletedAt) {
+      return res.status(409).json({ error: 'Template is not deleted' });
+    }
+    
+    const restored = await templateCatalog.restore(tenantId, templateId);
+    
+    console.log(`♻️  Template ${templateId} restaurado da lixeira`);
+    
+    res.json({
+      success: true,
+      message: 'Template restored successfully',
+      templateId: templateId,
+      name: restored.name,
+      version: restored.version || 1
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao restaurar template:', error);
+    res.status(500).json({ error: 'Failed to restore template' });
+  }
+});
+
+// ========================================
+// ROTAS DE GERAÇÃO DE DOCUMENTOS
+// ========================================
+
+// Tipos aceitos no cabeçalho Accept → formato gerado
+const BINARY_OUTPUT_FORMATS = {
+  'application/pdf': 'pdf',
+  [GenerationService.DOCX_CONTENT_TYPE]: 'docx',
+  'multipart/mixed': 'both'
+};
+
+// Content-Disposition com nome ASCII de fallback e nome UTF-8 (RFC 6266)
+const contentDisposition = (filename) => {
+  const fallback = filename.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+/**
+ * Envia o documento gerado como binário (Accept: application/pdf ou DOCX),
+ * ou os dois formatos em multipart/mixed, em vez do JSON com base64
+ */
+const sendGeneratedFiles = (res, result, accepted) => {
+  const files = [];
+  
+  if (accepted !== 'application/pdf') {
+    files.push({ filename: `${result.filename}.docx`, contentType: GenerationService.DOCX_CONTENT_TYPE, buffer: result.docxBuffer });
+  }
+  
+  if (result.pdfParts && result.pdfParts.length > 1) {
+    // PDF dividido (pdfProcessing.split): uma parte por arquivo, só em multipart/mixed
+    if (accepted === 'application/pdf') {
+      return res.status(406).json({
+        error: `PDF was split into ${result.pdfParts.length} parts; use Accept: multipart/mixed or application/json`,
+        documentId: result.documentId
+      });
+    }
+    result.pdfParts.forEach((part, i) => {
+      files.push({ filename: `${result.filename}_parte${i + 1}.pdf`, contentType: 'application/pdf', buffer: part.buffer });
+    });
+  } else if (result.pdfBuffer) {
+    files.push({ filename: `${result.filename}.pdf`, contentType: 'application/pdf', buffer: result.pdfBuffer });
+  } else if (accepted === 'application/pdf') {
+    return res.status(503).json({
+      error: 'PDF conversion not available',
+      documentId: result.documentId,
+      pdfAttempts: result.pdfAttempts
+    });
+  }
+  
+  res.set('X-Document-Id', result.documentId || '');
+  res.set('X-Template-Version', String(result.templateVersion || ''));
+  if (result.pdfEngine) {
+    res.set('X-PDF-Engine', result.pdfEngine);
+  }
+  if (result.pdfPages) {
+    res.set('X-PDF-Pages', String(result.pdfPages));
+  }
+  
+  if (accepted !== 'multipart/mixed') {
+    const [file] = files;
+    res.set('Content-Type', file.contentType);
+    res.set('Content-Disposition', contentDisposition(file.filename));
+    res.set('Content-Length', String(file.buffer.length));
+    return res.end(file.buffer);
+  }
+  
+  if (!result.pdfBuffer) {
+    res.set('Warning', '199 - "PDF conversion not available, returning only DOCX format"');
+  }
+  
+  const boundary = `jusway_${crypto.randomBytes(12).toString('hex')}`;
+  const closing = `--${boundary}--\r\n`;
+  
+  // Cada parte é escrita direto na resposta, sem montar uma cópia do corpo inteiro
+  const parts = files.map(file => ({
+    header: `--${boundary}\r\n` +
+      `Content-Type: ${file.contentType}\r\n` +
+      `Content-Disposition: ${contentDisposition(file.filename)}\r\n` +
+      `Content-Length: ${file.buffer.length}\r\n\r\n`,
+    buffer: file.buffer
+  }));
+  const length = parts.reduce((total, part) => total + Buffer.byteLength(part.header) + part.buffer.length + 2, Buffer.byteLength(closing));
+  
+  res.set('Content-Type', `multipart/mixed; boundary=${boundary}`);
+  res.set('Content-Length', String(length));
+  for (const part of parts) {
+    res.write(part.header);
+    res.write(part.buffer);
+    res.write('\r\n');
+  }
+  res.end(closing);
+};
+
+// Gerar documento principal (com suporte a PDF)
+// Com "async: true" retorna um jobId imediatamente (ver rotas /api/jobs).
+// Com Accept: application/pdf, DOCX ou multipart/mixed devolve os arquivos em binário.
+app.post('/api/documents/generate', authenticate, requireScope('documents:generate'), async (req, res) => {
+  const { templateUrl, templateId, version, data, confidential = false, callbackUrl, pdfProcessing } = req.body;
+  const tenantId = req.tenantId;
+  const isAsync = req.body.async === true || /respond-async/.test(req.headers.prefer || '');
+  
+  // JSON continua o padrão (Base44); Accept binário define o formato gerado
+  const accepted = req.accepts(['application/json', ...Object.keys(BINARY_OUTPUT_FORMATS)]);
+  const binaryFormat = isAsync ? null : BINARY_OUTPUT_FORMATS[accepted];
+  const outputFormat = binaryFormat || req.body.outputFormat || 'docx';
+  const params = { templateUrl, templateId, version, data, outputFormat, confidential, pdfProcessing };
+
+  try {
+    if (isAsync) {
+      await generationService.checkData(tenantId, params);
+      
+      if (callbackUrl && !jobQueue.isValidCallbackUrl(callbackUrl)) {
+        return res.status(400).json({ error: 'Invalid callback URL' });
+      }
+      
+      const job = await jobQueue.create(tenantId, 'generate', params, {
+        callbackUrl: callbackUrl || null,
+        requestedBy: req.tenantName
+      });
+      
+      return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`,
+        eventsUrl: `/api/jobs/${job.id}/events`,
+        message: 'Geração de documento agendada'
+      });
+    }
+    
+    const result = await generationService.generate(tenantId, params, { requestedBy: req.tenantName });
+    const { docxBuffer, pdfBuffer, templateVersion } = result;
+    
+    if (binaryFormat) {
+      return sendGeneratedFiles(res, result, accepted);
+    }
+    
+    const pdfBase64 = pdfBuffer ? pdfBuffer.toString('base64') : null;
+    
+    // Preparar resposta baseada no formato solicitado
+    const timestamp = Date.now();
+    const baseFilename = `documento_${timestamp}`;
+    
+    // Para compatibilidade com Base44, manter formato simples quando for só DOCX
+    if (outputFormat === 'docx' && !pdfBase64) {
+      res.json({
+        success: true,
+        base64: docxBuffer.toString('base64'),
+        filename: `${baseFilename}.docx`,
+        message: 'Documento gerado com sucesso!',
+        tenant: tenantId,
+        templateId: templateId,
+        templateVersion: templateVersion,
+        documentId: result.documentId
+      });
+    } else {
+      // Resposta com formatos múltiplos
+      const responseData = {
+        success: true,
+        filename: baseFilename,
+        message: 'Documento gerado com sucesso!',
+        tenant: tenantId,
+        templateId: templateId,
+        templateVersion: templateVersion,
+        documentId: result.documentId,
+        formats: {}
+      };
+      
+      // Adicionar DOCX se solicitado ou como fallback
+      if (outputFormat === 'docx' || outputFormat === 'both' || !pdfBase64) {
+        responseData.formats.docx = {
+          base64: docxBuffer.toString('base64'),
+          filename: `${baseFilename}.docx`,
+          size: docxBuffer.length
+        };
+      }
+      
+      // Adicionar PDF se disponível
+      if (pdfBase64 && (outputFormat === 'pdf' || outputFormat === 'both')) {
+        responseData.formats.pdf = {
+          base64: pdfBase64,
+          filename: `${baseFilename}.pdf`,
+          size: pdfBuffer.length,
+          pages: result.pdfPages,
+          engine: result.pdfEngine
+        };
+        
+        if (result.pdfExhibits) {
+          responseData.formats.pdf.exhibits = result.pdfExhibits;
+        }
+        
+        // Partes do PDF dividido (pdfProcessing.split)
+        if (result.pdfParts) {
+          responseData.formats.pdf.parts = result.pdfParts.map((part, i) => ({
+            base64: part.buffer.toString('base64'),
+            filename: `${baseFilename}_parte${i + 1}.pdf`,
+            size: part.size,
+            pages: part.pages,
+            from: part.from,
+            to: part.to
+          }));
+        }
+      }
+      
+      if (result.pdfAttempts) {
+        responseData.pdfEngine = result.pdfEngine;
+        responseData.pdfAttempts = result.pdfAttempts;
+      }
+      
+      // Aviso se PDF foi solicitado mas não está disponível
+      if (outputFormat === 'pdf' && !pdfBase64) {
+        responseData.warning = 'PDF conversion not available, returning DOCX format';
+      } else if (outputFormat === 'both' && !pdfBase64) {
+        responseData.warning = 'PDF conversion not available, returning only DOCX format';
+      }
+      
+      res.json(responseData);
+    }
+
+  } catch (error) {
+    if (error instanceof GenerationError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    
+    console.error(`❌ Tenant ${tenantId}: Erro ao gerar documento:`, error.message);
+    
+    const errorMessage = process.env.NODE_ENV === 'production' 
+      ? 'Falha ao gerar documento' 
+      : error.message;
+    
+    res.status(500).json({ 
+      error: errorMessage,
+      details: process.env.NODE_ENV !== 'production' ? error.stack : undefined
+    });
+  }
+});
+
+// Executa (ou agenda) um lote de mala direta e envia a resposta.
+// Compartilhado pelas rotas de registros em JSON e de planilha.
+const sendBatch = async (req, res, params, { isAsync, callbackUrl, extra = {} }) => {
+  const tenantId = req.tenantId;
+  
+  if (isAsync) {
+    if (callbackUrl && !jobQueue.isValidCallbackUrl(callbackUrl)) {
+      return res.status(400).json({ error: 'Invalid callback URL' });
+    }
+    
+    const job = await jobQueue.create(tenantId, 'batch', params, {
+      callbackUrl: callbackUrl || null,
+      requestedBy: req.tenantName
+    });
+    
+    return res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+      message: `Mala direta com ${params.records.length} registros agendada`,
+      ...extra
+    });
+  }
+  
+  const result = await generationService.generateBatch(tenantId, params, { requestedBy: req.tenantName });
+  const filename = `lote_${Date.now()}.zip`;
+  
+  // ZIP binário quando o cliente pedir; senão JSON com base64 (padrão Base44)
+  if (req.accepts(['application/json', 'application/zip']) === 'application/zip') {
+    res.set('Content-Type', 'application/zip');
+    res.set('X-Batch-Total', String(result.summary.total));
+    res.set('X-Batch-Succeeded', String(result.summary.succeeded));
+    res.set('X-Batch-Failed', String(result.summary.failed));
+    res.attachment(filename);
+    return res.send(result.zipBuffer);
+  }
+  
+  res.json({
+    success: true,
+    message: 'Lote gerado com sucesso!',
+    tenant: tenantId,
+    templateId: result.templateId,
+    templateVersion: result.templateVersion,
+    filename: filename,
+    base64: result.zipBuffer.toString('base64'),
+    size: result.zipBuffer.length,
+    summary: result.summary,
+    manifest: result.manifest,
+    ...extra
+  });
+};
+
+// Mala direta: um template + array de registros → ZIP com um arquivo por registro.
+// Conta como uma única requisição no rate limit. Com "async: true" vira um job.
+app.post('/api/documents/batch', authenticate, requireScope('documents:generate'), async (req, res) => {
+  const {
+    templateUrl, templateId, version, records, filenamePattern,
+    outputFormat = 'docx', confidential = false, callbackUrl
+  } = req.body;
+  const tenantId = req.tenantId;
+  const isAsync = req.body.async === true || /respond-async/.test(req.headers.prefer || '');
+  const params = { templateUrl, templateId, version, records, filenamePattern, outputFormat, confidential };
+  
+  try {
+    generationService.validateBatch(params);
+    await sendBatch(req, res, params, { isAsync, callbackUrl });
+    
+  } catch (error) {
+    if (error instanceof GenerationError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    
+    console.error(`❌ Tenant ${tenantId}: Erro na mala direta:`, error.message);
+    res.status(500).json({ error: 'Failed to generate batch' });
+  }
+});
+
+// Campos multipart chegam como texto: mapping/types podem vir como JSON
+const parseJsonField = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  
+  try {
+    const parsed = JSON.parse(value);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error();
+    }
+    return parsed;
+  } catch (error) {
+    throw new GenerationError(400, `${field} must be a JSON object`);
+  }
+};
+
+/**
+ * Lê a planilha enviada, aplica mapeamento e tipos e confere cada linha
+ * contra as variáveis do template. Retorna { records, report, params }.
+ */
+const prepareSpreadsheetBatch = async (req) => {
+  const {
+    templateUrl, templateId, version, filenamePattern, sheet,
+    outputFormat = 'docx'
+  } = req.body;
+  
+  if (!req.file) {
+    throw new GenerationError(400, 'No spreadsheet uploaded (field "spreadsheet", CSV or XLSX)');
+  }
+  
+  if (!/\.(csv|xlsx)$/i.test(req.file.originalname)) {
+    throw new GenerationError(400, 'Only .csv and .xlsx spreadsheets are allowed');
+  }
+  
+  const mapping = parseJsonField(req.body.mapping, 'mapping');
+  const types = parseJsonField(req.body.types, 'types');
+  
+  const invalidType = Object.entries(types).find(([, type]) => !SpreadsheetParser.SUPPORTED_TYPES.includes(type));
+  if (invalidType) {
+    throw new GenerationError(400, `Unsupported type "${invalidType[1]}" for ${invalidType[0]}`, {
+      supportedTypes: SpreadsheetParser.SUPPORTED_TYPES
+    });
+  }
+  
+  let table;
+  try {
+    table = spreadsheetParser.parse(req.file.buffer, {
+      filename: req.file.originalname,
+      mimetype: req.file.mimetype,
+      sheet: sheet
+    });
+  } catch (error) {
+    throw new GenerationError(400, `Could not read spreadsheet: ${error.message}`);
+  }
+  
+  const unknownColumns = Object.keys(mapping).filter(column => !table.columns.includes(column));
+  if (unknownColumns.length > 0) {
+    throw new GenerationError(400, 'Mapping references columns not present in the spreadsheet', {
+      unknownColumns: unknownColumns,
+      columns: table.columns
+    });
+  }
+  
+  const params = {
+    templateUrl, templateId, version, filenamePattern, outputFormat,
+    confidential: req.body.confidential === true || req.body.confidential === 'true'
+  };
+  generationService.validate({ ...params, data: {} });
+  
+  // Campos simples do escopo raiz (loops e condições não vêm de colunas da planilha)
+  const template = await generationService.loadTemplate(req.tenantId, params);
+  const variables = templateInspector.scalarNames(inspectTemplate(template.buffer).structure);
+  
+  const mapped = spreadsheetParser.mapRows(table.rows, mapping, types);
+  const providedVariables = table.columns.map(column => mapping[column] || column);
+  const issues = [];
+  
+  mapped.forEach((row, index) => {
+    const missing = variables.filter(variable => {
+      const value = row.record[variable];
+      return value === undefined || value === null || value === '';
+    });
+    
+    if (missing.length > 0 || row.errors.length > 0) {
+      issues.push({
+        row: index + 1,
+        line: row.line,
+        missing: missing,
+        invalid: row.errors
+      });
+    }
+  });
+  
+  const report = {
+    columns: table.columns,
+    mapping: mapping,
+    types: types,
+    templateVersion: template.version,
+    variables: variables,
+    missingColumns: variables.filter(variable => !providedVariables.includes(variable)),
+    unusedColumns: table.columns.filter(column => !variables.includes(mapping[column] || column)),
+    totalRows: mapped.length,
+    validRows: mapped.length - issues.length,
+    rowsWithIssues: issues
+  };
+  
+  return { records: mapped.map(row => row.record), report, params };
+};
+
+// Prévia da mala direta por planilha: mostra o mapeamento aplicado e as linhas
+// com variáveis faltando ou valores inválidos, sem gerar documentos
+app.post('/api/documents/batch/preview', authenticate, requireScope('documents:generate'), upload.single('spreadsheet'), async (req, res) => {
+  try {
+    const { records, report } = await prepareSpreadsheetBatch(req);
+    
+    res.json({
+      success: true,
+      ...report,
+      sample: records.slice(0, 5)
+    });
+    
+  } catch (error) {
+    if (error instanceof GenerationError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    
+    console.error(`❌ Tenant ${req.tenantId}: Erro na prévia da planilha:`, error.message);
+    res.status(500).json({ error: 'Failed to preview spreadsheet' });
+  }
+});
+
+// Mala direta a partir de planilha CSV/XLSX: uma linha = um documento.
+// Linhas com variáveis faltando ou valores inválidos bloqueiam o lote (422),
+// a menos que allowIncomplete=true.
+app.post('/api/documents/batch/spreadsheet', authenticate, requireScope('documents:generate'), upload.single('spreadsheet'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const isAsync = req.body.async === true || req.body.async === 'true' ||
+    /respond-async/.test(req.headers.prefer || '');
+  const allowIncomplete = req.body.allowIncomplete === true || req.body.allowIncomplete === 'true';
+  
+  try {
+    const { records, report, params } = await prepareSpreadsheetBatch(req);
+    
+    if (report.rowsWithIssues.length > 0 && !allowIncomplete) {
+      return res.status(422).json({
+        error: 'Spreadsheet has rows with missing or invalid variables',
+        hint: 'Fix the rows, adjust mapping/types or send allowIncomplete=true',
+        ...report
+      });
+    }
+    
+    const batchParams = { ...params, records: records };
+    generationService.validateBatch(batchParams);
+    
+    await sendBatch(req, res, batchParams, {
+      isAsync,
+      callbackUrl: req.body.callbackUrl,
+      extra: { validation: { validRows: report.validRows, rowsWithIssues: report.rowsWithIssues } }
+    });
+    
+  } catch (error) {
+    if (error instanceof GenerationError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    
+    console.error(`❌ Tenant ${tenantId}: Erro na mala direta por planilha:`, error.message);
+    res.status(500).json({ error: 'Failed to generate batch' });
+  }
+});
+
+// ========================================
+// ROTAS DE JOBS ASSÍNCRONOS
+// ========================================
+
+// Processador dos jobs de geração: mesmos passos da rota síncrona
+jobQueue.register('generate', async (job, { progress }) => {
+  const params = job.payload;
+  const result = await generationService.generate(job.tenantId, params, {
+    onProgress: progress,
+    requestedBy: job.requestedBy,
+    source: 'job'
+  });
+  const baseFilename = `documento_${Date.now()}`;
+  const files = [];
+  
+  if (params.outputFormat !== 'pdf' || !result.pdfBuffer) {
+    files.push({
+      format: 'docx',
+      filename: `${baseFilename}.docx`,
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      buffer: result.docxBuffer
+    });
+  }
+  
+  if (result.pdfBuffer) {
+    files.push({ format: 'pdf', filename: `${baseFilename}.pdf`, contentType: 'application/pdf', buffer: result.pdfBuffer });
+  }
+  
+  // Partes do PDF dividido: ?format=pdf-part1, pdf-part2...
+  (result.pdfParts || []).forEach((part, i) => {
+    files.push({ format: `pdf-part${i + 1}`, filename: `${baseFilename}_parte${i + 1}.pdf`, contentType: 'application/pdf', buffer: part.buffer });
+  });
+  
+  return {
+    result: {
+      templateId: result.templateId,
+      templateVersion: result.templateVersion,
+      documentId: result.documentId,
+      pdfEngine: result.pdfEngine,
+      pdfAttempts: result.pdfAttempts,
+      pdfPages: result.pdfPages,
+      pdfExhibits: result.pdfExhibits || undefined,
+      warning: (params.outputFormat === 'pdf' || params.outputFormat === 'both') && !result.pdfBuffer
+        ? 'PDF conversion not available, returning DOCX format'
+        : undefined
+    },
+    files: files
+  };
+});
+
+// Processador dos jobs de mala direta
+jobQueue.register('batch', async (job, { progress }) => {
+  const result = await generationService.generateBatch(job.tenantId, job.payload, {
+    onProgress: progress,
+    requestedBy: job.requestedBy
+  });
+  
+  return {
+    result: {
+      templateId: result.templateId,
+      templateVersion: result.templateVersion,
+      summary: result.summary,
+      manifest: result.manifest
+    },
+    files: [{ format: 'zip', filename: `lote_${Date.now()}.zip`, contentType: 'application/zip', buffer: result.zipBuffer }]
+  };
+});
+
+// Visão pública do job, com links de download dos arquivos gerados
+const describeJob = (job) => {
+  const publicJob = jobQueue.toPublic(job);
+  
+  if (publicJob.result?.files) {
+    const files = {};
+    for (const [format, file] of Object.entries(publicJob.result.files)) {
+      files[format] = {
+        filename: file.filename,
+        contentType: file.contentType,
+        size: file.size,
+        downloadUrl: `/api/jobs/${job.id}/download?format=${format}`
+      };
+    }
+    publicJob.result = { ...publicJob.result, files: files };
+  }
+  
+  return publicJob;
+};
+
+// Status, progresso e resultado de um job
+app.get('/api/jobs/:jobId', authenticate, requireScope('documents:read'), async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.tenantId, req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json({ success: true, job: describeJob(job) });
+    
+  } catch (error) {
+    console.error('❌ Erro ao buscar job:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+// Stream de progresso (server-sent events) até o job terminar
+app.get('/api/jobs/:jobId/events', authenticate, requireScope('documents:read'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const { jobId } = req.params;
+  
+  let job;
+  try {
+    job = await jobQueue.get(tenantId, jobId);
+  } catch (error) {
+    console.error('❌ Erro ao buscar job:', error);
+    return res.status(500).json({ error: 'Failed to get job' });
+  }
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (current) => {
+    res.write(`event: ${current.status}\n`);
+    res.write(`data: ${JSON.stringify(describeJob(current))}\n\n`);
+  };
+  
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  
+  const finish = () => {
+    clearInterval(heartbeat);
+    jobQueue.removeListener('update', onUpdate);
+    res.end();
+  };
+  
+  const onUpdate = (updated) => {
+    if (updated.tenantId !== tenantId || updated.id !== jobId) {
+      return;
+    }
+    send(updated);
+    if (JobQueue.TERMINAL_STATUSES.includes(updated.status)) {
+      finish();
+    }
+  };
+  
+  send(job);
+  
+  if (JobQueue.TERMINAL_STATUSES.includes(job.status)) {
+    return finish();
+  }
+  
+  jobQueue.on('update', onUpdate);
+  req.on('close', finish);
+});
+
+// Download de um arquivo gerado por job (?format=docx|pdf)
+app.get('/api/jobs/:jobId/download', authenticate, requireScope('documents:read'), async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.tenantId, req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (job.status !== 'completed') {
+      return res.status(409).json({ error: `Job is ${job.status}` });
+    }
+    
+    const format = req.query.format || Object.keys(job.result.files)[0];
+    const file = await jobQueue.getFile(req.tenantId, job.id, format);
+    
+    if (!file) {
+      return res.status(404).json({ error: `Format ${format} not available for this job` });
+    }
+    
+    res.set('Content-Type', file.contentType);
+    res.attachment(file.filename);
+    res.send(file.buffer);
+    
+  } catch (error) {
+    console.error('❌ Erro no download do job:', error);
+    res.status(500).json({ error: 'Failed to download job result' });
+  }
+});
+
+// ========================================
+// ARQUIVO DE DOCUMENTOS GERADOS
+// ========================================
+
+// Visão pública do documento, com links de download de cada formato
+const describeDocument = (record) => {
+  const formats = {};
+  for (const [format, file] of Object.entries(record.formats)) {
+    formats[format] = {
+      filename: file.filename,
+      contentType: file.contentType,
+      size: file.size,
+      sha256: file.sha256,
+      engine: file.engine,
+      downloadUrl: `/api/documents/${record.id}/download?format=${format}`
+    };
+  }
+  
+  return {
+    id: record.id,
+    templateId: record.templateId,
+    templateName: record.templateName,
+    templateVersion: record.templateVersion,
+    source: record.source,
+    requestedBy: record.requestedBy,
+    createdAt: record.createdAt,
+    size: record.size,
+    metadata: record.metadata,
+    formats: formats
+  };
+};
+
+// Listar documentos gerados pelo tenant (mais recentes primeiro)
+app.get('/api/documents', authenticate, requireScope('documents:read'), async (req, res) => {
+  const tenantId = req.tenantId;
+  const page = Math.max(1, parseInt(req.query.page) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+  
+  try {
+    const { documents, pagination } = await documentArchive.list(tenantId, { page, limit });
+    
+    res.json({
+      success: true,
+      tenant: tenantId,
+      documents: documents.map(describeDocument),
+      count: documents.length,
+      pagination: pagination
+    });
+    
+  } catch (error) {
+    console.error(`❌ Tenant ${tenantId}: Erro ao listar documentos:`, error.message);
+    res.status(500).json({ error: 'Failed to list documents' });
+  }
+});
+
+// Detalhes de um documento gerado
+app.get('/api/documents/:documentId', authenticate, requireScope('documents:read'), async (req, res) => {
+  try {
+    const record = await documentArchive.get(req.tenantId, req.params.documentId);
+    
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    res.json({ success: true, document: describeDocument(record) });
+    
+  } catch (error) {
+    console.error('❌ Erro ao buscar documento:', error);
+    res.status(500).json({ error: 'Failed to get document' });
+  }
+});
+
+// Baixar um documento gerado (?format=docx|pdf; padrão: PDF se existir)
+app.get('/api/documents/:documentId/download', authenticate, requireScope('documents:read'), async (req, res) => {
+  try {
+    const record = await documentArchive.get(req.tenantId, req.params.documentId);
+    
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const format = req.query.format || (record.formats.pdf ? 'pdf' : 'docx');
+    const file = await documentArchive.getFile(req.tenantId, record.id, format);
+    
+    if (!file) {
+      return res.status(404).json({
+        error: `Format ${format} not available for this document`,
+        availableFormats: Object.keys(record.formats)
+      });
+    }
+    
+    res.set('Content-Type', file.contentType);
+    res.set('X-Document-SHA256', file.sha256);
+    res.attachment(file.filename);
+    res.send(file.buffer);
+    
+  } catch (error) {
+    console.error('❌ Erro no download do documento:', error);
+    res.status(500).json({ error: 'Failed to download document' });
+  }
+});
+
+// Prévia HTML de um documento gerado (a partir do DOCX arquivado)
+app.get('/api/documents/:documentId/preview', authenticate, requireScope('documents:read'), async (req, res) => {
+  try {
+    const record = await documentArchive.get(req.tenantId, req.params.documentId);
+    
+    if (!record) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const file = await documentArchive.getFile(req.tenantId, record.id, 'docx');
+    
+    if (!file) {
+      return res.status(404).json({
+        error: 'Format docx not available for this document',
+        availableFormats: Object.keys(record.formats)
+      });
+    }
+    
+    sendPreview(req, res, file.buffer, {
+      title: file.filename,
+      documentId: record.id
+    });
+    
+  } catch (error) {
+    handlePreviewError(res, error, req.tenantId);
+  }
+});
+
+// ========================================
+// KITS DE DOCUMENTOS
+// ========================================
+
+// Listar kits do tenant
+app.get('/api/kits', authenticate, requireScope('templates:read'), async (req, res) => {
+  try {
+    const kits = await documentKits.list(req.tenantId);
+    
+    res.json({
+      success: true,
+      tenant: req.tenantId,
+      kits: kits,
+      count: kits.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao listar kits:', error);
+    res.status(500).json({ error: 'Failed to list kits' });
+  }
+});
+
+// Detalhes de um kit
+app.get('/api/kits/:kitId', authenticate, requireScope('templates:read'), async (req, res) => {
+  try {
+    const kit = await documentKits.get(req.tenantId, req.params.kitId);
+    
+    if (!kit) {
+      return res.status(404).json({ error: 'Kit not found' });
+    }
+    
+    res.json({ success: true, kit: kit });
+    
+  } catch (error) {
+    console.error('❌ Erro ao buscar kit:', error);
+    res.status(500).json({ error: 'Failed to get kit' });
+  }
+});
+
+// Criar ou substituir um kit: { name, description, templates: [templateId | { templateId, version, filename, data }], defaults }
+app.put('/api/kits/:kitId', authenticate, requireScope('templates:write'), async (req, res) => {
+  const { kitId } = req.params;
+  
+  if (!documentKits.isValidId(kitId)) {
+    return res.status(400).json({ error: 'Invalid kit ID (use lowercase letters, digits, "-" or "_")' });
+  }
+  
+  try {
+    const kit = await documentKits.save(req.tenantId, kitId, req.body, req.tenantName);
+    res.json({ success: true, kit: kit });
+    
+  } catch (error) {
+    if (error instanceof KitDefinitionError) {
+      return res.status(400).json({ error: error.message, kitErrors: error.errors });
+    }
+    console.error('❌ Erro ao salvar kit:', error);
+    res.status(500).json({ error: 'Failed to save kit' });
+  }
+});
+
+// Remover um kit (os templates não são alterados)
+app.delete('/api/kits/:kitId', authenticate, requireScope('templates:write'), async (req, res) => {
+  try {
+    const deleted = await documentKits.delete(req.tenantId, req.params.kitId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Kit not found' });
+    }
+    
+    res.json({ success: true, message: 'Kit deleted successfully' });
+    
+  } catch (error) {
+    console.error('❌ Erro ao remover kit:', error);
+    res.status(500).json({ error: 'Failed to delete kit' });
+  }
+});
+
+// Gerar todos os documentos do kit com os mesmos dados.
+// { data, output: "zip" (padrão, outputFormat docx|pdf|both) | "pdf" (um único PDF), confidential }.
+// Com Accept: application/zip ou application/pdf devolve o arquivo em binário.
+app.post('/api/kits/:kitId/generate', authenticate, requireScope('documents:generate'), async (req, res) => {
+  const tenantId = req.tenantId;
+  
+  try {
+    const kit = await documentKits.get(tenantId, req.params.kitId);
+    
+    if (!kit) {
+      return res.status(404).json({ error: 'Kit not found' });
+    }
+    
+    const { data, output = 'zip', outputFormat = 'docx', confidential = false } = req.body;
+    const result = await generationService.generateKit(tenantId, kit, { data, output, outputFormat, confidential }, {
+      requestedBy: req.tenantName
+    });
+    
+    const buffer = result.zipBuffer || result.pdfBuffer;
+    const contentType = result.zipBuffer ? 'application/zip' : PdfToolkit.PDF_CONTENT_TYPE;
+    const filename = `${result.filename}.${result.zipBuffer ? 'zip' : 'pdf'}`;
+    
+    if (req.accepts(['application/json', contentType]) === contentType) {
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', contentDisposition(filename));
+      res.set('X-Kit-Documents', result.documents.map(document => document.documentId || '').join(','));
+      if (result.pages) {
+        res.set('X-PDF-Pages', String(result.pages));
+      }
+      return res.end(buffer);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Kit gerado com sucesso!',
+      tenant: tenantId,
+      kitId: kit.id,
+      output: output,
+      filename: filename,
+      base64: buffer.toString('base64'),
+      size: buffer.length,
+      pages: result.pages || undefined,
+      documents: result.documents
+    });
+    
+  } catch (error) {
+    if (error instanceof GenerationError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+    console.error(`❌ Tenant ${tenantId}: Erro ao gerar kit:`, error);
+    res.status(500).json({ error: 'Failed to generate kit' });
+  }
+});
+
+// ========================================
+// FERRAMENTAS DE PDF
+// ========================================
+// Fontes aceitas em "sources" (ver services/PdfToolkit.js): { documentId },
+// { url }, { base64, name } ou { upload: índice } para os arquivos enviados
+// no multipart (campo "files"). No multipart, "sources" vem como JSON; sem
+// ele, os arquivos enviados são usados na ordem de envio.
+
+// Fontes de PDF da requisição (JSON ou multipart)
+const pdfSources = (req, field = 'sources') => {
+  let sources = req.body[field];
+  
+  if (typeof sources === 'string') {
+    try {
+      sources = JSON.parse(sources);
+    } catch (error) {
+      throw new PdfError(400, `${field} must be valid JSON`);
+    }
+  }
+  
+  if (sources === undefined && field === 'sources' && req.files && req.files.length > 0) {
+    sources = req.files.map((file, i) => ({ upload: i }));
+  }
+  
+  return sources;
+};
+
+// Opção booleana vinda de JSON ou de campo de formulário ("false")
+const booleanOption = (value, fallback) => (value === undefined ? fallback : value !== false && value !== 'false');
+
+// PDF resultante: binário com Accept: application/pdf; senão JSON com base64
+const sendPdf = (req, res, buffer, filename, info = {}) => {
+  if (req.accepts(['application/json', 'application/pdf']) === 'application/pdf') {
+    res.set('Content-Type', PdfToolkit.PDF_CONTENT_TYPE);
+    res.set('Content-Disposition', contentDisposition(filename));
+    if (info.pages) {
+      res.set('X-PDF-Pages', String(info.pages));
+    }
+    return res.end(buffer);
+  }
+  
+  res.json({
+    success: true,
+    filename: filename,
+    base64: buffer.toString('base64'),
+    size: buffer.length,
+    ...info
+  });
+};
+
+const handlePdfError = (res, error, action) => {
+  if (error instanceof PdfError) {
+    return res.status(error.status).json({ error: error.message, ...error.details });
+  }
+  console.error(`❌ Erro ao ${action}:`, error);
+  res.status(500).json({ error: 'PDF operation failed' });
+};
+
+// Número de páginas de cada PDF
+app.post('/api/pdf/page-count', authenticate, requireScope('documents:read'), pdfUpload.array('files'), async (req, res) => {
+  try {
+    const files = await pdfToolkit.loadAll(req.tenantId, pdfSources(req), req.files);
+    const documents = [];
+    
+    for (const file of files) {
+      documents.push({ name: file.name, size: file.buffer.length, pages: await pdfToolkit.pageCount(file) });
+    }
+    
+    res.json({
+      success: true,
+      documents: documents,
+      totalPages: documents.reduce((total, document) => total + document.pages, 0)
+    });
+    
+  } catch (error) {
+    handlePdfError(res, error, 'contar páginas');
+  }
+});
+
+// Juntar PDFs na ordem de "sources" (ex.: petição, procuração, documentos)
+app.post('/api/pdf/merge', authenticate, requireScope('documents:generate'), pdfUpload.array('files'), async (req, res) => {
+  try {
+    const files = await pdfToolkit.loadAll(req.tenantId, pdfSources(req), req.files);
+    const merged = await pdfToolkit.merge(files);
+    
+    console.log(`📑 Tenant ${req.tenantId}: ${files.length} PDFs juntados (${merged.pages} páginas)`);
+    sendPdf(req, res, merged.buffer, req.body.filename || `documentos_${Date.now()}.pdf`, {
+      pages: merged.pages,
+      sources: merged.sources
+    });
+    
+  } catch (error) {
+    handlePdfError(res, error, 'juntar PDFs');
+  }
+});
+
+// Anexar documentos ao PDF principal ("main"), com folha de rosto "ANEXO N" opcional.
+// "exhibits": [{ ...fonte, title }]; "separatorPages" (padrão true), "label" (padrão "Anexo").
+app.post('/api/pdf/exhibits', authenticate, requireScope('documents:generate'), pdfUpload.array('files'), async (req, res) => {
+  try {
+    const main = pdfSources(req, 'main');
+    const exhibits = pdfSources(req, 'exhibits');
+    
+    if (!main || !Array.isArray(exhibits) || exhibits.length === 0) {
+      return res.status(400).json({ error: 'main (PDF source) and exhibits (non-empty array) are required' });
+    }
+    
+    const [mainFile, ...exhibitFiles] = await pdfToolkit.loadAll(req.tenantId, [main, ...exhibits], req.files);
+    const result = await pdfToolkit.appendExhibits(
+      mainFile,
+      exhibitFiles.map((file, i) => ({ ...file, title: exhibits[i].title })),
+      {
+        separatorPages: booleanOption(req.body.separatorPages, true),
+        label: req.body.label || 'Anexo',
+        startNumber: parseInt(req.body.startNumber) || 1
+      }
+    );
+    
+    console.log(`📑 Tenant ${req.tenantId}: ${exhibitFiles.length} anexos incluídos (${result.pages} páginas)`);
+    sendPdf(req, res, result.buffer, req.body.filename || mainFile.name, {
+      pages: result.pages,
+      exhibits: result.exhibits
+    });
+    
+  } catch (error) {
+    handlePdfError(res, error, 'anexar documentos');
+  }
+});
+
+// Dividir um PDF ("source") por tamanho máximo ("maxSizeMb") ou intervalos ("ranges": "1-3, 4-10").
+// Resposta em JSON com uma entrada por parte, ou ZIP com Accept: application/zip.
+app.post('/api/pdf/split', authenticate, requireScope('documents:generate'), pdfUpload.array('files'), async (req, res) => {
+  try {
+    let source = pdfSources(req, 'source');
+    if (source === undefined && req.files && req.files.length === 1) {
+      source = { upload: 0 };
+    }
+    
+    const file = await pdfToolkit.load(req.tenantId, source, req.files);
+    const parts = await pdfToolkit.split(file, { ranges: req.body.ranges, maxSizeMb: req.body.maxSizeMb });
+    const baseName = file.name.replace(/\.pdf$/i, '');
+    const filenames = parts.map((part, i) => `${baseName}_parte${i + 1}.pdf`);
+    
+    console.log(`📑 Tenant ${req.tenantId}: PDF dividido em ${parts.length} partes`);
+    
+    if (req.accepts(['application/json', 'application/zip']) === 'application/zip') {
+      const zip = new PizZip();
+      parts.forEach((part, i) => zip.file(filenames[i], part.buffer));
+      res.set('Content-Type', 'application/zip');
+      res.attachment(`${baseName}_partes.zip`);
+      return res.send(zip.generate({ type: 'nodebuffer' }));
+    }
+    
+    res.json({
+      success: true,
+      count: parts.length,
+      parts: parts.map((part, i) => ({
+        filename: filenames[i],
+        base64: part.buffer.toString('base64'),
+        size: part.size,
+        pages: part.pages,
+        from: part.from,
+        to: part.to
+      }))
+    });
+    
+  } catch (error) {
+    handlePdfError(res, error, 'dividir PDF');
+  }
+});
+
+// ========================================
+// IMAGENS (ASSETS) DO TENANT
+// ========================================
+
+// Enviar imagem (PNG, JPEG ou GIF) usada nos templates como "asset:ID".
+// Campo "image"; "assetId" opcional (substitui o asset existente) e "name".
+app.post('/api/assets', authenticate, requireScope('templates:write'), upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded (field "image")' });
+    }
+    
+    const assetId = req.body.assetId || null;
+    if (assetId && !tenantAssets.isValidId(assetId)) {
+      return res.status(400).json({ error: 'Invalid asset ID (use lowercase letters, digits, "-" or "_")' });
+    }
+    
+    const asset = await tenantAssets.save(req.tenantId, {
+      assetId: assetId,
+      name: req.body.name || req.file.originalname,
+      buffer: req.file.buffer,
+      uploadedBy: req.tenantName
+    });
+    
+    res.json({
+      success: true,
+      asset: asset,
+      reference: `asset:${asset.id}`
+    });
+    
+  } catch (error) {
+    if (error.message.startsWith('Unsupported image format')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Erro ao salvar asset:', error);
+    res.status(500).json({ error: 'Failed to save asset' });
+  }
+});
+
+// Listar imagens do tenant
+app.get('/api/assets', authenticate, requireScope('templates:read'), async (req, res) => {
+  try {
+    const assets = await tenantAssets.list(req.tenantId);
+    
+    res.json({
+      success: true,
+      tenant: req.tenantId,
+      assets: assets,
+      count: assets.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao listar assets:', error);
+    res.status(500).json({ error: 'Failed to list assets' });
+  }
+});
+
+// Metadados de uma imagem
+app.get('/api/assets/:assetId', authenticate, requireScope('templates:read'), async (req, res) => {
+  try {
+    const asset = await tenantAssets.get(req.tenantId, req.params.assetId);
+    
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    res.json({ success: true, asset: asset });
+    
+  } catch (error) {
+    console.error('❌ Erro ao buscar asset:', error);
+    res.status(500).json({ error: 'Failed to get asset' });
+  }
+});
+
+// Download da imagem
+app.get('/api/assets/:assetId/download', authenticate, requireScope('templates:read'), async (req, res) => {
+  try {
+    const file = await tenantAssets.getFile(req.tenantId, req.params.assetId);
+    
     if (!file) {
-      return res.status(400).json({ error: 'Template file required' });
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    
+    res.set('Content-Type', file.asset.contentType);
+    res.attachment(`${file.asset.id}.${file.asset.extension}`);
+    res.send(file.buffer);
+    
+  } catch (error) {
+    console.error('❌ Erro no download do asset:', error);
+    res.status(500).json({ error: 'Failed to download asset' });
+  }
+});
+
+// Remover uma imagem
+app.delete('/api/assets/:assetId', authenticate, requireScope('templates:write'), async (req, res) => {
+  try {
+    const deleted = await tenantAssets.delete(req.tenantId, req.params.assetId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Asset not found' });
     }
     
-    // CORREÇÃO: Usar a nova função
-    const variables = extractVariablesFromDocx(file.buffer);
+    res.json({ success: true, message: 'Asset deleted successfully' });
+    
+  } catch (error) {
+    console.error('❌ Erro ao remover asset:', error);
+    res.status(500).json({ error: 'Failed to delete asset' });
+  }
+});
+
+// ========================================
+// BIBLIOTECA DE CLÁUSULAS
+// ========================================
+
+// Listar cláusulas do tenant
+app.get('/api/clauses', authenticate, requireScope('templates:read'), async (req, res) => {
+  try {
+    const clauses = await clauseLibrary.list(req.tenantId);
     
     res.json({
       success: true,
-      variables: variables,
-      count: Object.keys(variables).length
+      tenant: req.tenantId,
+      clauses: clauses,
+      count: clauses.length
     });
     
   } catch (error) {
-    console.error('❌ Erro ao extrair variáveis:', error);
-    res.status(500).json({ error: 'Failed to extract variables' });
+    console.error('❌ Erro ao listar cláusulas:', error);
+    res.status(500).json({ error: 'Failed to list clauses' });
   }
 });
 
-// Verificar variáveis de template armazenado (CORRIGIDO)
-app.get('/api/templates/:templateId/variables', authenticate, async (req, res) => {
-  const tenantId = req.tenantId;
-  const { templateId } = req.params;
-  
+// Detalhes de uma cláusula, com as variáveis das cláusulas que ela inclui
+app.get('/api/clauses/:clauseId', authenticate, requireScope('templates:read'), async (req, res) => {
   try {
-    // Tentar buscar da memória primeiro
-    let template = templateStore[tenantId]?.[templateId];
-    
-    // Se não encontrar na memória e R2 estiver configurado, buscar do R2
-    if (!template && r2Storage && r2Storage.isConfigured) {
-      console.log(`🔍 Buscando template ${templateId} do R2...`);
-      const r2Data = await r2Storage.getTemplate(tenantId, templateId);
-      if (r2Data) {
-        template = {
-          buffer: r2Data.buffer,
-          name: r2Data.metadata?.templateName || 'Template',
-          ...r2Data.metadata
-        };
-        // Cachear na memória
-        if (!templateStore[tenantId]) {
-          templateStore[tenantId] = {};
-        }
-        templateStore[tenantId][templateId] = template;
-      }
-    }
+    const clause = await clauseLibrary.get(req.tenantId, req.params.clauseId);
     
-    if (!template) {
-      return res.status(404).json({ error: 'Template not found' });
+    if (!clause) {
+      return res.status(404).json({ error: 'Clause not found' });
     }
     
-    // Se já tem as variáveis nos metadados, retornar direto
-    if (template.variables) {
-      return res.json({
-        success: true,
-        templateId: templateId,
-        templateName: template.name,
-        variables: template.variables,
-        count: template.variableCount || Object.keys(template.variables).length
-      });
-    }
+    res.json({
+      success: true,
+      clause: clause,
+      includes: await clauseLibrary.describeIncludes(req.tenantId, clause.structure)
+    });
     
-    // Senão, extrair do buffer
-    const variables = extractVariablesFromDocx(template.buffer);
+  } catch (error) {
+    console.error('❌ Erro ao buscar cláusula:', error);
+    res.status(500).json({ error: 'Failed to get clause' });
+  }
+});
+
+// Criar ou substituir uma cláusula: DOCX no campo "clause", "name" e "description" opcionais.
+// Os templates que a incluem passam a usar o novo texto na próxima geração.
+app.put('/api/clauses/:clauseId', authenticate, requireScope('templates:write'), upload.single('clause'), async (req, res) => {
+  const { clauseId } = req.params;
+  
+  if (!clauseLibrary.isValidId(clauseId)) {
+    return res.status(400).json({ error: 'Invalid clause ID (use lowercase letters, digits, "-" or "_")' });
+  }
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'Clause file required (field "clause", DOCX)' });
+  }
+  
+  try {
+    const clause = await clauseLibrary.save(req.tenantId, clauseId, {
+      buffer: req.file.buffer,
+      name: req.body.name,
+      description: req.body.description,
+      updatedBy: req.tenantName
+    });
     
     res.json({
       success: true,
-      templateId: templateId,
-      templateName: template.name,
-      variables: variables,
-      count: Object.keys(variables).length
+      clause: clause,
+      usage: `{{> ${clause.id}}}`
     });
     
   } catch (error) {
-    console.error('❌ Erro ao buscar variáveis:', error);
-    res.status(500).json({ error: 'Failed to get template variables' });
+    if (error instanceof ClauseError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Erro ao salvar cláusula:', error);
+    res.status(500).json({ error: 'Failed to save clause' });
   }
 });
 
-// Deletar template (soft delete)
-app.delete('/api/templates/:templateId', authenticate, async (req, res) => {
-  const tenantId = req.tenantId;
-  const { templateId } = req.params;
-  
+// Download do DOCX da cláusula
+app.get('/api/clauses/:clauseId/download', authenticate, requireScope('templates:read'), async (req, res) => {
   try {
-    // Remover da memória
-    if (templateStore[tenantId]?.[templateId]) {
-      delete templateStore[tenantId][templateId];
-      console.log(`🗑️  Template ${templateId} removido da memória`);
+    const file = await clauseLibrary.getFile(req.tenantId, req.params.clauseId);
+    
+    if (!file) {
+      return res.status(404).json({ error: 'Clause not found' });
+    }
+    
+    res.set('Content-Type', ClauseLibrary.DOCX_CONTENT_TYPE);
+    res.attachment(`${file.clause.id}.docx`);
+    res.send(file.buffer);
+    
+  } catch (error) {
+    console.error('❌ Erro no download da cláusula:', error);
+    res.status(500).json({ error: 'Failed to download clause' });
+  }
+});
+
+// Remover uma cláusula (templates que a incluem passam a falhar com 422 "Clauses not found")
+app.delete('/api/clauses/:clauseId', authenticate, requireScope('templates:write'), async (req, res) => {
+  try {
+    const deleted = await clauseLibrary.delete(req.tenantId, req.params.clauseId);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Clause not found' });
     }
     
-    // TODO: Implementar soft delete no R2
-    // if (r2Storage) {
-    //   await r2Storage.deleteTemplate(tenantId, templateId);
-    // }
+    res.json({ success: true, message: 'Clause deleted successfully' });
+    
+  } catch (error) {
+    console.error('❌ Erro ao remover cláusula:', error);
+    res.status(500).json({ error: 'Failed to delete clause' });
+  }
+});
+
+// ========================================
+// UTILITÁRIOS
+// ========================================
+
+// Tipo de extenso → texto por extenso e forma numérica usada antes dos parênteses
+const EXTENSO_TYPES = {
+  currency: (value) => ({
+    text: extenso.currency(value),
+    number: templateFilters.apply(value, [{ name: 'moeda', args: [] }])
+  }),
+  number: (value, feminine) => ({
+    text: extenso.decimal(value, { feminine }),
+    number: new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 3 }).format(value)
+  }),
+  ordinal: (value, feminine) => ({
+    text: extenso.ordinal(value, { feminine }),
+    number: `${value}${feminine ? 'ª' : 'º'}`
+  }),
+  percent: (value) => ({
+    text: extenso.percent(value),
+    number: templateFilters.apply(value, [{ name: 'percentual', args: [] }])
+  })
+};
+
+// Valor por extenso: ?value=5000&type=currency|number|ordinal|percent&gender=feminine
+// Ex.: { text: "cinco mil reais", formatted: "R$ 5.000,00 (cinco mil reais)" }
+app.get('/api/utils/extenso', authenticate, requireScope('documents:read'), (req, res) => {
+  const type = req.query.type || 'currency';
+  const feminine = req.query.gender === 'feminine';
+  
+  if (!EXTENSO_TYPES[type]) {
+    return res.status(400).json({
+      error: `Invalid type "${type}"`,
+      supportedTypes: Object.keys(EXTENSO_TYPES)
+    });
+  }
+  
+  if (req.query.value === undefined || req.query.value === '') {
+    return res.status(400).json({ error: 'Query parameter "value" is required' });
+  }
+  
+  let value;
+  try {
+    value = toNumber(req.query.value);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid value "${req.query.value}"` });
+  }
+  
+  try {
+    const { text, number } = EXTENSO_TYPES[type](value, feminine);
     
     res.json({
       success: true,
-      message: 'Template deleted successfully'
+      value: value,
+      type: type,
+      gender: feminine ? 'feminine' : 'masculine',
+      text: text,
+      formatted: `${number} (${text})`
     });
     
   } catch (error) {
-    console.error('❌ Erro ao deletar template:', error);
-    res.status(500).json({ error: 'Failed to delete template' });
+    if (error instanceof RangeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Erro ao converter valor por extenso:', error);
+    res.status(500).json({ error: 'Failed to spell out value' });
   }
 });
 
 // ========================================
-// ROTAS DE GERAÇÃO DE DOCUMENTOS
+// PRAZOS PROCESSUAIS E CALENDÁRIOS
 // ========================================
 
-// Gerar documento principal (com suporte a PDF)
-app.post('/api/documents/generate', authenticate, async (req, res) => {
-  const { templateUrl, templateId, data, outputFormat = 'docx' } = req.body;
-  const tenantId = req.tenantId;
+// IDs de calendários: lista JSON ou texto separado por vírgulas ("tjsp,trt-2")
+const parseCalendarIds = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : [];
+};
+
+// Calcular vencimento: { startDate, days, mode: business|calendar, calendars: [ids] }
+// startDate é a data da intimação/publicação (DD/MM/AAAA ou AAAA-MM-DD).
+app.post('/api/deadlines/calculate', authenticate, requireScope('documents:read'), async (req, res) => {
+  const { startDate, days, mode = 'business' } = req.body;
   
-  // Aceitar templateId OU templateUrl para compatibilidade
-  const hasTemplateId = templateId && !templateUrl;
-  const hasTemplateUrl = templateUrl && !templateId;
+  if (!startDate || days === undefined) {
+    return res.status(400).json({ error: 'startDate and days are required' });
+  }
   
-  if (!data || (!hasTemplateId && !hasTemplateUrl)) {
-    return res.status(400).json({ error: 'Data and (templateId or templateUrl) are required' });
+  let start;
+  try {
+    start = toDate(startDate);
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid startDate "${startDate}"` });
   }
-
+  
   try {
-    let docxBuffer;
-    let templateName = 'document';
+    const { calendars, missing } = await courtCalendars.resolve(req.tenantId, parseCalendarIds(req.body.calendars));
     
-    if (hasTemplateId) {
-      // Buscar template do armazenamento
-      console.log(`📄 Tenant ${tenantId}: Gerando documento com template ${templateId}`);
-      
-      // Tentar memória primeiro
-      let template = templateStore[tenantId]?.[templateId];
-      
-      // Se não encontrar na memória e R2 estiver configurado, buscar do R2
-      if (!template && r2Storage && r2Storage.isConfigured) {
-        console.log(`🔍 Template não está em memória, buscando do R2...`);
-        const r2Data = await r2Storage.getTemplate(tenantId, templateId);
-        if (r2Data) {
-          template = {
-            buffer: r2Data.buffer,
-            name: r2Data.metadata?.templateName || 'Template',
-            ...r2Data.metadata
-          };
-          // Cachear na memória
-          if (!templateStore[tenantId]) {
-            templateStore[tenantId] = {};
-          }
-          templateStore[tenantId][templateId] = template;
-        }
-      }
-      
-      if (!template) {
-        return res.status(404).json({ error: 'Template not found' });
-      }
-      
-      templateName = template.name || 'document';
-      
-      // Processar com o template encontrado
-      const zip = new PizZip(template.buffer);
-      const doc = new Docxtemplater(zip, {
-        paragraphLoop: true,
-        linebreaks: true,
-        delimiters: { start: '{{', end: '}}' }
-      });
-      
-      doc.render(data);
-      docxBuffer = doc.getZip().generate({
-        type: 'nodebuffer',
-        compression: 'DEFLATE'
-      });
-      
-    } else if (hasTemplateUrl) {
-      // Baixar template da URL (compatibilidade antiga)
-      console.log(`📥 Tenant ${tenantId}: Baixando template de URL`);
-      
-      if (!isValidTemplateUrl(templateUrl)) {
-        return res.status(400).json({ error: 'Invalid template URL' });
-      }
-      
-      const response = await axios.get(templateUrl, { 
-        responseType: 'arraybuffer',
-        timeout: 10000,
-        maxContentLength: 10 * 1024 * 1024
-      });
-      
-      const zip = new PizZip(response.data);
-      const doc = new Docxtemplater(zip, {
-        paragraphLoop: true,
-        linebreaks: true,
-        delimiters: { start: '{{', end: '}}' }
-      });
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Calendar not found', missingCalendars: missing });
+    }
+    
+    const result = deadlineCalculator.calculate(start, parseInt(days), { mode, calendars });
+    
+    res.json({
+      success: true,
+      startDate: result.startDate,
+      firstDay: result.firstDay,
+      dueDate: dateKey(result.dueDate),
+      formatted: dateFormatter.formatDate(result.dueDate),
+      extenso: dateFormatter.dateToExtensive(result.dueDate),
+      days: result.days,
+      mode: result.mode,
+      calendars: calendars.map(calendar => calendar.id),
+      skipped: result.skipped
+    });
+    
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Erro ao calcular prazo:', error);
+    res.status(500).json({ error: 'Failed to calculate deadline' });
+  }
+});
 
-      const sanitizedData = JSON.parse(JSON.stringify(data));
-      doc.render(sanitizedData);
-      
-      docxBuffer = doc.getZip().generate({
-        type: 'nodebuffer',
-        compression: 'DEFLATE'
-      });
+// Feriados do ano (nacionais e dos calendários pedidos): ?year=2025&calendars=tjsp
+app.get('/api/deadlines/holidays', authenticate, requireScope('documents:read'), async (req, res) => {
+  const year = parseInt(req.query.year) || new Date().getFullYear();
+  
+  try {
+    const { calendars, missing } = await courtCalendars.resolve(req.tenantId, parseCalendarIds(req.query.calendars));
+    
+    if (missing.length > 0) {
+      return res.status(404).json({ error: 'Calendar not found', missingCalendars: missing });
     }
+    
+    res.json({
+      success: true,
+      year: year,
+      holidays: deadlineCalculator.holidays(year, calendars),
+      recess: { start: `${year}-12-20`, end: `${year + 1}-01-20` }
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao listar feriados:', error);
+    res.status(500).json({ error: 'Failed to list holidays' });
+  }
+});
 
-    console.log(`✅ Documento DOCX gerado para ${req.tenantName} (${(docxBuffer.length / 1024).toFixed(2)} KB)`);
+// Listar calendários de tribunais do tenant
+app.get('/api/calendars', authenticate, requireScope('documents:read'), async (req, res) => {
+  try {
+    const calendars = await courtCalendars.list(req.tenantId);
+    
+    res.json({
+      success: true,
+      tenant: req.tenantId,
+      calendars: calendars,
+      count: calendars.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Erro ao listar calendários:', error);
+    res.status(500).json({ error: 'Failed to list calendars' });
+  }
+});
 
-    // Se solicitado PDF, tentar converter
-    let pdfBuffer = null;
-    let pdfBase64 = null;
+// Detalhes de um calendário
+app.get('/api/calendars/:calendarId', authenticate, requireScope('documents:read'), async (req, res) => {
+  try {
+    const calendar = await courtCalendars.get(req.tenantId, req.params.calendarId);
     
-    if (outputFormat === 'pdf' || outputFormat === 'both') {
-      console.log('🔄 Conversão para PDF solicitada...');
-      pdfBuffer = await convertToPDF(docxBuffer);
-      
-      if (pdfBuffer) {
-        pdfBase64 = Buffer.from(pdfBuffer).toString('base64');
-        console.log(`✅ PDF gerado com sucesso (${(pdfBuffer.length / 1024).toFixed(2)} KB)`);
-      } else {
-        console.log('⚠️  Conversão para PDF não disponível');
-      }
+    if (!calendar) {
+      return res.status(404).json({ error: 'Calendar not found' });
     }
     
-    // Preparar resposta baseada no formato solicitado
-    const timestamp = Date.now();
-    const baseFilename = `documento_${timestamp}`;
+    res.json({ success: true, calendar: calendar });
     
-    // Para compatibilidade com Base44, manter formato simples quando for só DOCX
-    if (outputFormat === 'docx' && !pdfBase64) {
-      res.json({
-        success: true,
-        base64: Buffer.from(docxBuffer).toString('base64'),
-        filename: `${baseFilename}.docx`,
-        message: 'Documento gerado com sucesso!',
-        tenant: tenantId
-      });
-    } else {
-      // Resposta com formatos múltiplos
-      const responseData = {
-        success: true,
-        filename: baseFilename,
-        message: 'Documento gerado com sucesso!',
-        tenant: tenantId,
-        formats: {}
-      };
-      
-      // Adicionar DOCX se solicitado ou como fallback
-      if (outputFormat === 'docx' || outputFormat === 'both' || !pdfBase64) {
-        responseData.formats.docx = {
-          base64: Buffer.from(docxBuffer).toString('base64'),
-          filename: `${baseFilename}.docx`,
-          size: docxBuffer.length
-        };
-      }
-      
-      // Adicionar PDF se disponível
-      if (pdfBase64 && (outputFormat === 'pdf' || outputFormat === 'both')) {
-        responseData.formats.pdf = {
-          base64: pdfBase64,
-          filename: `${baseFilename}.pdf`,
-          size: pdfBuffer.length
-        };
-      }
-      
-      // Aviso se PDF foi solicitado mas não está disponível
-      if (outputFormat === 'pdf' && !pdfBase64) {
-        responseData.warning = 'PDF conversion not available, returning DOCX format';
-      }
-      
-      res.json(responseData);
-    }
+  } catch (error) {
+    console.error('❌ Erro ao buscar calendário:', error);
+    res.status(500).json({ error: 'Failed to get calendar' });
+  }
+});
 
+// Criar ou substituir um calendário: { name, holidays: [{ date, name }], suspensions: [{ start, end, reason }] }
+app.put('/api/calendars/:calendarId', authenticate, requireScope('admin'), async (req, res) => {
+  const { calendarId } = req.params;
+  
+  if (!courtCalendars.isValidId(calendarId)) {
+    return res.status(400).json({ error: 'Invalid calendar ID (use lowercase letters, digits, "-" or "_")' });
+  }
+  
+  try {
+    const calendar = await courtCalendars.save(req.tenantId, calendarId, req.body, req.tenantName);
+    res.json({ success: true, calendar: calendar });
+    
   } catch (error) {
-    console.error(`❌ Tenant ${tenantId}: Erro ao gerar documento:`, error.message);
+    if (error instanceof CalendarDefinitionError) {
+      return res.status(400).json({ error: error.message, calendarErrors: error.errors });
+    }
+    console.error('❌ Erro ao salvar calendário:', error);
+    res.status(500).json({ error: 'Failed to save calendar' });
+  }
+});
+
+// Remover um calendário
+app.delete('/api/calendars/:calendarId', authenticate, requireScope('admin'), async (req, res) => {
+  try {
+    const deleted = await courtCalendars.delete(req.tenantId, req.params.calendarId);
     
-    const errorMessage = process.env.NODE_ENV === 'production' 
-      ? 'Falha ao gerar documento' 
-      : error.message;
+    if (!deleted) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
     
-    res.status(500).json({ 
-      error: errorMessage,
-      details: process.env.NODE_ENV !== 'production' ? error.stack : undefined
-    });
+    res.json({ success: true, message: 'Calendar deleted successfully' });
+    
+  } catch (error) {
+    console.error('❌ Erro ao remover calendário:', error);
+    res.status(500).json({ error: 'Failed to delete calendar' });
   }
 });
 
@@ -827,26 +3044,55 @@ setInterval(() => {
 
 // Limpar cache de templates em memória a cada hora (opcional)
 setInterval(() => {
-  const now = Date.now();
   const ONE_HOUR = 60 * 60 * 1000;
-  let cleaned = 0;
-  
-  for (const tenantId in templateStore) {
-    for (const templateId in templateStore[tenantId]) {
-      const template = templateStore[tenantId][templateId];
-      // Limpar templates não usados há mais de 1 hora
-      if (template.lastUsed && (now - template.lastUsed) > ONE_HOUR) {
-        delete templateStore[tenantId][templateId];
-        cleaned++;
-      }
-    }
-  }
+  // Limpar templates não usados há mais de 1 hora
+  const cleaned = templateCatalog.pruneCache(ONE_HOUR);
   
   if (cleaned > 0) {
     console.log(`🧹 Cache cleanup: ${cleaned} templates removidos da memória`);
   }
 }, 3600000); // 1 hora
 
+// Remover definitivamente templates cujo prazo na lixeira expirou (a cada 6 horas)
+setInterval(async () => {
+  try {
+    const purged = await templateCatalog.purgeAllExpired();
+    
+    if (purged > 0) {
+      console.log(`🧹 Lixeira: ${purged} templates removidos definitivamente`);
+    }
+  } catch (error) {
+    console.error('❌ Erro ao limpar lixeira:', error.message);
+  }
+}, 6 * 3600000);
+
+// Remover jobs concluídos após o prazo de retenção (a cada hora)
+setInterval(async () => {
+  try {
+    const removed = await jobQueue.cleanup();
+    
+    if (removed > 0) {
+      console.log(`🧹 Jobs: ${removed} jobs antigos removidos`);
+    }
+  } catch (error) {
+    console.error('❌ Erro ao limpar jobs:', error.message);
+  }
+}, 3600000);
+
+// Renovar o lease dos jobs desta instância, para que as outras não os assumam
+setInterval(() => {
+  jobQueue.heartbeat().catch(error => {
+    console.error('❌ Erro ao renovar jobs:', error.message);
+  });
+}, jobQueue.leaseMs / 3);
+
+// Assumir jobs de instâncias que pararam de renovar o lease (queda com outras no ar)
+setInterval(() => {
+  jobQueue.recover().catch(error => {
+    console.error('❌ Erro ao recuperar jobs pendentes:', error.message);
+  });
+}, jobQueue.leaseMs);
+
 // ========================================
 // INICIALIZAÇÃO DO SERVIDOR
 // ========================================
@@ -861,14 +3107,14 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('========================================');
   console.log('📦 Módulos carregados:');
   
-  if (r2Storage && r2Storage.isConfigured) {
-    console.log('   ✅ R2 Storage: Configurado');
+  if (storage.isConfigured) {
+    console.log(`   ✅ Storage: ${storage.name}`);
   } else {
-    console.log('   ⚠️  R2 Storage: Não configurado');
+    console.log(`   ⚠️  Storage: ${storage.name} não configurado`);
   }
   
-  if (pdfConverter && pdfConverter.isConfigured) {
-    console.log('   ✅ PDF Converter: Configurado');
+  if (pdfConverter.isConfigured) {
+    console.log(`   ✅ PDF Converter: ${pdfConverter.available().map(engine => engine.name).join(' → ')}`);
   } else {
     console.log('   ⚠️  PDF Converter: Não configurado');
   }
@@ -876,14 +3122,77 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('========================================');
   console.log('📚 Endpoints disponíveis:');
   console.log('   GET  /health');
-  console.log('   GET  /test-r2');
+  console.log('   GET  /test-storage');
   console.log('   GET  /test-pdf');
   console.log('   POST /api/auth/generate-token');
+  console.log('   GET  /api/admin/tenants');
+  console.log('   POST /api/admin/tenants');
+  console.log('   GET  /api/admin/tenants/:id');
+  console.log('   POST /api/admin/tenants/:id/disable');
+  console.log('   POST /api/admin/tenants/:id/enable');
+  console.log('   POST /api/admin/tenants/:id/keys');
+  console.log('   POST /api/admin/tenants/:id/keys/:keyId/rotate');
+  console.log('   DELETE /api/admin/tenants/:id/keys/:keyId');
+  console.log('   GET  /api/keys');
+  console.log('   POST /api/keys');
+  console.log('   POST /api/keys/:keyId/rotate');
+  console.log('   DELETE /api/keys/:keyId');
   console.log('   GET  /api/templates');
   console.log('   POST /api/templates/upload');
   console.log('   POST /api/templates/extract-content (novo!)');
+  console.log('   POST /api/templates/preview');
+  console.log('   POST /api/templates/:id/preview');
   console.log('   POST /api/templates/extract-variables');
+  console.log('   POST /api/templates/lint');
   console.log('   GET  /api/templates/:id/variables');
+  console.log('   GET  /api/templates/:id/schema');
+  console.log('   PUT  /api/templates/:id/schema');
+  console.log('   POST /api/templates/:id/versions');
+  console.log('   GET  /api/templates/:id/versions');
+  console.log('   GET  /api/templates/:id/versions/diff');
+  console.log('   GET  /api/templates/trash');
+  console.log('   DELETE /api/templates/:id');
+  console.log('   POST /api/templates/:id/restore');
   console.log('   POST /api/documents/generate');
+  console.log('   POST /api/documents/batch');
+  console.log('   POST /api/documents/batch/preview');
+  console.log('   POST /api/documents/batch/spreadsheet');
+  console.log('   GET  /api/documents');
+  console.log('   GET  /api/documents/:id');
+  console.log('   GET  /api/documents/:id/download');
+  console.log('   GET  /api/documents/:id/preview');
+  console.log('   GET  /api/jobs/:id');
+  console.log('   GET  /api/jobs/:id/events');
+  console.log('   GET  /api/jobs/:id/download');
+  console.log('   GET  /api/kits');
+  console.log('   GET  /api/kits/:id');
+  console.log('   PUT  /api/kits/:id');
+  console.log('   DELETE /api/kits/:id');
+  console.log('   POST /api/kits/:id/generate');
+  console.log('   POST /api/pdf/page-count');
+  console.log('   POST /api/pdf/merge');
+  console.log('   POST /api/pdf/exhibits');
+  console.log('   POST /api/pdf/split');
+  console.log('   POST /api/assets');
+  console.log('   GET  /api/assets');
+  console.log('   GET  /api/assets/:id');
+  console.log('   GET  /api/assets/:id/download');
+  console.log('   DELETE /api/assets/:id');
+  console.log('   GET  /api/clauses');
+  console.log('   GET  /api/clauses/:id');
+  console.log('   PUT  /api/clauses/:id');
+  console.log('   GET  /api/clauses/:id/download');
+  console.log('   DELETE /api/clauses/:id');
+  console.log('   GET  /api/utils/extenso');
+  console.log('   POST /api/deadlines/calculate');
+  console.log('   GET  /api/deadlines/holidays');
+  console.log('   GET  /api/calendars');
+  console.log('   PUT  /api/calendars/:id');
+  console.log('   DELETE /api/calendars/:id');
   console.log('========================================');
+  
+  // Retomar jobs interrompidos por uma queda anterior
+  jobQueue.recover().catch(error => {
+    console.error('❌ Erro ao recuperar jobs pendentes:', error.message);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,392 @@
+// services/ClauseLibrary.js
+// Biblioteca de cláusulas por tenant (foro, LGPD, multa rescisória...):
+// pequenos DOCX com suas próprias variáveis, incluídos nos templates com
+// {{> clausula_foro}}. A inclusão é resolvida a cada geração, então alterar
+// a cláusula atualiza todos os templates que a usam.
+//
+// Storage (mesmo layout dos templates):
+//   tenants/{tenantId}/clauses/{clauseId}.docx  ← cláusula
+//   tenants/{tenantId}/clauses/{clauseId}.json  ← metadados e variáveis
+// Sem storage persistente as cláusulas ficam apenas em memória.
+//
+// Do DOCX da cláusula é usado apenas o corpo do documento: estilos e
+// numeração vêm do template. Imagens, links e notas (que dependem de
+// relações do próprio arquivo) são recusados no envio.
+
+const Docxtemplater = require('docxtemplater');
+const PizZip = require('pizzip');
+const TemplateInspector = require('./TemplateInspector');
+const IncludeModule = require('./IncludeModule');
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const METADATA_CONTENT_TYPE = 'application/json';
+
+// Cláusulas podem incluir outras; acima deste nível, provavelmente há inclusão circular
+const MAX_INCLUDE_DEPTH = 5;
+
+// Na expansão só as tags {{> id}} são lidas; as demais ficam intactas para a renderização
+const EXPAND_OPTIONS = {
+  paragraphLoop: true,
+  delimiters: { start: '{{>', end: '}}' },
+  syntax: { allowUnopenedTag: true }
+};
+const INCLUDE_ID_PATTERN = /^\s*([a-z0-9][a-z0-9_-]{0,63})\s*$/;
+
+// Elementos do corpo que dependem de relações ou partes do DOCX da cláusula
+const UNSUPPORTED_CONTENT = [
+  { pattern: /r:(embed|id|link)="/, description: 'images, links or embedded objects' },
+  { pattern: /<w:(footnoteReference|endnoteReference|commentReference)\b/, description: 'footnotes, endnotes or comments' }
+];
+
+/**
+ * Cláusula inválida (não é DOCX, corpo vazio, conteúdo não suportado, tags malformadas)
+ */
+class ClauseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ClauseError';
+  }
+}
+
+/**
+ * Corpo do documento (parágrafos e tabelas), sem as propriedades de seção
+ */
+function extractBody(buffer) {
+  let documentXml;
+  try {
+    const file = new PizZip(buffer).file('word/document.xml');
+    documentXml = file && file.asText();
+  } catch (error) {
+    documentXml = null;
+  }
+
+  if (!documentXml) {
+    throw new ClauseError('Clause must be a DOCX file');
+  }
+
+  const body = documentXml.match(/<w:body>([\s\S]*)<\/w:body>/);
+  const bodyXml = (body ? body[1] : '')
+    .replace(/<w:sectPr\b[^>]*\/>$/, '')
+    .replace(/<w:sectPr\b[\s\S]*<\/w:sectPr>$/, '');
+
+  if (!/<w:t[ >]/.test(bodyXml)) {
+    throw new ClauseError('Clause document is empty');
+  }
+
+  return bodyXml;
+}
+
+class ClauseLibrary {
+  /**
+   * @param {object} storage - driver de services/storage (pode ser null)
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.inspector = new TemplateInspector();
+    this.clauses = {};   // tenantId -> clauseId -> metadados
+    this.files = {};     // tenantId -> clauseId -> Buffer (cache / modo memória)
+  }
+
+  get isPersistent() {
+    return !!(this.storage && this.storage.isConfigured && this.storage.canRead);
+  }
+
+  clausesPrefix(tenantId) {
+    return `tenants/${tenantId}/clauses/`;
+  }
+
+  metadataKey(tenantId, clauseId) {
+    return `${this.clausesPrefix(tenantId)}${clauseId}.json`;
+  }
+
+  fileKey(tenantId, clauseId) {
+    return `${this.clausesPrefix(tenantId)}${clauseId}.docx`;
+  }
+
+  /**
+   * IDs usados nas tags: "clausula_foro", "lgpd", "multa-rescisoria"
+   */
+  isValidId(clauseId) {
+    return INCLUDE_ID_PATTERN.test(clauseId || '') && clauseId === clauseId.trim();
+  }
+
+  remember(tenantId, clause, buffer = null) {
+    if (!this.clauses[tenantId]) {
+      this.clauses[tenantId] = {};
+      this.files[tenantId] = {};
+    }
+    this.clauses[tenantId][clause.id] = clause;
+    if (buffer) {
+      this.files[tenantId][clause.id] = buffer;
+    }
+  }
+
+  /**
+   * Confere o DOCX da cláusula e extrai suas variáveis. Lança ClauseError.
+   */
+  inspect(buffer) {
+    const bodyXml = extractBody(buffer);
+
+    for (const { pattern, description } of UNSUPPORTED_CONTENT) {
+      if (pattern.test(bodyXml)) {
+        throw new ClauseError(`Clauses cannot contain ${description}`);
+      }
+    }
+
+    try {
+      return this.inspector.inspect(buffer);
+    } catch (error) {
+      throw new ClauseError(`Invalid clause template: ${this.describeTemplateError(error)}`);
+    }
+  }
+
+  /**
+   * Cria ou substitui uma cláusula
+   */
+  async save(tenantId, clauseId, { buffer, name, description, updatedBy = null }) {
+    const { variables, structure } = this.inspect(buffer);
+    const existing = await this.get(tenantId, clauseId);
+
+    const clause = {
+      id: clauseId,
+      name: name || (existing && existing.name) || clauseId,
+      description: description ?? (existing && existing.description) ?? '',
+      size: buffer.length,
+      variables: variables,
+      structure: structure,
+      includes: this.includesOf(structure),
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      updatedBy: updatedBy,
+      storage: this.isPersistent ? this.storage.name : 'memory'
+    };
+
+    if (this.isPersistent) {
+      await this.storage.put(this.fileKey(tenantId, clauseId), buffer, {
+        contentType: DOCX_CONTENT_TYPE,
+        metadata: { tenantId: tenantId, clauseId: clauseId }
+      });
+      await this.storage.put(this.metadataKey(tenantId, clauseId), Buffer.from(JSON.stringify(clause)), {
+        contentType: METADATA_CONTENT_TYPE
+      });
+    }
+
+    this.remember(tenantId, clause, buffer);
+    console.log(`📎 Cláusula ${clauseId} salva para tenant ${tenantId} (${Object.keys(variables).length} variáveis)`);
+
+    return clause;
+  }
+
+  /**
+   * Metadados de uma cláusula (memória → storage)
+   */
+  async get(tenantId, clauseId) {
+    if (!this.isValidId(clauseId)) {
+      return null;
+    }
+
+    const cached = this.clauses[tenantId]?.[clauseId];
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.isPersistent) {
+      return null;
+    }
+
+    const stored = await this.storage.get(this.metadataKey(tenantId, clauseId));
+    if (!stored) {
+      return null;
+    }
+
+    const clause = JSON.parse(stored.buffer.toString('utf8'));
+    this.remember(tenantId, clause);
+    return clause;
+  }
+
+  /**
+   * Metadados e DOCX da cláusula: { clause, buffer }, ou null
+   */
+  async getFile(tenantId, clauseId) {
+    const clause = await this.get(tenantId, clauseId);
+    if (!clause) {
+      return null;
+    }
+
+    let buffer = this.files[tenantId]?.[clauseId];
+
+    if (!buffer && this.isPersistent) {
+      const stored = await this.storage.get(this.fileKey(tenantId, clauseId));
+      if (!stored) {
+        return null;
+      }
+      buffer = stored.buffer;
+      this.remember(tenantId, clause, buffer);
+    }
+
+    return buffer ? { clause, buffer } : null;
+  }
+
+  /**
+   * Todas as cláusulas do tenant, por ID
+   */
+  async list(tenantId) {
+    if (this.isPersistent) {
+      const prefix = this.clausesPrefix(tenantId);
+      const ids = (await this.storage.list(prefix))
+        .map(object => object.key.slice(prefix.length))
+        .filter(relative => relative.endsWith('.json'))
+        .map(relative => relative.slice(0, -'.json'.length))
+        .filter(id => this.isValidId(id));
+
+      for (const id of ids) {
+        await this.get(tenantId, id);
+      }
+    }
+
+    return Object.values(this.clauses[tenantId] || {}).sort((a, b) => (a.id < b.id ? -1 : 1));
+  }
+
+  async delete(tenantId, clauseId) {
+    const clause = await this.get(tenantId, clauseId);
+    if (!clause) {
+      return false;
+    }
+
+    if (this.isPersistent) {
+      await this.storage.delete(this.fileKey(tenantId, clauseId));
+      await this.storage.delete(this.metadataKey(tenantId, clauseId));
+    }
+
+    delete this.clauses[tenantId][clauseId];
+    delete this.files[tenantId][clauseId];
+    console.log(`🗑️  Cláusula ${clauseId} removida do tenant ${tenantId}`);
+    return true;
+  }
+
+  /**
+   * IDs das cláusulas incluídas em uma árvore de variáveis (em qualquer nível)
+   */
+  includesOf(structure) {
+    const ids = [];
+    for (const node of structure || []) {
+      if (node.type === 'include' && !ids.includes(node.name)) {
+        ids.push(node.name);
+      }
+      for (const id of this.includesOf(node.fields)) {
+        if (!ids.includes(id)) {
+          ids.push(id);
+        }
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Variáveis que cada cláusula incluída acrescenta ao template, com as das
+   * cláusulas incluídas por ela: [{ id, name, found, variables, structure, includes }]
+   */
+  async describeIncludes(tenantId, structure, depth = 0) {
+    const described = [];
+
+    for (const id of this.includesOf(structure)) {
+      const clause = await this.get(tenantId, id);
+
+      if (!clause) {
+        described.push({ id: id, found: false });
+        continue;
+      }
+
+      described.push({
+        id: clause.id,
+        name: clause.name,
+        found: true,
+        updatedAt: clause.updatedAt,
+        variables: clause.variables,
+        structure: clause.structure,
+        includes: depth < MAX_INCLUDE_DEPTH ? await this.describeIncludes(tenantId, clause.structure, depth + 1) : []
+      });
+    }
+
+    return described;
+  }
+
+  /**
+   * Substitui as tags {{> id}} do template pelo corpo das cláusulas (também
+   * as incluídas dentro de cláusulas). Retorna { buffer, included, missing };
+   * com cláusulas faltando o buffer volta sem alteração.
+   * Lança ClauseError para inclusão circular ou tags de inclusão malformadas.
+   */
+  async expand(tenantId, templateBuffer) {
+    let buffer = templateBuffer;
+    const included = [];
+
+    for (let depth = 0; ; depth++) {
+      const includeModule = new IncludeModule({ prefix: INCLUDE_ID_PATTERN });
+      let doc;
+
+      try {
+        doc = new Docxtemplater(new PizZip(buffer), {
+          ...EXPAND_OPTIONS,
+          // O docxtemplater reescreve os delimitadores recebidos (">" → "&gt;")
+          delimiters: { ...EXPAND_OPTIONS.delimiters },
+          parser: tag => ({
+            get: () => {
+              throw new Error(`Invalid clause ID "${tag.trim()}" (use lowercase letters, digits, "-" or "_")`);
+            }
+          }),
+          modules: [includeModule]
+        });
+      } catch (error) {
+        throw new ClauseError(`Invalid clause include: ${this.describeTemplateError(error)}`);
+      }
+
+      const ids = [...new Set(Object.values(doc.compiled)
+        .flatMap(compiled => IncludeModule.includedIds(compiled.postparsed)))];
+
+      if (ids.length === 0) {
+        return { buffer, included, missing: [] };
+      }
+
+      if (depth >= MAX_INCLUDE_DEPTH) {
+        throw new ClauseError(`Clauses nested more than ${MAX_INCLUDE_DEPTH} levels deep (circular include?): ${ids.join(', ')}`);
+      }
+
+      const clauses = {};
+      const missing = [];
+      for (const id of ids) {
+        const file = await this.getFile(tenantId, id);
+        if (file) {
+          clauses[id] = { bodyXml: extractBody(file.buffer) };
+        } else {
+          missing.push(id);
+        }
+      }
+
+      if (missing.length > 0) {
+        return { buffer: templateBuffer, included, missing };
+      }
+
+      includeModule.clauses = clauses;
+      try {
+        doc.render({});
+      } catch (error) {
+        throw new ClauseError(`Invalid clause include: ${this.describeTemplateError(error)}`);
+      }
+
+      buffer = doc.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+      included.push(...ids.filter(id => !included.includes(id)));
+    }
+  }
+
+  describeTemplateError(error) {
+    if (error.properties && error.properties.errors) {
+      return error.properties.errors.map(e => (e.properties && e.properties.explanation) || e.message).join(', ');
+    }
+    return error.message;
+  }
+}
+
+module.exports = ClauseLibrary;
+module.exports.ClauseError = ClauseError;
+module.exports.DOCX_CONTENT_TYPE = DOCX_CONTENT_TYPE;
@@ -0,0 +1,46 @@
+// services/ContentPartsModule.js
+// Módulo do docxtemplater que completa as partes do DOCX tratadas como template.
+// O docxtemplater processa corpo, cabeçalhos, rodapés, notas de rodapé e
+// comentários, mas não as notas de fim (word/endnotes.xml): sem este módulo as
+// variáveis delas não são encontradas nem preenchidas.
+// Na inspeção (lexTextboxes), marca também o início e o fim das caixas de texto
+// (w:txbxContent) nas partes compiladas, para localizar as variáveis nelas.
+
+const ENDNOTES_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.endnotes+xml';
+const TEXTBOX_TAG = 'w:txbxContent';
+
+class ContentPartsModule {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.lexTextboxes] - manter as tags w:txbxContent nas partes compiladas (só na inspeção)
+   */
+  constructor({ lexTextboxes = false } = {}) {
+    this.name = 'ContentPartsModule';
+    this.lexTextboxes = lexTextboxes;
+  }
+
+  clone() {
+    return new ContentPartsModule({ lexTextboxes: this.lexTextboxes });
+  }
+
+  // Não define o tipo do arquivo (fica com o módulo Common); só acrescenta as notas de fim
+  getFileType({ doc }) {
+    const endnotes = (doc.invertedContentTypes && doc.invertedContentTypes[ENDNOTES_CONTENT_TYPE]) || [];
+    for (const target of endnotes) {
+      if (doc.zip.files[target]) {
+        doc.targets.push(target);
+      }
+    }
+  }
+
+  optionsTransformer(options, docxtemplater) {
+    const lexed = docxtemplater.fileTypeConfig.tagsXmlLexedArray;
+    if (this.lexTextboxes && !lexed.includes(TEXTBOX_TAG)) {
+      lexed.push(TEXTBOX_TAG);
+    }
+    return options;
+  }
+}
+
+module.exports = ContentPartsModule;
+module.exports.TEXTBOX_TAG = TEXTBOX_TAG;
@@ -0,0 +1,151 @@
+// services/CourtCalendars.js
+// Calendários de tribunais (feriados estaduais/locais e suspensões de prazo)
+// cadastrados por tenant, em tenants/{tenantId}/calendars/{calendarId}.json.
+// Sem storage persistente os calendários ficam apenas em memória.
+
+const { normalizeCalendar } = require('./DeadlineCalculator');
+
+const CALENDAR_CONTENT_TYPE = 'application/json';
+
+class CourtCalendars {
+  /**
+   * @param {object} storage - driver de services/storage (pode ser null)
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.calendars = {};   // tenantId -> calendarId -> calendário (cache / modo memória)
+    this.loaded = {};      // tenantId -> true quando a lista do storage já foi lida
+  }
+
+  get isPersistent() {
+    return !!(this.storage && this.storage.isConfigured && this.storage.canRead);
+  }
+
+  calendarsPrefix(tenantId) {
+    return `tenants/${tenantId}/calendars/`;
+  }
+
+  calendarKey(tenantId, calendarId) {
+    return `${this.calendarsPrefix(tenantId)}${calendarId}.json`;
+  }
+
+  /**
+   * IDs curtos e legíveis: "tjsp", "trt-2", "stj_2025"
+   */
+  isValidId(calendarId) {
+    return /^[a-z0-9][a-z0-9_-]{0,63}$/.test(calendarId || '');
+  }
+
+  remember(tenantId, calendar) {
+    if (!this.calendars[tenantId]) {
+      this.calendars[tenantId] = {};
+    }
+    this.calendars[tenantId][calendar.id] = calendar;
+  }
+
+  /**
+   * Cria ou substitui um calendário. Lança CalendarDefinitionError se a definição for inválida.
+   */
+  async save(tenantId, calendarId, definition, updatedBy = null) {
+    const calendar = {
+      ...normalizeCalendar(calendarId, definition),
+      updatedAt: new Date().toISOString(),
+      updatedBy: updatedBy
+    };
+
+    if (this.isPersistent) {
+      await this.storage.put(this.calendarKey(tenantId, calendarId), Buffer.from(JSON.stringify(calendar)), {
+        contentType: CALENDAR_CONTENT_TYPE
+      });
+    }
+
+    this.remember(tenantId, calendar);
+    console.log(`📅 Calendário ${calendarId} salvo para tenant ${tenantId} (${calendar.holidays.length} feriados, ${calendar.suspensions.length} suspensões)`);
+
+    return calendar;
+  }
+
+  /**
+   * Busca um calendário do tenant (memória → storage)
+   */
+  async get(tenantId, calendarId) {
+    if (!this.isValidId(calendarId)) {
+      return null;
+    }
+
+    const cached = this.calendars[tenantId]?.[calendarId];
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.isPersistent) {
+      return null;
+    }
+
+    const stored = await this.storage.get(this.calendarKey(tenantId, calendarId));
+    if (!stored) {
+      return null;
+    }
+
+    const calendar = JSON.parse(stored.buffer.toString('utf8'));
+    this.remember(tenantId, calendar);
+    return calendar;
+  }
+
+  /**
+   * Todos os calendários do tenant, por ID
+   */
+  async list(tenantId) {
+    if (this.isPersistent && !this.loaded[tenantId]) {
+      const prefix = this.calendarsPrefix(tenantId);
+      const ids = (await this.storage.list(prefix))
+        .map(object => object.key.slice(prefix.length))
+        .filter(relative => relative.endsWith('.json'))
+        .map(relative => relative.slice(0, -'.json'.length))
+        .filter(id => this.isValidId(id));
+
+      for (const id of ids) {
+        await this.get(tenantId, id);
+      }
+      this.loaded[tenantId] = true;
+    }
+
+    return Object.values(this.calendars[tenantId] || {}).sort((a, b) => (a.id < b.id ? -1 : 1));
+  }
+
+  /**
+   * Carrega os calendários pedidos. Retorna { calendars, missing }.
+   */
+  async resolve(tenantId, calendarIds = []) {
+    const calendars = [];
+    const missing = [];
+
+    for (const id of calendarIds) {
+      const calendar = await this.get(tenantId, id);
+      if (calendar) {
+        calendars.push(calendar);
+      } else {
+        missing.push(id);
+      }
+    }
+
+    return { calendars, missing };
+  }
+
+  async delete(tenantId, calendarId) {
+    const calendar = await this.get(tenantId, calendarId);
+    if (!calendar) {
+      return false;
+    }
+
+    if (this.isPersistent) {
+      await this.storage.delete(this.calendarKey(tenantId, calendarId));
+    }
+
+    delete this.calendars[tenantId][calendarId];
+    console.log(`🗑️  Calendário ${calendarId} removido do tenant ${tenantId}`);
+    return true;
+  }
+}
+
+module.exports = CourtCalendars;
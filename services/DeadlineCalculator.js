@@ -0,0 +1,343 @@
+// services/DeadlineCalculator.js
+// Contagem de prazos processuais pelas regras do CPC:
+//   - art. 219: prazos em dias contam apenas dias úteis
+//   - art. 224: exclui o dia do começo, inclui o do vencimento; começo e
+//     vencimento em dia não útil passam para o primeiro dia útil seguinte
+//   - art. 220: prazos suspensos de 20 de dezembro a 20 de janeiro
+// Dias não úteis: fins de semana, feriados nacionais, Carnaval, Sexta-feira
+// Santa, Corpus Christi e os calendários de tribunais cadastrados pelo tenant.
+//
+// Calendário de tribunal (definição aceita por normalizeCalendar):
+//   {
+//     "name": "TJSP 2025",
+//     "holidays": [
+//       { "date": "07-09", "name": "Revolução Constitucionalista" },   ← todo ano
+//       { "date": "2025-01-25", "name": "Aniversário de São Paulo" }  ← só nessa data
+//     ],
+//     "suspensions": [
+//       { "start": "2025-03-10", "end": "2025-03-12", "reason": "Indisponibilidade do PJe" }
+//     ]
+//   }
+
+const MODES = ['business', 'calendar'];
+const MAX_DAYS = 3650;
+
+// Feriados nacionais fixos (MM-DD); "since" para os instituídos recentemente
+const NATIONAL_HOLIDAYS = [
+  { date: '01-01', name: 'Confraternização Universal' },
+  { date: '04-21', name: 'Tiradentes' },
+  { date: '05-01', name: 'Dia do Trabalho' },
+  { date: '09-07', name: 'Independência do Brasil' },
+  { date: '10-12', name: 'Nossa Senhora Aparecida' },
+  { date: '11-02', name: 'Finados' },
+  { date: '11-15', name: 'Proclamação da República' },
+  { date: '11-20', name: 'Dia Nacional de Zumbi e da Consciência Negra', since: 2024 },
+  { date: '12-25', name: 'Natal' }
+];
+
+// Feriados móveis: dias em relação ao domingo de Páscoa
+const MOVABLE_HOLIDAYS = [
+  { offset: -48, name: 'Carnaval' },
+  { offset: -47, name: 'Carnaval' },
+  { offset: -2, name: 'Sexta-feira Santa' },
+  { offset: 60, name: 'Corpus Christi' }
+];
+
+const RECESS_REASON = 'Recesso forense (CPC, art. 220)';
+
+const pad = number => String(number).padStart(2, '0');
+
+/**
+ * Chave AAAA-MM-DD de uma data (horário local)
+ */
+const dateKey = date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Lê "AAAA-MM-DD" como data local (sem deslocamento de fuso)
+ */
+function parseDateKey(text) {
+  const match = String(text || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const date = new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  return dateKey(date) === text ? date : null;
+}
+
+/**
+ * Erro na definição de um calendário de tribunal
+ */
+class CalendarDefinitionError extends Error {
+  constructor(errors) {
+    super(`Invalid calendar: ${errors.join('; ')}`);
+    this.name = 'CalendarDefinitionError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Valida e normaliza a definição de um calendário de tribunal
+ */
+function normalizeCalendar(id, definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new CalendarDefinitionError(['calendar must be an object']);
+  }
+
+  const holidays = (definition.holidays || []).map((holiday, index) => {
+    const date = String(holiday && holiday.date || '');
+    const recurring = /^(\d{2})-(\d{2})$/.exec(date);
+
+    if (recurring ? !parseDateKey(`2000-${date}`) : !parseDateKey(date)) {
+      errors.push(`holidays[${index}].date must be AAAA-MM-DD or MM-DD (yearly)`);
+    }
+
+    return { date: date, name: String(holiday && holiday.name || 'Feriado') };
+  });
+
+  const suspensions = (definition.suspensions || []).map((suspension, index) => {
+    const start = parseDateKey(suspension && suspension.start);
+    const end = parseDateKey(suspension && (suspension.end || suspension.start));
+
+    if (!start || !end) {
+      errors.push(`suspensions[${index}] needs start (and optional end) as AAAA-MM-DD`);
+    } else if (end < start) {
+      errors.push(`suspensions[${index}].end is before start`);
+    }
+
+    return {
+      start: suspension && suspension.start,
+      end: suspension && (suspension.end || suspension.start),
+      reason: String(suspension && suspension.reason || 'Suspensão de prazos')
+    };
+  });
+
+  if (definition.holidays !== undefined && !Array.isArray(definition.holidays)) {
+    errors.push('holidays must be a list');
+  }
+  if (definition.suspensions !== undefined && !Array.isArray(definition.suspensions)) {
+    errors.push('suspensions must be a list');
+  }
+
+  if (errors.length > 0) {
+    throw new CalendarDefinitionError(errors);
+  }
+
+  return {
+    id: id,
+    name: String(definition.name || id),
+    holidays: holidays,
+    suspensions: suspensions
+  };
+}
+
+class DeadlineCalculator {
+  constructor() {
+    this.nationalCache = {};   // ano -> { 'AAAA-MM-DD': nome }
+  }
+
+  /**
+   * Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+   */
+  easter(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Feriados nacionais e móveis do ano: { 'AAAA-MM-DD': nome }
+   */
+  nationalHolidays(year) {
+    if (this.nationalCache[year]) {
+      return this.nationalCache[year];
+    }
+
+    const holidays = {};
+
+    for (const holiday of NATIONAL_HOLIDAYS) {
+      if (!holiday.since || year >= holiday.since) {
+        holidays[`${year}-${holiday.date}`] = holiday.name;
+      }
+    }
+
+    const easter = this.easter(year);
+    for (const holiday of MOVABLE_HOLIDAYS) {
+      holidays[dateKey(addDays(easter, holiday.offset))] = holiday.name;
+    }
+
+    this.nationalCache[year] = holidays;
+    return holidays;
+  }
+
+  /**
+   * Motivo pelo qual a data não é dia útil, ou null se for
+   */
+  nonBusinessReason(date, calendars = []) {
+    const key = dateKey(date);
+    const weekday = date.getDay();
+
+    if (weekday === 6) return 'Sábado';
+    if (weekday === 0) return 'Domingo';
+
+    // 20/12 a 20/01 (inclui Natal e Ano-Novo, que caem dentro do recesso)
+    const monthDay = key.slice(5);
+    if (monthDay >= '12-20' || monthDay <= '01-20') {
+      return RECESS_REASON;
+    }
+
+    const national = this.nationalHolidays(date.getFullYear())[key];
+    if (national) {
+      return national;
+    }
+
+    for (const calendar of calendars) {
+      const holiday = calendar.holidays.find(h => h.date === key || h.date === key.slice(5));
+      if (holiday) {
+        return `${holiday.name} (${calendar.name})`;
+      }
+
+      const suspension = calendar.suspensions.find(s => key >= s.start && key <= s.end);
+      if (suspension) {
+        return `${suspension.reason} (${calendar.name})`;
+      }
+    }
+
+    return null;
+  }
+
+  isBusinessDay(date, calendars = []) {
+    return this.nonBusinessReason(date, calendars) === null;
+  }
+
+  /**
+   * Próximo dia útil a partir da data (inclusive)
+   */
+  nextBusinessDay(date, calendars = [], skipped = []) {
+    let current = date;
+    let reason;
+
+    while ((reason = this.nonBusinessReason(current, calendars)) !== null) {
+      this.recordSkipped(skipped, current, reason);
+      current = addDays(current, 1);
+    }
+
+    return current;
+  }
+
+  /**
+   * Guarda o dia pulado, agrupando dias seguidos com o mesmo motivo.
+   * Fins de semana não são listados.
+   */
+  recordSkipped(skipped, date, reason) {
+    if (reason === 'Sábado' || reason === 'Domingo') {
+      return;
+    }
+
+    const key = dateKey(date);
+    const last = skipped[skipped.length - 1];
+
+    if (last && last.reason === reason) {
+      // Seguido do anterior, a não ser por um fim de semana
+      let next = addDays(parseDateKey(last.until || last.date), 1);
+      while (next < date && (next.getDay() === 0 || next.getDay() === 6)) {
+        next = addDays(next, 1);
+      }
+      if (dateKey(next) === key) {
+        last.until = key;
+        return;
+      }
+    }
+
+    skipped.push({ date: key, reason: reason });
+  }
+
+  /**
+   * Calcula o vencimento de um prazo.
+   *
+   * @param {Date} startDate - data da intimação/publicação (não é contada)
+   * @param {number} days - quantidade de dias do prazo
+   * @param {object} [options]
+   * @param {string} [options.mode] - 'business' (dias úteis, padrão) ou 'calendar' (dias corridos)
+   * @param {object[]} [options.calendars] - calendários de tribunal normalizados
+   * @returns {{ startDate, firstDay, dueDate, days, mode, skipped }}
+   */
+  calculate(startDate, days, { mode = 'business', calendars = [] } = {}) {
+    if (!(startDate instanceof Date) || isNaN(startDate)) {
+      throw new RangeError('startDate must be a valid date');
+    }
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      throw new RangeError(`days must be an integer from 1 to ${MAX_DAYS}`);
+    }
+    if (!MODES.includes(mode)) {
+      throw new RangeError(`mode must be one of ${MODES.join(', ')}`);
+    }
+
+    const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const skipped = [];
+
+    // A contagem começa no primeiro dia útil seguinte ao do começo (art. 224, § 3º)
+    const firstDay = this.nextBusinessDay(addDays(start, 1), calendars, skipped);
+    let dueDate = firstDay;
+
+    if (mode === 'business') {
+      for (let counted = 1; counted < days; counted++) {
+        dueDate = this.nextBusinessDay(addDays(dueDate, 1), calendars, skipped);
+      }
+    } else {
+      // Dias corridos: o vencimento em dia não útil passa para o próximo dia útil
+      dueDate = this.nextBusinessDay(addDays(firstDay, days - 1), calendars, skipped);
+    }
+
+    return {
+      startDate: dateKey(start),
+      firstDay: dateKey(firstDay),
+      dueDate: dueDate,
+      days: days,
+      mode: mode,
+      skipped: skipped
+    };
+  }
+
+  /**
+   * Dias não úteis do ano (exceto fins de semana e recesso), em ordem
+   */
+  holidays(year, calendars = []) {
+    const list = Object.entries(this.nationalHolidays(year))
+      .map(([date, name]) => ({ date: date, name: name, calendar: 'national' }));
+
+    for (const calendar of calendars) {
+      for (const holiday of calendar.holidays) {
+        const date = holiday.date.length === 5 ? `${year}-${holiday.date}` : holiday.date;
+        if (date.startsWith(`${year}-`)) {
+          list.push({ date: date, name: holiday.name, calendar: calendar.id });
+        }
+      }
+    }
+
+    return list.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  }
+}
+
+module.exports = DeadlineCalculator;
+module.exports.MODES = MODES;
+module.exports.CalendarDefinitionError = CalendarDefinitionError;
+module.exports.normalizeCalendar = normalizeCalendar;
+module.exports.dateKey = dateKey;
+module.exports.parseDateKey = parseDateKey;
@@ -0,0 +1,225 @@
+// services/DocumentArchive.js
+// Arquivo de documentos gerados por tenant.
+// Cada documento tem um registro em tenants/{tenantId}/documents/{documentId}.json
+// e seus arquivos em tenants/{tenantId}/documents/{documentId}/{formato}.
+// Sem storage persistente os documentos ficam apenas em memória, limitados
+// por quantidade e tamanho total: os mais antigos são descartados (404 depois).
+
+const crypto = require('crypto');
+
+const RECORD_CONTENT_TYPE = 'application/json';
+const MAX_CACHED_DOCUMENTS = 500;
+const MAX_MEMORY_BYTES = 100 * 1024 * 1024;
+
+class DocumentArchive {
+  /**
+   * @param {object} storage - driver de services/storage (pode ser null)
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.documents = {};   // tenantId -> documentId -> registro (cache / modo memória)
+    this.cached = [];      // [{ tenantId, id, bytes }] em ordem de chegada, para descarte
+    this.cachedBytes = 0;  // bytes de arquivos mantidos em memória
+  }
+
+  get isPersistent() {
+    return !!(this.storage && this.storage.isConfigured && this.storage.canRead);
+  }
+
+  documentsPrefix(tenantId) {
+    return `tenants/${tenantId}/documents/`;
+  }
+
+  recordKey(tenantId, documentId) {
+    return `${this.documentsPrefix(tenantId)}${documentId}.json`;
+  }
+
+  fileKey(tenantId, documentId, format) {
+    return `${this.documentsPrefix(tenantId)}${documentId}/${format}`;
+  }
+
+  isValidId(documentId) {
+    return /^doc_\d+_[0-9a-f]+$/.test(documentId || '');
+  }
+
+  remember(record) {
+    if (!this.documents[record.tenantId]) {
+      this.documents[record.tenantId] = {};
+    }
+    this.documents[record.tenantId][record.id] = record;
+
+    const bytes = Object.values(record.formats || {})
+      .reduce((total, file) => total + (file.buffer ? file.buffer.length : 0), 0);
+    this.cached.push({ tenantId: record.tenantId, id: record.id, bytes: bytes });
+    this.cachedBytes += bytes;
+
+    // Descarta os mais antigos (no modo memória o documento deixa de existir)
+    while (this.cached.length > 1 && (this.cached.length > MAX_CACHED_DOCUMENTS || this.cachedBytes > MAX_MEMORY_BYTES)) {
+      const oldest = this.cached.shift();
+      this.cachedBytes -= oldest.bytes;
+      delete this.documents[oldest.tenantId][oldest.id];
+      if (!this.isPersistent) {
+        console.log(`🗑️  Documento ${oldest.id} descartado da memória (limite do arquivo sem storage)`);
+      }
+    }
+  }
+
+  /**
+   * Arquiva os arquivos de um documento gerado e grava o registro.
+   *
+   * @param {string} tenantId
+   * @param {object} info
+   * @param {object[]} info.files - [{ format, filename, contentType, buffer, engine }]
+   * @param {string} [info.templateId]
+   * @param {string} [info.templateName]
+   * @param {number} [info.templateVersion]
+   * @param {string} [info.requestedBy]
+   * @param {string} [info.source] - 'generate', 'batch', 'job'...
+   * @param {object} [info.metadata] - dados extras (ex.: linha do lote)
+   * @returns {Promise<object>} registro do documento
+   */
+  async store(tenantId, { files, templateId = null, templateName = null, templateVersion = null, requestedBy = null, source = 'generate', metadata }) {
+    const record = {
+      id: `doc_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`,
+      tenantId: tenantId,
+      templateId: templateId,
+      templateName: templateName,
+      templateVersion: templateVersion,
+      source: source,
+      requestedBy: requestedBy,
+      createdAt: new Date().toISOString(),
+      size: 0,
+      formats: {}
+    };
+
+    if (metadata) {
+      record.metadata = metadata;
+    }
+
+    for (const file of files) {
+      const info = {
+        filename: file.filename,
+        contentType: file.contentType,
+        size: file.buffer.length,
+        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex')
+      };
+
+      if (file.engine) {
+        info.engine = file.engine;
+      }
+
+      if (this.isPersistent) {
+        info.key = this.fileKey(tenantId, record.id, file.format);
+        await this.storage.put(info.key, file.buffer, {
+          contentType: file.contentType,
+          metadata: { documentId: record.id, tenantId: tenantId, sha256: info.sha256 }
+        });
+      } else {
+        Object.defineProperty(info, 'buffer', { value: file.buffer, enumerable: false });
+      }
+
+      record.formats[file.format] = info;
+      record.size += info.size;
+    }
+
+    if (this.isPersistent) {
+      await this.storage.put(this.recordKey(tenantId, record.id), Buffer.from(JSON.stringify(record)), {
+        contentType: RECORD_CONTENT_TYPE
+      });
+    }
+
+    this.remember(record);
+    console.log(`🗄️  Documento ${record.id} arquivado para tenant ${tenantId} (${Object.keys(record.formats).join(', ')})`);
+
+    return record;
+  }
+
+  /**
+   * Busca o registro de um documento do tenant (memória → storage)
+   */
+  async get(tenantId, documentId) {
+    if (!this.isValidId(documentId)) {
+      return null;
+    }
+
+    const cached = this.documents[tenantId]?.[documentId];
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.isPersistent) {
+      return null;
+    }
+
+    const stored = await this.storage.get(this.recordKey(tenantId, documentId));
+    if (!stored) {
+      return null;
+    }
+
+    const record = JSON.parse(stored.buffer.toString('utf8'));
+    this.remember(record);
+    return record;
+  }
+
+  /**
+   * Lista os documentos do tenant, mais recentes primeiro
+   */
+  async list(tenantId, { page = 1, limit = 50 } = {}) {
+    let ids;
+
+    if (this.isPersistent) {
+      const prefix = this.documentsPrefix(tenantId);
+      ids = (await this.storage.list(prefix))
+        .map(object => object.key.slice(prefix.length))
+        .filter(relative => !relative.includes('/') && relative.endsWith('.json'))
+        .map(relative => relative.slice(0, -'.json'.length))
+        .filter(id => this.isValidId(id));
+    } else {
+      ids = Object.keys(this.documents[tenantId] || {});
+    }
+
+    // IDs começam pelo timestamp: ordenar por ele evita ler todos os registros
+    const timestamp = id => parseInt(id.split('_')[1]);
+    ids.sort((a, b) => timestamp(b) - timestamp(a) || (a < b ? 1 : -1));
+
+    const start = (page - 1) * limit;
+    const documents = [];
+
+    for (const id of ids.slice(start, start + limit)) {
+      const record = await this.get(tenantId, id);
+      if (record) {
+        documents.push(record);
+      }
+    }
+
+    return {
+      documents: documents,
+      pagination: {
+        page: page,
+        limit: limit,
+        total: ids.length,
+        totalPages: Math.max(1, Math.ceil(ids.length / limit))
+      }
+    };
+  }
+
+  /**
+   * Conteúdo de um formato do documento, ou null se não existir
+   */
+  async getFile(tenantId, documentId, format) {
+    const record = await this.get(tenantId, documentId);
+    const file = record?.formats?.[format];
+    if (!file) {
+      return null;
+    }
+
+    if (file.buffer) {
+      return { ...file, buffer: file.buffer };
+    }
+
+    const stored = await this.storage.get(file.key);
+    return stored ? { ...file, buffer: stored.buffer } : null;
+  }
+}
+
+module.exports = DocumentArchive;
@@ -4,6 +4,8 @@ const PizZip = require('pizzip');
 const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const TemplateInspector = require('./TemplateInspector');
+const { createTemplateOptions } = TemplateInspector;
 
 class DocumentGenerator {
   constructor() {
@@ -23,15 +25,13 @@ class DocumentGenerator {
       // Criar zip do documento
       const zip = new PizZip(content);
       
-      // Configurar o Docxtemplater
-      const doc = new Docxtemplater(zip, {
-        paragraphLoop: true,
-        linebreaks: true,
-        delimiters: {
-          start: '{{',
-          end: '}}'
-        }
-      });
+      // Configurar o Docxtemplater (mesmas opções e filtros do server.js)
+      let doc;
+      try {
+        doc = new Docxtemplater(zip, createTemplateOptions());
+      } catch (error) {
+        throw new Error(`Erro ao processar template: ${this.getErrorMessage(error)}`);
+      }
 
       // Processar dados antes de preencher
       const processedData = this.processData(data);
@@ -78,21 +78,10 @@ class DocumentGenerator {
    */
   async extractVariables(templatePath) {
     try {
-      const content = await fs.readFile(templatePath, 'binary');
-      const zip = new PizZip(content);
-      
-      const doc = new Docxtemplater(zip, {
-        delimiters: {
-          start: '{{',
-          end: '}}'
-        }
-      });
-      
-      // Parse do template sem renderizar
-      doc.compile();
+      const content = await fs.readFile(templatePath);
       
-      // Obter todas as variáveis
-      const variables = doc.getTemplateVariables();
+      // Extração a partir do template compilado (loops, condições, tags divididas)
+      const { variables } = new TemplateInspector().inspect(content);
       
       console.log('📋 Variáveis encontradas:', variables);
       return variables;
@@ -238,6 +227,9 @@ class DocumentGenerator {
         if (e.type === 'tag_not_found') {
           return `Variável não encontrada nos dados: ${e.tag}`;
         }
+        if (e.properties && e.properties.rootError) {
+          return `${e.properties.explanation}: ${e.properties.rootError.message}`;
+        }
         return e.message;
       });
       return messages.join(', ');
@@ -0,0 +1,238 @@
+// services/DocumentKits.js
+// Kits de documentos por tenant: a lista ordenada de templates que um caso
+// novo sempre exige (contrato de honorários, procuração, declaração de
+// hipossuficiência...), gerados juntos a partir dos mesmos dados.
+// Gravados em tenants/{tenantId}/kits/{kitId}.json.
+// Sem storage persistente os kits ficam apenas em memória.
+//
+// Definição:
+//   {
+//     "name": "Novo caso cível",
+//     "templates": [
+//       "tmpl_1727...",                                               ← versão mais recente
+//       { "templateId": "tmpl_1728...", "version": 2, "filename": "procuracao_{{cliente}}" },
+//       { "templateId": "tmpl_1729...", "data": { "tipo": "pessoa física" } }   ← padrões só deste template
+//     ],
+//     "defaults": { "comarca": "São Paulo" }                          ← padrões de todos os templates
+//   }
+
+const KIT_CONTENT_TYPE = 'application/json';
+const MAX_KIT_TEMPLATES = 20;
+
+/**
+ * Erro na definição do kit
+ */
+class KitDefinitionError extends Error {
+  constructor(errors) {
+    super(`Invalid kit: ${errors.join('; ')}`);
+    this.name = 'KitDefinitionError';
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Valida e normaliza a definição de um kit
+ */
+function normalizeKit(id, definition) {
+  const errors = [];
+
+  if (!isPlainObject(definition)) {
+    throw new KitDefinitionError(['kit must be an object']);
+  }
+
+  if (!Array.isArray(definition.templates) || definition.templates.length === 0) {
+    throw new KitDefinitionError(['templates must be a non-empty array']);
+  }
+
+  if (definition.templates.length > MAX_KIT_TEMPLATES) {
+    errors.push(`templates has more than ${MAX_KIT_TEMPLATES} entries`);
+  }
+
+  const templates = definition.templates.map((item, index) => {
+    const entry = typeof item === 'string' ? { templateId: item } : item;
+
+    if (!isPlainObject(entry) || typeof entry.templateId !== 'string' || !entry.templateId) {
+      errors.push(`templates[${index}] must be a templateId or { templateId, version, filename, data }`);
+      return null;
+    }
+
+    const version = entry.version === undefined || entry.version === null ? null : Number(entry.version);
+    if (version !== null && (!Number.isInteger(version) || version < 1)) {
+      errors.push(`templates[${index}].version must be a positive integer`);
+    }
+
+    if (entry.data !== undefined && !isPlainObject(entry.data)) {
+      errors.push(`templates[${index}].data must be an object`);
+    }
+
+    return {
+      templateId: entry.templateId,
+      version: version,
+      filename: entry.filename ? String(entry.filename) : null,
+      data: isPlainObject(entry.data) ? entry.data : {}
+    };
+  });
+
+  if (definition.defaults !== undefined && !isPlainObject(definition.defaults)) {
+    errors.push('defaults must be an object');
+  }
+
+  if (errors.length > 0) {
+    throw new KitDefinitionError(errors);
+  }
+
+  return {
+    id: id,
+    name: String(definition.name || id),
+    description: String(definition.description || ''),
+    templates: templates,
+    defaults: definition.defaults || {}
+  };
+}
+
+class DocumentKits {
+  /**
+   * @param {object} storage - driver de services/storage (pode ser null)
+   * @param {object} [options]
+   * @param {object} [options.templateCatalog] - instância de TemplateCatalog (confere os templates do kit ao salvar)
+   */
+  constructor(storage, { templateCatalog = null } = {}) {
+    this.storage = storage;
+    this.templateCatalog = templateCatalog;
+    this.kits = {};     // tenantId -> kitId -> kit (cache / modo memória)
+    this.loaded = {};   // tenantId -> true quando a lista do storage já foi lida
+  }
+
+  get isPersistent() {
+    return !!(this.storage && this.storage.isConfigured && this.storage.canRead);
+  }
+
+  kitsPrefix(tenantId) {
+    return `tenants/${tenantId}/kits/`;
+  }
+
+  kitKey(tenantId, kitId) {
+    return `${this.kitsPrefix(tenantId)}${kitId}.json`;
+  }
+
+  /**
+   * IDs curtos e legíveis: "novo-caso-civel", "trabalhista_inicial"
+   */
+  isValidId(kitId) {
+    return /^[a-z0-9][a-z0-9_-]{0,63}$/.test(kitId || '');
+  }
+
+  remember(tenantId, kit) {
+    if (!this.kits[tenantId]) {
+      this.kits[tenantId] = {};
+    }
+    this.kits[tenantId][kit.id] = kit;
+  }
+
+  /**
+   * Cria ou substitui um kit. Lança KitDefinitionError se a definição for
+   * inválida ou se algum template não existir no catálogo do tenant.
+   */
+  async save(tenantId, kitId, definition, updatedBy = null) {
+    const kit = normalizeKit(kitId, definition);
+
+    if (this.templateCatalog) {
+      const errors = [];
+      for (const [index, entry] of kit.templates.entries()) {
+        const template = await this.templateCatalog.get(tenantId, entry.templateId);
+        if (!template || template.deletedAt) {
+          errors.push(`templates[${index}]: template ${entry.templateId} not found`);
+        }
+      }
+      if (errors.length > 0) {
+        throw new KitDefinitionError(errors);
+      }
+    }
+
+    const existing = await this.get(tenantId, kitId);
+    const now = new Date().toISOString();
+    kit.createdAt = existing ? existing.createdAt : now;
+    kit.updatedAt = now;
+    kit.updatedBy = updatedBy;
+
+    if (this.isPersistent) {
+      await this.storage.put(this.kitKey(tenantId, kitId), Buffer.from(JSON.stringify(kit)), {
+        contentType: KIT_CONTENT_TYPE
+      });
+    }
+
+    this.remember(tenantId, kit);
+    console.log(`🧰 Kit ${kitId} salvo para tenant ${tenantId} (${kit.templates.length} templates)`);
+
+    return kit;
+  }
+
+  /**
+   * Busca um kit do tenant (memória → storage)
+   */
+  async get(tenantId, kitId) {
+    if (!this.isValidId(kitId)) {
+      return null;
+    }
+
+    const cached = this.kits[tenantId]?.[kitId];
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.isPersistent) {
+      return null;
+    }
+
+    const stored = await this.storage.get(this.kitKey(tenantId, kitId));
+    if (!stored) {
+      return null;
+    }
+
+    const kit = JSON.parse(stored.buffer.toString('utf8'));
+    this.remember(tenantId, kit);
+    return kit;
+  }
+
+  /**
+   * Todos os kits do tenant, por ID
+   */
+  async list(tenantId) {
+    if (this.isPersistent && !this.loaded[tenantId]) {
+      const prefix = this.kitsPrefix(tenantId);
+      const ids = (await this.storage.list(prefix))
+        .map(object => object.key.slice(prefix.length))
+        .filter(relative => relative.endsWith('.json'))
+        .map(relative => relative.slice(0, -'.json'.length))
+        .filter(id => this.isValidId(id));
+
+      for (const id of ids) {
+        await this.get(tenantId, id);
+      }
+      this.loaded[tenantId] = true;
+    }
+
+    return Object.values(this.kits[tenantId] || {}).sort((a, b) => (a.id < b.id ? -1 : 1));
+  }
+
+  async delete(tenantId, kitId) {
+    const kit = await this.get(tenantId, kitId);
+    if (!kit) {
+      return false;
+    }
+
+    if (this.isPersistent) {
+      await this.storage.delete(this.kitKey(tenantId, kitId));
+    }
+
+    delete this.kits[tenantId][kitId];
+    console.log(`🗑️  Kit ${kitId} removido do tenant ${tenantId}`);
+    return true;
+  }
+}
+
+module.exports = DocumentKits;
+module.exports.KitDefinitionError = KitDefinitionError;
+module.exports.normalizeKit = normalizeKit;
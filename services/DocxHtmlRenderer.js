@@ -0,0 +1,1077 @@
+// services/DocxHtmlRenderer.js
+// Prévia em HTML de um DOCX (template ou documento preenchido), para revisar
+// a minuta no navegador sem conversão para PDF.
+//
+// Percorre document.xml com os estilos (styles.xml) e a numeração
+// (numbering.xml) do arquivo:
+//   parágrafos:  estilos "heading N" viram <h1>...<h6>; alinhamento, recuos,
+//                espaçamento e marcadores/números de lista calculados
+//   texto:       negrito, itálico, sublinhado, tachado, cor, realce, tamanho,
+//                fonte, sobrescrito/subscrito, maiúsculas
+//   também:      tabelas (colspan/rowspan), links, imagens, caixas de texto,
+//                quebras de página, notas de rodapé/fim, cabeçalhos e rodapés (todas
+//                as seções: primeira página, padrão e páginas pares)
+//
+// Tags {{...}} do template são destacadas. Na prévia com dados, as variáveis
+// sem valor chegam envoltas nos marcadores MISSING_START/MISSING_END (ver
+// GenerationService.preview) e são destacadas como não preenchidas.
+
+const PizZip = require('pizzip');
+const { str2xml } = require('docxtemplater/js/doc-utils');
+
+// Variável sem valor na prévia com dados (caracteres de uso privado, não aparecem em documentos)
+const MISSING_START = '\ue000';
+const MISSING_END = '\ue001';
+
+const TAG_PATTERN = /\{\{[\s\S]*?\}\}/g;
+const MISSING_PATTERN = /\ue000([\s\S]*?)\ue001/g;
+
+const TWIPS_PER_PT = 20;
+const EMU_PER_PX = 9525;
+
+// Tabulação padrão do Word: 720 twips (0,5")
+const DEFAULT_TAB_PT = 36;
+
+const ALIGNMENTS = { both: 'justify', distribute: 'justify', center: 'center', right: 'right', end: 'right', left: 'left', start: 'left' };
+
+const HIGHLIGHT_COLORS = {
+  yellow: '#ffff00', green: '#00ff00', cyan: '#00ffff', magenta: '#ff00ff', blue: '#0000ff', red: '#ff0000',
+  darkBlue: '#000080', darkCyan: '#008080', darkGreen: '#008000', darkMagenta: '#800080', darkRed: '#800000',
+  darkYellow: '#808000', darkGray: '#808080', lightGray: '#c0c0c0', black: '#000000', white: '#ffffff'
+};
+
+// Marcadores de lista em fontes de símbolos (Symbol, Wingdings) → Unicode
+const SYMBOL_BULLETS = { '\uf0b7': '•', '\uf0a7': '▪', '\uf0d8': '➢', '\uf0fc': '✓', '\uf076': '❖', '\uf0a8': '◆', o: '◦' };
+
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', bmp: 'image/bmp', svg: 'image/svg+xml' };
+
+const STYLESHEET = `
+.docx-preview { box-sizing: border-box; margin: 0 auto; background: #fff; color: #000; }
+.docx-preview p, .docx-preview h1, .docx-preview h2, .docx-preview h3, .docx-preview h4, .docx-preview h5, .docx-preview h6 { margin: 0; font-size: inherit; font-weight: inherit; min-height: 1em; }
+.docx-preview table { border-collapse: collapse; margin: 0 0 8pt 0; }
+.docx-preview td, .docx-preview th { vertical-align: top; padding: 0 5.4pt; }
+.docx-preview .docx-bordered > tbody > tr > td { border: 1px solid #000; }
+.docx-preview .docx-tab { display: inline-block; min-width: ${DEFAULT_TAB_PT}pt; }
+.docx-preview .docx-list-marker { display: inline-block; padding-right: 0.4em; }
+.docx-preview .docx-page-break { display: block; border-top: 1px dashed #bbb; margin: 12pt 0; }
+.docx-preview .docx-header, .docx-preview .docx-footer { color: #555; }
+.docx-preview .docx-header { border-bottom: 1px dashed #ccc; padding-bottom: 6pt; margin-bottom: 12pt; }
+.docx-preview .docx-footer { border-top: 1px dashed #ccc; padding-top: 6pt; margin-top: 12pt; }
+.docx-preview .docx-textbox { border: 1px dotted #999; padding: 4pt; margin: 4pt 0; }
+.docx-preview .docx-notes { border-top: 1px solid #999; margin-top: 18pt; padding-top: 6pt; font-size: 0.85em; }
+.docx-preview .docx-variable { background-color: #fff3cd; color: #856404; outline: 1px solid #ffeeba; border-radius: 3px; }
+.docx-preview .docx-missing { background-color: #f8d7da; color: #721c24; outline: 1px solid #f5c6cb; border-radius: 3px; }
+`;
+
+/**
+ * Arquivo que não é um DOCX válido
+ */
+class PreviewError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PreviewError';
+  }
+}
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Valores vindos do XML que vão para atributos style/href: o DOCX enviado pode
+// trazer qualquer texto neles (cores com aspas, hyperlinks javascript:...)
+const HEX_COLOR = /^[0-9A-Fa-f]{6}$/;
+const SAFE_HREF = /^(https?:|mailto:|#)/i;
+
+const hexColor = value => (value && HEX_COLOR.test(value) ? value : null);
+const named = (map, key) => (Object.prototype.hasOwnProperty.call(map, key) ? map[key] : null);
+const fontFamily = name => `'${String(name).replace(/['"\\;{}<>]/g, '')}'`;
+const safeHref = href => (href && SAFE_HREF.test(String(href).trim()) ? String(href).trim() : null);
+
+const elements = node => Array.from((node && node.childNodes) || []).filter(child => child.nodeType === 1);
+const children = (node, name) => elements(node).filter(child => child.nodeName === name);
+const child = (node, name) => elements(node).find(child => child.nodeName === name) || null;
+const attr = (node, name) => (node && node.getAttribute(name)) || null;
+const val = (node, name) => attr(child(node, name), 'w:val');
+
+function descendant(node, name) {
+  const found = node.getElementsByTagName(name);
+  return found.length > 0 ? found[0] : null;
+}
+
+/**
+ * Propriedade liga/desliga (<w:b/>, <w:b w:val="0"/>); undefined se ausente
+ */
+function toggle(node, name) {
+  const element = child(node, name);
+  if (!element) {
+    return undefined;
+  }
+  const value = attr(element, 'w:val');
+  return value === null || !['0', 'false', 'off', 'none'].includes(value);
+}
+
+const pt = twips => `${+(parseInt(twips) / TWIPS_PER_PT).toFixed(2)}pt`;
+
+/**
+ * Valor da variável sem dados na prévia (nullGetter do docxtemplater):
+ * loops e módulos ficam vazios, as demais tags saem marcadas
+ */
+function missingValue(part) {
+  if (part.module) {
+    return '';
+  }
+  return `${MISSING_START}{{${part.value.trim()}}}${MISSING_END}`;
+}
+
+function toRoman(number) {
+  const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+  let result = '';
+  for (const [value, numeral] of numerals) {
+    while (number >= value) {
+      result += numeral;
+      number -= value;
+    }
+  }
+  return result;
+}
+
+function toLetters(number) {
+  const letter = String.fromCharCode(97 + ((number - 1) % 26));
+  return letter.repeat(Math.floor((number - 1) / 26) + 1);
+}
+
+/**
+ * Número de lista no formato do nível (w:numFmt)
+ */
+function formatNumber(number, format) {
+  switch (format) {
+    case 'lowerLetter': return toLetters(number);
+    case 'upperLetter': return toLetters(number).toUpperCase();
+    case 'lowerRoman': return toRoman(number);
+    case 'upperRoman': return toRoman(number).toUpperCase();
+    case 'decimalZero': return String(number).padStart(2, '0');
+    case 'ordinal': return `${number}º`;
+    case 'none': return '';
+    default: return String(number);
+  }
+}
+
+class DocxHtmlRenderer {
+  /**
+   * Renderiza o DOCX. Retorna { html, text, variables, unfilled, paragraphCount }:
+   * html é um fragmento com a folha de estilos embutida; variables são as tags
+   * {{...}} encontradas e unfilled as variáveis sem valor (prévia com dados).
+   *
+   * @param {Buffer} buffer - DOCX
+   * @param {object} [options]
+   * @param {boolean} [options.highlightVariables] - destacar as tags {{...}}
+   * @param {boolean} [options.headers] - incluir cabeçalho e rodapé
+   * @param {boolean} [options.images] - incluir imagens (data URI)
+   */
+  render(buffer, { highlightVariables = true, headers = true, images = true } = {}) {
+    let zip;
+    let documentXml;
+    try {
+      zip = new PizZip(buffer);
+      documentXml = zip.file('word/document.xml');
+    } catch (error) {
+      documentXml = null;
+    }
+
+    if (!documentXml) {
+      throw new PreviewError('File is not a valid DOCX document');
+    }
+
+    const context = {
+      zip,
+      highlightVariables,
+      images,
+      styles: this.loadStyles(zip),
+      numbering: this.loadNumbering(zip),
+      counters: {},
+      notes: [],
+      variables: new Set(),
+      unfilled: new Set(),
+      lines: [],
+      floating: [],
+      paragraphCount: 0,
+      rels: null
+    };
+
+    const document = str2xml(documentXml.asText());
+    const body = descendant(document, 'w:body');
+    const section = child(body, 'w:sectPr');
+
+    context.rels = this.loadRels(zip, 'word/document.xml');
+    const pageCss = this.pageCss(section, context);
+
+    // Na ordem da página, para o texto extraído sair na mesma sequência
+    const sections = headers ? Array.from(body.getElementsByTagName('w:sectPr')) : [];
+    const headerHtml = this.headerFooter(sections, 'w:headerReference', 'docx-header', context);
+    const headerParagraphs = context.paragraphCount;
+    const bodyHtml = this.blocks(body, context);
+    const paragraphCount = context.paragraphCount - headerParagraphs;
+    const notesHtml = this.notes(context);
+    const footerHtml = this.headerFooter(sections, 'w:footerReference', 'docx-footer', context);
+
+    const html = `<div class="docx-preview" style="${escapeHtml(pageCss)}">` +
+      `<style>${STYLESHEET}</style>` +
+      headerHtml + bodyHtml + notesHtml + footerHtml +
+      '</div>';
+
+    return {
+      html,
+      text: context.lines.join('\n\n'),
+      variables: [...context.variables],
+      unfilled: [...context.unfilled],
+      paragraphCount
+    };
+  }
+
+  /**
+   * Página HTML completa com a prévia (para Accept: text/html)
+   */
+  page(html, title = 'Prévia') {
+    return '<!DOCTYPE html><html lang="pt-BR"><head><meta charset="utf-8">' +
+      `<title>${escapeHtml(title)}</title>` +
+      '<style>body { background: #e9ecef; margin: 0; padding: 24px 0; } .docx-preview { box-shadow: 0 1px 4px rgba(0,0,0,.2); }</style>' +
+      `</head><body>${html}</body></html>`;
+  }
+
+  // ---------- partes do DOCX ----------
+
+  loadXml(zip, path) {
+    const file = zip.file(path);
+    return file ? str2xml(file.asText()) : null;
+  }
+
+  /**
+   * Relações de uma parte: { rId: { target, external } }, com o caminho do alvo já resolvido
+   */
+  loadRels(zip, partPath) {
+    const slash = partPath.lastIndexOf('/');
+    const dir = partPath.slice(0, slash);
+    const xml = this.loadXml(zip, `${dir}/_rels/${partPath.slice(slash + 1)}.rels`);
+    const rels = {};
+
+    for (const relationship of xml ? Array.from(xml.getElementsByTagName('Relationship')) : []) {
+      const target = attr(relationship, 'Target') || '';
+      const external = attr(relationship, 'TargetMode') === 'External';
+      rels[attr(relationship, 'Id')] = {
+        external,
+        target: external ? target : this.resolvePath(dir, target)
+      };
+    }
+
+    return rels;
+  }
+
+  resolvePath(dir, target) {
+    if (target.startsWith('/')) {
+      return target.slice(1);
+    }
+    const parts = dir.split('/');
+    for (const segment of target.split('/')) {
+      if (segment === '..') {
+        parts.pop();
+      } else if (segment !== '.') {
+        parts.push(segment);
+      }
+    }
+    return parts.join('/');
+  }
+
+  /**
+   * Estilos de parágrafo e de caractere, com os padrões do documento
+   */
+  loadStyles(zip) {
+    const styles = { byId: {}, cache: {}, defaultParagraph: null, defaults: { paragraph: {}, run: {} } };
+    const xml = this.loadXml(zip, 'word/styles.xml');
+    if (!xml) {
+      return styles;
+    }
+
+    const docDefaults = descendant(xml, 'w:docDefaults');
+    if (docDefaults) {
+      const rPr = descendant(docDefaults, 'w:rPr');
+      const pPr = descendant(docDefaults, 'w:pPr');
+      if (rPr) {
+        this.readRunProperties(rPr, styles.defaults.run);
+      }
+      if (pPr) {
+        this.readParagraphProperties(pPr, styles.defaults.paragraph);
+      }
+    }
+
+    for (const style of Array.from(xml.getElementsByTagName('w:style'))) {
+      const id = attr(style, 'w:styleId');
+      const type = attr(style, 'w:type');
+      styles.byId[id] = {
+        type,
+        name: (val(style, 'w:name') || '').toLowerCase(),
+        basedOn: val(style, 'w:basedOn'),
+        pPr: child(style, 'w:pPr'),
+        rPr: child(style, 'w:rPr'),
+        tblPr: child(style, 'w:tblPr')
+      };
+      if (type === 'paragraph' && ['1', 'true'].includes(attr(style, 'w:default'))) {
+        styles.defaultParagraph = id;
+      }
+    }
+
+    return styles;
+  }
+
+  /**
+   * Formatação de um estilo com a cadeia de basedOn: { paragraph, run, name }
+   */
+  styleFormat(styleId, context, depth = 0) {
+    const { styles } = context;
+    const style = styleId && styles.byId[styleId];
+    if (!style || depth > 10) {
+      return { paragraph: {}, run: {}, name: '' };
+    }
+
+    if (!styles.cache[styleId]) {
+      const base = this.styleFormat(style.basedOn, context, depth + 1);
+      const paragraph = { ...base.paragraph };
+      const run = { ...base.run };
+      if (style.pPr) {
+        this.readParagraphProperties(style.pPr, paragraph);
+      }
+      if (style.rPr) {
+        this.readRunProperties(style.rPr, run);
+      }
+      const bordered = !!(style.tblPr && child(style.tblPr, 'w:tblBorders')) || base.bordered;
+      styles.cache[styleId] = { paragraph, run, bordered, name: style.name };
+    }
+
+    return styles.cache[styleId];
+  }
+
+  /**
+   * Numeração: { abstracts: { id: { níveis } }, nums: { numId: { abstractId, starts } } }
+   */
+  loadNumbering(zip) {
+    const numbering = { abstracts: {}, nums: {} };
+    const xml = this.loadXml(zip, 'word/numbering.xml');
+    if (!xml) {
+      return numbering;
+    }
+
+    for (const abstract of Array.from(xml.getElementsByTagName('w:abstractNum'))) {
+      const levels = {};
+      for (const level of children(abstract, 'w:lvl')) {
+        const paragraph = {};
+        const pPr = child(level, 'w:pPr');
+        if (pPr) {
+          this.readParagraphProperties(pPr, paragraph);
+        }
+        const run = {};
+        const rPr = child(level, 'w:rPr');
+        if (rPr) {
+          this.readRunProperties(rPr, run);
+        }
+        levels[attr(level, 'w:ilvl')] = {
+          start: parseInt(val(level, 'w:start') || '1'),
+          format: val(level, 'w:numFmt') || 'decimal',
+          text: val(level, 'w:lvlText') || '',
+          paragraph,
+          run
+        };
+      }
+      numbering.abstracts[attr(abstract, 'w:abstractNumId')] = levels;
+    }
+
+    for (const num of Array.from(xml.getElementsByTagName('w:num'))) {
+      const starts = {};
+      for (const override of children(num, 'w:lvlOverride')) {
+        const start = val(override, 'w:startOverride');
+        if (start !== null) {
+          starts[attr(override, 'w:ilvl')] = parseInt(start);
+        }
+      }
+      numbering.nums[attr(num, 'w:numId')] = { abstractId: val(num, 'w:abstractNumId'), starts };
+    }
+
+    return numbering;
+  }
+
+  // ---------- propriedades → formatação ----------
+
+  readParagraphProperties(pPr, into) {
+    const jc = val(pPr, 'w:jc');
+    if (named(ALIGNMENTS, jc)) {
+      into.align = named(ALIGNMENTS, jc);
+    }
+
+    const ind = child(pPr, 'w:ind');
+    if (ind) {
+      const left = attr(ind, 'w:left') || attr(ind, 'w:start');
+      const right = attr(ind, 'w:right') || attr(ind, 'w:end');
+      if (left !== null) {
+        into.indentLeft = left;
+      }
+      if (right !== null) {
+        into.indentRight = right;
+      }
+      if (attr(ind, 'w:hanging') !== null) {
+        into.hanging = attr(ind, 'w:hanging');
+        delete into.firstLine;
+      } else if (attr(ind, 'w:firstLine') !== null) {
+        into.firstLine = attr(ind, 'w:firstLine');
+        delete into.hanging;
+      }
+    }
+
+    const spacing = child(pPr, 'w:spacing');
+    if (spacing) {
+      for (const [name, key] of [['w:before', 'spaceBefore'], ['w:after', 'spaceAfter']]) {
+        if (attr(spacing, name) !== null) {
+          into[key] = attr(spacing, name);
+        }
+      }
+      if (attr(spacing, 'w:line') !== null) {
+        into.line = attr(spacing, 'w:line');
+        into.lineRule = attr(spacing, 'w:lineRule') || 'auto';
+      }
+    }
+
+    const numPr = child(pPr, 'w:numPr');
+    if (numPr) {
+      const numId = val(numPr, 'w:numId');
+      if (numId !== null) {
+        into.numId = numId;
+      }
+      const ilvl = val(numPr, 'w:ilvl');
+      if (ilvl !== null) {
+        into.ilvl = ilvl;
+      }
+    }
+
+    const shading = hexColor(attr(child(pPr, 'w:shd'), 'w:fill'));
+    if (shading) {
+      into.shading = shading;
+    }
+
+    const pageBreakBefore = toggle(pPr, 'w:pageBreakBefore');
+    if (pageBreakBefore !== undefined) {
+      into.pageBreakBefore = pageBreakBefore;
+    }
+
+    return into;
+  }
+
+  readRunProperties(rPr, into) {
+    for (const [name, key] of [['w:b', 'bold'], ['w:i', 'italic'], ['w:strike', 'strike'], ['w:dstrike', 'strike'], ['w:caps', 'caps'], ['w:smallCaps', 'smallCaps'], ['w:vanish', 'hidden']]) {
+      const value = toggle(rPr, name);
+      if (value !== undefined) {
+        into[key] = value;
+      }
+    }
+
+    const underline = val(rPr, 'w:u');
+    if (underline) {
+      into.underline = underline !== 'none';
+    }
+
+    const color = val(rPr, 'w:color');
+    if (color) {
+      into.color = hexColor(color);
+    }
+
+    const highlight = val(rPr, 'w:highlight');
+    if (highlight) {
+      into.highlight = named(HIGHLIGHT_COLORS, highlight);
+    }
+
+    const shading = hexColor(attr(child(rPr, 'w:shd'), 'w:fill'));
+    if (shading) {
+      into.shading = `#${shading}`;
+    }
+
+    const size = val(rPr, 'w:sz');
+    if (size) {
+      into.size = parseInt(size) / 2;
+    }
+
+    const fonts = child(rPr, 'w:rFonts');
+    const font = attr(fonts, 'w:ascii') || attr(fonts, 'w:hAnsi');
+    if (font) {
+      into.font = font;
+    }
+
+    const vertAlign = val(rPr, 'w:vertAlign');
+    if (vertAlign) {
+      into.vertAlign = vertAlign;
+    }
+
+    return into;
+  }
+
+  /**
+   * CSS do parágrafo; a entrelinha padrão do documento já vem do contêiner
+   */
+  paragraphCss(format, { marker = false, base = {} } = {}) {
+    const css = [];
+
+    if (format.align) {
+      css.push(`text-align: ${format.align}`);
+    }
+    if (format.indentLeft && parseInt(format.indentLeft) !== 0) {
+      css.push(`margin-left: ${pt(format.indentLeft)}`);
+    }
+    if (format.indentRight && parseInt(format.indentRight) !== 0) {
+      css.push(`margin-right: ${pt(format.indentRight)}`);
+    }
+    if (format.hanging) {
+      css.push(`text-indent: -${pt(format.hanging)}`);
+    } else if (format.firstLine && !marker) {
+      css.push(`text-indent: ${pt(format.firstLine)}`);
+    }
+    if (format.spaceBefore) {
+      css.push(`margin-top: ${pt(format.spaceBefore)}`);
+    }
+    if (format.spaceAfter) {
+      css.push(`margin-bottom: ${pt(format.spaceAfter)}`);
+    }
+    if (format.line && (format.line !== base.line || format.lineRule !== base.lineRule)) {
+      css.push(format.lineRule === 'auto'
+        ? `line-height: ${+(parseInt(format.line) / 240).toFixed(2)}`
+        : `line-height: ${pt(format.line)}`);
+    }
+    if (format.shading) {
+      css.push(`background-color: #${format.shading}`);
+    }
+
+    return css.join('; ');
+  }
+
+  /**
+   * CSS da run, só com o que difere da formatação base do documento
+   */
+  runCss(format, base = {}) {
+    const css = [];
+    const changed = key => format[key] !== undefined && format[key] !== base[key];
+
+    if (format.bold && changed('bold')) {
+      css.push('font-weight: bold');
+    } else if (format.bold === false && base.bold) {
+      css.push('font-weight: normal');
+    }
+    if (format.italic && changed('italic')) {
+      css.push('font-style: italic');
+    }
+    const decorations = [format.underline && 'underline', format.strike && 'line-through'].filter(Boolean);
+    if (decorations.length > 0) {
+      css.push(`text-decoration: ${decorations.join(' ')}`);
+    }
+    if (format.color && changed('color')) {
+      css.push(`color: #${format.color}`);
+    }
+    if ((format.highlight || format.shading) && (changed('highlight') || changed('shading'))) {
+      css.push(`background-color: ${format.highlight || format.shading}`);
+    }
+    if (format.size && changed('size')) {
+      css.push(`font-size: ${format.size}pt`);
+    }
+    if (format.font && changed('font')) {
+      css.push(`font-family: ${fontFamily(format.font)}`);
+    }
+    if (format.caps) {
+      css.push('text-transform: uppercase');
+    } else if (format.smallCaps) {
+      css.push('font-variant: small-caps');
+    }
+    if (format.vertAlign === 'superscript' || format.vertAlign === 'subscript') {
+      css.push(`vertical-align: ${format.vertAlign === 'superscript' ? 'super' : 'sub'}`, 'font-size: smaller');
+    }
+
+    return css.join('; ');
+  }
+
+  /**
+   * CSS do contêiner: fonte e entrelinha do estilo padrão, largura e margens da página.
+   * Guarda a formatação base usada para enxugar o CSS de runs e parágrafos.
+   */
+  pageCss(section, context) {
+    const normal = this.styleFormat(context.styles.defaultParagraph, context);
+    const run = { ...context.styles.defaults.run, ...normal.run };
+    const paragraph = { ...context.styles.defaults.paragraph, ...normal.paragraph };
+    context.baseRun = run;
+    context.baseParagraph = paragraph;
+
+    let lineHeight = '1.15';
+    if (paragraph.line) {
+      lineHeight = paragraph.lineRule === 'auto' ? String(+(parseInt(paragraph.line) / 240).toFixed(2)) : pt(paragraph.line);
+    }
+
+    const css = [
+      `font-family: ${fontFamily(run.font || 'Calibri')}, serif`,
+      `font-size: ${run.size || 11}pt`,
+      `line-height: ${lineHeight}`
+    ];
+
+    const size = section && child(section, 'w:pgSz');
+    const margin = section && child(section, 'w:pgMar');
+    css.push(`max-width: ${size && attr(size, 'w:w') ? pt(attr(size, 'w:w')) : '595pt'}`);
+    if (margin) {
+      const sides = ['top', 'right', 'bottom', 'left'].map(side => pt(attr(margin, `w:${side}`) || '1440'));
+      css.push(`padding: ${sides.join(' ')}`);
+    } else {
+      css.push('padding: 72pt');
+    }
+
+    return css.join('; ');
+  }
+
+  // ---------- blocos ----------
+
+  /**
+   * Parágrafos e tabelas de um contêiner (corpo, célula, cabeçalho, nota, caixa de texto)
+   */
+  blocks(container, context) {
+    let html = '';
+
+    for (const node of elements(container)) {
+      switch (node.nodeName) {
+        case 'w:p':
+          html += this.paragraph(node, context);
+          html += context.floating.splice(0).join('');
+          break;
+        case 'w:tbl':
+          html += this.table(node, context);
+          break;
+        case 'w:sdt':
+          html += this.blocks(child(node, 'w:sdtContent'), context);
+          break;
+        case 'w:customXml':
+        case 'w:ins':
+          html += this.blocks(node, context);
+          break;
+        default:
+          break;
+      }
+    }
+
+    return html;
+  }
+
+  paragraph(p, context) {
+    const pPr = child(p, 'w:pPr');
+    const styleId = (pPr && val(pPr, 'w:pStyle')) || context.styles.defaultParagraph;
+    const style = this.styleFormat(styleId, context);
+    const direct = pPr ? this.readParagraphProperties(pPr, {}) : {};
+
+    const numId = direct.numId || style.paragraph.numId;
+    const ilvl = direct.ilvl || style.paragraph.ilvl || '0';
+    const list = numId && numId !== '0' ? this.listLevel(numId, ilvl, context) : null;
+
+    const format = { ...context.styles.defaults.paragraph, ...style.paragraph, ...(list ? list.paragraph : {}), ...direct };
+    const runFormat = { ...context.styles.defaults.run, ...style.run };
+
+    const segments = [];
+    this.inline(elements(p), runFormat, context, segments, null);
+    const content = this.segmentsHtml(segments, context);
+    const text = segments.map(segment => segment.text || '').join('').replace(MISSING_PATTERN, '$1');
+
+    let markerHtml = '';
+    let markerText = '';
+    if (list) {
+      markerText = this.listMarker(numId, ilvl, list, context);
+      // Marcadores de fontes de símbolos já foram convertidos para Unicode
+      const markerFormat = { ...runFormat, ...list.run, ...(list.format === 'bullet' ? { font: runFormat.font } : {}) };
+      const css = [format.hanging ? `min-width: ${pt(format.hanging)}` : '', this.runCss(markerFormat, context.baseRun)].filter(Boolean).join('; ');
+      markerHtml = `<span class="docx-list-marker"${css ? ` style="${escapeHtml(css)}"` : ''}>${escapeHtml(markerText)}</span>`;
+    }
+
+    const heading = /^heading ([1-6])$/.exec(style.name);
+    const tag = heading ? `h${heading[1]}` : (style.name === 'title' ? 'h1' : 'p');
+    const css = this.paragraphCss(format, { marker: !!list, base: context.baseParagraph });
+    const breakHtml = format.pageBreakBefore ? '<span class="docx-page-break"></span>' : '';
+
+    context.paragraphCount++;
+    if (text.trim() || markerText) {
+      context.lines.push(`${markerText ? `${markerText} ` : ''}${text.trim()}`);
+    }
+
+    return `${breakHtml}<${tag}${css ? ` style="${escapeHtml(css)}"` : ''}>${markerHtml}${content || '<br>'}</${tag}>`;
+  }
+
+  /**
+   * Nível de lista do parágrafo (formatação do numbering.xml), ou null
+   */
+  listLevel(numId, ilvl, context) {
+    const num = context.numbering.nums[numId];
+    const levels = num && context.numbering.abstracts[num.abstractId];
+    const level = levels && levels[ilvl];
+    return level ? { ...level, levels, start: num.starts[ilvl] ?? level.start } : null;
+  }
+
+  /**
+   * Texto do marcador ("1.", "a)", "•"), avançando os contadores da lista
+   */
+  listMarker(numId, ilvl, level, context) {
+    const counters = context.counters[numId] || (context.counters[numId] = {});
+    const current = parseInt(ilvl);
+
+    counters[current] = counters[current] === undefined ? level.start : counters[current] + 1;
+    for (const deeper of Object.keys(counters)) {
+      if (parseInt(deeper) > current) {
+        delete counters[deeper];
+      }
+    }
+
+    if (level.format === 'bullet') {
+      return SYMBOL_BULLETS[level.text] || level.text || '•';
+    }
+
+    return level.text.replace(/%(\d)/g, (match, number) => {
+      const index = parseInt(number) - 1;
+      const info = level.levels[index];
+      const value = counters[index] === undefined ? (info ? info.start : 1) : counters[index];
+      return formatNumber(value, info ? info.format : 'decimal');
+    });
+  }
+
+  table(tbl, context) {
+    const tblPr = child(tbl, 'w:tblPr');
+    const style = this.styleFormat(tblPr && val(tblPr, 'w:tblStyle'), context);
+    const bordered = style.bordered || !!(tblPr && child(tblPr, 'w:tblBorders'));
+    const align = tblPr && val(tblPr, 'w:jc');
+
+    const rows = children(tbl, 'w:tr');
+    const grid = rows.map(() => []);   // grid[linha][coluna] = célula que ocupa a posição
+    const cells = rows.map(() => []);
+
+    rows.forEach((row, r) => {
+      let column = 0;
+      for (const tc of children(row, 'w:tc')) {
+        const tcPr = child(tc, 'w:tcPr');
+        const span = parseInt((tcPr && val(tcPr, 'w:gridSpan')) || '1');
+        const vMerge = tcPr && child(tcPr, 'w:vMerge');
+
+        while (grid[r][column]) {
+          column++;
+        }
+
+        if (vMerge && attr(vMerge, 'w:val') !== 'restart' && r > 0 && grid[r - 1][column]) {
+          // Continuação de mesclagem vertical: aumenta o rowspan da célula de cima
+          const above = grid[r - 1][column];
+          above.rowspan++;
+          for (let i = 0; i < span; i++) {
+            grid[r][column + i] = above;
+          }
+        } else {
+          const cell = { tc, tcPr, span, rowspan: 1 };
+          cells[r].push(cell);
+          for (let i = 0; i < span; i++) {
+            grid[r][column + i] = cell;
+          }
+        }
+        column += span;
+      }
+    });
+
+    let html = `<table class="${bordered ? 'docx-bordered' : ''}"${align === 'center' ? ' style="margin-left: auto; margin-right: auto"' : ''}><tbody>`;
+
+    rows.forEach((row, r) => {
+      html += '<tr>';
+      for (const cell of cells[r]) {
+        const css = [];
+        const fill = cell.tcPr && hexColor(attr(child(cell.tcPr, 'w:shd'), 'w:fill'));
+        if (fill) {
+          css.push(`background-color: #${fill}`);
+        }
+        const width = cell.tcPr && child(cell.tcPr, 'w:tcW');
+        if (width && attr(width, 'w:type') === 'dxa') {
+          css.push(`width: ${pt(attr(width, 'w:w'))}`);
+        }
+        const vAlign = cell.tcPr && val(cell.tcPr, 'w:vAlign');
+        if (vAlign === 'center' || vAlign === 'bottom') {
+          css.push(`vertical-align: ${vAlign === 'center' ? 'middle' : 'bottom'}`);
+        }
+
+        html += '<td' +
+          (cell.span > 1 ? ` colspan="${cell.span}"` : '') +
+          (cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : '') +
+          (css.length > 0 ? ` style="${escapeHtml(css.join('; '))}"` : '') +
+          `>${this.blocks(cell.tc, context)}</td>`;
+      }
+      html += '</tr>';
+    });
+
+    return `${html}</tbody></table>`;
+  }
+
+  // ---------- texto ----------
+
+  /**
+   * Percorre o conteúdo do parágrafo e acumula segmentos { text, format, href } ou { html }
+   */
+  inline(nodes, runFormat, context, segments, href) {
+    for (const node of nodes) {
+      switch (node.nodeName) {
+        case 'w:r':
+          this.run(node, runFormat, context, segments, href);
+          break;
+        case 'w:hyperlink': {
+          const rel = context.rels[attr(node, 'r:id')];
+          const anchor = attr(node, 'w:anchor');
+          const target = rel && rel.external ? safeHref(rel.target) : (anchor ? `#${anchor}` : href);
+          this.inline(elements(node), runFormat, context, segments, target);
+          break;
+        }
+        case 'w:sdt':
+          this.inline(elements(child(node, 'w:sdtContent')), runFormat, context, segments, href);
+          break;
+        case 'w:ins':
+        case 'w:smartTag':
+        case 'w:customXml':
+        case 'w:fldSimple':
+          this.inline(elements(node), runFormat, context, segments, href);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  run(r, runFormat, context, segments, href) {
+    const rPr = child(r, 'w:rPr');
+    const characterStyle = rPr && val(rPr, 'w:rStyle');
+    const format = { ...runFormat, ...(characterStyle ? this.styleFormat(characterStyle, context).run : {}) };
+    if (rPr) {
+      this.readRunProperties(rPr, format);
+    }
+
+    if (format.hidden) {
+      return;
+    }
+
+    for (const node of elements(r)) {
+      switch (node.nodeName) {
+        case 'w:t':
+          segments.push({ text: node.textContent, format, href });
+          break;
+        case 'w:tab':
+        case 'w:ptab':
+          segments.push({ html: '<span class="docx-tab"></span>', text: '\t' });
+          break;
+        case 'w:br':
+          segments.push(attr(node, 'w:type') === 'page'
+            ? { html: '<span class="docx-page-break"></span>' }
+            : { html: '<br>', text: '\n' });
+          break;
+        case 'w:cr':
+          segments.push({ html: '<br>', text: '\n' });
+          break;
+        case 'w:noBreakHyphen':
+          segments.push({ text: '‑', format, href });
+          break;
+        case 'w:sym': {
+          const code = parseInt(attr(node, 'w:char') || '', 16);
+          if (code) {
+            const char = String.fromCharCode(code);
+            segments.push({ text: SYMBOL_BULLETS[char] || char, format, href });
+          }
+          break;
+        }
+        case 'w:footnoteReference':
+        case 'w:endnoteReference':
+          segments.push({ html: this.noteReference(node, context) });
+          break;
+        case 'w:drawing':
+        case 'w:pict':
+          this.drawing(node, context, segments);
+          break;
+        case 'mc:AlternateContent':
+          // Versão moderna (mc:Choice); a alternativa (mc:Fallback) é o mesmo conteúdo em VML
+          for (const choice of children(node, 'mc:Choice').slice(0, 1)) {
+            for (const content of elements(choice)) {
+              this.drawing(content, context, segments);
+            }
+          }
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Imagem (data URI) ou caixa de texto (renderizada após o parágrafo)
+   */
+  drawing(node, context, segments) {
+    const textbox = descendant(node, 'w:txbxContent');
+    if (textbox) {
+      context.floating.push(`<div class="docx-textbox">${this.blocks(textbox, context)}</div>`);
+      return;
+    }
+
+    if (!context.images) {
+      return;
+    }
+
+    const blip = descendant(node, 'a:blip') || descendant(node, 'v:imagedata');
+    const rel = blip && context.rels[attr(blip, 'r:embed') || attr(blip, 'r:id')];
+    const file = rel && !rel.external && context.zip.file(rel.target);
+    const type = rel && IMAGE_TYPES[rel.target.split('.').pop().toLowerCase()];
+    if (!file || !type) {
+      return;
+    }
+
+    const extent = descendant(node, 'wp:extent');
+    const size = extent
+      ? ` width="${Math.round(parseInt(attr(extent, 'cx')) / EMU_PER_PX)}" height="${Math.round(parseInt(attr(extent, 'cy')) / EMU_PER_PX)}"`
+      : '';
+    const description = descendant(node, 'wp:docPr');
+    const alt = escapeHtml(attr(description, 'descr') || attr(description, 'name') || '');
+
+    segments.push({ html: `<img src="data:${type};base64,${file.asNodeBuffer().toString('base64')}"${size} alt="${alt}">` });
+  }
+
+  /**
+   * HTML dos segmentos do parágrafo, com as tags {{...}} e as variáveis sem
+   * valor destacadas (mesmo quando a tag está dividida em várias runs)
+   */
+  segmentsHtml(segments, context) {
+    let text = '';
+    for (const segment of segments) {
+      if (segment.format) {
+        segment.start = text.length;
+        text += segment.text;
+      }
+    }
+
+    const ranges = [];
+    for (const match of text.matchAll(MISSING_PATTERN)) {
+      ranges.push({ start: match.index, end: match.index + match[0].length, className: 'docx-missing' });
+      // Nome da variável, sem os filtros ({{valor | moeda}} → valor)
+      context.unfilled.add(match[1].replace(/^\{\{\s*|\s*\}\}$/g, '').split('|')[0].trim());
+    }
+    for (const match of text.matchAll(TAG_PATTERN)) {
+      const inside = ranges.some(range => match.index >= range.start && match.index < range.end);
+      if (!inside) {
+        context.variables.add(match[0]);
+        if (context.highlightVariables) {
+          ranges.push({ start: match.index, end: match.index + match[0].length, className: 'docx-variable' });
+        }
+      }
+    }
+
+    let html = '';
+    for (const segment of segments) {
+      if (!segment.format) {
+        html += segment.html;
+        continue;
+      }
+
+      // Divide o segmento nos limites dos destaques
+      const end = segment.start + segment.text.length;
+      const cuts = new Set([segment.start, end]);
+      for (const range of ranges) {
+        [range.start, range.end].filter(cut => cut > segment.start && cut < end).forEach(cut => cuts.add(cut));
+      }
+      const points = [...cuts].sort((a, b) => a - b);
+
+      for (let i = 0; i < points.length - 1; i++) {
+        const piece = text.slice(points[i], points[i + 1]).replace(/[\ue000\ue001]/g, '');
+        if (!piece) {
+          continue;
+        }
+        const range = ranges.find(candidate => points[i] >= candidate.start && points[i] < candidate.end);
+        let pieceHtml = escapeHtml(piece);
+        if (range) {
+          pieceHtml = `<span class="${range.className}">${pieceHtml}</span>`;
+        }
+        const css = this.runCss(segment.format, context.baseRun);
+        if (css) {
+          pieceHtml = `<span style="${escapeHtml(css)}">${pieceHtml}</span>`;
+        }
+        if (safeHref(segment.href)) {
+          pieceHtml = `<a href="${escapeHtml(segment.href)}">${pieceHtml}</a>`;
+        }
+        html += pieceHtml;
+      }
+    }
+
+    return html;
+  }
+
+  // ---------- cabeçalho, rodapé e notas ----------
+
+  /**
+   * Cabeçalhos (ou rodapés) de todas as seções: primeira página, padrão e
+   * páginas pares, cada parte uma única vez
+   */
+  headerFooter(sections, referenceName, className, context) {
+    const order = { first: 0, default: 1, even: 2 };
+    const references = sections
+      .flatMap(section => children(section, referenceName))
+      .sort((a, b) => (order[attr(a, 'w:type')] ?? 1) - (order[attr(b, 'w:type')] ?? 1));
+
+    const rels = context.rels;
+    const rendered = new Set();
+    let html = '';
+
+    for (const reference of references) {
+      const rel = rels[attr(reference, 'r:id')];
+      const xml = rel && !rendered.has(rel.target) && this.loadXml(context.zip, rel.target);
+      if (!xml) {
+        continue;
+      }
+      rendered.add(rel.target);
+
+      context.rels = this.loadRels(context.zip, rel.target);
+      html += `<div class="${className}" data-type="${escapeHtml(attr(reference, 'w:type') || 'default')}">${this.blocks(xml.documentElement, context)}</div>`;
+      context.rels = rels;
+    }
+
+    return html;
+  }
+
+  noteReference(node, context) {
+    const kind = node.nodeName === 'w:footnoteReference' ? 'footnote' : 'endnote';
+    context.notes.push({ kind, id: attr(node, 'w:id') });
+    const number = context.notes.length;
+    return `<sup><a href="#docx-note-${number}" id="docx-note-ref-${number}">${number}</a></sup>`;
+  }
+
+  notes(context) {
+    if (context.notes.length === 0) {
+      return '';
+    }
+
+    const parts = {
+      footnote: { path: 'word/footnotes.xml', tag: 'w:footnote' },
+      endnote: { path: 'word/endnotes.xml', tag: 'w:endnote' }
+    };
+    const rels = context.rels;
+    let html = '';
+
+    // Notas referenciadas dentro de notas entram na mesma lista
+    for (let index = 0; index < context.notes.length; index++) {
+      const note = context.notes[index];
+      const part = parts[note.kind];
+      part.xml = part.xml === undefined ? this.loadXml(context.zip, part.path) : part.xml;
+      const element = part.xml && Array.from(part.xml.getElementsByTagName(part.tag)).find(candidate => attr(candidate, 'w:id') === note.id);
+      if (!element) {
+        continue;
+      }
+      context.rels = this.loadRels(context.zip, part.path);
+      html += `<li id="docx-note-${index + 1}">${this.blocks(element, context)}</li>`;
+    }
+
+    context.rels = rels;
+    return `<div class="docx-notes"><ol>${html}</ol></div>`;
+  }
+}
+
+module.exports = DocxHtmlRenderer;
+module.exports.PreviewError = PreviewError;
+module.exports.missingValue = missingValue;
+module.exports.MISSING_START = MISSING_START;
+module.exports.MISSING_END = MISSING_END;
@@ -0,0 +1,227 @@
+// services/Extenso.js
+// Números por extenso em português do Brasil.
+//   cardinal(1250)                      → "mil duzentos e cinquenta"
+//   cardinal(202, { feminine: true })   → "duzentas e duas"
+//   decimal(12.5)                       → "doze inteiros e cinco décimos"
+//   ordinal(21, { feminine: true })     → "vigésima primeira"
+//   currency(5000)                      → "cinco mil reais"
+//   currency(1000000)                   → "um milhão de reais"
+//   percent(12.5)                       → "doze inteiros e cinco décimos por cento"
+
+const UNITS = [
+  'zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove',
+  'dez', 'onze', 'doze', 'treze', 'quatorze', 'quinze', 'dezesseis', 'dezessete', 'dezoito', 'dezenove'
+];
+const TENS = ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'];
+const HUNDREDS = ['', 'cento', 'duzentos', 'trezentos', 'quatrocentos', 'quinhentos', 'seiscentos', 'setecentos', 'oitocentos', 'novecentos'];
+
+// Ordinais
+const ORDINAL_UNITS = ['', 'primeiro', 'segundo', 'terceiro', 'quarto', 'quinto', 'sexto', 'sétimo', 'oitavo', 'nono'];
+const ORDINAL_TENS = ['', 'décimo', 'vigésimo', 'trigésimo', 'quadragésimo', 'quinquagésimo', 'sexagésimo', 'septuagésimo', 'octogésimo', 'nonagésimo'];
+const ORDINAL_HUNDREDS = ['', 'centésimo', 'ducentésimo', 'trecentésimo', 'quadringentésimo', 'quingentésimo', 'sexcentésimo', 'septingentésimo', 'octingentésimo', 'nongentésimo'];
+
+// Frações decimais: 1, 2 ou 3 casas
+const FRACTIONS = [null, ['décimo', 'décimos'], ['centésimo', 'centésimos'], ['milésimo', 'milésimos']];
+
+// [singular, plural] de cada grupo de três dígitos
+const SCALES = [
+  null,
+  ['mil', 'mil'],
+  ['milhão', 'milhões'],
+  ['bilhão', 'bilhões'],
+  ['trilhão', 'trilhões']
+];
+
+const MAX_VALUE = 999999999999999;
+const MAX_ORDINAL = 999999;
+const MAX_DECIMALS = 3;
+
+// Forma feminina de um número até 999: "uma", "duas", "duzentas"...
+const toFeminine = words => words
+  .replace(/\bum\b/g, 'uma')
+  .replace(/\bdois\b/g, 'duas')
+  .replace(/entos\b/g, 'entas');
+
+class Extenso {
+  /**
+   * Número de 0 a 999 por extenso
+   */
+  belowThousand(number) {
+    if (number === 100) {
+      return 'cem';
+    }
+
+    const parts = [];
+    const hundreds = Math.floor(number / 100);
+    const rest = number % 100;
+
+    if (hundreds > 0) {
+      parts.push(HUNDREDS[hundreds]);
+    }
+
+    if (rest > 0 && rest < 20) {
+      parts.push(UNITS[rest]);
+    } else if (rest > 0) {
+      const units = rest % 10;
+      parts.push(units > 0 ? `${TENS[Math.floor(rest / 10)]} e ${UNITS[units]}` : TENS[Math.floor(rest / 10)]);
+    }
+
+    return parts.join(' e ');
+  }
+
+  /**
+   * Número inteiro por extenso (até 999 trilhões).
+   * Com feminine, concorda com substantivo feminino ("duas mil e uma páginas");
+   * milhão, bilhão e trilhão continuam masculinos ("dois milhões de cotas").
+   */
+  cardinal(value, { feminine = false } = {}) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || Math.abs(number) > MAX_VALUE) {
+      throw new RangeError(`Cannot spell out ${value}: expected an integer up to ${MAX_VALUE}`);
+    }
+
+    if (number === 0) {
+      return UNITS[0];
+    }
+    if (number < 0) {
+      return `menos ${this.cardinal(-number, { feminine })}`;
+    }
+
+    // Grupos de três dígitos, do menos para o mais significativo
+    const groups = [];
+    for (let rest = number; rest > 0; rest = Math.floor(rest / 1000)) {
+      groups.push(rest % 1000);
+    }
+
+    const lastGroup = groups.findIndex(group => group > 0);
+    let text = '';
+
+    for (let index = groups.length - 1; index >= 0; index--) {
+      const group = groups[index];
+      if (group === 0) {
+        continue;
+      }
+
+      let words;
+      const groupWords = feminine && index < 2 ? toFeminine(this.belowThousand(group)) : this.belowThousand(group);
+      if (index === 0) {
+        words = groupWords;
+      } else if (index === 1) {
+        words = group === 1 ? 'mil' : `${groupWords} mil`;
+      } else {
+        words = `${this.belowThousand(group)} ${SCALES[index][group === 1 ? 0 : 1]}`;
+      }
+
+      if (text) {
+        // "mil e duzentos", "um milhão e cinco", mas "mil duzentos e cinquenta"
+        const joiner = index === lastGroup && (group < 100 || group % 100 === 0) ? ' e ' : ' ';
+        text += joiner + words;
+      } else {
+        text = words;
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Número com casas decimais por extenso (até 3 casas, arredondado):
+   * 12.5 → "doze inteiros e cinco décimos", 0.25 → "vinte e cinco centésimos"
+   */
+  decimal(value, { feminine = false } = {}) {
+    const number = Number(value);
+    if (!isFinite(number)) {
+      throw new RangeError(`Cannot spell out ${value}: expected a number`);
+    }
+
+    const [integerText, fractionText = ''] = Math.abs(number).toFixed(MAX_DECIMALS).split('.');
+    const integer = parseInt(integerText);
+    const digits = fractionText.replace(/0+$/, '');
+    const sign = number < 0 && (integer > 0 || digits) ? 'menos ' : '';
+
+    if (!digits) {
+      return sign + this.cardinal(integer, { feminine });
+    }
+
+    const fraction = parseInt(digits);
+    const parts = [];
+
+    if (integer > 0) {
+      parts.push(`${this.cardinal(integer)} ${integer === 1 ? 'inteiro' : 'inteiros'}`);
+    }
+    parts.push(`${this.cardinal(fraction)} ${FRACTIONS[digits.length][fraction === 1 ? 0 : 1]}`);
+
+    return sign + parts.join(' e ');
+  }
+
+  /**
+   * Ordinal de 1 a 999.999: 1 → "primeiro", 21 → "vigésimo primeiro", 1001 → "milésimo primeiro"
+   */
+  ordinal(value, { feminine = false } = {}) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > MAX_ORDINAL) {
+      throw new RangeError(`Cannot spell out ordinal ${value}: expected an integer from 1 to ${MAX_ORDINAL}`);
+    }
+
+    // Todos os ordinais terminam em "o": no feminino, "primeira", "vigésima"...
+    const inflect = word => (feminine ? word.replace(/o$/, 'a') : word);
+    const words = [];
+    const thousands = Math.floor(number / 1000);
+    const rest = number % 1000;
+
+    if (thousands > 0) {
+      // O multiplicador fica no cardinal: 2000º → "dois milésimo"
+      words.push(thousands === 1 ? inflect('milésimo') : `${this.cardinal(thousands)} ${inflect('milésimo')}`);
+    }
+
+    const hundreds = Math.floor(rest / 100);
+    const tens = Math.floor((rest % 100) / 10);
+    const units = rest % 10;
+
+    if (hundreds > 0) words.push(inflect(ORDINAL_HUNDREDS[hundreds]));
+    if (tens > 0) words.push(inflect(ORDINAL_TENS[tens]));
+    if (units > 0) words.push(inflect(ORDINAL_UNITS[units]));
+
+    return words.join(' ');
+  }
+
+  /**
+   * Percentual por extenso: 5 → "cinco por cento", 12.5 → "doze inteiros e cinco décimos por cento"
+   */
+  percent(value) {
+    return `${this.decimal(value)} por cento`;
+  }
+
+  /**
+   * Valor monetário em reais por extenso, com centavos
+   */
+  currency(value) {
+    const number = Number(value);
+    if (!isFinite(number)) {
+      throw new RangeError(`Cannot spell out ${value}: expected a number`);
+    }
+
+    const cents = Math.round(Math.abs(number) * 100);
+    const reais = Math.floor(cents / 100);
+    const centavos = cents % 100;
+    const parts = [];
+
+    if (reais > 0 || centavos === 0) {
+      const words = this.cardinal(reais);
+      // "um milhão de reais", "dois bilhões de reais"
+      const preposition = reais >= 1000000 && reais % 1000000 === 0 ? 'de ' : '';
+      parts.push(`${words} ${preposition}${reais === 1 ? 'real' : 'reais'}`);
+    }
+
+    if (centavos > 0) {
+      parts.push(`${this.cardinal(centavos)} ${centavos === 1 ? 'centavo' : 'centavos'}`);
+    }
+
+    const text = parts.join(' e ');
+    return number < 0 && cents > 0 ? `menos ${text}` : text;
+  }
+}
+
+module.exports = Extenso;
+module.exports.MAX_VALUE = MAX_VALUE;
+module.exports.MAX_ORDINAL = MAX_ORDINAL;
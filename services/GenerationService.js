@@ -0,0 +1,820 @@
+// services/GenerationService.js
+// Geração de documentos a partir de template do catálogo ou URL.
+// Usado pela rota síncrona /api/documents/generate e pelos jobs assíncronos.
+
+const Docxtemplater = require('docxtemplater');
+const PizZip = require('pizzip');
+const axios = require('axios');
+const VariableSchema = require('./VariableSchema');
+const { createTemplateOptions } = require('./TemplateInspector');
+const { collectAssetIds } = require('./ImageModule');
+const { ClauseError } = require('./ClauseLibrary');
+const { PdfError } = require('./PdfToolkit');
+const { missingValue } = require('./DocxHtmlRenderer');
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DEFAULT_FILENAME_PATTERN = 'documento_{{_index}}';
+
+// Saídas de um kit: ZIP com um arquivo por template ou um único PDF
+const KIT_OUTPUTS = ['zip', 'pdf'];
+
+/**
+ * Erro de geração com status HTTP sugerido para a resposta
+ */
+class GenerationError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'GenerationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class GenerationService {
+  /**
+   * @param {object} options
+   * @param {object} options.templateCatalog - instância de TemplateCatalog
+   * @param {object} options.pdfConverter - registro de services/pdf
+   * @param {function} options.isValidTemplateUrl - validação de URLs externas de template
+   * @param {number} [options.maxBatchRecords] - limite de registros por lote (mala direta)
+   * @param {object} [options.documentArchive] - instância de DocumentArchive (arquiva cada documento gerado)
+   * @param {object} [options.courtCalendars] - instância de CourtCalendars (calendários usados pelo filtro "prazo")
+   * @param {object} [options.tenantAssets] - instância de TenantAssets (imagens "asset:ID" das tags {{%imagem}})
+   * @param {object} [options.clauseLibrary] - instância de ClauseLibrary (cláusulas incluídas com {{> id}})
+   * @param {object} [options.pdfToolkit] - instância de PdfToolkit (pós-processamento do PDF: anexos, junção, divisão)
+   */
+  constructor({ templateCatalog, pdfConverter, isValidTemplateUrl, maxBatchRecords = 500, documentArchive = null, courtCalendars = null, tenantAssets = null, clauseLibrary = null, pdfToolkit = null }) {
+    this.templateCatalog = templateCatalog;
+    this.pdfConverter = pdfConverter;
+    this.isValidTemplateUrl = isValidTemplateUrl;
+    this.maxBatchRecords = maxBatchRecords;
+    this.documentArchive = documentArchive;
+    this.courtCalendars = courtCalendars;
+    this.tenantAssets = tenantAssets;
+    this.clauseLibrary = clauseLibrary;
+    this.pdfToolkit = pdfToolkit;
+  }
+
+  /**
+   * Valida os parâmetros de geração (mesmas regras da rota síncrona)
+   */
+  validate({ templateUrl, templateId, data, outputFormat = 'docx', pdfProcessing }) {
+    // Aceitar templateId OU templateUrl para compatibilidade
+    const hasTemplateId = templateId && !templateUrl;
+    const hasTemplateUrl = templateUrl && !templateId;
+
+    if (!data || (!hasTemplateId && !hasTemplateUrl)) {
+      throw new GenerationError(400, 'Data and (templateId or templateUrl) are required');
+    }
+
+    if (hasTemplateUrl && !this.isValidTemplateUrl(templateUrl)) {
+      throw new GenerationError(400, 'Invalid template URL');
+    }
+
+    if (pdfProcessing) {
+      if (typeof pdfProcessing !== 'object' || Array.isArray(pdfProcessing)) {
+        throw new GenerationError(400, 'pdfProcessing must be an object');
+      }
+      if (outputFormat !== 'pdf' && outputFormat !== 'both') {
+        throw new GenerationError(400, 'pdfProcessing requires outputFormat "pdf" or "both"');
+      }
+      if (!this.pdfToolkit) {
+        throw new GenerationError(501, 'PDF processing not available');
+      }
+    }
+  }
+
+  /**
+   * Carrega o template (catálogo ou URL), com as cláusulas {{> id}} já incluídas,
+   * e retorna { buffer, name, version, schema, clauses }
+   */
+  async loadTemplate(tenantId, { templateUrl, templateId, version }) {
+    if (templateId) {
+      const entry = await this.templateCatalog.get(tenantId, templateId);
+
+      if (entry && entry.deletedAt) {
+        throw new GenerationError(410, 'Template has been deleted', {
+          templateId: entry.id,
+          deletedAt: entry.deletedAt,
+          purgeAt: this.templateCatalog.purgeDate(entry).toISOString()
+        });
+      }
+
+      const template = await this.templateCatalog.getTemplate(tenantId, templateId, version);
+
+      if (!template) {
+        throw new GenerationError(404, version ? `Template version ${version} not found` : 'Template not found');
+      }
+
+      return await this.expandClauses(tenantId, {
+        buffer: template.buffer,
+        name: template.name || 'document',
+        version: template.version,
+        schema: template.schema ? new VariableSchema(template.schema) : null
+      });
+    }
+
+    // Baixar template da URL (compatibilidade antiga)
+    console.log(`📥 Tenant ${tenantId}: Baixando template de URL`);
+
+    const response = await axios.get(templateUrl, {
+      responseType: 'arraybuffer',
+      timeout: 10000,
+      maxContentLength: 10 * 1024 * 1024
+    });
+
+    return await this.expandClauses(tenantId, { buffer: response.data, name: 'document', version: null, schema: null });
+  }
+
+  /**
+   * Inclui no template o conteúdo atual das cláusulas da biblioteca do tenant
+   */
+  async expandClauses(tenantId, template) {
+    if (!this.clauseLibrary) {
+      return { ...template, clauses: [] };
+    }
+
+    let expansion;
+    try {
+      expansion = await this.clauseLibrary.expand(tenantId, template.buffer);
+    } catch (error) {
+      if (error instanceof ClauseError) {
+        throw new GenerationError(422, error.message);
+      }
+      throw error;
+    }
+
+    if (expansion.missing.length > 0) {
+      throw new GenerationError(422, 'Clauses not found', { missingClauses: expansion.missing });
+    }
+
+    return { ...template, buffer: expansion.buffer, clauses: expansion.included };
+  }
+
+  /**
+   * Valida os dados contra o esquema do template (se houver) e aplica os valores padrão.
+   * Lança 422 com todos os erros de campo encontrados.
+   */
+  applySchema(template, data) {
+    if (!template.schema) {
+      return data;
+    }
+
+    const { data: validated, errors } = template.schema.validate(data);
+
+    if (errors.length > 0) {
+      throw new GenerationError(422, 'Data does not match the template variable schema', {
+        templateVersion: template.version,
+        fieldErrors: errors
+      });
+    }
+
+    return validated;
+  }
+
+  /**
+   * Contexto da renderização: calendários de tribunal do tenant e as imagens
+   * "asset:ID" referenciadas nos dados. Retorna também os assets não encontrados.
+   */
+  async renderContext(tenantId, data = {}) {
+    const assetIds = collectAssetIds(data);
+    const { assets, missing } = this.tenantAssets && assetIds.length > 0
+      ? await this.tenantAssets.resolve(tenantId, assetIds)
+      : { assets: {}, missing: assetIds };
+
+    return {
+      calendars: this.courtCalendars ? await this.courtCalendars.list(tenantId) : [],
+      assets: assets,
+      missingAssets: missing
+    };
+  }
+
+  /**
+   * Lança 422 se alguma imagem "asset:ID" dos dados não existir no tenant
+   */
+  requireAssets(context) {
+    if (context.missingAssets.length > 0) {
+      throw new GenerationError(422, 'Image assets not found', { missingAssets: context.missingAssets });
+    }
+    return context;
+  }
+
+  /**
+   * Preenche o template com os dados e retorna o DOCX gerado.
+   * options são repassadas ao docxtemplater (ex.: nullGetter da prévia).
+   */
+  render(templateBuffer, data, context = {}, options = {}) {
+    const zip = new PizZip(templateBuffer);
+    let doc;
+
+    try {
+      doc = new Docxtemplater(zip, { ...createTemplateOptions(context), ...options });
+      doc.render(JSON.parse(JSON.stringify(data)));
+    } catch (error) {
+      // Tags malformadas, filtros desconhecidos, valores que um filtro não aceita ou imagens inválidas
+      if (error.properties && error.properties.errors) {
+        throw new GenerationError(422, this.describeError(error));
+      }
+      throw error;
+    }
+
+    return doc.getZip().generate({
+      type: 'nodebuffer',
+      compression: 'DEFLATE'
+    });
+  }
+
+  /**
+   * Mensagem legível para erros do docxtemplater
+   */
+  describeError(error) {
+    if (error.properties && error.properties.errors) {
+      return error.properties.errors.map(e => {
+        if (e.properties && e.properties.explanation) {
+          // Erros de filtro: a causa está no erro original do parser
+          const cause = e.properties.rootError ? `: ${e.properties.rootError.message}` : '';
+          return `${e.properties.explanation}${cause}`;
+        }
+        return e.message;
+      }).join(', ');
+    }
+    return error.message;
+  }
+
+  /**
+   * Nome ainda não usado no ZIP/lote: repetidos recebem sufixo _2, _3... até ficarem
+   * únicos (um registro chamado "contrato_2" não colide com o segundo "contrato").
+   * usedNames é um Set com os nomes já usados, em minúsculas.
+   */
+  uniqueFilename(baseName, usedNames) {
+    let name = baseName;
+    for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+      name = `${baseName}_${suffix}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+  }
+
+  /**
+   * Monta o nome de arquivo de um registro a partir do padrão (ex.: "{{nome}}_notificacao").
+   * {{_index}} é o número da linha (1, 2, ...). Campos aninhados usam ponto: {{cliente.nome}}.
+   */
+  buildFilename(pattern, record, index) {
+    const name = (pattern || DEFAULT_FILENAME_PATTERN).replace(/\{\{\s*([^}]+?)\s*\}\}/g, (match, field) => {
+      if (field === '_index') {
+        return String(index + 1);
+      }
+      const value = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), record);
+      return value == null ? '' : String(value);
+    });
+
+    // Remover caracteres inválidos em nomes de arquivo e extensão informada por engano
+    const sanitized = name
+      .replace(/\.(docx|pdf)$/i, '')
+      .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, 150);
+
+    return sanitized || `documento_${index + 1}`;
+  }
+
+  /**
+   * Confere os dados contra o esquema do template sem gerar o documento
+   * (usado antes de agendar um job, para devolver o 422 na própria requisição)
+   */
+  async checkData(tenantId, params) {
+    this.validate(params);
+    const template = await this.loadTemplate(tenantId, params);
+    const data = this.applySchema(template, params.data);
+    this.requireAssets(await this.renderContext(tenantId, data));
+  }
+
+  isDocx(buffer) {
+    try {
+      return !!new PizZip(buffer).file('word/document.xml');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * DOCX para a prévia: o template (com as cláusulas incluídas) ou, com dados,
+   * o documento preenchido sem bloquear em erros de esquema. Variáveis sem
+   * valor saem marcadas para o DocxHtmlRenderer destacar.
+   *
+   * @returns {Promise<object>} { buffer, templateName, templateVersion, fieldErrors }
+   */
+  async preview(tenantId, { templateUrl, templateId, templateBuffer, version, data }) {
+    if (!templateBuffer && !templateId && !templateUrl) {
+      throw new GenerationError(400, 'templateId, templateUrl or a template file is required');
+    }
+
+    if (templateUrl && !templateId && !this.isValidTemplateUrl(templateUrl)) {
+      throw new GenerationError(400, 'Invalid template URL');
+    }
+
+    if (data !== undefined && data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+      throw new GenerationError(400, 'data must be an object');
+    }
+
+    if (templateBuffer && !this.isDocx(templateBuffer)) {
+      throw new GenerationError(422, 'File is not a valid DOCX document');
+    }
+
+    const template = templateBuffer
+      ? await this.expandClauses(tenantId, { buffer: templateBuffer, name: 'document', version: null, schema: null })
+      : await this.loadTemplate(tenantId, { templateUrl, templateId, version });
+
+    const result = {
+      buffer: template.buffer,
+      templateName: template.name,
+      templateVersion: template.version,
+      fieldErrors: []
+    };
+
+    if (!data) {
+      return result;
+    }
+
+    // Erros de esquema viram avisos: a prévia mostra o que já dá para preencher
+    let previewData = data;
+    if (template.schema) {
+      const { data: validated, errors } = template.schema.validate(data);
+      previewData = errors.length > 0 ? data : validated;
+      result.fieldErrors = errors;
+    }
+
+    const context = await this.renderContext(tenantId, previewData);
+    result.buffer = this.render(template.buffer, previewData, context, { nullGetter: missingValue });
+
+    return result;
+  }
+
+  /**
+   * Aplica o pós-processamento pedido em "pdfProcessing" ao PDF gerado
+   * (documentos antes/depois, anexos com folha de rosto, divisão em partes)
+   */
+  async processPdf(tenantId, pdfBuffer, filename, pdfProcessing) {
+    try {
+      return await this.pdfToolkit.process(tenantId, { name: `${filename}.pdf`, buffer: pdfBuffer }, pdfProcessing);
+    } catch (error) {
+      if (error instanceof PdfError) {
+        throw new GenerationError(error.status, error.message, error.details);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Arquiva os arquivos gerados (DOCX e/ou PDF) e retorna o registro do documento,
+   * ou null se o arquivo de documentos não estiver habilitado
+   */
+  async archive(tenantId, { baseName, docxBuffer, pdfBuffer, pdfEngine, outputFormat, template, templateId, requestedBy, source, metadata }) {
+    if (!this.documentArchive) {
+      return null;
+    }
+
+    const files = [];
+
+    if (outputFormat !== 'pdf' || !pdfBuffer) {
+      files.push({ format: 'docx', filename: `${baseName}.docx`, contentType: DOCX_CONTENT_TYPE, buffer: docxBuffer });
+    }
+
+    if (pdfBuffer) {
+      files.push({ format: 'pdf', filename: `${baseName}.pdf`, contentType: 'application/pdf', buffer: pdfBuffer, engine: pdfEngine });
+    }
+
+    return await this.documentArchive.store(tenantId, {
+      files: files,
+      templateId: templateId || null,
+      templateName: template.name,
+      templateVersion: template.version,
+      requestedBy: requestedBy,
+      source: source,
+      metadata: metadata
+    });
+  }
+
+  /**
+   * Valida os parâmetros de um lote de mala direta
+   */
+  validateBatch({ templateUrl, templateId, records }) {
+    this.validate({ templateUrl, templateId, data: {} });
+
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new GenerationError(400, 'records must be a non-empty array of data objects');
+    }
+
+    if (records.length > this.maxBatchRecords) {
+      throw new GenerationError(413, `Batch too large: maximum of ${this.maxBatchRecords} records`);
+    }
+  }
+
+  /**
+   * Mala direta: um template, vários registros. Retorna um ZIP com um arquivo
+   * por registro e um manifest.json com o resultado de cada linha.
+   *
+   * @param {string} tenantId
+   * @param {object} params - { templateUrl, templateId, version, records, filenamePattern, outputFormat, confidential }
+   * @param {object} [hooks]
+   * @param {function} [hooks.onProgress] - chamado com (percentual, etapa)
+   * @param {string} [hooks.requestedBy] - quem pediu a geração (registrado no arquivo de documentos)
+   * @returns {Promise<object>} { zipBuffer, manifest, summary, templateId, templateName, templateVersion }
+   */
+  async generateBatch(tenantId, params, { onProgress = () => {}, requestedBy = null } = {}) {
+    const { templateId, records, filenamePattern, outputFormat = 'docx', confidential = false } = params;
+
+    this.validateBatch(params);
+
+    onProgress(5, 'loading_template');
+    const template = await this.loadTemplate(tenantId, params);
+    // Assets de todos os registros; um asset inexistente falha apenas as linhas que o usam
+    const context = await this.renderContext(tenantId, records);
+
+    console.log(`📚 Tenant ${tenantId}: Mala direta com ${records.length} registros (template ${templateId || 'via URL'})`);
+
+    const zip = new PizZip();
+    const manifest = [];
+    const usedNames = new Set();
+    const wantsPdf = outputFormat === 'pdf' || outputFormat === 'both';
+
+    for (let index = 0; index < records.length; index++) {
+      const record = records[index];
+      const entry = { row: index + 1, status: 'success', files: [] };
+
+      try {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          throw new Error('Record must be an object');
+        }
+
+        const baseName = this.uniqueFilename(this.buildFilename(filenamePattern, record, index), usedNames);
+
+        const docxBuffer = this.render(template.buffer, this.applySchema(template, record), context);
+        let pdfBuffer = null;
+
+        if (wantsPdf) {
+          const pdfResult = await this.pdfConverter.convert(docxBuffer, {
+            filename: `${baseName}.docx`,
+            confidential: confidential === true
+          });
+          pdfBuffer = pdfResult.buffer;
+          entry.pdfEngine = pdfResult.engine;
+
+          if (!pdfBuffer) {
+            entry.warning = 'PDF conversion not available, returning DOCX format';
+          }
+        }
+
+        if (outputFormat !== 'pdf' || !pdfBuffer) {
+          zip.file(`${baseName}.docx`, docxBuffer);
+          entry.files.push(`${baseName}.docx`);
+        }
+
+        if (pdfBuffer) {
+          zip.file(`${baseName}.pdf`, pdfBuffer);
+          entry.files.push(`${baseName}.pdf`);
+        }
+
+        const document = await this.archive(tenantId, {
+          baseName, docxBuffer, pdfBuffer, outputFormat, template, templateId, requestedBy,
+          pdfEngine: entry.pdfEngine,
+          source: 'batch',
+          metadata: { row: index + 1 }
+        });
+        if (document) {
+          entry.documentId = document.id;
+        }
+
+      } catch (error) {
+        entry.status = 'error';
+        entry.error = this.describeError(error);
+        if (error.details && error.details.fieldErrors) {
+          entry.fieldErrors = error.details.fieldErrors;
+        }
+        delete entry.files;
+      }
+
+      manifest.push(entry);
+      onProgress(10 + Math.floor(((index + 1) / records.length) * 80), 'rendering');
+    }
+
+    const summary = {
+      total: records.length,
+      succeeded: manifest.filter(m => m.status === 'success').length,
+      failed: manifest.filter(m => m.status === 'error').length
+    };
+
+    zip.file('manifest.json', JSON.stringify({
+      templateId: templateId || null,
+      templateVersion: template.version,
+      generatedAt: new Date().toISOString(),
+      summary: summary,
+      rows: manifest
+    }, null, 2));
+
+    const zipBuffer = zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    console.log(`✅ Mala direta concluída: ${summary.succeeded}/${summary.total} documentos (${(zipBuffer.length / 1024).toFixed(2)} KB)`);
+
+    return {
+      zipBuffer: zipBuffer,
+      manifest: manifest,
+      summary: summary,
+      templateId: templateId || null,
+      templateName: template.name,
+      templateVersion: template.version
+    };
+  }
+
+  /**
+   * Valida os parâmetros de geração de um kit
+   */
+  validateKit({ data, output = 'zip', outputFormat = 'docx' }) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new GenerationError(400, 'data must be an object');
+    }
+
+    if (!KIT_OUTPUTS.includes(output)) {
+      throw new GenerationError(400, `output must be one of: ${KIT_OUTPUTS.join(', ')}`);
+    }
+
+    if (output === 'zip' && !['docx', 'pdf', 'both'].includes(outputFormat)) {
+      throw new GenerationError(400, 'outputFormat must be one of: docx, pdf, both');
+    }
+
+    if (output === 'pdf' && !this.pdfToolkit) {
+      throw new GenerationError(501, 'PDF merging not available');
+    }
+  }
+
+  /**
+   * Dados de um template do kit: padrões do kit < padrões do template < dados da requisição
+   */
+  kitData(kit, entry, data) {
+    return { ...kit.defaults, ...entry.data, ...data };
+  }
+
+  /**
+   * Carrega os templates do kit e valida os dados contra os esquemas de todos
+   * eles de uma vez: um único 422 lista os campos faltando em qualquer template.
+   * Retorna [{ entry, template, data }] na ordem do kit.
+   */
+  async prepareKit(tenantId, kit, data) {
+    const prepared = [];
+    const missingTemplates = [];
+
+    for (const entry of kit.templates) {
+      try {
+        const template = await this.loadTemplate(tenantId, { templateId: entry.templateId, version: entry.version });
+        prepared.push({ entry, template, data: this.kitData(kit, entry, data) });
+      } catch (error) {
+        if (!(error instanceof GenerationError) || (error.status !== 404 && error.status !== 410)) {
+          throw error;
+        }
+        missingTemplates.push({ templateId: entry.templateId, version: entry.version, error: error.message });
+      }
+    }
+
+    if (missingTemplates.length > 0) {
+      throw new GenerationError(422, 'Kit templates not found', { kitId: kit.id, missingTemplates });
+    }
+
+    // Mesmo campo exigido por vários templates aparece uma vez, com a lista de templates
+    const fieldErrors = new Map();
+
+    for (const document of prepared) {
+      if (!document.template.schema) {
+        continue;
+      }
+
+      const { data: validated, errors } = document.template.schema.validate(document.data);
+      document.data = validated;
+
+      for (const error of errors) {
+        const key = `${error.field}\u0000${error.message}`;
+        if (!fieldErrors.has(key)) {
+          fieldErrors.set(key, { ...error, templates: [] });
+        }
+        fieldErrors.get(key).templates.push(document.entry.templateId);
+      }
+    }
+
+    if (fieldErrors.size > 0) {
+      throw new GenerationError(422, 'Data does not match the variable schemas of the kit templates', {
+        kitId: kit.id,
+        fieldErrors: [...fieldErrors.values()]
+      });
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Gera todos os templates de um kit com os mesmos dados. Retorna um ZIP com
+   * um arquivo por template (output "zip") ou um único PDF com todos, na
+   * ordem do kit (output "pdf").
+   *
+   * @param {string} tenantId
+   * @param {object} kit - definição salva em DocumentKits
+   * @param {object} params - { data, output, outputFormat, confidential }
+   * @param {object} [hooks]
+   * @param {function} [hooks.onProgress] - chamado com (percentual, etapa)
+   * @param {string} [hooks.requestedBy] - quem pediu a geração (registrado no arquivo de documentos)
+   * @returns {Promise<object>} { zipBuffer, pdfBuffer, pages, filename, documents, kitId, kitName }
+   */
+  async generateKit(tenantId, kit, params, { onProgress = () => {}, requestedBy = null } = {}) {
+    const { data, output = 'zip', outputFormat = 'docx', confidential = false } = params;
+
+    this.validateKit(params);
+
+    onProgress(5, 'loading_templates');
+    const prepared = await this.prepareKit(tenantId, kit, data);
+    const context = this.requireAssets(await this.renderContext(tenantId, prepared.map(document => document.data)));
+
+    console.log(`🧰 Tenant ${tenantId}: Gerando kit ${kit.id} (${prepared.length} templates, saída ${output})`);
+
+    const fileFormat = output === 'pdf' ? 'pdf' : outputFormat;
+    const wantsPdf = fileFormat === 'pdf' || fileFormat === 'both';
+    const zip = output === 'zip' ? new PizZip() : null;
+    const pdfFiles = [];
+    const documents = [];
+    const usedNames = new Set();
+
+    for (const [index, { entry, template, data: documentData }] of prepared.entries()) {
+      const baseName = this.uniqueFilename(this.buildFilename(entry.filename || template.name, documentData, index), usedNames);
+
+      const docxBuffer = this.render(template.buffer, documentData, context);
+      const result = {
+        templateId: entry.templateId,
+        templateName: template.name,
+        templateVersion: template.version,
+        filename: baseName
+      };
+      let pdfBuffer = null;
+
+      if (wantsPdf) {
+        const pdfResult = await this.pdfConverter.convert(docxBuffer, {
+          filename: `${baseName}.docx`,
+          confidential: confidential === true
+        });
+        pdfBuffer = pdfResult.buffer;
+        result.pdfEngine = pdfResult.engine;
+
+        if (!pdfBuffer && output === 'pdf') {
+          throw new GenerationError(503, 'PDF conversion not available', {
+            templateId: entry.templateId,
+            pdfAttempts: pdfResult.attempts
+          });
+        }
+
+        if (!pdfBuffer) {
+          result.warning = 'PDF conversion not available, returning DOCX format';
+        }
+      }
+
+      if (zip) {
+        result.files = [];
+        if (fileFormat !== 'pdf' || !pdfBuffer) {
+          zip.file(`${baseName}.docx`, docxBuffer);
+          result.files.push(`${baseName}.docx`);
+        }
+        if (pdfBuffer) {
+          zip.file(`${baseName}.pdf`, pdfBuffer);
+          result.files.push(`${baseName}.pdf`);
+        }
+      } else {
+        pdfFiles.push({ name: `${baseName}.pdf`, buffer: pdfBuffer });
+      }
+
+      const document = await this.archive(tenantId, {
+        baseName, docxBuffer, pdfBuffer, template, requestedBy,
+        outputFormat: fileFormat,
+        pdfEngine: result.pdfEngine,
+        templateId: entry.templateId,
+        source: 'kit',
+        metadata: { kitId: kit.id, position: index + 1 }
+      });
+      result.documentId = document ? document.id : null;
+
+      documents.push(result);
+      onProgress(10 + Math.floor(((index + 1) / prepared.length) * 75), 'rendering');
+    }
+
+    const filename = this.buildFilename(kit.name, data, 0);
+
+    if (zip) {
+      const zipBuffer = zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+      console.log(`✅ Kit ${kit.id} gerado: ${documents.length} documentos (${(zipBuffer.length / 1024).toFixed(2)} KB)`);
+      return { zipBuffer, pdfBuffer: null, pages: null, filename, documents, kitId: kit.id, kitName: kit.name };
+    }
+
+    onProgress(90, 'merging_pdf');
+    let merged;
+    try {
+      merged = await this.pdfToolkit.merge(pdfFiles);
+    } catch (error) {
+      if (error instanceof PdfError) {
+        throw new GenerationError(error.status, error.message, error.details);
+      }
+      throw error;
+    }
+
+    // Página inicial de cada documento no PDF único
+    merged.sources.forEach((source, i) => {
+      documents[i].startPage = source.startPage;
+      documents[i].pages = source.pages;
+    });
+
+    console.log(`✅ Kit ${kit.id} gerado: PDF único com ${merged.pages} páginas (${(merged.buffer.length / 1024).toFixed(2)} KB)`);
+    return { zipBuffer: null, pdfBuffer: merged.buffer, pages: merged.pages, filename, documents, kitId: kit.id, kitName: kit.name };
+  }
+
+  /**
+   * Gera o documento completo (DOCX e, se pedido, PDF).
+   *
+   * @param {string} tenantId
+   * @param {object} params - { templateUrl, templateId, version, data, outputFormat, confidential, pdfProcessing }
+   * @param {object} [hooks]
+   * @param {function} [hooks.onProgress] - chamado com (percentual, etapa)
+   * @param {string} [hooks.requestedBy] - quem pediu a geração (registrado no arquivo de documentos)
+   * @param {string} [hooks.source] - origem registrada no arquivo ('generate' ou 'job')
+   * @returns {Promise<object>} { docxBuffer, pdfBuffer, pdfEngine, pdfAttempts, pdfPages, pdfExhibits, pdfParts, templateId, templateName, templateVersion, filename, documentId }
+   */
+  async generate(tenantId, params, { onProgress = () => {}, requestedBy = null, source = 'generate' } = {}) {
+    const { templateId, version, data, outputFormat = 'docx', confidential = false, pdfProcessing } = params;
+
+    this.validate(params);
+
+    onProgress(10, 'loading_template');
+    console.log(`📄 Tenant ${tenantId}: Gerando documento com template ${templateId || 'via URL'} (versão ${version || 'mais recente'})`);
+    const template = await this.loadTemplate(tenantId, params);
+
+    const validatedData = this.applySchema(template, data);
+    const context = this.requireAssets(await this.renderContext(tenantId, validatedData));
+
+    onProgress(30, 'rendering');
+    const docxBuffer = this.render(template.buffer, validatedData, context);
+    console.log(`✅ Documento DOCX gerado para tenant ${tenantId} (${(docxBuffer.length / 1024).toFixed(2)} KB)`);
+
+    const result = {
+      docxBuffer: docxBuffer,
+      pdfBuffer: null,
+      pdfEngine: null,
+      pdfAttempts: null,
+      pdfPages: null,
+      pdfExhibits: null,
+      pdfParts: null,
+      templateId: templateId || null,
+      templateName: template.name,
+      templateVersion: template.version,
+      filename: this.buildFilename(template.name, data, 0),
+      documentId: null
+    };
+
+    // Se solicitado PDF, tentar converter
+    if (outputFormat === 'pdf' || outputFormat === 'both') {
+      onProgress(60, 'converting_pdf');
+      console.log('🔄 Conversão para PDF solicitada...');
+
+      const pdfResult = await this.pdfConverter.convert(docxBuffer, {
+        filename: `${result.filename}.docx`,
+        confidential: confidential === true
+      });
+
+      result.pdfBuffer = pdfResult.buffer;
+      result.pdfEngine = pdfResult.engine;
+      result.pdfAttempts = pdfResult.attempts;
+
+      if (!pdfResult.buffer) {
+        console.log('⚠️  Conversão para PDF não disponível');
+      } else if (pdfProcessing) {
+        onProgress(70, 'processing_pdf');
+        const processed = await this.processPdf(tenantId, result.pdfBuffer, result.filename, pdfProcessing);
+        result.pdfBuffer = processed.buffer;
+        result.pdfPages = processed.pages;
+        result.pdfExhibits = processed.exhibits.length > 0 ? processed.exhibits : null;
+        result.pdfParts = processed.parts;
+        console.log(`📑 PDF pós-processado para tenant ${tenantId}: ${processed.pages} páginas${processed.parts ? `, ${processed.parts.length} partes` : ''}`);
+      } else if (this.pdfToolkit) {
+        result.pdfPages = await this.pdfToolkit.pageCount({ name: `${result.filename}.pdf`, buffer: result.pdfBuffer }).catch(() => null);
+      }
+    }
+
+    onProgress(80, 'archiving');
+    const document = await this.archive(tenantId, {
+      baseName: result.filename,
+      docxBuffer: result.docxBuffer,
+      pdfBuffer: result.pdfBuffer,
+      pdfEngine: result.pdfEngine,
+      outputFormat, template, templateId, requestedBy, source
+    });
+    result.documentId = document ? document.id : null;
+
+    return result;
+  }
+}
+
+module.exports = GenerationService;
+module.exports.GenerationError = GenerationError;
+module.exports.DOCX_CONTENT_TYPE = DOCX_CONTENT_TYPE;
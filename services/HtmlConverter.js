@@ -0,0 +1,464 @@
+// services/HtmlConverter.js
+// Conversão de HTML simples (editor de texto rico do front-end) para
+// WordprocessingML, usada pelas tags {{~campo}} (ver HtmlModule).
+//
+// Marcação aceita:
+//   blocos:  <p>, <h1>...<h6>, <ul>/<ol> com <li>, <table> (<thead>, <tbody>, <tr>, <th>, <td colspan>)
+//   texto:   <strong>/<b>, <em>/<i>, <u>, <br>
+// Os atributos "class" e "style" são ignorados (prevalece a formatação do
+// template); qualquer outra tag ou atributo é rejeitado com HtmlError.
+//
+// Os parágrafos herdam as propriedades do parágrafo e da run onde está a tag;
+// títulos usam os estilos "heading N" do template quando existirem. As listas
+// levam o marcador no texto ("•", "1.") com recuo deslocado, sem depender do
+// numbering.xml do template.
+
+const BLOCK_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'table'];
+const INLINE_TAGS = ['strong', 'b', 'em', 'i', 'u', 'br'];
+const TABLE_TAGS = ['thead', 'tbody', 'tr', 'th', 'td'];
+const ALLOWED_TAGS = [...BLOCK_TAGS, 'li', ...TABLE_TAGS, ...INLINE_TAGS];
+const VOID_TAGS = ['br'];
+
+const IGNORED_ATTRIBUTES = ['class', 'style'];
+const ALLOWED_ATTRIBUTES = { td: ['colspan'], th: ['colspan'] };
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const BULLETS = ['•', '◦', '▪'];
+
+// Tamanho (meios-pontos) dos títulos quando o template não tem o estilo "heading N"
+const HEADING_SIZES = [32, 28, 26, 24, 24, 24];
+
+// Ordem dos elementos em <w:rPr> e <w:pPr> exigida pelo schema do Word
+const RUN_PROPERTIES_ORDER = [
+  'w:rStyle', 'w:rFonts', 'w:b', 'w:bCs', 'w:i', 'w:iCs', 'w:caps', 'w:smallCaps', 'w:strike', 'w:dstrike',
+  'w:outline', 'w:shadow', 'w:emboss', 'w:imprint', 'w:noProof', 'w:snapToGrid', 'w:vanish', 'w:webHidden',
+  'w:color', 'w:spacing', 'w:w', 'w:kern', 'w:position', 'w:sz', 'w:szCs', 'w:highlight', 'w:u', 'w:effect',
+  'w:bdr', 'w:shd', 'w:fitText', 'w:vertAlign', 'w:rtl', 'w:cs', 'w:em', 'w:lang', 'w:eastAsianLayout', 'w:specVanish'
+];
+const PARAGRAPH_PROPERTIES_ORDER = [
+  'w:pStyle', 'w:keepNext', 'w:keepLines', 'w:pageBreakBefore', 'w:framePr', 'w:widowControl', 'w:numPr',
+  'w:suppressLineNumbers', 'w:pBdr', 'w:shd', 'w:tabs', 'w:suppressAutoHyphens', 'w:kinsoku', 'w:wordWrap',
+  'w:overflowPunct', 'w:topLinePunct', 'w:autoSpaceDE', 'w:autoSpaceDN', 'w:bidi', 'w:adjustRightInd',
+  'w:snapToGrid', 'w:spacing', 'w:ind', 'w:contextualSpacing', 'w:mirrorIndents', 'w:suppressOverlap', 'w:jc',
+  'w:textDirection', 'w:textAlignment', 'w:textboxTightWrap', 'w:outlineLvl', 'w:divId', 'w:cnfStyle', 'w:rPr',
+  'w:sectPr', 'w:pPrChange'
+];
+
+const TABLE_BORDERS = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+  .map(side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="auto"/>`)
+  .join('');
+
+// Largura total da tabela na grade (twips), dividida igualmente entre as colunas
+const TABLE_GRID_WIDTH = 9000;
+
+// Máximo de colunas de uma tabela no Word
+const MAX_TABLE_COLUMNS = 63;
+
+/**
+ * HTML com marcação não permitida ou malformada
+ */
+class HtmlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HtmlError';
+  }
+}
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const decoded = ENTITIES[entity.toLowerCase()];
+    if (decoded === undefined) {
+      throw new HtmlError(`unknown entity "${match}"`);
+    }
+    return decoded;
+  });
+}
+
+/**
+ * Elementos filhos de um <w:rPr>/<w:pPr> (apenas o conteúdo interno): [{ name, xml }]
+ */
+function splitProperties(inner) {
+  const elements = [];
+  const pattern = /<(w:[A-Za-z]+)\b[^>]*?(?:\/>|>[\s\S]*?<\/\1>)/g;
+  let match;
+  while ((match = pattern.exec(inner || '')) !== null) {
+    elements.push({ name: match[1], xml: match[0] });
+  }
+  return elements;
+}
+
+/**
+ * Junta propriedades herdadas com as novas (as novas substituem as de mesmo nome),
+ * na ordem do schema. Retorna o elemento completo ou '' se não houver propriedades.
+ */
+function mergeProperties(tag, inherited, overrides, order) {
+  const overrideNames = overrides.map(element => element.name);
+  const elements = splitProperties(inherited)
+    .filter(element => !overrideNames.includes(element.name))
+    .concat(overrides);
+
+  if (elements.length === 0) {
+    return '';
+  }
+
+  const position = name => (order.includes(name) ? order.indexOf(name) : order.length);
+  elements.sort((a, b) => position(a.name) - position(b.name));
+
+  return `<${tag}>${elements.map(element => element.xml).join('')}</${tag}>`;
+}
+
+const property = (name, attributes = '') => ({ name: name, xml: `<${name}${attributes}/>` });
+
+class HtmlConverter {
+  /**
+   * Lê o HTML e retorna a árvore [{ tag, attributes, children } | { text }].
+   * Lança HtmlError para tags/atributos não permitidos ou tags mal fechadas.
+   */
+  parse(html) {
+    const root = { tag: null, children: [] };
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9]*)((?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|[^<]+|</g;
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) {
+      const [token, closing, rawTag, rawAttributes, selfClosing] = match;
+      const current = stack[stack.length - 1];
+
+      if (token.startsWith('<!--')) {
+        continue;
+      }
+
+      if (!rawTag) {
+        if (token === '<') {
+          throw new HtmlError('unescaped "<" in text (use &lt;)');
+        }
+        current.children.push({ text: decodeEntities(token) });
+        continue;
+      }
+
+      const tag = rawTag.toLowerCase();
+      if (!ALLOWED_TAGS.includes(tag)) {
+        throw new HtmlError(`<${tag}> is not allowed (allowed: ${ALLOWED_TAGS.join(', ')})`);
+      }
+
+      if (closing) {
+        if (VOID_TAGS.includes(tag)) {
+          continue;
+        }
+        if (current.tag !== tag) {
+          throw new HtmlError(current.tag
+            ? `unexpected </${tag}>, expected </${current.tag}>`
+            : `unexpected </${tag}> without opening tag`);
+        }
+        stack.pop();
+        continue;
+      }
+
+      const element = { tag: tag, attributes: this.parseAttributes(tag, rawAttributes), children: [] };
+      current.children.push(element);
+
+      if (!VOID_TAGS.includes(tag) && !selfClosing) {
+        stack.push(element);
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new HtmlError(`<${stack[stack.length - 1].tag}> is not closed`);
+    }
+
+    return root.children;
+  }
+
+  parseAttributes(tag, rawAttributes) {
+    const attributes = {};
+    const pattern = /([^\s=>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(rawAttributes || '')) !== null) {
+      const name = match[1].toLowerCase();
+      if (IGNORED_ATTRIBUTES.includes(name)) {
+        continue;
+      }
+      if (!(ALLOWED_ATTRIBUTES[tag] || []).includes(name)) {
+        throw new HtmlError(`attribute "${name}" is not allowed on <${tag}>`);
+      }
+      attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Converte o HTML em parágrafos e tabelas do Word.
+   *
+   * @param {string} html
+   * @param {object} [options]
+   * @param {string} [options.paragraphProperties] - conteúdo do <w:pPr> herdado do template
+   * @param {string} [options.runProperties] - conteúdo do <w:rPr> herdado do template
+   * @param {object} [options.headingStyles] - { 1: 'Ttulo1', 2: 'Ttulo2' } (styleId de cada nível)
+   * @returns {string} XML dos blocos (<w:p>, <w:tbl>)
+   */
+  toWordXml(html, { paragraphProperties = '', runProperties = '', headingStyles = {} } = {}) {
+    const context = { paragraphProperties, runProperties, headingStyles };
+    const blocks = this.blocks(this.parse(String(html)), context, 'body');
+
+    // O Word exige um parágrafo depois de uma tabela no fim de uma célula
+    if (blocks.length > 0 && blocks[blocks.length - 1].startsWith('<w:tbl>')) {
+      blocks.push(this.paragraph('', context));
+    }
+
+    return blocks.join('');
+  }
+
+  /**
+   * Converte uma lista de nós em blocos. Texto e tags de texto soltos viram um parágrafo.
+   */
+  blocks(nodes, context, parent) {
+    const blocks = [];
+    let inline = [];
+
+    const flush = () => {
+      if (inline.some(node => node.tag || node.text.trim())) {
+        blocks.push(this.paragraph(this.runs(inline, {}, context), context));
+      }
+      inline = [];
+    };
+
+    for (const node of nodes) {
+      if (node.text !== undefined || INLINE_TAGS.includes(node.tag)) {
+        inline.push(node);
+        continue;
+      }
+
+      flush();
+
+      if (node.tag === 'p') {
+        blocks.push(this.paragraph(this.runs(node.children, {}, context), context));
+      } else if (/^h[1-6]$/.test(node.tag)) {
+        blocks.push(this.heading(node, context));
+      } else if (node.tag === 'ul' || node.tag === 'ol') {
+        blocks.push(...this.list(node, context, 0));
+      } else if (node.tag === 'table') {
+        blocks.push(this.table(node, context));
+      } else {
+        throw new HtmlError(`<${node.tag}> is not allowed inside ${parent === 'body' ? 'the text' : `<${parent}>`}`);
+      }
+    }
+
+    flush();
+    return blocks;
+  }
+
+  heading(node, context) {
+    const level = parseInt(node.tag.slice(1));
+    const styleId = context.headingStyles[level];
+
+    if (styleId) {
+      // O estilo de título do template define a formatação inteira
+      const styled = { ...context, paragraphProperties: '', runProperties: '' };
+      return this.paragraph(this.runs(node.children, {}, styled), styled, [property('w:pStyle', ` w:val="${escapeXml(styleId)}"`)]);
+    }
+
+    // Sem estilo de título no template: negrito e tamanho maior
+    const size = HEADING_SIZES[level - 1];
+    return this.paragraph(this.runs(node.children, { bold: true, size: size }, context), context, [property('w:keepNext')]);
+  }
+
+  /**
+   * Itens de lista com marcador no texto; listas aninhadas aumentam o recuo
+   */
+  list(node, context, level) {
+    const blocks = [];
+    let number = 0;
+
+    for (const item of node.children) {
+      if (item.text !== undefined && !item.text.trim()) {
+        continue;
+      }
+      if (item.tag !== 'li') {
+        throw new HtmlError(`<${node.tag}> may only contain <li>`);
+      }
+
+      number++;
+      const marker = node.tag === 'ol' ? `${number}.` : BULLETS[Math.min(level, BULLETS.length - 1)];
+      const indent = property('w:ind', ` w:left="${720 * (level + 1)}" w:hanging="360"`);
+      const inline = item.children.filter(child => child.text !== undefined || INLINE_TAGS.includes(child.tag));
+      const nested = item.children.filter(child => child.text === undefined && !INLINE_TAGS.includes(child.tag));
+
+      const markerRun = this.run({ text: marker }, {}, context) + this.run({ tab: true }, {}, context);
+      blocks.push(this.paragraph(markerRun + this.runs(inline, {}, context), context, [indent]));
+
+      for (const child of nested) {
+        if (child.tag !== 'ul' && child.tag !== 'ol') {
+          throw new HtmlError(`<${child.tag}> is not allowed inside <li>`);
+        }
+        blocks.push(...this.list(child, context, level + 1));
+      }
+    }
+
+    return blocks;
+  }
+
+  table(node, context) {
+    const rows = [];
+
+    const collectRows = (children, header) => {
+      for (const child of children) {
+        if (child.text !== undefined && !child.text.trim()) {
+          continue;
+        }
+        if (child.tag === 'thead' || child.tag === 'tbody') {
+          collectRows(child.children, child.tag === 'thead');
+        } else if (child.tag === 'tr') {
+          rows.push({ header: header, cells: child.children.filter(cell => cell.text === undefined || cell.text.trim()) });
+        } else {
+          throw new HtmlError(`<${child.tag || 'text'}> is not allowed directly inside <table>`);
+        }
+      }
+    };
+    collectRows(node.children, false);
+
+    if (rows.length === 0) {
+      throw new HtmlError('<table> has no rows');
+    }
+
+    const columns = Math.max(...rows.map(row => row.cells.reduce((total, cell) => total + this.colspan(cell), 0)));
+    if (columns > MAX_TABLE_COLUMNS) {
+      throw new HtmlError(`<table> has ${columns} columns (maximum ${MAX_TABLE_COLUMNS})`);
+    }
+    const columnWidth = Math.floor(TABLE_GRID_WIDTH / columns);
+
+    // Células não herdam o recuo/alinhamento do parágrafo da tag, apenas a formatação do texto
+    const cellContext = { ...context, paragraphProperties: '' };
+
+    const rowsXml = rows.map(row => {
+      const cellsXml = row.cells.map(cell => {
+        if (cell.tag !== 'td' && cell.tag !== 'th') {
+          throw new HtmlError(`<${cell.tag || 'text'}> is not allowed directly inside <tr>`);
+        }
+
+        const span = this.colspan(cell);
+        const cellProperties = `<w:tcPr><w:tcW w:w="${columnWidth * span}" w:type="dxa"/>${span > 1 ? `<w:gridSpan w:val="${span}"/>` : ''}</w:tcPr>`;
+        const bold = cell.tag === 'th' || row.header;
+        const content = bold
+          ? [this.paragraph(this.runs(cell.children.filter(child => child.text !== undefined || INLINE_TAGS.includes(child.tag)), { bold: true }, cellContext), cellContext)]
+          : this.blocks(cell.children, cellContext, cell.tag);
+
+        if (content.length === 0 || content[content.length - 1].startsWith('<w:tbl>')) {
+          content.push(this.paragraph('', cellContext));
+        }
+
+        return `<w:tc>${cellProperties}${content.join('')}</w:tc>`;
+      }).join('');
+
+      return `<w:tr>${row.header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cellsXml}</w:tr>`;
+    });
+
+    return '<w:tbl>' +
+      `<w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblBorders>${TABLE_BORDERS}</w:tblBorders><w:tblLook w:val="04A0"/></w:tblPr>` +
+      `<w:tblGrid>${`<w:gridCol w:w="${columnWidth}"/>`.repeat(columns)}</w:tblGrid>` +
+      rowsXml.join('') +
+      '</w:tbl>';
+  }
+
+  colspan(cell) {
+    const span = parseInt((cell.attributes || {}).colspan);
+    if (span > MAX_TABLE_COLUMNS) {
+      throw new HtmlError(`colspan="${span}" exceeds the maximum of ${MAX_TABLE_COLUMNS} columns`);
+    }
+    return span > 0 ? span : 1;
+  }
+
+  /**
+   * Parágrafo com as propriedades herdadas do template (e as adicionais)
+   */
+  paragraph(runsXml, context, overrides = []) {
+    const properties = mergeProperties('w:pPr', context.paragraphProperties, overrides, PARAGRAPH_PROPERTIES_ORDER);
+    return `<w:p>${properties}${runsXml}</w:p>`;
+  }
+
+  /**
+   * Runs de texto. O espaço em branco segue as regras do HTML: sequências
+   * viram um espaço e as pontas do parágrafo são removidas.
+   */
+  runs(nodes, format, context) {
+    const segments = [];
+
+    const walk = (children, current) => {
+      for (const node of children) {
+        if (node.text !== undefined) {
+          segments.push({ text: node.text.replace(/[ \t\r\n\f]+/g, ' '), format: current });
+        } else if (node.tag === 'br') {
+          segments.push({ br: true });
+        } else if (node.tag === 'strong' || node.tag === 'b') {
+          walk(node.children, { ...current, bold: true });
+        } else if (node.tag === 'em' || node.tag === 'i') {
+          walk(node.children, { ...current, italic: true });
+        } else if (node.tag === 'u') {
+          walk(node.children, { ...current, underline: true });
+        } else {
+          throw new HtmlError(`<${node.tag}> is not allowed inside a paragraph`);
+        }
+      }
+    };
+    walk(nodes, format);
+
+    // Espaços no início e no fim do parágrafo, e depois de quebras de linha
+    let previousEndsWithSpace = true;
+    for (const segment of segments) {
+      if (segment.br) {
+        previousEndsWithSpace = true;
+        continue;
+      }
+      if (previousEndsWithSpace) {
+        segment.text = segment.text.replace(/^ /, '');
+      }
+      if (segment.text) {
+        previousEndsWithSpace = segment.text.endsWith(' ');
+      }
+    }
+    for (let index = segments.length - 1; index >= 0 && !segments[index].br; index--) {
+      segments[index].text = segments[index].text.replace(/ $/, '');
+      if (segments[index].text) {
+        break;
+      }
+    }
+
+    return segments
+      .filter(segment => segment.br || segment.text)
+      .map(segment => this.run(segment, segment.format || {}, context))
+      .join('');
+  }
+
+  run(segment, format, context) {
+    const overrides = [];
+    if (format.bold) overrides.push(property('w:b'), property('w:bCs'));
+    if (format.italic) overrides.push(property('w:i'), property('w:iCs'));
+    if (format.size) overrides.push(property('w:sz', ` w:val="${format.size}"`), property('w:szCs', ` w:val="${format.size}"`));
+    if (format.underline) overrides.push(property('w:u', ' w:val="single"'));
+
+    const properties = mergeProperties('w:rPr', context.runProperties, overrides, RUN_PROPERTIES_ORDER);
+
+    if (segment.br) {
+      return `<w:r>${properties}<w:br/></w:r>`;
+    }
+    if (segment.tab) {
+      return `<w:r>${properties}<w:tab/></w:r>`;
+    }
+    return `<w:r>${properties}<w:t xml:space="preserve">${escapeXml(segment.text)}</w:t></w:r>`;
+  }
+}
+
+module.exports = HtmlConverter;
+module.exports.HtmlError = HtmlError;
+module.exports.ALLOWED_TAGS = ALLOWED_TAGS;
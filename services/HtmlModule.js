@@ -0,0 +1,148 @@
+// services/HtmlModule.js
+// Módulo do docxtemplater para texto rico: {{~dos_fatos}} recebe HTML do
+// editor do front-end e gera parágrafos, listas e tabelas do Word (ver HtmlConverter).
+//
+// Como {{@campo}} (XML bruto), a tag deve ficar sozinha no parágrafo: o
+// parágrafo inteiro é substituído. A formatação desse parágrafo (estilo,
+// recuo, alinhamento) e da run da tag (fonte, tamanho, cor) é herdada pelo texto.
+
+const traits = require('docxtemplater/js/traits');
+const { XTTemplateError, XTRenderingError } = require('docxtemplater/js/errors');
+const HtmlConverter = require('./HtmlConverter');
+const { HtmlError } = HtmlConverter;
+
+const MODULE_NAME = 'html';
+
+const converter = new HtmlConverter();
+
+/**
+ * Conteúdo interno do primeiro elemento <tag>...</tag> de um trecho de XML
+ */
+function innerXml(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1] : '';
+}
+
+class HtmlModule {
+  constructor() {
+    this.name = 'HtmlModule';
+    this.prefix = '~';
+    this.headingStyles = null;
+  }
+
+  clone() {
+    return new HtmlModule();
+  }
+
+  matchers() {
+    return [[this.prefix, MODULE_NAME]];
+  }
+
+  optionsTransformer(options, docxtemplater) {
+    this.fileTypeConfig = docxtemplater.fileTypeConfig;
+    return options;
+  }
+
+  set(options) {
+    if (options.zip) {
+      this.zip = options.zip;
+    }
+  }
+
+  postparse(postparsed) {
+    return traits.expandToOne(postparsed, {
+      moduleName: MODULE_NAME,
+      getInner: ({ part, leftParts, rightParts }) => {
+        // Nada além da tag no parágrafo (o texto em volta seria perdido)
+        const text = [...leftParts, ...rightParts].filter(p => p.type === 'content' && p.position === 'insidetag');
+        if (text.some(p => p.value.trim())) {
+          const error = new XTTemplateError('HTML tag should be the only text in paragraph');
+          error.properties = {
+            id: 'html_tag_should_be_only_text_in_paragraph',
+            explanation: `The HTML tag "${part.value}" should be the only text in its paragraph`,
+            xtag: part.value,
+            offset: part.offset
+          };
+          throw error;
+        }
+        return part;
+      },
+      expandTo: this.fileTypeConfig.tagRawXml,
+      error: {
+        message: 'HTML tag not in paragraph',
+        id: 'html_tag_outerxml_invalid',
+        explanation: part => `The HTML tag "${part.value}" is not inside a paragraph`
+      }
+    });
+  }
+
+  render(part, options) {
+    if (part.module !== MODULE_NAME) {
+      return null;
+    }
+
+    let value;
+    try {
+      value = options.scopeManager.getValue(part.value, { part });
+    } catch (error) {
+      return { errors: [error] };
+    }
+
+    if (value === undefined || value === null || value === '') {
+      return { value: '' };
+    }
+
+    // Propriedades do parágrafo e da run onde estava a tag
+    const [leftParts] = part.expanded || [[]];
+    const leftXml = leftParts.map(p => p.value).join('');
+    const runStart = Math.max(leftXml.lastIndexOf('<w:r>'), leftXml.lastIndexOf('<w:r '));
+
+    try {
+      return {
+        value: converter.toWordXml(String(value), {
+          paragraphProperties: innerXml(leftXml, 'w:pPr'),
+          runProperties: runStart >= 0 ? innerXml(leftXml.slice(runStart), 'w:rPr') : '',
+          headingStyles: this.getHeadingStyles()
+        })
+      };
+    } catch (error) {
+      if (!(error instanceof HtmlError)) {
+        throw error;
+      }
+      const tag = part.value.split('|')[0].trim();
+      const renderingError = new XTRenderingError(`Invalid HTML for tag "${tag}"`);
+      renderingError.properties = {
+        id: 'invalid_html',
+        explanation: `The tag "${tag}" has invalid HTML: ${error.message}`,
+        file: options.filePath
+      };
+      return { errors: [renderingError] };
+    }
+  }
+
+  /**
+   * styleId dos estilos "heading 1".."heading 6" do template ({ 1: 'Ttulo1', ... }).
+   * O nome é sempre em inglês; o styleId depende do idioma do Word.
+   */
+  getHeadingStyles() {
+    if (this.headingStyles) {
+      return this.headingStyles;
+    }
+
+    this.headingStyles = {};
+    const styles = this.zip && this.zip.files['word/styles.xml'];
+    if (!styles) {
+      return this.headingStyles;
+    }
+
+    const pattern = /<w:style\b[^>]*w:styleId="([^"]+)"[^>]*>\s*<w:name w:val="heading (\d)"/gi;
+    let match;
+    while ((match = pattern.exec(styles.asText())) !== null) {
+      this.headingStyles[parseInt(match[2])] = match[1];
+    }
+
+    return this.headingStyles;
+  }
+}
+
+module.exports = HtmlModule;
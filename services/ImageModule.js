@@ -0,0 +1,375 @@
+// services/ImageModule.js
+// Módulo do docxtemplater para imagens (assinaturas, logotipos, QR codes):
+//   {{%assinatura}}                     → imagem no tamanho original (limitada à largura da página)
+//   {{%logo | tamanho:"4cm"}}           → 4 cm de largura, altura proporcional
+//   {{%qrcode | tamanho:"3cm":"3cm"}}   → cabe em 3 x 3 cm, mantendo a proporção
+//
+// Valores aceitos nos dados:
+//   "data:image/png;base64,iVBOR..."    → data URI
+//   "iVBORw0KGgo..."                    → base64 puro
+//   "asset:logo_escritorio"             → imagem cadastrada pelo tenant (services/TenantAssets)
+//   { data | asset, width, height, maxWidth, maxHeight, fit: 'contain' | 'stretch', alt }
+//
+// Tamanhos: número (pixels) ou texto com unidade: "120px", "4cm", "35mm", "1.5in", "72pt".
+// Funciona no corpo, em loops, cabeçalhos e rodapés: a imagem entra no arquivo
+// word/media/ e a relação é criada no .rels do arquivo em que a tag está.
+
+const crypto = require('crypto');
+const { XTRenderingError } = require('docxtemplater/js/errors');
+
+const MODULE_NAME = 'image';
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif'
+};
+
+// EMU (English Metric Units) por unidade de medida
+const EMU_PER_UNIT = {
+  px: 9525,
+  pt: 12700,
+  in: 914400,
+  cm: 360000,
+  mm: 36000
+};
+
+// Largura útil de uma página A4 com margens de 3 cm e 2 cm
+const DEFAULT_MAX_WIDTH = 16 * EMU_PER_UNIT.cm;
+
+const RELATIONSHIP_IMAGE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image';
+const NS_WP = 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing';
+const NS_A = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const NS_PIC = 'http://schemas.openxmlformats.org/drawingml/2006/picture';
+const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Tipo e dimensões (em pixels) de uma imagem PNG, JPEG ou GIF, lidos do cabeçalho.
+ * Retorna null se o formato não for reconhecido.
+ */
+function readImageInfo(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 24) {
+    return null;
+  }
+
+  // PNG: assinatura de 8 bytes, IHDR com largura e altura
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+    return { type: 'png', extension: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: "GIF87a" / "GIF89a", dimensões little-endian
+  if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+    return { type: 'gif', extension: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // JPEG: percorre os segmentos até o SOFn (exceto DHT, JPG e DAC)
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+
+      const marker = buffer[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { type: 'jpeg', extension: 'jpg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Converte um tamanho ("4cm", "120px", 120) em EMU. Retorna null se vazio, NaN se inválido.
+ */
+function toEmu(size) {
+  if (size === undefined || size === null || size === '') {
+    return null;
+  }
+
+  if (typeof size === 'number') {
+    return size > 0 ? Math.round(size * EMU_PER_UNIT.px) : NaN;
+  }
+
+  const match = String(size).trim().replace(',', '.').match(/^(\d+(?:\.\d+)?)\s*(px|pt|in|cm|mm)?$/i);
+  if (!match || Number(match[1]) <= 0) {
+    return NaN;
+  }
+
+  return Math.round(Number(match[1]) * EMU_PER_UNIT[(match[2] || 'px').toLowerCase()]);
+}
+
+/**
+ * Referência a um asset do tenant ("asset:ID" ou { asset: ID }), ou null
+ */
+function assetReference(value) {
+  if (typeof value === 'string' && value.startsWith('asset:')) {
+    return value.slice('asset:'.length);
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (value.asset) {
+      return String(value.asset);
+    }
+    return typeof value.data === 'string' ? assetReference(value.data) : null;
+  }
+  return null;
+}
+
+/**
+ * IDs de todos os assets referenciados nos dados (em qualquer nível, inclusive loops)
+ */
+function collectAssetIds(data, ids = new Set()) {
+  const reference = assetReference(data);
+  if (reference) {
+    ids.add(reference);
+  } else if (data && typeof data === 'object') {
+    for (const value of Object.values(data)) {
+      collectAssetIds(value, ids);
+    }
+  }
+  return [...ids];
+}
+
+class ImageModule {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.assets] - assets do tenant já carregados: { id: { asset, buffer } }
+   */
+  constructor({ assets = {} } = {}) {
+    this.name = 'ImageModule';
+    this.prefix = '%';
+    this.assets = assets;
+    this.media = {};           // sha1 -> caminho em word/media/
+    this.relationships = {};   // arquivo .rels -> sha1 -> rId
+    this.contentTypesDone = {};
+  }
+
+  clone() {
+    return new ImageModule({ assets: this.assets });
+  }
+
+  matchers() {
+    return [[this.prefix, MODULE_NAME]];
+  }
+
+  set(options) {
+    if (options.zip) {
+      this.zip = options.zip;
+    }
+    if (options.xmlDocuments) {
+      this.xmlDocuments = options.xmlDocuments;
+    }
+  }
+
+  render(part, options) {
+    if (part.module !== MODULE_NAME) {
+      return null;
+    }
+
+    let value;
+    try {
+      value = options.scopeManager.getValue(part.value, { part });
+    } catch (error) {
+      return { errors: [error] };
+    }
+
+    if (value === undefined || value === null || value === '') {
+      return { value: '' };
+    }
+
+    try {
+      const image = this.resolve(value);
+      const { cx, cy } = this.size(image.info, image.options);
+      const rId = this.addImage(options.filePath, image);
+
+      // A tag fica dentro de <w:t>: fecha o texto, insere o desenho e reabre
+      return { value: `</w:t>${this.drawingXml(rId, cx, cy, image.options.alt)}<w:t xml:space="preserve">` };
+    } catch (error) {
+      const tag = part.value.split('|')[0].trim();
+      const renderingError = new XTRenderingError(`Invalid image for tag "${tag}"`);
+      renderingError.properties = {
+        id: 'invalid_image',
+        explanation: `The tag "${tag}" has an invalid image: ${error.message}`,
+        file: options.filePath
+      };
+      return { errors: [renderingError] };
+    }
+  }
+
+  /**
+   * Lê o valor da tag e retorna { buffer, info, options }
+   */
+  resolve(value) {
+    const options = value && typeof value === 'object' && !Array.isArray(value) ? value : { data: value };
+    let buffer;
+
+    const assetId = assetReference(value);
+    if (assetId) {
+      const asset = this.assets[assetId];
+      if (!asset) {
+        throw new Error(`asset "${assetId}" not found`);
+      }
+      buffer = asset.buffer;
+    } else if (typeof options.data === 'string' || typeof options.base64 === 'string') {
+      const text = (options.data || options.base64).trim();
+      const base64 = text.startsWith('data:') ? text.slice(text.indexOf(',') + 1) : text;
+      if (!/^[A-Za-z0-9+/\s]+={0,2}$/.test(base64)) {
+        throw new Error('expected base64 data, a data URI or "asset:ID"');
+      }
+      buffer = Buffer.from(base64, 'base64');
+    } else {
+      throw new Error('expected base64 data, a data URI or "asset:ID"');
+    }
+
+    const info = readImageInfo(buffer);
+    if (!info) {
+      throw new Error(`unsupported format (use ${Object.keys(IMAGE_TYPES).join(', ')})`);
+    }
+    if (!info.width || !info.height) {
+      throw new Error('image has no dimensions');
+    }
+
+    return { buffer, info, options };
+  }
+
+  /**
+   * Tamanho final em EMU, mantendo a proporção (exceto com fit: 'stretch' e largura e altura informadas)
+   */
+  size(info, options) {
+    const ratio = info.height / info.width;
+    const sizes = {};
+
+    for (const key of ['width', 'height', 'maxWidth', 'maxHeight']) {
+      sizes[key] = toEmu(options[key]);
+      if (Number.isNaN(sizes[key])) {
+        throw new Error(`${key} "${options[key]}" is not a valid size (e.g. 120, "4cm", "35mm")`);
+      }
+    }
+
+    let cx = info.width * EMU_PER_UNIT.px;
+    let cy = info.height * EMU_PER_UNIT.px;
+
+    if (sizes.width && sizes.height) {
+      if (options.fit === 'stretch') {
+        return { cx: sizes.width, cy: sizes.height };
+      }
+      // "contain": o maior tamanho que cabe na caixa
+      cx = Math.min(sizes.width, sizes.height / ratio);
+      cy = cx * ratio;
+    } else if (sizes.width) {
+      cx = sizes.width;
+      cy = cx * ratio;
+    } else if (sizes.height) {
+      cy = sizes.height;
+      cx = cy / ratio;
+    }
+
+    const maxWidth = sizes.maxWidth || (sizes.width ? null : DEFAULT_MAX_WIDTH);
+    if (maxWidth && cx > maxWidth) {
+      cx = maxWidth;
+      cy = cx * ratio;
+    }
+    if (sizes.maxHeight && cy > sizes.maxHeight) {
+      cy = sizes.maxHeight;
+      cx = cy / ratio;
+    }
+
+    return { cx: Math.round(cx), cy: Math.round(cy) };
+  }
+
+  /**
+   * Grava a imagem em word/media/ (uma vez por conteúdo) e a relação no .rels
+   * do arquivo onde está a tag. Retorna o rId.
+   */
+  addImage(filePath, { buffer, info }) {
+    const hash = crypto.createHash('sha1').update(buffer).digest('hex');
+
+    if (!this.media[hash]) {
+      let index = Object.keys(this.media).length + 1;
+      while (this.zip.files[`word/media/docgen_image${index}.${info.extension}`]) {
+        index++;
+      }
+      this.media[hash] = `media/docgen_image${index}.${info.extension}`;
+      this.zip.file(`word/${this.media[hash]}`, buffer, { binary: true });
+      this.addContentType(info);
+    }
+
+    const slash = filePath.lastIndexOf('/');
+    const relsPath = `${filePath.slice(0, slash)}/_rels/${filePath.slice(slash + 1)}.rels`;
+    const fileRelationships = this.relationships[relsPath] || (this.relationships[relsPath] = {});
+
+    if (fileRelationships[hash]) {
+      return fileRelationships[hash];
+    }
+
+    const relsFile = this.zip.files[relsPath];
+    let rels = relsFile
+      ? relsFile.asText()
+      : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+
+    let index = Object.keys(fileRelationships).length + 1;
+    while (rels.includes(`Id="rIdDocgen${index}"`)) {
+      index++;
+    }
+
+    const rId = `rIdDocgen${index}`;
+    rels = rels.replace('</Relationships>', `<Relationship Id="${rId}" Type="${RELATIONSHIP_IMAGE}" Target="${this.media[hash]}"/></Relationships>`);
+    this.zip.file(relsPath, rels);
+
+    fileRelationships[hash] = rId;
+    return rId;
+  }
+
+  /**
+   * Registra a extensão no [Content_Types].xml (documento mantido pelo docxtemplater)
+   */
+  addContentType(info) {
+    const contentTypes = this.xmlDocuments['[Content_Types].xml'];
+    if (!contentTypes || this.contentTypesDone[info.extension]) {
+      return;
+    }
+
+    const types = contentTypes.documentElement;
+    const defaults = Array.from(types.getElementsByTagName('Default'));
+    if (!defaults.some(node => (node.getAttribute('Extension') || '').toLowerCase() === info.extension)) {
+      const node = contentTypes.createElementNS(types.namespaceURI, 'Default');
+      node.setAttribute('Extension', info.extension);
+      node.setAttribute('ContentType', IMAGE_TYPES[info.type]);
+      types.insertBefore(node, types.firstChild);
+    }
+
+    this.contentTypesDone[info.extension] = true;
+  }
+
+  drawingXml(rId, cx, cy, alt = '') {
+    const description = escapeXml(alt || '');
+
+    return '<w:drawing>' +
+      `<wp:inline distT="0" distB="0" distL="0" distR="0" xmlns:wp="${NS_WP}">` +
+      `<wp:extent cx="${cx}" cy="${cy}"/>` +
+      '<wp:effectExtent l="0" t="0" r="0" b="0"/>' +
+      `<wp:docPr id="1" name="Imagem ${rId}" descr="${description}"/>` +
+      `<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="${NS_A}" noChangeAspect="1"/></wp:cNvGraphicFramePr>` +
+      `<a:graphic xmlns:a="${NS_A}"><a:graphicData uri="${NS_PIC}">` +
+      `<pic:pic xmlns:pic="${NS_PIC}">` +
+      `<pic:nvPicPr><pic:cNvPr id="0" name="${rId}" descr="${description}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${rId}" xmlns:r="${NS_R}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+      '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>';
+  }
+}
+
+module.exports = ImageModule;
+module.exports.IMAGE_TYPES = IMAGE_TYPES;
+module.exports.readImageInfo = readImageInfo;
+module.exports.toEmu = toEmu;
+module.exports.collectAssetIds = collectAssetIds;
@@ -0,0 +1,98 @@
+// services/IncludeModule.js
+// Módulo do docxtemplater para inclusão de cláusulas: {{> clausula_foro}}.
+// A tag fica sozinha no parágrafo, que é substituído pelo corpo da cláusula
+// (ver ClauseLibrary.expand). A expansão acontece antes da renderização, então
+// as tags da cláusula são preenchidas com os mesmos dados, filtros e escopo
+// (inclusive dentro de loops) do template.
+
+const traits = require('docxtemplater/js/traits');
+const { XTTemplateError, XTRenderingError } = require('docxtemplater/js/errors');
+
+const MODULE_NAME = 'include';
+
+class IncludeModule {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.clauses] - cláusulas carregadas: { id: { bodyXml } }; sem elas a tag gera erro
+   * @param {string|RegExp} [options.prefix] - '>' nas tags normais; na expansão, uma RegExp que captura o ID
+   */
+  constructor({ clauses = null, prefix = '>' } = {}) {
+    this.name = 'IncludeModule';
+    this.prefix = prefix;
+    this.clauses = clauses;
+  }
+
+  clone() {
+    return new IncludeModule({ clauses: this.clauses, prefix: this.prefix });
+  }
+
+  matchers() {
+    return [[this.prefix, MODULE_NAME]];
+  }
+
+  optionsTransformer(options, docxtemplater) {
+    this.fileTypeConfig = docxtemplater.fileTypeConfig;
+    return options;
+  }
+
+  postparse(postparsed) {
+    return traits.expandToOne(postparsed, {
+      moduleName: MODULE_NAME,
+      getInner: ({ part, leftParts, rightParts }) => {
+        const text = [...leftParts, ...rightParts].filter(p => p.type === 'content' && p.position === 'insidetag');
+        if (text.some(p => p.value.trim())) {
+          const error = new XTTemplateError('Include tag should be the only text in paragraph');
+          error.properties = {
+            id: 'include_tag_should_be_only_text_in_paragraph',
+            explanation: `The clause include "${part.value.trim()}" should be the only text in its paragraph`,
+            xtag: part.value,
+            offset: part.offset
+          };
+          throw error;
+        }
+        return part;
+      },
+      expandTo: this.fileTypeConfig.tagRawXml,
+      error: {
+        message: 'Include tag not in paragraph',
+        id: 'include_tag_outerxml_invalid',
+        explanation: part => `The clause include "${part.value.trim()}" is not inside a paragraph`
+      }
+    });
+  }
+
+  /**
+   * IDs das cláusulas incluídas nas partes compiladas de um arquivo
+   */
+  static includedIds(postparsed) {
+    return postparsed
+      .filter(part => part.type === 'placeholder' && part.module === MODULE_NAME)
+      .map(part => part.value.trim());
+  }
+
+  render(part, options) {
+    if (part.module !== MODULE_NAME) {
+      return null;
+    }
+
+    const clauseId = part.value.trim();
+    const clause = this.clauses && this.clauses[clauseId];
+
+    if (!clause) {
+      const error = new XTRenderingError(`Clause "${clauseId}" not found`);
+      error.properties = {
+        id: 'clause_not_found',
+        explanation: this.clauses
+          ? `The clause "${clauseId}" does not exist in the clause library`
+          : `The clause "${clauseId}" cannot be resolved here (clause library not available)`,
+        file: options.filePath
+      };
+      return { errors: [error] };
+    }
+
+    return { value: clause.bodyXml };
+  }
+}
+
+module.exports = IncludeModule;
+module.exports.MODULE_NAME = MODULE_NAME;
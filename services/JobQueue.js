@@ -0,0 +1,587 @@
+// services/JobQueue.js
+// Fila de jobs assíncronos por tenant.
+// Cada job é gravado em tenants/{tenantId}/jobs/{jobId}.json a cada mudança de
+// estado, e os arquivos gerados em tenants/{tenantId}/jobs/{jobId}/. Ao iniciar,
+// recover() recoloca na fila os jobs que estavam pendentes quando o processo caiu
+// e reenvia os callbacks de jobs já concluídos que ainda não foram entregues.
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+
+const TERMINAL_STATUSES = ['completed', 'failed'];
+const CALLBACK_RETRY_DELAYS = [1000, 5000, 15000];
+
+// Faixas IPv4 que não podem receber callbacks: rede local, loopback, link-local
+// (inclui 169.254.169.254, metadados de nuvem), CGNAT, multicast e reservadas
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = address => address.split('.').reduce((total, part) => total * 256 + parseInt(part), 0);
+
+/**
+ * Endereço IP (v4 ou v6) fora da internet pública
+ */
+function isPrivateAddress(address) {
+  const ip = String(address).replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIPv4(ip)) {
+    const value = ipv4ToNumber(ip);
+    return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+      const size = 2 ** (32 - bits);
+      return Math.floor(value / size) === Math.floor(ipv4ToNumber(base) / size);
+    });
+  }
+
+  if (net.isIPv6(ip)) {
+    // IPv4 mapeado (::ffff:10.0.0.1, ou ::ffff:a00:1 como a URL normaliza)
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+      return isPrivateAddress(mapped[1]);
+    }
+    const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const high = parseInt(mappedHex[1], 16);
+      const low = parseInt(mappedHex[2], 16);
+      return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return ip === '::' || ip === '::1' ||
+      /^f[cd]/.test(ip) ||        // fc00::/7 (rede local)
+      /^fe[89ab]/.test(ip) ||     // fe80::/10 (link-local)
+      /^ff/.test(ip);             // multicast
+  }
+
+  return false;
+}
+
+/**
+ * URL aceita como callbackUrl: HTTPS para um host público
+ */
+function isValidCallbackUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return false;
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+  if (hostname === 'localhost' || /\.(localhost|local|internal)$/.test(hostname)) {
+    return false;
+  }
+
+  return !isPrivateAddress(hostname);
+}
+
+// Resolução de DNS usada na entrega dos callbacks (e nos downloads de PDF por URL):
+// um nome público que aponte para um IP interno é recusado na hora da conexão
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Host ${hostname} resolves to private address ${blocked.address}`));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.storage - driver de services/storage
+   * @param {number} [options.concurrency] - jobs processados ao mesmo tempo
+   * @param {number} [options.maxAttempts] - tentativas antes de marcar como falho (recuperação após queda)
+   * @param {string} [options.callbackSecret] - segredo HMAC do cabeçalho X-JusWay-Signature
+   * @param {number} [options.retentionHours] - horas que jobs concluídos ficam disponíveis
+   * @param {number} [options.leaseSeconds] - segundos sem atualização até outra instância poder assumir o job
+   */
+  constructor({ storage, concurrency = 2, maxAttempts = 3, callbackSecret, retentionHours = 24, leaseSeconds = 120 } = {}) {
+    super();
+    this.storage = storage;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retentionMs = retentionHours * 60 * 60 * 1000;
+    this.leaseMs = leaseSeconds * 1000;
+    this.instanceId = `${process.pid}_${crypto.randomBytes(4).toString('hex')}`;
+    this.callbackSecret = callbackSecret || crypto.randomBytes(32).toString('hex');
+    this.processors = {};
+    this.jobs = {};      // tenantId -> jobId -> job
+    this.queue = [];     // [{ tenantId, jobId }]
+    this.running = 0;
+    this.writes = {};    // jobId -> Promise (grava o estado do job em ordem)
+
+    // Cada stream SSE adiciona um listener
+    this.setMaxListeners(0);
+  }
+
+  get isPersistent() {
+    return !!(this.storage && this.storage.isConfigured && this.storage.canRead);
+  }
+
+  jobKey(tenantId, jobId) {
+    return `tenants/${tenantId}/jobs/${jobId}.json`;
+  }
+
+  fileKey(tenantId, jobId, filename) {
+    return `tenants/${tenantId}/jobs/${jobId}/${filename}`;
+  }
+
+  /**
+   * Registra a função que processa jobs de um tipo.
+   * A função recebe (job, { progress }) e retorna { result, files }.
+   */
+  register(type, processor) {
+    this.processors[type] = processor;
+  }
+
+  /**
+   * Versão do job que pode ser enviada ao cliente (sem o payload)
+   */
+  toPublic(job) {
+    const { payload, owner, ...publicJob } = job;
+    return publicJob;
+  }
+
+  /**
+   * Grava o estado atual do job. As gravações de um mesmo job são encadeadas,
+   * para que uma atualização de progresso lenta nunca sobrescreva o estado final.
+   * Quem grava passa a ser o dono do job; updatedAt é o lease (ver heartbeat)
+   */
+  async persist(job) {
+    job.owner = this.instanceId;
+    job.updatedAt = new Date().toISOString();
+
+    if (!this.jobs[job.tenantId]) {
+      this.jobs[job.tenantId] = {};
+    }
+    this.jobs[job.tenantId][job.id] = job;
+
+    if (!this.isPersistent) {
+      return;
+    }
+
+    const previous = this.writes[job.id] || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => this.storage.put(
+      this.jobKey(job.tenantId, job.id),
+      Buffer.from(JSON.stringify(job)),
+      { contentType: 'application/json' }
+    ));
+    this.writes[job.id] = current;
+
+    try {
+      await current;
+    } finally {
+      if (this.writes[job.id] === current) {
+        delete this.writes[job.id];
+      }
+    }
+  }
+
+  /**
+   * Cria um job e o coloca na fila
+   */
+  async create(tenantId, type, payload, { callbackUrl = null, requestedBy = null } = {}) {
+    if (!this.processors[type]) {
+      throw new Error(`Tipo de job desconhecido: ${type}`);
+    }
+
+    if (callbackUrl && !isValidCallbackUrl(callbackUrl)) {
+      throw new Error('Invalid callback URL');
+    }
+
+    const job = {
+      id: `job_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`,
+      tenantId: tenantId,
+      type: type,
+      status: 'queued',
+      progress: 0,
+      stage: 'queued',
+      attempts: 0,
+      requestedBy: requestedBy,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      error: null,
+      result: null,
+      callback: callbackUrl ? { url: callbackUrl, status: 'pending', attempts: 0 } : null,
+      payload: payload
+    };
+
+    await this.persist(job);
+    this.enqueue(tenantId, job.id);
+
+    console.log(`🧾 Job ${job.id} (${type}) criado para tenant ${tenantId}`);
+    return job;
+  }
+
+  /**
+   * Busca um job do tenant (memória → storage)
+   */
+  async get(tenantId, jobId) {
+    const cached = this.jobs[tenantId]?.[jobId];
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.isPersistent || !/^job_[\w]+$/.test(jobId)) {
+      return null;
+    }
+
+    const stored = await this.storage.get(this.jobKey(tenantId, jobId));
+    if (!stored) {
+      return null;
+    }
+
+    const job = JSON.parse(stored.buffer.toString('utf8'));
+    if (!this.jobs[tenantId]) {
+      this.jobs[tenantId] = {};
+    }
+    this.jobs[tenantId][jobId] = job;
+    return job;
+  }
+
+  /**
+   * Retorna o conteúdo de um arquivo gerado pelo job
+   */
+  async getFile(tenantId, jobId, format) {
+    const job = await this.get(tenantId, jobId);
+    const file = job?.result?.files?.[format];
+    if (!file) {
+      return null;
+    }
+
+    if (file.buffer) {
+      return { ...file, buffer: file.buffer };
+    }
+
+    const stored = await this.storage.get(file.key);
+    return stored ? { ...file, buffer: stored.buffer } : null;
+  }
+
+  enqueue(tenantId, jobId) {
+    this.queue.push({ tenantId, jobId });
+    setImmediate(() => this.drain());
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const { tenantId, jobId } = this.queue.shift();
+      this.running++;
+
+      this.process(tenantId, jobId)
+        .catch(error => console.error(`❌ Erro inesperado no job ${jobId}:`, error))
+        .finally(() => {
+          this.running--;
+          this.drain();
+        });
+    }
+  }
+
+  async process(tenantId, jobId) {
+    const job = await this.get(tenantId, jobId);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) {
+      return;
+    }
+
+    job.status = 'running';
+    job.stage = 'started';
+    job.attempts += 1;
+    job.startedAt = new Date().toISOString();
+    await this.persist(job);
+    this.emit('update', job);
+
+    const progress = (percent, stage) => {
+      job.progress = percent;
+      job.stage = stage;
+      this.emit('update', job);
+      this.persist(job).catch(error => console.error(`⚠️  Falha ao gravar progresso do job ${job.id}:`, error.message));
+    };
+
+    try {
+      const { result, files = [] } = await this.processors[job.type](job, { progress });
+
+      progress(90, 'storing');
+      job.result = { ...result, files: await this.storeFiles(job, files) };
+      job.status = 'completed';
+      job.stage = 'completed';
+      job.progress = 100;
+      console.log(`✅ Job ${job.id} concluído`);
+
+    } catch (error) {
+      job.status = 'failed';
+      job.stage = 'failed';
+      job.error = {
+        message: error.message,
+        status: error.status || 500,
+        details: error.details
+      };
+      console.error(`❌ Job ${job.id} falhou:`, error.message);
+    }
+
+    job.completedAt = new Date().toISOString();
+    await this.persist(job);
+    this.emit('update', job);
+
+    if (job.callback) {
+      this.notify(job).catch(error => console.error(`⚠️  Callback do job ${job.id}:`, error.message));
+    }
+  }
+
+  /**
+   * Grava os arquivos gerados e retorna o mapa formato -> descrição do arquivo
+   */
+  async storeFiles(job, files) {
+    const stored = {};
+
+    for (const file of files) {
+      const info = {
+        filename: file.filename,
+        contentType: file.contentType,
+        size: file.buffer.length
+      };
+
+      if (this.isPersistent) {
+        info.key = this.fileKey(job.tenantId, job.id, file.filename);
+        await this.storage.put(info.key, file.buffer, { contentType: file.contentType });
+      } else {
+        // Sem storage persistente o arquivo fica apenas em memória
+        Object.defineProperty(info, 'buffer', { value: file.buffer, enumerable: false });
+      }
+
+      stored[file.format] = info;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Assinatura HMAC enviada no callback para o cliente validar a origem
+   */
+  sign(body) {
+    return 'sha256=' + crypto.createHmac('sha256', this.callbackSecret).update(body).digest('hex');
+  }
+
+  /**
+   * Notifica o callbackUrl do job, com novas tentativas em caso de falha
+   */
+  async notify(job) {
+    const body = JSON.stringify({ event: `job.${job.status}`, job: this.toPublic(job) });
+
+    for (let attempt = 0; attempt <= CALLBACK_RETRY_DELAYS.length; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, CALLBACK_RETRY_DELAYS[attempt - 1]));
+      }
+
+      job.callback.attempts += 1;
+
+      try {
+        await axios.post(job.callback.url, body, {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-JusWay-Event': `job.${job.status}`,
+            'X-JusWay-Signature': this.sign(body)
+          },
+          timeout: 10000,
+          maxRedirects: 0,
+          lookup: publicLookup
+        });
+
+        job.callback.status = 'delivered';
+        job.callback.deliveredAt = new Date().toISOString();
+        await this.persist(job);
+        console.log(`📨 Callback do job ${job.id} entregue`);
+        return;
+
+      } catch (error) {
+        job.callback.lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+      }
+    }
+
+    job.callback.status = 'failed';
+    await this.persist(job);
+    console.error(`❌ Callback do job ${job.id} não entregue após ${job.callback.attempts} tentativas`);
+  }
+
+  isValidCallbackUrl(url) {
+    return isValidCallbackUrl(url);
+  }
+
+  /**
+   * Job ainda em andamento nesta instância: na fila, processando ou com callback pendente
+   */
+  isActive(job) {
+    return job.owner === this.instanceId &&
+      (!TERMINAL_STATUSES.includes(job.status) || job.callback?.status === 'pending');
+  }
+
+  /**
+   * Job de outra instância que ainda o atualizou dentro do prazo do lease
+   */
+  isLeased(job) {
+    return job.owner !== this.instanceId &&
+      Date.now() - new Date(job.updatedAt).getTime() < this.leaseMs;
+  }
+
+  /**
+   * Renova o lease dos jobs desta instância (chamar em intervalo menor que o lease)
+   */
+  async heartbeat() {
+    if (!this.isPersistent) {
+      return 0;
+    }
+
+    let renewed = 0;
+    for (const tenantId in this.jobs) {
+      for (const job of Object.values(this.jobs[tenantId])) {
+        if (this.isActive(job)) {
+          await this.persist(job);
+          renewed++;
+        }
+      }
+    }
+
+    return renewed;
+  }
+
+  /**
+   * Recoloca na fila os jobs não concluídos gravados no storage e reenvia os
+   * callbacks que ficaram pendentes (job concluído pouco antes da queda ou
+   * ainda entre as tentativas de entrega). Só assume jobs cujo dono parou de
+   * renovar o lease: os das outras instâncias em funcionamento ficam com elas.
+   */
+  async recover() {
+    if (!this.isPersistent) {
+      return 0;
+    }
+
+    let recovered = 0;
+    let callbacks = 0;
+
+    for (const prefix of await this.storage.listPrefixes('tenants/')) {
+      const jobsPrefix = `${prefix}jobs/`;
+
+      for (const object of await this.storage.list(jobsPrefix)) {
+        const relative = object.key.slice(jobsPrefix.length);
+        if (relative.includes('/') || !relative.endsWith('.json')) {
+          continue;
+        }
+
+        const stored = await this.storage.get(object.key);
+        if (!stored) {
+          continue;
+        }
+
+        let job;
+        try {
+          job = JSON.parse(stored.buffer.toString('utf8'));
+        } catch (error) {
+          console.error(`⚠️  Job ${object.key} ignorado na recuperação (JSON inválido):`, error.message);
+          continue;
+        }
+
+        if (job.owner === this.instanceId || this.isLeased(job)) {
+          continue;
+        }
+
+        if (TERMINAL_STATUSES.includes(job.status)) {
+          if (this.isExpired(job)) {
+            await this.remove(job);
+          } else if (job.callback && job.callback.status === 'pending') {
+            await this.persist(job);
+            this.notify(job).catch(error => console.error(`⚠️  Callback do job ${job.id}:`, error.message));
+            callbacks++;
+          }
+          continue;
+        }
+
+        if (job.attempts >= this.maxAttempts) {
+          job.status = 'failed';
+          job.stage = 'failed';
+          job.error = { message: 'Job interrupted too many times', status: 500 };
+          job.completedAt = new Date().toISOString();
+          await this.persist(job);
+          continue;
+        }
+
+        job.status = 'queued';
+        job.stage = 'queued';
+        job.progress = 0;
+        await this.persist(job);
+        this.enqueue(job.tenantId, job.id);
+        recovered++;
+      }
+    }
+
+    if (recovered > 0) {
+      console.log(`♻️  ${recovered} jobs pendentes recolocados na fila`);
+    }
+    if (callbacks > 0) {
+      console.log(`📨 ${callbacks} callbacks pendentes reenviados`);
+    }
+
+    return recovered;
+  }
+
+  isExpired(job) {
+    return TERMINAL_STATUSES.includes(job.status) &&
+      Date.now() - new Date(job.completedAt).getTime() >= this.retentionMs;
+  }
+
+  /**
+   * Remove o registro e os arquivos de um job
+   */
+  async remove(job) {
+    if (this.isPersistent) {
+      for (const file of Object.values(job.result?.files || {})) {
+        await this.storage.delete(file.key);
+      }
+      await this.storage.delete(this.jobKey(job.tenantId, job.id));
+    }
+
+    if (this.jobs[job.tenantId]) {
+      delete this.jobs[job.tenantId][job.id];
+    }
+  }
+
+  /**
+   * Remove os jobs concluídos cujo prazo de retenção expirou
+   */
+  async cleanup() {
+    let removed = 0;
+
+    for (const tenantId in this.jobs) {
+      for (const jobId in this.jobs[tenantId]) {
+        const job = this.jobs[tenantId][jobId];
+        if (this.isExpired(job)) {
+          await this.remove(job);
+          removed++;
+        }
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = JobQueue;
+module.exports.TERMINAL_STATUSES = TERMINAL_STATUSES;
+module.exports.isPrivateAddress = isPrivateAddress;
+module.exports.isValidCallbackUrl = isValidCallbackUrl;
+module.exports.publicLookup = publicLookup;
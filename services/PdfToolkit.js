@@ -0,0 +1,455 @@
+// services/PdfToolkit.js
+// Operações com PDF para montar o que vai ao tribunal: juntar petição,
+// procuração e documentos na ordem certa, anexar documentos com folha de
+// rosto ("ANEXO 1 - Procuração"), dividir por tamanho máximo (limite de
+// upload do PJe/e-SAJ) ou por intervalos de páginas e contar páginas.
+//
+// Usado pelas rotas /api/pdf/* e como pós-processamento do PDF gerado em
+// /api/documents/generate (parâmetro "pdfProcessing").
+//
+// Fontes de PDF aceitas:
+//   { documentId: 'doc_...' }            ← PDF de um documento gerado (arquivo de documentos)
+//   { url: 'https://...' }               ← download (mesmas regras das URLs de template)
+//   { base64: '...', name: 'doc.pdf' }   ← conteúdo enviado no JSON
+//   { upload: 0 }                        ← arquivo enviado no multipart (índice)
+
+const axios = require('axios');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { isValidCallbackUrl, publicLookup } = require('./JobQueue');
+
+const PDF_CONTENT_TYPE = 'application/pdf';
+const MB = 1024 * 1024;
+
+// Folha de rosto dos anexos (A4, em pontos)
+const A4 = [595.28, 841.89];
+const SEPARATOR_TITLE_SIZE = 28;
+const SEPARATOR_SUBTITLE_SIZE = 16;
+const SEPARATOR_MAX_WIDTH = 480;
+
+/**
+ * Erro nas operações com PDF, com status HTTP sugerido para a resposta
+ */
+class PdfError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'PdfError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Interpreta intervalos de páginas: "1-3, 4, 5-10" → [[1, 3], [4, 4], [5, 10]]
+ * (também aceita um array de strings/números ou de pares [de, até])
+ */
+function parseRanges(ranges, pageCount) {
+  const items = Array.isArray(ranges) ? ranges : String(ranges || '').split(',');
+  const parsed = [];
+
+  for (const item of items) {
+    let from;
+    let to;
+
+    if (Array.isArray(item)) {
+      [from, to = item[0]] = item.map(Number);
+    } else {
+      const text = String(item).trim();
+      const match = text.match(/^(\d+)\s*(?:-\s*(\d*))?$/);
+      if (!match) {
+        throw new PdfError(400, `Invalid page range "${text}" (use e.g. "1-3, 4, 5-")`);
+      }
+      from = parseInt(match[1]);
+      to = match[2] === undefined ? from : (match[2] === '' ? pageCount : parseInt(match[2]));
+    }
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from || to > pageCount) {
+      throw new PdfError(422, `Page range ${from}-${to} is outside the document (1-${pageCount})`);
+    }
+
+    parsed.push([from, to]);
+  }
+
+  if (parsed.length === 0) {
+    throw new PdfError(400, 'At least one page range is required');
+  }
+
+  return parsed;
+}
+
+class PdfToolkit {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.documentArchive] - instância de DocumentArchive (fontes { documentId })
+   * @param {function} [options.isValidTemplateUrl] - validação de URLs externas (fontes { url })
+   * @param {number} [options.maxSources] - limite de PDFs por operação
+   * @param {number} [options.maxSourceSize] - tamanho máximo de cada PDF, em bytes
+   */
+  constructor({ documentArchive = null, isValidTemplateUrl = () => false, maxSources = 30, maxSourceSize = 50 * MB } = {}) {
+    this.documentArchive = documentArchive;
+    this.isValidTemplateUrl = isValidTemplateUrl;
+    this.maxSources = maxSources;
+    this.maxSourceSize = maxSourceSize;
+  }
+
+  /**
+   * Carrega uma fonte de PDF. Retorna { name, buffer }.
+   *
+   * @param {string} tenantId
+   * @param {object} source - ver cabeçalho do arquivo
+   * @param {object[]} [uploads] - arquivos do multer (fontes { upload: índice })
+   */
+  async load(tenantId, source, uploads = []) {
+    if (!source || typeof source !== 'object') {
+      throw new PdfError(400, 'Each PDF source must be an object with documentId, url, base64 or upload');
+    }
+
+    let name;
+    let buffer;
+
+    if (source.documentId) {
+      const file = this.documentArchive
+        ? await this.documentArchive.getFile(tenantId, source.documentId, 'pdf')
+        : null;
+      if (!file) {
+        throw new PdfError(404, `PDF not found for document ${source.documentId}`);
+      }
+      name = file.filename;
+      buffer = file.buffer;
+
+    } else if (source.url) {
+      // Mesmas regras dos callbacks: só hosts públicos, conferidos também na resolução
+      // de DNS, e sem seguir redirecionamentos (que poderiam apontar para a rede interna)
+      if (!this.isValidTemplateUrl(source.url) || !isValidCallbackUrl(source.url)) {
+        throw new PdfError(400, `Invalid PDF URL: ${source.url}`);
+      }
+      try {
+        name = decodeURIComponent(new URL(source.url).pathname.split('/').pop() || 'documento.pdf');
+      } catch {
+        throw new PdfError(400, `Invalid PDF URL: ${source.url}`);
+      }
+      try {
+        const response = await axios.get(source.url, {
+          responseType: 'arraybuffer',
+          timeout: 30000,
+          maxContentLength: this.maxSourceSize,
+          maxRedirects: 0,
+          lookup: publicLookup
+        });
+        buffer = Buffer.from(response.data);
+      } catch (error) {
+        throw new PdfError(422, `Failed to download PDF from ${source.url}`, { reason: error.message });
+      }
+
+    } else if (source.base64) {
+      buffer = Buffer.from(String(source.base64), 'base64');
+      name = 'documento.pdf';
+
+    } else if (source.upload !== undefined) {
+      const file = uploads[parseInt(source.upload)];
+      if (!file) {
+        throw new PdfError(400, `Uploaded file ${source.upload} not found`);
+      }
+      name = file.originalname;
+      buffer = file.buffer;
+
+    } else {
+      throw new PdfError(400, 'Each PDF source must have documentId, url, base64 or upload');
+    }
+
+    if (buffer.length > this.maxSourceSize) {
+      throw new PdfError(413, `PDF too large: ${name} (maximum of ${Math.round(this.maxSourceSize / MB)} MB)`);
+    }
+
+    return { name: source.name || name, buffer };
+  }
+
+  /**
+   * Carrega várias fontes, na ordem recebida
+   */
+  async loadAll(tenantId, sources, uploads = []) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+      throw new PdfError(400, 'sources must be a non-empty array');
+    }
+
+    if (sources.length > this.maxSources) {
+      throw new PdfError(413, `Too many PDFs: maximum of ${this.maxSources} per operation`);
+    }
+
+    const files = [];
+    for (const source of sources) {
+      files.push(await this.load(tenantId, source, uploads));
+    }
+    return files;
+  }
+
+  /**
+   * Abre um PDF; lança PdfError 422 se o arquivo não for PDF ou estiver protegido
+   */
+  async open(file) {
+    try {
+      return await PDFDocument.load(file.buffer, { updateMetadata: false });
+    } catch (error) {
+      const reason = /encrypted/i.test(error.message)
+        ? 'password-protected PDFs are not supported'
+        : 'not a valid PDF';
+      throw new PdfError(422, `Invalid PDF ${file.name}: ${reason}`);
+    }
+  }
+
+  async save(pdf) {
+    return Buffer.from(await pdf.save());
+  }
+
+  async pageCount(file) {
+    return (await this.open(file)).getPageCount();
+  }
+
+  /**
+   * Junta os PDFs na ordem recebida. Retorna { buffer, pages, sources }.
+   */
+  async merge(files) {
+    const merged = await PDFDocument.create();
+    const sources = [];
+
+    for (const file of files) {
+      const pdf = await this.open(file);
+      const pages = await merged.copyPages(pdf, pdf.getPageIndices());
+      sources.push({ name: file.name, startPage: merged.getPageCount() + 1, pages: pages.length });
+      pages.forEach(page => merged.addPage(page));
+    }
+
+    return { buffer: await this.save(merged), pages: merged.getPageCount(), sources };
+  }
+
+  /**
+   * Anexa documentos ao final do PDF principal, cada um precedido (opcionalmente)
+   * de uma folha de rosto "ANEXO N" com o título do documento.
+   * Retorna { buffer, pages, exhibits: [{ number, title, startPage, pages }] }.
+   *
+   * @param {object} main - { name, buffer }
+   * @param {object[]} exhibits - [{ name, buffer, title }]
+   * @param {object} [options]
+   * @param {boolean} [options.separatorPages] - inserir folha de rosto antes de cada anexo
+   * @param {string} [options.label] - rótulo da folha de rosto ("Anexo", "Doc.")
+   * @param {number} [options.startNumber] - número do primeiro anexo
+   */
+  async appendExhibits(main, exhibits, { separatorPages = true, label = 'Anexo', startNumber = 1 } = {}) {
+    const result = await PDFDocument.create();
+    const font = separatorPages ? await result.embedFont(StandardFonts.HelveticaBold) : null;
+    const index = [];
+
+    const mainPdf = await this.open(main);
+    (await result.copyPages(mainPdf, mainPdf.getPageIndices())).forEach(page => result.addPage(page));
+
+    for (const [position, exhibit] of exhibits.entries()) {
+      const number = startNumber + position;
+      const title = exhibit.title || exhibit.name.replace(/\.pdf$/i, '');
+      const pdf = await this.open(exhibit);
+
+      if (separatorPages) {
+        this.addSeparatorPage(result, font, `${label} ${number}`.toUpperCase(), title);
+      }
+
+      const startPage = result.getPageCount() + 1;
+      const pages = await result.copyPages(pdf, pdf.getPageIndices());
+      pages.forEach(page => result.addPage(page));
+
+      index.push({ number, title, startPage, pages: pages.length });
+    }
+
+    return { buffer: await this.save(result), pages: result.getPageCount(), exhibits: index };
+  }
+
+  /**
+   * Folha de rosto A4 com o rótulo e o título centralizados
+   */
+  addSeparatorPage(pdf, font, heading, title) {
+    const page = pdf.addPage(A4);
+    const [width, height] = A4;
+    const color = rgb(0, 0, 0);
+
+    const headingText = this.encodable(font, heading);
+    page.drawText(headingText, {
+      x: (width - font.widthOfTextAtSize(headingText, SEPARATOR_TITLE_SIZE)) / 2,
+      y: height / 2 + SEPARATOR_TITLE_SIZE,
+      size: SEPARATOR_TITLE_SIZE,
+      font,
+      color
+    });
+
+    const lines = this.wrap(font, this.encodable(font, title), SEPARATOR_SUBTITLE_SIZE, SEPARATOR_MAX_WIDTH);
+    lines.forEach((line, i) => {
+      page.drawText(line, {
+        x: (width - font.widthOfTextAtSize(line, SEPARATOR_SUBTITLE_SIZE)) / 2,
+        y: height / 2 - SEPARATOR_SUBTITLE_SIZE * 1.5 * (i + 1),
+        size: SEPARATOR_SUBTITLE_SIZE,
+        font,
+        color
+      });
+    });
+  }
+
+  /**
+   * Remove caracteres que a fonte padrão (WinAnsi) não consegue desenhar;
+   * acentos do português são mantidos
+   */
+  encodable(font, text) {
+    const supported = new Set(font.getCharacterSet());
+    return Array.from(String(text).normalize('NFC'))
+      .filter(char => supported.has(char.codePointAt(0)))
+      .join('')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  wrap(font, text, size, maxWidth) {
+    const lines = [];
+    let line = '';
+
+    for (const word of text.split(' ')) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+
+    if (line) {
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Divide o PDF por intervalos de páginas ("1-3, 4-10") ou por tamanho
+   * máximo de cada parte. Retorna [{ buffer, from, to, pages, size }].
+   *
+   * @param {object} file - { name, buffer }
+   * @param {object} options - { ranges } ou { maxSizeMb }
+   */
+  async split(file, { ranges, maxSizeMb } = {}) {
+    const pdf = await this.open(file);
+    const pageCount = pdf.getPageCount();
+
+    if (ranges) {
+      const parts = [];
+      for (const [from, to] of parseRanges(ranges, pageCount)) {
+        parts.push(await this.extract(pdf, from, to));
+      }
+      return parts;
+    }
+
+    const maxSize = parseFloat(maxSizeMb) * MB;
+    if (!(maxSize > 0)) {
+      throw new PdfError(400, 'split requires "ranges" or a positive "maxSizeMb"');
+    }
+
+    if (file.buffer.length <= maxSize) {
+      return [await this.extract(pdf, 1, pageCount)];
+    }
+
+    // Para cada parte, a maior sequência de páginas que cabe no limite
+    // (busca binária: o tamanho cresce com o número de páginas)
+    const parts = [];
+    let from = 1;
+
+    while (from <= pageCount) {
+      let best = await this.extract(pdf, from, from);
+      if (best.size > maxSize) {
+        throw new PdfError(422, `Page ${from} alone exceeds the maximum part size of ${maxSizeMb} MB`, {
+          page: from,
+          pageSize: best.size
+        });
+      }
+
+      let low = from + 1;
+      let high = pageCount;
+      while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        const candidate = await this.extract(pdf, from, middle);
+        if (candidate.size <= maxSize) {
+          best = candidate;
+          low = middle + 1;
+        } else {
+          high = middle - 1;
+        }
+      }
+
+      parts.push(best);
+      from = best.to + 1;
+    }
+
+    return parts;
+  }
+
+  /**
+   * Novo PDF com as páginas de..até (1-based, inclusive)
+   */
+  async extract(pdf, from, to) {
+    const part = await PDFDocument.create();
+    const indices = Array.from({ length: to - from + 1 }, (_, i) => from - 1 + i);
+    (await part.copyPages(pdf, indices)).forEach(page => part.addPage(page));
+
+    const buffer = await this.save(part);
+    return { buffer, from, to, pages: indices.length, size: buffer.length };
+  }
+
+  /**
+   * Pós-processamento do PDF gerado:
+   *   { prepend: [fontes], append: [fontes], exhibits: [{ ...fonte, title }],
+   *     separatorPages, exhibitLabel, split: { ranges | maxSizeMb } }
+   * Retorna { buffer, pages, exhibits, parts } (parts só quando houver split).
+   */
+  async process(tenantId, file, options = {}) {
+    const { prepend = [], append = [], exhibits = [], separatorPages = true, exhibitLabel, split } = options;
+
+    for (const [key, value] of Object.entries({ prepend, append, exhibits })) {
+      if (!Array.isArray(value)) {
+        throw new PdfError(400, `pdfProcessing.${key} must be an array of PDF sources`);
+      }
+    }
+
+    let current = file;
+    let pages = null;
+    let exhibitIndex = [];
+
+    if (prepend.length > 0 || append.length > 0) {
+      const files = [
+        ...(prepend.length > 0 ? await this.loadAll(tenantId, prepend) : []),
+        file,
+        ...(append.length > 0 ? await this.loadAll(tenantId, append) : [])
+      ];
+      const merged = await this.merge(files);
+      current = { name: file.name, buffer: merged.buffer };
+      pages = merged.pages;
+    }
+
+    if (exhibits.length > 0) {
+      const loaded = await this.loadAll(tenantId, exhibits);
+      const appended = await this.appendExhibits(
+        current,
+        loaded.map((exhibit, i) => ({ ...exhibit, title: exhibits[i].title })),
+        { separatorPages: separatorPages !== false, label: exhibitLabel || 'Anexo' }
+      );
+      current = { name: file.name, buffer: appended.buffer };
+      pages = appended.pages;
+      exhibitIndex = appended.exhibits;
+    }
+
+    const parts = split ? await this.split(current, split) : null;
+
+    return {
+      buffer: current.buffer,
+      pages: pages || await this.pageCount(current),
+      exhibits: exhibitIndex,
+      parts: parts
+    };
+  }
+}
+
+module.exports = PdfToolkit;
+module.exports.PdfError = PdfError;
+module.exports.parseRanges = parseRanges;
+module.exports.PDF_CONTENT_TYPE = PDF_CONTENT_TYPE;
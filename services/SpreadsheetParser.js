@@ -0,0 +1,483 @@
+// services/SpreadsheetParser.js
+// Leitura de planilhas CSV e XLSX para mala direta, com mapeamento de
+// colunas para variáveis e conversão de tipos (datas, moeda, números).
+
+const PizZip = require('pizzip');
+const DocumentGenerator = require('./DocumentGenerator');
+
+// Formatos de data embutidos do Excel (numFmtId)
+const BUILTIN_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+// Dia zero do Excel (sistema 1900, já considerando o falso 29/02/1900)
+const EXCEL_EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EXCEL_EPOCH_1904 = Date.UTC(1904, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SUPPORTED_TYPES = ['text', 'date', 'currency', 'number', 'integer', 'boolean'];
+
+class SpreadsheetParser {
+  constructor() {
+    this.formatter = new DocumentGenerator();
+  }
+
+  /**
+   * Lê um arquivo CSV ou XLSX e retorna { columns, rows }.
+   * Cada linha é um objeto { coluna: valor }; linhas totalmente vazias são ignoradas.
+   */
+  parse(buffer, { filename = '', mimetype = '', sheet } = {}) {
+    const isXlsx = /\.xlsx$/i.test(filename) ||
+      mimetype.includes('spreadsheetml') ||
+      (buffer[0] === 0x50 && buffer[1] === 0x4b); // assinatura ZIP "PK"
+
+    const table = isXlsx ? this.readXlsx(buffer, sheet) : this.readCsv(this.decodeText(buffer));
+    return this.toRows(table);
+  }
+
+  /**
+   * Converte a matriz (primeira linha = cabeçalho) em objetos
+   */
+  toRows(table) {
+    if (table.length === 0) {
+      return { columns: [], rows: [] };
+    }
+
+    const seen = {};
+    const columns = table[0].map((header, index) => {
+      let name = String(header == null ? '' : header).trim() || `coluna_${index + 1}`;
+      seen[name] = (seen[name] || 0) + 1;
+      if (seen[name] > 1) {
+        name = `${name}_${seen[name]}`;
+      }
+      return name;
+    });
+
+    const rows = [];
+    for (let i = 1; i < table.length; i++) {
+      const cells = table[i];
+      if (!cells.some(cell => cell !== null && cell !== undefined && String(cell).trim() !== '')) {
+        continue;
+      }
+
+      const row = {};
+      columns.forEach((column, index) => {
+        const value = cells[index];
+        row[column] = typeof value === 'string' ? value.trim() : (value === undefined ? null : value);
+      });
+
+      // Linha original na planilha (cabeçalho = linha 1)
+      Object.defineProperty(row, '__line', { value: i + 1, enumerable: false });
+      rows.push(row);
+    }
+
+    return { columns, rows };
+  }
+
+  // ========================================
+  // CSV
+  // ========================================
+
+  /**
+   * Decodifica o texto: UTF-8 (com ou sem BOM) ou Windows-1252/Latin-1,
+   * que é o padrão do Excel em português ao "Salvar como CSV"
+   */
+  decodeText(buffer) {
+    const text = buffer.toString('utf8');
+    const withoutBom = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    if (withoutBom.includes('�')) {
+      return buffer.toString('latin1');
+    }
+
+    return withoutBom;
+  }
+
+  /**
+   * Detecta o separador pela primeira linha (";" é o padrão do Excel pt-BR)
+   */
+  detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    const candidates = [';', ',', '\t'];
+
+    return candidates.reduce((best, candidate) => (
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+    ), ',');
+  }
+
+  /**
+   * Parser CSV (RFC 4180): aspas, aspas duplicadas e quebras de linha dentro de campos
+   */
+  readCsv(text) {
+    const delimiter = this.detectDelimiter(text);
+    const table = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        table.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      table.push(row);
+    }
+
+    return table;
+  }
+
+  // ========================================
+  // XLSX
+  // ========================================
+
+  decodeXml(text) {
+    return text
+      .replace(/_x([0-9a-fA-F]{4})_/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+      .replace(/&#x([0-9a-fA-F]+);/g, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/&amp;/g, '&');
+  }
+
+  /**
+   * Concatena todos os <t> de um trecho (texto rico vem dividido em runs)
+   */
+  textOf(xml) {
+    const parts = [];
+    const regex = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+    let match;
+    while ((match = regex.exec(xml)) !== null) {
+      parts.push(this.decodeXml(match[1]));
+    }
+    return parts.join('');
+  }
+
+  attr(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  }
+
+  columnIndex(reference) {
+    const letters = reference.replace(/\d+/g, '');
+    let index = 0;
+    for (const letter of letters) {
+      index = index * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return index - 1;
+  }
+
+  /**
+   * Índices de estilo (atributo s das células) que representam datas
+   */
+  readDateStyles(zip) {
+    const stylesFile = zip.file('xl/styles.xml');
+    if (!stylesFile) {
+      return new Set();
+    }
+
+    const styles = stylesFile.asText();
+    const customDateFormats = new Set();
+
+    const numFmtRegex = /<numFmt\b[^>]*>/g;
+    let match;
+    while ((match = numFmtRegex.exec(styles)) !== null) {
+      const id = parseInt(this.attr(match[0], 'numFmtId'));
+      // Ignorar trechos entre aspas e [cores]/[condições] antes de procurar d/m/y
+      const code = this.decodeXml(this.attr(match[0], 'formatCode') || '')
+        .replace(/"[^"]*"/g, '')
+        .replace(/\[[^\]]*\]/g, '');
+      if (/[dy]/i.test(code)) {
+        customDateFormats.add(id);
+      }
+    }
+
+    const dateStyles = new Set();
+    const cellXfs = styles.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+    if (cellXfs) {
+      const xfs = cellXfs[1].match(/<xf\b[^>]*>/g) || [];
+      xfs.forEach((xf, index) => {
+        const numFmtId = parseInt(this.attr(xf, 'numFmtId'));
+        if (BUILTIN_DATE_FORMATS.includes(numFmtId) || customDateFormats.has(numFmtId)) {
+          dateStyles.add(index);
+        }
+      });
+    }
+
+    return dateStyles;
+  }
+
+  /**
+   * Caminho da planilha pedida (por nome) ou da primeira do arquivo
+   */
+  resolveSheetPath(zip, sheetName) {
+    const workbook = zip.file('xl/workbook.xml').asText();
+    const rels = zip.file('xl/_rels/workbook.xml.rels').asText();
+    const sheets = workbook.match(/<sheet\b[^>]*>/g) || [];
+
+    const sheet = sheetName
+      ? sheets.find(tag => this.decodeXml(this.attr(tag, 'name') || '') === sheetName)
+      : sheets[0];
+
+    if (!sheet) {
+      throw new Error(sheetName ? `Planilha "${sheetName}" não encontrada` : 'Arquivo XLSX sem planilhas');
+    }
+
+    const relId = this.attr(sheet, 'r:id');
+    const rel = (rels.match(/<Relationship\b[^>]*>/g) || []).find(tag => this.attr(tag, 'Id') === relId);
+    const target = this.attr(rel, 'Target');
+
+    return {
+      path: target.startsWith('/') ? target.slice(1) : `xl/${target}`,
+      date1904: /date1904="(1|true)"/.test(workbook)
+    };
+  }
+
+  readXlsx(buffer, sheetName) {
+    const zip = new PizZip(buffer);
+
+    if (!zip.file('xl/workbook.xml')) {
+      throw new Error('Arquivo XLSX inválido');
+    }
+
+    const sharedStringsFile = zip.file('xl/sharedStrings.xml');
+    const sharedStrings = sharedStringsFile
+      ? (sharedStringsFile.asText().match(/<si>[\s\S]*?<\/si>/g) || []).map(si => this.textOf(si))
+      : [];
+
+    const dateStyles = this.readDateStyles(zip);
+    const { path, date1904 } = this.resolveSheetPath(zip, sheetName);
+    const sheetXml = zip.file(path).asText();
+
+    const table = [];
+    const rowRegex = /<row\b[^>]*>([\s\S]*?)<\/row>|<row\b[^>]*\/>/g;
+    let rowMatch;
+
+    while ((rowMatch = rowRegex.exec(sheetXml)) !== null) {
+      const rowNumber = parseInt(this.attr(rowMatch[0], 'r')) || table.length + 1;
+      const cells = [];
+      const cellRegex = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+      let cellMatch;
+
+      while ((cellMatch = cellRegex.exec(rowMatch[1] || '')) !== null) {
+        const tag = `<c${cellMatch[1]}>`;
+        const content = cellMatch[2] || '';
+        const reference = this.attr(tag, 'r');
+        const index = reference ? this.columnIndex(reference) : cells.length;
+        const type = this.attr(tag, 't');
+        const style = parseInt(this.attr(tag, 's'));
+        const rawValue = (content.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+        let value = null;
+        if (type === 's') {
+          value = sharedStrings[parseInt(rawValue)] ?? '';
+        } else if (type === 'inlineStr') {
+          value = this.textOf(content);
+        } else if (type === 'b') {
+          value = rawValue === '1';
+        } else if (type === 'str' || type === 'e') {
+          value = rawValue !== undefined ? this.decodeXml(rawValue) : '';
+        } else if (rawValue !== undefined) {
+          const number = parseFloat(rawValue);
+          value = dateStyles.has(style)
+            ? this.formatter.formatDate(this.excelSerialToDate(number, date1904))
+            : number;
+        }
+
+        cells[index] = value;
+      }
+
+      // Preservar linhas em branco intermediárias para manter a numeração
+      while (table.length < rowNumber - 1) {
+        table.push([]);
+      }
+      table.push(cells);
+    }
+
+    return table;
+  }
+
+  /**
+   * Número serial do Excel → Date (em horário local, com o mesmo dia/mês/ano)
+   */
+  excelSerialToDate(serial, date1904 = false) {
+    const utc = new Date((date1904 ? EXCEL_EPOCH_1904 : EXCEL_EPOCH_1900) + Math.floor(serial) * DAY_MS);
+    return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+  }
+
+  // ========================================
+  // MAPEAMENTO E CONVERSÃO DE TIPOS
+  // ========================================
+
+  /**
+   * Converte "1.234,56", "1234.56", "R$ 1.234,56" etc. em número
+   */
+  parseNumber(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    let text = String(value).replace(/R\$|\s/g, '').trim();
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    text = text.replace(/[()-]/g, '');
+
+    if (text.includes(',') && text.includes('.')) {
+      // O último separador é o decimal
+      text = text.lastIndexOf(',') > text.lastIndexOf('.')
+        ? text.replace(/\./g, '').replace(',', '.')
+        : text.replace(/,/g, '');
+    } else if (text.includes(',')) {
+      text = text.replace(',', '.');
+    } else if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+      text = text.replace(/\./g, '');
+    }
+
+    if (!/^\d+(\.\d+)?$/.test(text)) {
+      return NaN;
+    }
+
+    return (negative ? -1 : 1) * parseFloat(text);
+  }
+
+  /**
+   * Converte datas DD/MM/AAAA, DD-MM-AAAA, DD/MM/AA, AAAA-MM-DD ou serial do Excel
+   */
+  parseDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value) ? null : value;
+    }
+
+    if (typeof value === 'number') {
+      return this.excelSerialToDate(value);
+    }
+
+    const text = String(value).trim();
+    let match;
+    let day;
+    let month;
+    let year;
+
+    if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+      [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+      [, day, month, year] = match;
+      if (year.length === 2) {
+        year = (parseInt(year) < 50 ? '20' : '19') + year;
+      }
+    } else {
+      return null;
+    }
+
+    const date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+    if (date.getDate() !== parseInt(day) || date.getMonth() !== parseInt(month) - 1) {
+      return null; // ex.: 31/02
+    }
+    return date;
+  }
+
+  /**
+   * Converte um valor para o tipo declarado.
+   * Retorna { value } ou { error } com a explicação.
+   */
+  coerce(value, type) {
+    if (value === null || value === undefined || value === '') {
+      return { value: null };
+    }
+
+    switch (type) {
+      case 'date': {
+        const date = this.parseDate(value);
+        return date ? { value: this.formatter.formatDate(date) } : { error: 'data inválida (use DD/MM/AAAA)' };
+      }
+      case 'currency': {
+        const number = this.parseNumber(value);
+        return isNaN(number) ? { error: 'valor monetário inválido' } : { value: this.formatter.formatCurrency(number) };
+      }
+      case 'number': {
+        const number = this.parseNumber(value);
+        return isNaN(number) ? { error: 'número inválido' } : { value: number };
+      }
+      case 'integer': {
+        const number = this.parseNumber(value);
+        return Number.isInteger(number) ? { value: number } : { error: 'número inteiro inválido' };
+      }
+      case 'boolean': {
+        const text = String(value).trim().toLowerCase();
+        if (['true', '1', 'sim', 's', 'x', 'yes'].includes(text)) return { value: true };
+        if (['false', '0', 'não', 'nao', 'n', 'no'].includes(text)) return { value: false };
+        return { error: 'valor booleano inválido (use sim/não)' };
+      }
+      case 'text':
+      default:
+        return { value: String(value) };
+    }
+  }
+
+  /**
+   * Aplica o mapeamento coluna → variável e a conversão de tipos.
+   *
+   * @param {object[]} rows - linhas de parse()
+   * @param {object} mapping - { "Nome da coluna": "variavel" } (colunas sem mapeamento mantêm o nome)
+   * @param {object} types - { variavel: 'date' | 'currency' | 'number' | 'integer' | 'boolean' | 'text' }
+   * @returns {object[]} [{ line, record, errors: [{ variable, column, value, message }] }]
+   */
+  mapRows(rows, mapping = {}, types = {}) {
+    return rows.map(row => {
+      const record = {};
+      const errors = [];
+
+      for (const [column, value] of Object.entries(row)) {
+        const variable = mapping[column] || column;
+        const type = types[variable];
+
+        if (!type) {
+          record[variable] = value;
+          continue;
+        }
+
+        const coerced = this.coerce(value, type);
+        if (coerced.error) {
+          errors.push({ variable, column, value, message: coerced.error });
+          record[variable] = value;
+        } else {
+          record[variable] = coerced.value;
+        }
+      }
+
+      return { line: row.__line, record, errors };
+    });
+  }
+}
+
+module.exports = SpreadsheetParser;
+module.exports.SUPPORTED_TYPES = SUPPORTED_TYPES;
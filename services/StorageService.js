@@ -1,97 +1,47 @@
 // services/StorageService.js
 const fs = require('fs').promises;
-const path = require('path');
 const axios = require('axios');
-const FormData = require('form-data');
+const { createStorage } = require('./storage');
 
-class StorageService {
-  constructor() {
-    // Você pode configurar diferentes providers aqui
-    this.provider = process.env.STORAGE_PROVIDER || 'local'; // 'local', 'base44', 's3'
-    this.uploadUrl = process.env.UPLOAD_URL || null;
-    this.apiKey = process.env.STORAGE_API_KEY || null;
-    this.localStoragePath = 'uploads';
-  }
+// Links de download valem 7 dias (máximo aceito pelo S3 em URLs assinadas)
+const DEFAULT_URL_EXPIRES_IN = 7 * 24 * 60 * 60;
 
+class StorageService {
   /**
-   * Faz upload de um arquivo
+   * @param {object} [driver] - driver de services/storage (padrão: configurado pelo ambiente)
    */
-  async uploadFile(filePath, destinationName) {
-    switch (this.provider) {
-      case 'base44':
-        return await this.uploadToBase44(filePath, destinationName);
-      case 's3':
-        return await this.uploadToS3(filePath, destinationName);
-      case 'local':
-      default:
-        return await this.uploadToLocal(filePath, destinationName);
-    }
+  constructor(driver) {
+    this.driver = driver || createStorage();
+    this.provider = this.driver.name;
+    this.urlExpiresIn = parseInt(process.env.STORAGE_URL_EXPIRES_IN) || DEFAULT_URL_EXPIRES_IN;
   }
 
   /**
-   * Upload local (desenvolvimento)
+   * Faz upload de um arquivo e retorna a URL de acesso
    */
-  async uploadToLocal(filePath, destinationName) {
+  async uploadFile(filePath, destinationName, contentType) {
     try {
-      const fileName = path.basename(destinationName);
-      const destPath = path.join(this.localStoragePath, fileName);
-      
-      // Criar diretório se não existir
-      await fs.mkdir(path.dirname(destPath), { recursive: true });
-      
-      // Copiar arquivo
-      await fs.copyFile(filePath, destPath);
-      
-      // Retornar URL local (ajuste conforme necessário)
-      const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
-      return `${baseUrl}/uploads/${fileName}`;
-      
+      const buffer = await fs.readFile(filePath);
+      return await this.uploadBuffer(buffer, destinationName, contentType);
+
     } catch (error) {
-      console.error('Erro no upload local:', error);
+      console.error(`Erro no upload (${this.provider}):`, error);
       throw error;
     }
   }
 
   /**
-   * Upload para Base44 (usando a integração existente)
+   * Faz upload de um buffer e retorna a URL de acesso
    */
-  async uploadToBase44(filePath, destinationName) {
-    try {
-      if (!this.uploadUrl) {
-        throw new Error('UPLOAD_URL not configured for Base44');
-      }
+  async uploadBuffer(buffer, destinationName, contentType) {
+    const result = await this.driver.put(destinationName, buffer, { contentType });
 
-      // Ler arquivo
-      const fileBuffer = await fs.readFile(filePath);
-      const fileName = path.basename(destinationName);
-      
-      // Criar FormData
-      const formData = new FormData();
-      formData.append('file', fileBuffer, fileName);
-      
-      // Fazer upload
-      const response = await axios.post(this.uploadUrl, formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'Authorization': this.apiKey ? `Bearer ${this.apiKey}` : undefined
-        }
-      });
-      
-      // Retornar URL do arquivo
-      return response.data.url || response.data.fileUrl;
-      
-    } catch (error) {
-      console.error('Erro no upload Base44:', error);
-      throw new Error('Failed to upload to Base44');
+    // Base44 devolve a URL pública no próprio upload
+    if (result.url) {
+      return result.url;
     }
-  }
 
-  /**
-   * Upload para S3 (exemplo)
-   */
-  async uploadToS3(filePath, destinationName) {
-    // Implementar integração com S3 se necessário
-    throw new Error('S3 upload not implemented yet');
+    return await this.driver.presign(destinationName, { expiresIn: this.urlExpiresIn });
   }
 
   /**
@@ -104,10 +54,10 @@ class StorageService {
         url: url,
         responseType: 'arraybuffer'
       });
-      
+
       await fs.writeFile(destinationPath, response.data);
       return destinationPath;
-      
+
     } catch (error) {
       console.error('Erro no download:', error);
       throw new Error('Failed to download file');
@@ -115,4 +65,4 @@ class StorageService {
   }
 }
 
-module.exports = StorageService;
\ No newline at end of file
+module.exports = StorageService;
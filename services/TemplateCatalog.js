@@ -0,0 +1,639 @@
+// services/TemplateCatalog.js
+// Catálogo persistente de templates por tenant.
+// O índice fica em tenants/{tenantId}/templates/index.json, ao lado dos
+// arquivos .docx; a memória funciona apenas como cache.
+// Várias instâncias podem compartilhar o mesmo storage: toda alteração relê o
+// índice dentro do lock antes de gravar, e as consultas usam uma cópia de no
+// máximo INDEX_TTL_MS.
+
+const INDEX_CONTENT_TYPE = 'application/json';
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INDEX_TTL_MS = 15 * 1000;
+
+class TemplateCatalog {
+  /**
+   * @param {object} storage - driver de services/storage (pode ser null)
+   * @param {object} options
+   * @param {number} options.trashRetentionDays - dias na lixeira antes da remoção definitiva
+   */
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.trashRetentionDays = options.trashRetentionDays ?? 30;
+    this.indexes = {};   // tenantId -> índice carregado
+    this.loadedAt = {};  // tenantId -> quando o índice foi lido do storage
+    this.revisions = {}; // tenantId -> gravações desta instância (descarta leituras que ficaram para trás)
+    this.cache = {};     // tenantId -> "templateId@versão" -> { buffer, lastUsed }
+    this.locks = {};     // tenantId -> Promise (serializa escritas no índice)
+  }
+
+  get isPersistent() {
+    return !!(this.storage && this.storage.isConfigured && this.storage.canRead);
+  }
+
+  templatesPrefix(tenantId) {
+    return `tenants/${tenantId}/templates/`;
+  }
+
+  indexKey(tenantId) {
+    return `${this.templatesPrefix(tenantId)}index.json`;
+  }
+
+  templateKey(tenantId, templateId, version = 1) {
+    if (version > 1) {
+      return `${this.templatesPrefix(tenantId)}${templateId}/v${version}.docx`;
+    }
+    return `${this.templatesPrefix(tenantId)}${templateId}.docx`;
+  }
+
+  cacheKey(templateId, version) {
+    return `${templateId}@${version}`;
+  }
+
+  /**
+   * Lista as versões de um template do catálogo.
+   * Entradas anteriores ao versionamento são tratadas como versão 1.
+   */
+  versionsOf(entry) {
+    if (Array.isArray(entry.versions) && entry.versions.length > 0) {
+      return entry.versions;
+    }
+
+    return [{
+      version: 1,
+      originalName: entry.originalName,
+      size: entry.size,
+      uploadedAt: entry.uploadedAt,
+      uploadedBy: entry.uploadedBy,
+      variables: entry.variables,
+      variableCount: entry.variableCount,
+      storage: entry.storage,
+      storageKey: entry.storageKey
+    }];
+  }
+
+  /**
+   * Resolve uma versão específica (ou a mais recente se version for vazio)
+   */
+  resolveVersion(entry, version) {
+    const versions = this.versionsOf(entry);
+
+    if (version === undefined || version === null || version === '' || version === 'latest') {
+      return versions[versions.length - 1];
+    }
+
+    return versions.find(v => v.version === parseInt(version)) || null;
+  }
+
+  /**
+   * Executa uma alteração no índice de forma serializada por tenant
+   */
+  async withLock(tenantId, fn) {
+    const previous = this.locks[tenantId] || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.locks[tenantId] = current;
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks[tenantId] === current) {
+        delete this.locks[tenantId];
+      }
+    }
+  }
+
+  /**
+   * Carrega o índice do tenant (memória → storage → reconstrução a partir dos arquivos).
+   * A cópia em memória vale por INDEX_TTL_MS; fresh força a releitura do storage
+   * (usado dentro do lock, antes de cada alteração).
+   */
+  async loadIndex(tenantId, { fresh = false } = {}) {
+    const cached = this.indexes[tenantId];
+    if (cached && (!this.isPersistent || (!fresh && Date.now() - this.loadedAt[tenantId] < INDEX_TTL_MS))) {
+      return cached;
+    }
+
+    const revision = this.revisions[tenantId] || 0;
+    let index = null;
+
+    if (this.isPersistent) {
+      const stored = await this.storage.get(this.indexKey(tenantId));
+
+      if (stored) {
+        index = JSON.parse(stored.buffer.toString('utf8'));
+      } else {
+        console.log(`🔍 Índice de templates do tenant ${tenantId} não encontrado, reconstruindo a partir do storage...`);
+        index = await this.rebuildIndex(tenantId);
+      }
+    }
+
+    if (!index) {
+      index = { tenantId: tenantId, updatedAt: new Date().toISOString(), templates: {} };
+    }
+
+    // Uma gravação desta instância terminou durante a leitura: a cópia dela é mais nova
+    if (cached && revision !== (this.revisions[tenantId] || 0)) {
+      return this.indexes[tenantId];
+    }
+
+    this.indexes[tenantId] = index;
+    this.loadedAt[tenantId] = Date.now();
+    return index;
+  }
+
+  /**
+   * Reconstrói o índice a partir dos .docx já enviados ao storage
+   * (templates salvos antes da existência do catálogo)
+   */
+  async rebuildIndex(tenantId) {
+    const prefix = this.templatesPrefix(tenantId);
+    const objects = await this.storage.list(prefix);
+    const templates = {};
+
+    for (const object of objects) {
+      const relative = object.key.slice(prefix.length);
+      if (relative.includes('/') || !relative.endsWith('.docx')) {
+        continue;
+      }
+
+      const templateId = relative.replace(/\.docx$/, '');
+      const head = await this.storage.head(object.key);
+      const metadata = head?.metadata || {};
+
+      templates[templateId] = {
+        id: templateId,
+        name: metadata.templatename || metadata.templateName || templateId,
+        originalName: metadata.templatename || metadata.templateName || `${templateId}.docx`,
+        size: object.size,
+        uploadedAt: metadata.uploadedat || metadata.uploadedAt ||
+          (object.lastModified ? new Date(object.lastModified).toISOString() : null),
+        uploadedBy: null,
+        variables: null,
+        variableCount: 0,
+        storage: this.storage.name,
+        storageKey: object.key
+      };
+    }
+
+    const index = { tenantId: tenantId, updatedAt: new Date().toISOString(), templates: templates };
+
+    if (objects.length > 0) {
+      await this.persistIndex(tenantId, index);
+      console.log(`📚 Índice reconstruído: ${Object.keys(templates).length} templates para tenant ${tenantId}`);
+    }
+
+    return index;
+  }
+
+  async persistIndex(tenantId, index) {
+    index.updatedAt = new Date().toISOString();
+
+    if (this.isPersistent) {
+      await this.storage.put(
+        this.indexKey(tenantId),
+        Buffer.from(JSON.stringify(index, null, 2)),
+        { contentType: INDEX_CONTENT_TYPE }
+      );
+    }
+
+    this.revisions[tenantId] = (this.revisions[tenantId] || 0) + 1;
+    this.indexes[tenantId] = index;
+    this.loadedAt[tenantId] = Date.now();
+  }
+
+  /**
+   * Lista templates do tenant com paginação
+   */
+  async list(tenantId, { page = 1, limit = 50 } = {}) {
+    const index = await this.loadIndex(tenantId);
+
+    const all = Object.values(index.templates)
+      .filter(t => !t.deletedAt)
+      .sort((a, b) => String(b.uploadedAt || '').localeCompare(String(a.uploadedAt || '')));
+
+    const total = all.length;
+    const start = (page - 1) * limit;
+
+    return {
+      templates: all.slice(start, start + limit),
+      pagination: {
+        page: page,
+        limit: limit,
+        total: total,
+        totalPages: Math.max(1, Math.ceil(total / limit))
+      }
+    };
+  }
+
+  /**
+   * Retorna os metadados de um template (sem o arquivo)
+   */
+  async get(tenantId, templateId) {
+    const index = await this.loadIndex(tenantId);
+    return index.templates[templateId] || null;
+  }
+
+  /**
+   * Grava o arquivo de uma versão no armazenamento
+   */
+  async storeVersionFile(tenantId, templateId, buffer, metadata, version) {
+    if (!this.isPersistent) {
+      return { storage: 'memory', storageKey: null };
+    }
+
+    const key = this.templateKey(tenantId, templateId, version);
+
+    console.log(`📤 Enviando template ${templateId} (v${version}) para o storage ${this.storage.name}...`);
+
+    await this.storage.put(key, buffer, {
+      contentType: DOCX_CONTENT_TYPE,
+      metadata: {
+        tenantId: tenantId,
+        templateName: metadata.name || 'template.docx',
+        templateVersion: String(version),
+        uploadedAt: new Date().toISOString()
+      }
+    });
+
+    return { storage: this.storage.name, storageKey: key };
+  }
+
+  /**
+   * Salva o arquivo do template e registra no catálogo (versão 1)
+   */
+  async save(tenantId, templateId, buffer, metadata) {
+    const location = await this.storeVersionFile(tenantId, templateId, buffer, metadata, 1);
+
+    const versionInfo = {
+      version: 1,
+      originalName: metadata.originalName,
+      size: metadata.size,
+      uploadedAt: metadata.uploadedAt,
+      uploadedBy: metadata.uploadedBy,
+      variables: metadata.variables,
+      variableCount: metadata.variableCount,
+      structure: metadata.structure || null,
+      schema: metadata.schema || null,
+      ...location
+    };
+
+    const entry = {
+      ...metadata,
+      ...location,
+      id: templateId,
+      version: 1,
+      versions: [versionInfo]
+    };
+
+    await this.withLock(tenantId, async () => {
+      const index = await this.loadIndex(tenantId, { fresh: true });
+      index.templates[templateId] = entry;
+      await this.persistIndex(tenantId, index);
+    });
+
+    this.cacheBuffer(tenantId, templateId, 1, buffer);
+
+    return entry;
+  }
+
+  /**
+   * Adiciona uma nova revisão a um template existente, mantendo o mesmo ID.
+   * As versões anteriores continuam disponíveis para reprodução.
+   */
+  async addVersion(tenantId, templateId, buffer, metadata) {
+    return this.withLock(tenantId, async () => {
+      const index = await this.loadIndex(tenantId, { fresh: true });
+      const entry = index.templates[templateId];
+      if (!entry) {
+        return null;
+      }
+
+      const versions = this.versionsOf(entry);
+      const version = versions[versions.length - 1].version + 1;
+
+      const location = await this.storeVersionFile(tenantId, templateId, buffer, {
+        ...metadata,
+        name: metadata.name || entry.name
+      }, version);
+
+      const versionInfo = {
+        version: version,
+        originalName: metadata.originalName,
+        size: metadata.size,
+        uploadedAt: metadata.uploadedAt,
+        uploadedBy: metadata.uploadedBy,
+        comment: metadata.comment || null,
+        variables: metadata.variables,
+        variableCount: metadata.variableCount,
+        structure: metadata.structure || null,
+        // Sem esquema novo, a revisão herda o esquema da versão anterior
+        schema: metadata.schema !== undefined ? metadata.schema : (versions[versions.length - 1].schema || null),
+        ...location
+      };
+
+      // Campos do topo sempre refletem a versão mais recente
+      Object.assign(entry, {
+        name: metadata.name || entry.name,
+        originalName: versionInfo.originalName,
+        size: versionInfo.size,
+        updatedAt: versionInfo.uploadedAt,
+        variables: versionInfo.variables,
+        variableCount: versionInfo.variableCount,
+        structure: versionInfo.structure,
+        schema: versionInfo.schema,
+        storage: location.storage,
+        storageKey: location.storageKey,
+        version: version,
+        versions: [...versions, versionInfo]
+      });
+
+      await this.persistIndex(tenantId, index);
+      this.cacheBuffer(tenantId, templateId, version, buffer);
+
+      return { entry: entry, version: versionInfo };
+    });
+  }
+
+  /**
+   * Grava as variáveis extraídas de uma versão (entradas reconstruídas ou
+   * anteriores à extração estruturada não têm)
+   */
+  async setVersionVariables(tenantId, templateId, version, variables, structure = null) {
+    return this.withLock(tenantId, async () => {
+      const index = await this.loadIndex(tenantId, { fresh: true });
+      const entry = index.templates[templateId];
+      if (!entry) {
+        return null;
+      }
+
+      const versions = this.versionsOf(entry).map(v => (
+        v.version === version
+          ? { ...v, variables: variables, variableCount: Object.keys(variables).length, structure: structure }
+          : v
+      ));
+      entry.versions = versions;
+
+      if (versions[versions.length - 1].version === version) {
+        entry.variables = variables;
+        entry.variableCount = Object.keys(variables).length;
+        entry.structure = structure;
+      }
+
+      await this.persistIndex(tenantId, index);
+      return entry;
+    });
+  }
+
+  /**
+   * Grava o esquema de variáveis de uma versão
+   */
+  async setVersionSchema(tenantId, templateId, version, schema) {
+    return this.withLock(tenantId, async () => {
+      const index = await this.loadIndex(tenantId, { fresh: true });
+      const entry = index.templates[templateId];
+      if (!entry) {
+        return null;
+      }
+
+      const versions = this.versionsOf(entry).map(v => (
+        v.version === version ? { ...v, schema: schema } : v
+      ));
+      entry.versions = versions;
+
+      if (versions[versions.length - 1].version === version) {
+        entry.schema = schema;
+      }
+
+      await this.persistIndex(tenantId, index);
+      return entry;
+    });
+  }
+
+  /**
+   * Atualiza campos de um template já catalogado
+   */
+  async update(tenantId, templateId, changes) {
+    return this.withLock(tenantId, async () => {
+      const index = await this.loadIndex(tenantId, { fresh: true });
+      const entry = index.templates[templateId];
+      if (!entry) {
+        return null;
+      }
+
+      Object.assign(entry, changes);
+      await this.persistIndex(tenantId, index);
+      return entry;
+    });
+  }
+
+  /**
+   * Data em que um template da lixeira será removido definitivamente
+   */
+  purgeDate(entry) {
+    return new Date(new Date(entry.deletedAt).getTime() + this.trashRetentionDays * DAY_MS);
+  }
+
+  /**
+   * Marca o template como excluído (soft delete) no índice persistente
+   */
+  async softDelete(tenantId, templateId, deletedBy) {
+    return this.withLock(tenantId, async () => {
+      const index = await this.loadIndex(tenantId, { fresh: true });
+      const entry = index.templates[templateId];
+      if (!entry || entry.deletedAt) {
+        return null;
+      }
+
+      entry.deletedAt = new Date().toISOString();
+      entry.deletedBy = deletedBy || null;
+      await this.persistIndex(tenantId, index);
+      return entry;
+    });
+  }
+
+  /**
+   * Retira o template da lixeira
+   */
+  async restore(tenantId, templateId) {
+    return this.withLock(tenantId, async () => {
+      const index = await this.loadIndex(tenantId, { fresh: true });
+      const entry = index.templates[templateId];
+      if (!entry || !entry.deletedAt) {
+        return null;
+      }
+
+      delete entry.deletedAt;
+      delete entry.deletedBy;
+      entry.restoredAt = new Date().toISOString();
+      await this.persistIndex(tenantId, index);
+      return entry;
+    });
+  }
+
+  /**
+   * Lista os templates na lixeira do tenant
+   */
+  async listTrash(tenantId) {
+    const index = await this.loadIndex(tenantId);
+
+    return Object.values(index.templates)
+      .filter(t => t.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(t => ({ ...t, purgeAt: this.purgeDate(t).toISOString() }));
+  }
+
+  /**
+   * Remove definitivamente um template: arquivos de todas as versões + entrada do índice
+   */
+  async purge(tenantId, templateId) {
+    this.evict(tenantId, templateId);
+
+    return this.withLock(tenantId, async () => {
+      const index = await this.loadIndex(tenantId, { fresh: true });
+      const entry = index.templates[templateId];
+      if (!entry) {
+        return false;
+      }
+
+      if (this.isPersistent) {
+        for (const version of this.versionsOf(entry)) {
+          await this.storage.delete(
+            version.storageKey || this.templateKey(tenantId, templateId, version.version)
+          );
+        }
+      }
+
+      delete index.templates[templateId];
+      await this.persistIndex(tenantId, index);
+      return true;
+    });
+  }
+
+  /**
+   * Remove definitivamente os templates do tenant cujo prazo na lixeira expirou
+   */
+  async purgeExpired(tenantId) {
+    const index = await this.loadIndex(tenantId);
+    const now = Date.now();
+
+    const expired = Object.values(index.templates)
+      .filter(t => t.deletedAt && this.purgeDate(t).getTime() <= now)
+      .map(t => t.id);
+
+    for (const templateId of expired) {
+      await this.purge(tenantId, templateId);
+      console.log(`🗑️  Template ${templateId} removido definitivamente (tenant ${tenantId})`);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Percorre todos os tenants conhecidos (memória e storage) purgando a lixeira
+   */
+  async purgeAllExpired() {
+    const tenants = new Set(Object.keys(this.indexes));
+
+    if (this.isPersistent) {
+      for (const prefix of await this.storage.listPrefixes('tenants/')) {
+        tenants.add(prefix.slice('tenants/'.length).replace(/\/$/, ''));
+      }
+    }
+
+    let purged = 0;
+    for (const tenantId of tenants) {
+      purged += await this.purgeExpired(tenantId);
+    }
+
+    return purged;
+  }
+
+  /**
+   * Retorna metadados + buffer de uma versão do template (padrão: mais recente),
+   * usando o cache quando possível
+   */
+  async getTemplate(tenantId, templateId, version) {
+    const entry = await this.get(tenantId, templateId);
+    if (!entry) {
+      return null;
+    }
+
+    const versionInfo = this.resolveVersion(entry, version);
+    if (!versionInfo) {
+      return null;
+    }
+
+    const result = {
+      ...entry,
+      ...versionInfo,
+      name: entry.name,
+      latestVersion: entry.version || 1
+    };
+
+    const cached = this.cache[tenantId]?.[this.cacheKey(templateId, versionInfo.version)];
+    if (cached) {
+      cached.lastUsed = Date.now();
+      return { ...result, buffer: cached.buffer };
+    }
+
+    if (!this.isPersistent) {
+      return null;
+    }
+
+    console.log(`🔍 Template ${templateId} (v${versionInfo.version}) não está em cache, buscando do storage...`);
+    const stored = await this.storage.get(
+      versionInfo.storageKey || this.templateKey(tenantId, templateId, versionInfo.version)
+    );
+    if (!stored) {
+      return null;
+    }
+
+    this.cacheBuffer(tenantId, templateId, versionInfo.version, stored.buffer);
+    return { ...result, buffer: stored.buffer };
+  }
+
+  cacheBuffer(tenantId, templateId, version, buffer) {
+    if (!this.cache[tenantId]) {
+      this.cache[tenantId] = {};
+    }
+    this.cache[tenantId][this.cacheKey(templateId, version)] = { buffer: buffer, lastUsed: Date.now() };
+  }
+
+  evict(tenantId, templateId) {
+    if (!this.cache[tenantId]) {
+      return;
+    }
+
+    for (const key in this.cache[tenantId]) {
+      if (key.startsWith(`${templateId}@`)) {
+        delete this.cache[tenantId][key];
+      }
+    }
+  }
+
+  /**
+   * Remove do cache os arquivos não usados há mais de maxAge ms.
+   * Sem storage persistente a memória é o único armazenamento, então nada é removido.
+   */
+  pruneCache(maxAge) {
+    if (!this.isPersistent) {
+      return 0;
+    }
+
+    const now = Date.now();
+    let cleaned = 0;
+
+    for (const tenantId in this.cache) {
+      for (const key in this.cache[tenantId]) {
+        if (now - this.cache[tenantId][key].lastUsed > maxAge) {
+          delete this.cache[tenantId][key];
+          cleaned++;
+        }
+      }
+    }
+
+    return cleaned;
+  }
+}
+
+module.exports = TemplateCatalog;
@@ -0,0 +1,399 @@
+// services/TemplateFilters.js
+// Filtros de formatação nas tags dos templates:
+//   {{valor | moeda}}                → R$ 5.000,00
+//   {{valor | porExtenso}}           → cinco mil reais
+//   {{valor | moedaExtenso}}         → R$ 5.000,00 (cinco mil reais)
+//   {{parcelas | numeroExtenso:"feminino"}} → duas
+//   {{data_contrato | dataExtenso}}  → 15 de março de 2025
+//   {{nome | maiusculas}}            → MARIA DA SILVA
+//   {{complemento | padrao:"-"}}     → filtro com argumento
+//   {{data_intimacao | prazo:15}}    → vencimento em 15 dias úteis (CPC)
+//   {{%logo | tamanho:"4cm"}}        → largura de imagem (tags de imagem, ver ImageModule)
+// Os filtros podem ser encadeados: {{valor | porExtenso | maiusculas}}.
+//
+// A biblioteca é central: o parser é usado tanto na geração (server.js e
+// server-simple.js) quanto na extração de variáveis, que enxerga apenas "valor".
+
+const Extenso = require('./Extenso');
+const DeadlineCalculator = require('./DeadlineCalculator');
+
+const MONTHS = [
+  'janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho',
+  'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'
+];
+
+// Palavras que ficam minúsculas no filtro "capitalizar" (exceto no início)
+const LOWERCASE_WORDS = ['a', 'o', 'e', 'da', 'das', 'de', 'do', 'dos', 'em', 'na', 'no', 'nas', 'nos'];
+
+const extenso = new Extenso();
+const deadlines = new DeadlineCalculator();
+
+const isEmpty = value => value === undefined || value === null || value === '';
+const isFeminine = gender => ['feminino', 'f'].includes(String(gender || '').toLowerCase());
+const onlyDigits = value => String(value).replace(/\D/g, '');
+
+/**
+ * Lê números em formato brasileiro ou internacional ("R$ 1.234,56", "1234.56", 1234.56)
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  let text = String(value).replace(/R\$|\s/g, '');
+  if (text.includes(',')) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+    text = text.replace(/\./g, '');
+  }
+
+  const number = Number(text);
+  if (text === '' || isNaN(number)) {
+    throw new Error(`"${value}" is not a number`);
+  }
+  return number;
+}
+
+/**
+ * Dia, mês e ano existem no calendário (31/02/2024 não vira 02/03/2024)
+ */
+function calendarDate(year, month, day, value) {
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    throw new Error(`"${value}" is not a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Lê datas DD/MM/AAAA, AAAA-MM-DD ou ISO 8601 completo
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    if (isNaN(value)) {
+      throw new Error(`"${value}" is not a date`);
+    }
+    return value;
+  }
+
+  const text = String(value).trim();
+  let match;
+
+  if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return calendarDate(parseInt(match[3]), parseInt(match[2]), parseInt(match[1]), value);
+  }
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/))) {
+    // Sem horário: evita que o fuso desloque a data para o dia anterior
+    return calendarDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), value);
+  }
+
+  // ISO completo: o Date do JavaScript também aceita 2024-02-31T10:00 (vira 2 de março)
+  if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})T/))) {
+    calendarDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), value);
+  }
+
+  const date = new Date(text);
+  if (isNaN(date)) {
+    throw new Error(`"${value}" is not a date`);
+  }
+  return date;
+}
+
+const formatDate = date => `${String(date.getDate()).padStart(2, '0')}/${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+
+/**
+ * Vencimento de um prazo a partir da data de intimação/publicação.
+ * Os calendários do tenant chegam no contexto da renderização (this.calendars).
+ */
+function deadline(context, value, days, mode, calendarId) {
+  const calendars = context.calendars || [];
+  let selected = [];
+
+  if (calendarId) {
+    const calendar = calendars.find(c => c.id === calendarId);
+    if (!calendar) {
+      throw new Error(`Unknown calendar "${calendarId}"`);
+    }
+    selected = [calendar];
+  }
+
+  const result = deadlines.calculate(toDate(value), toNumber(days), { mode: mode, calendars: selected });
+  return formatDate(result.dueDate);
+}
+
+/**
+ * Aplica uma máscara de dígitos ("###.###.###-##") quando a quantidade bate
+ */
+function mask(value, pattern) {
+  const digits = onlyDigits(value);
+  if (digits.length !== pattern.split('#').length - 1) {
+    return String(value);
+  }
+
+  let index = 0;
+  return pattern.replace(/#/g, () => digits[index++]);
+}
+
+class TemplateFilters {
+  constructor() {
+    this.filters = {};   // nome -> { fn, description, acceptsEmpty }
+  }
+
+  /**
+   * Registra um filtro. fn(valor, ...argumentos) retorna o valor transformado;
+   * "this" é o contexto da renderização (ex.: calendários do tenant).
+   * Valores vazios não passam pelos filtros, a não ser com acceptsEmpty.
+   */
+  register(name, fn, { description = '', acceptsEmpty = false } = {}) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid filter name "${name}"`);
+    }
+    this.filters[name] = { fn, description, acceptsEmpty };
+    return this;
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.filters, name);
+  }
+
+  list() {
+    return Object.entries(this.filters).map(([name, filter]) => ({ name, description: filter.description }));
+  }
+
+  /**
+   * Divide o texto em "|" ou ":" fora de aspas
+   */
+  split(text, separator) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+        current += char;
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+        current += char;
+      } else if (char === separator) {
+        parts.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    if (quote) {
+      throw new Error(`Unterminated string in "${text}"`);
+    }
+
+    parts.push(current.trim());
+    return parts;
+  }
+
+  /**
+   * Argumento de filtro: "texto", 'texto', número ou palavra solta
+   */
+  parseArgument(raw) {
+    const quoted = raw.match(/^(["'])(.*)\1$/);
+    if (quoted) {
+      return quoted[2];
+    }
+    if (/^-?\d+(\.\d+)?$/.test(raw)) {
+      return Number(raw);
+    }
+    return raw;
+  }
+
+  /**
+   * Interpreta o conteúdo de uma tag: "valor | moeda | padrao:'-'"
+   * Retorna { name, filters: [{ name, args }] }. Lança erro em filtro desconhecido.
+   */
+  parseExpression(tag) {
+    const [name, ...segments] = this.split(tag, '|');
+
+    const filters = segments.map(segment => {
+      const [filterName, ...args] = this.split(segment, ':');
+
+      if (!filterName) {
+        throw new Error(`Empty filter in "${tag}"`);
+      }
+      if (!this.has(filterName)) {
+        throw new Error(`Unknown filter "${filterName}" in "${tag}" (available: ${Object.keys(this.filters).join(', ')})`);
+      }
+
+      return { name: filterName, args: args.map(arg => this.parseArgument(arg)) };
+    });
+
+    return { name: name, filters: filters };
+  }
+
+  /**
+   * Aplica a cadeia de filtros a um valor
+   */
+  apply(value, filters, context = {}) {
+    return filters.reduce((current, { name, args }) => {
+      const filter = this.filters[name];
+      if (isEmpty(current) && !filter.acceptsEmpty) {
+        return current;
+      }
+
+      try {
+        return filter.fn.call(context, current, ...args);
+      } catch (error) {
+        throw new Error(`Filter "${name}" failed: ${error.message}`);
+      }
+    }, value);
+  }
+
+  /**
+   * Busca o valor no escopo: chave exata, "." (item atual) ou caminho "cliente.nome"
+   */
+  lookup(scope, name) {
+    if (name === '.' || name === 'this') {
+      return scope;
+    }
+    if (scope === null || typeof scope !== 'object') {
+      return undefined;
+    }
+    if (name in scope) {
+      return scope[name];
+    }
+
+    return name.split('.').reduce(
+      (current, key) => (current !== null && typeof current === 'object' ? current[key] : undefined),
+      scope
+    );
+  }
+
+  /**
+   * Parser para a opção "parser" do docxtemplater.
+   * @param {object} [context] - repassado aos filtros como "this" (ex.: { calendars })
+   */
+  parser(context = {}) {
+    return (tag) => {
+      const expression = this.parseExpression(tag);
+
+      return {
+        expression: expression,
+        get: (scope, scopeContext) => {
+          const value = this.lookup(scope, expression.name);
+
+          // Valor ausente em um loop: deixa o docxtemplater procurar no escopo de fora
+          if (value === undefined && scopeContext && scopeContext.num > 0) {
+            return undefined;
+          }
+
+          return this.apply(value, expression.filters, context);
+        }
+      };
+    };
+  }
+}
+
+/**
+ * Biblioteca padrão, com os formatos usados em documentos jurídicos
+ */
+function createDefaultFilters() {
+  const filters = new TemplateFilters();
+  const currency = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+
+  filters
+    .register('moeda', value => currency.format(toNumber(value)), {
+      description: 'Valor em reais: R$ 1.234,56'
+    })
+    .register('numero', (value, decimals = 2) => new Intl.NumberFormat('pt-BR', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    }).format(toNumber(value)), {
+      description: 'Número com separadores brasileiros (casas decimais opcionais: numero:0)'
+    })
+    .register('porExtenso', value => extenso.currency(toNumber(value)), {
+      description: 'Valor em reais por extenso: cinco mil reais'
+    })
+    .register('moedaExtenso', value => {
+      const number = toNumber(value);
+      return `${currency.format(number)} (${extenso.currency(number)})`;
+    }, {
+      description: 'Valor em reais com extenso: R$ 5.000,00 (cinco mil reais)'
+    })
+    .register('numeroExtenso', (value, gender) => extenso.decimal(toNumber(value), { feminine: isFeminine(gender) }), {
+      description: 'Número por extenso: cinco, doze inteiros e cinco décimos (numeroExtenso:"feminino" → duas)'
+    })
+    .register('ordinal', (value, gender) => extenso.ordinal(toNumber(value), { feminine: isFeminine(gender) }), {
+      description: 'Ordinal por extenso: primeiro, vigésimo primeiro (ordinal:"feminino" → primeira)'
+    })
+    .register('percentual', value => `${new Intl.NumberFormat('pt-BR', { maximumFractionDigits: 3 }).format(toNumber(value))}%`, {
+      description: 'Percentual: 12,5%'
+    })
+    .register('percentualExtenso', value => extenso.percent(toNumber(value)), {
+      description: 'Percentual por extenso: doze inteiros e cinco décimos por cento'
+    })
+    .register('data', value => formatDate(toDate(value)), {
+      description: 'Data no formato DD/MM/AAAA'
+    })
+    .register('dataExtenso', value => {
+      const date = toDate(value);
+      return `${date.getDate()} de ${MONTHS[date.getMonth()]} de ${date.getFullYear()}`;
+    }, {
+      description: 'Data por extenso: 15 de março de 2025'
+    })
+    .register('prazo', function (value, days, calendarId) {
+      return deadline(this, value, days, 'business', calendarId);
+    }, {
+      description: 'Vencimento em dias úteis (CPC): prazo:15 ou prazo:15:"tjsp" (calendário do tenant)'
+    })
+    .register('prazoCorrido', function (value, days, calendarId) {
+      return deadline(this, value, days, 'calendar', calendarId);
+    }, {
+      description: 'Vencimento em dias corridos, prorrogado para o próximo dia útil: prazoCorrido:30'
+    })
+    .register('cpf', value => mask(value, '###.###.###-##'), {
+      description: 'CPF formatado: 000.000.000-00'
+    })
+    .register('cnpj', value => mask(value, '##.###.###/####-##'), {
+      description: 'CNPJ formatado: 00.000.000/0000-00'
+    })
+    .register('cnj', value => mask(value, '#######-##.####.#.##.####'), {
+      description: 'Número de processo no padrão CNJ: NNNNNNN-DD.AAAA.J.TR.OOOO'
+    })
+    .register('cep', value => mask(value, '#####-###'), {
+      description: 'CEP formatado: 00000-000'
+    })
+    .register('maiusculas', value => String(value).toLocaleUpperCase('pt-BR'), {
+      description: 'Texto em maiúsculas'
+    })
+    .register('minusculas', value => String(value).toLocaleLowerCase('pt-BR'), {
+      description: 'Texto em minúsculas'
+    })
+    .register('capitalizar', value => String(value)
+      .toLocaleLowerCase('pt-BR')
+      .split(/(\s+)/)
+      .map((word, index) => (index > 0 && LOWERCASE_WORDS.includes(word)) || !word.trim()
+        ? word
+        : word.charAt(0).toLocaleUpperCase('pt-BR') + word.slice(1))
+      .join(''), {
+      description: 'Iniciais maiúsculas: Maria da Silva'
+    })
+    .register('padrao', (value, fallback = '') => (isEmpty(value) ? fallback : value), {
+      description: 'Texto usado quando o campo está vazio: padrao:"não informado"',
+      acceptsEmpty: true
+    })
+    .register('tamanho', (value, width, height) => {
+      const image = typeof value === 'object' ? { ...value } : { data: value };
+      image.width = width;
+      if (height !== undefined) {
+        image.height = height;
+      }
+      return image;
+    }, {
+      description: 'Tamanho da imagem em tags {{%...}}: tamanho:"4cm" ou tamanho:"4cm":"3cm" (cabe na caixa, mantendo a proporção)'
+    });
+
+  return filters;
+}
+
+module.exports = TemplateFilters;
+module.exports.filters = createDefaultFilters();
+module.exports.toNumber = toNumber;
+module.exports.toDate = toDate;
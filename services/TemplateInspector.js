@@ -0,0 +1,261 @@
+// services/TemplateInspector.js
+// Extração de variáveis a partir do template compilado pelo docxtemplater.
+// Ao contrário de um regex sobre o XML, entende tags divididas entre runs do
+// Word e a estrutura de seções ({{#lista}}...{{/lista}}, {{^campo}}...).
+//
+// Estrutura retornada (árvore):
+//   [
+//     { name: 'nome', type: 'scalar' },
+//     { name: 'clientes', type: 'loop', fields: [{ name: 'nome', type: 'scalar' }] },
+//     { name: 'tem_advogado', type: 'condition', fields: [] },
+//     { name: 'tem_advogado', type: 'inverted', fields: [...] },
+//     { name: 'assinatura', type: 'image' },
+//     { name: 'dos_fatos', type: 'html' },
+//     { name: 'clausula_foro', type: 'include' }   ← {{> clausula_foro}} (variáveis na ClauseLibrary)
+//   ]
+// Seções {{#x}} com campos internos são tratadas como loop; sem campos, como condição.
+// Filtros nas tags ({{valor | moeda}}) não fazem parte do nome do campo.
+//
+// Cada nó traz também "locations": onde a tag aparece no documento
+// (body, header, footer, footnotes, endnotes, comments, properties e, dentro
+// de caixas de texto, também textbox). Ex.: ['header', 'textbox'].
+
+const Docxtemplater = require('docxtemplater');
+const PizZip = require('pizzip');
+const fixDocPrCorruption = require('docxtemplater/js/modules/fix-doc-pr-corruption');
+const { filters } = require('./TemplateFilters');
+const ImageModule = require('./ImageModule');
+const HtmlModule = require('./HtmlModule');
+const IncludeModule = require('./IncludeModule');
+const ContentPartsModule = require('./ContentPartsModule');
+const { TEXTBOX_TAG } = ContentPartsModule;
+
+const TEMPLATE_OPTIONS = {
+  paragraphLoop: true,
+  linebreaks: true,
+  delimiters: { start: '{{', end: '}}' },
+  parser: filters.parser()
+};
+
+// Parte do pacote → local informado nas variáveis (demais partes: corpo)
+const PART_LOCATIONS = [
+  [/^word\/header\d*\.xml$/, 'header'],
+  [/^word\/footer\d*\.xml$/, 'footer'],
+  [/^word\/footnotes\.xml$/, 'footnotes'],
+  [/^word\/endnotes\.xml$/, 'endnotes'],
+  [/^word\/comments\.xml$/, 'comments'],
+  [/^docProps\//, 'properties'],
+  [/^word\/settings\.xml$/, 'settings']
+];
+
+function partLocation(file) {
+  const match = PART_LOCATIONS.find(([pattern]) => pattern.test(file));
+  return match ? match[1] : 'body';
+}
+
+/**
+ * Opções do docxtemplater para uma renderização: filtros com o contexto do
+ * tenant (calendários, assets) e os módulos de imagens ({{%assinatura}}),
+ * texto rico ({{~dos_fatos}}) e cláusulas ({{> clausula_foro}}, já expandidas
+ * pela ClauseLibrary quando a geração passa pelo GenerationService).
+ * As notas de fim também são tratadas como template (ContentPartsModule).
+ * Os ids dos desenhos (wp:docPr) são renumerados no final, já que imagens
+ * em loops repetem o mesmo XML.
+ */
+function createTemplateOptions(context = {}) {
+  return {
+    ...TEMPLATE_OPTIONS,
+    parser: filters.parser(context),
+    modules: [
+      new ImageModule({ assets: context.assets }),
+      new HtmlModule(),
+      new IncludeModule(),
+      new ContentPartsModule({ lexTextboxes: context.lexTextboxes === true }),
+      fixDocPrCorruption
+    ]
+  };
+}
+
+class TemplateInspector {
+  /**
+   * Compila o template (sem renderizar) e retorna as partes de cada arquivo
+   * { 'word/document.xml': [...], 'word/header1.xml': [...] }
+   */
+  compile(buffer) {
+    // Erros de compilação são tratados por quem chama (sem o dump em JSON no console)
+    const doc = new Docxtemplater(new PizZip(buffer), { ...createTemplateOptions({ lexTextboxes: true }), errorLogging: false });
+    const files = {};
+
+    for (const [file, compiled] of Object.entries(doc.compiled)) {
+      files[file] = compiled.postparsed;
+    }
+
+    return files;
+  }
+
+  /**
+   * Converte as partes compiladas em nós da árvore. Com location, cada nó
+   * recebe "locations" (e 'textbox' se a tag estiver numa caixa de texto).
+   */
+  toNodes(parts, location = null, state = { textboxes: 0 }) {
+    const nodes = [];
+
+    for (const part of parts) {
+      if (part.type === 'tag' && part.tag === TEXTBOX_TAG) {
+        if (part.position === 'start') {
+          state.textboxes++;
+        } else if (part.position === 'end') {
+          state.textboxes--;
+        }
+        continue;
+      }
+
+      if (part.type !== 'placeholder') {
+        continue;
+      }
+
+      const name = filters.parseExpression(part.value).name;
+      let node;
+      if (part.module === 'loop') {
+        const fields = this.toNodes(part.subparsed || [], location, state);
+        const type = part.inverted ? 'inverted' : (fields.length > 0 ? 'loop' : 'condition');
+        node = { name: name, type: type, fields: fields };
+      } else if (part.module === 'rawxml') {
+        node = { name: name, type: 'rawxml' };
+      } else if (part.module === 'image') {
+        node = { name: name, type: 'image' };
+      } else if (part.module === 'html') {
+        node = { name: name, type: 'html' };
+      } else if (part.module === 'include') {
+        node = { name: part.value.trim(), type: 'include' };
+      } else {
+        node = { name: name, type: 'scalar' };
+      }
+
+      if (location) {
+        node.locations = state.textboxes > 0 ? [location, 'textbox'] : [location];
+      }
+
+      this.mergeNode(nodes, node);
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Junta nós repetidos (mesmo nome e tipo no mesmo nível), unindo os campos internos
+   * e os locais
+   */
+  mergeNode(nodes, node) {
+    const existing = nodes.find(n => n.name === node.name && n.type === node.type);
+
+    if (!existing) {
+      nodes.push(node);
+      return;
+    }
+
+    if (node.locations) {
+      existing.locations = [...new Set([...(existing.locations || []), ...node.locations])];
+    }
+
+    for (const field of node.fields || []) {
+      this.mergeNode(existing.fields, field);
+    }
+  }
+
+  /**
+   * Inspeciona o template. Retorna:
+   *   variables: { nome: 'nome', ... } - campos do escopo raiz (formato antigo da API)
+   *   structure: árvore de campos, loops, condições e seções invertidas
+   *   locations: { nome: ['body', 'header'], 'clientes[].nome': ['body'], ... }
+   *
+   * Lança o erro do docxtemplater se o template tiver tags malformadas.
+   */
+  inspect(buffer) {
+    const structure = [];
+
+    for (const [file, parts] of Object.entries(this.compile(buffer))) {
+      for (const node of this.toNodes(parts, partLocation(file))) {
+        this.mergeNode(structure, node);
+      }
+    }
+
+    // Campos no escopo raiz (inclui os de seções invertidas, que não mudam o escopo)
+    const variables = {};
+    for (const path of this.paths(structure).filter(path => !path.includes('[].'))) {
+      variables[path] = path;
+    }
+
+    return { variables, structure, locations: this.locations(structure) };
+  }
+
+  /**
+   * Locais de cada campo da árvore, pelos mesmos caminhos de paths()
+   */
+  locations(structure, prefix = '') {
+    const locations = {};
+
+    for (const node of structure || []) {
+      if (node.type === 'include') {
+        continue;
+      }
+
+      const path = `${prefix}${node.name}`;
+      locations[path] = [...new Set([...(locations[path] || []), ...(node.locations || [])])];
+
+      const inner = node.type === 'loop' ? `${path}[].` : prefix;
+      for (const [child, childLocations] of Object.entries(this.locations(node.fields, inner))) {
+        locations[child] = [...new Set([...(locations[child] || []), ...childLocations])];
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * Árvore gravada antes do registro dos locais (precisa ser reprocessada)
+   */
+  hasLocations(structure) {
+    return (structure || []).every(node => Array.isArray(node.locations) && this.hasLocations(node.fields));
+  }
+
+  /**
+   * Campos simples de primeiro nível (os que podem vir de uma coluna de planilha)
+   */
+  scalarNames(structure) {
+    return [...new Set((structure || []).filter(node => node.type === 'scalar').map(node => node.name))];
+  }
+
+  /**
+   * Caminhos de todos os campos da árvore: "nome", "clientes", "clientes[].nome"...
+   */
+  paths(structure, prefix = '') {
+    const paths = [];
+
+    for (const node of structure || []) {
+      // Inclusões de cláusula não são campos dos dados
+      if (node.type === 'include') {
+        continue;
+      }
+
+      const path = `${prefix}${node.name}`;
+      if (!paths.includes(path)) {
+        paths.push(path);
+      }
+
+      const inner = node.type === 'loop' ? `${path}[].` : prefix;
+      for (const child of this.paths(node.fields, inner)) {
+        if (!paths.includes(child)) {
+          paths.push(child);
+        }
+      }
+    }
+
+    return paths;
+  }
+}
+
+module.exports = TemplateInspector;
+module.exports.TEMPLATE_OPTIONS = TEMPLATE_OPTIONS;
+module.exports.createTemplateOptions = createTemplateOptions;
+module.exports.partLocation = partLocation;
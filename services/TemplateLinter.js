@@ -0,0 +1,379 @@
+// services/TemplateLinter.js
+// Diagnósticos de template antes de salvar: compila com as mesmas opções da
+// geração e traduz cada problema em uma mensagem acionável, com o texto do
+// parágrafo onde ele está.
+//
+// Diagnóstico:
+//   {
+//     severity: 'error' | 'warning',
+//     code: 'unbalanced_delimiters',
+//     message: 'Tag "{{nome}, tudo bem" is never closed: add "}}" after the variable name',
+//     location: 'body',                  ← ver TemplateInspector (header, footer, footnotes...)
+//     context: 'Olá {{nome}, tudo bem'   ← texto do parágrafo (null se não houver)
+//   }
+//
+// Erros impedem a geração (tags abertas/fechadas de forma errada, seções sem
+// fechamento, filtros desconhecidos, caracteres invisíveis ou aspas curvas
+// dentro das tags). Avisos não impedem, mas costumam produzir um documento
+// diferente do esperado (tag com formatação diferente no meio, variáveis que
+// diferem só por maiúsculas).
+
+const PizZip = require('pizzip');
+const { str2xml, wordToUtf8 } = require('docxtemplater/js/doc-utils');
+const { partLocation } = require('./TemplateInspector');
+
+const TAG_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+
+// Partes com texto do documento (as mesmas que a geração preenche)
+const CONTENT_PARTS = /^word\/(document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+
+// Parágrafos e trechos de texto no XML bruto (os offsets do docxtemplater contam o texto ainda escapado)
+const PARAGRAPH_TOKENS = /<w:p(?=[\s>/])[^>]*?(\/)?>|<\/w:p>|<(w:t|a:t|m:t)(?:\s[^>]*)?>([^<]*)<\/\2>/g;
+
+// Caracteres que o Word insere sem aparecer na tela e que mudam o nome da variável
+const INVISIBLE_CHARACTERS = {
+  '\u00a0': 'no-break space',
+  '\u00ad': 'soft hyphen',
+  '\u200b': 'zero-width space',
+  '\u200c': 'zero-width non-joiner',
+  '\u200d': 'zero-width joiner',
+  '\u2060': 'word joiner',
+  '\ufeff': 'zero-width no-break space'
+};
+const CURLY_QUOTES = /[“”‘’«»]/;
+
+// Propriedades da run que não mudam a aparência do texto
+const IGNORED_RUN_PROPERTIES = ['w:lang', 'w:noProof', 'w:proofErr', 'w:rtl', 'w:cs', 'w:webHidden', 'w:specVanish'];
+
+const elements = node => Array.from((node && node.childNodes) || []).filter(child => child.nodeType === 1);
+
+/**
+ * Mensagem de cada erro de compilação do docxtemplater: (properties, trecho) → { code, message }
+ */
+const COMPILE_ERRORS = {
+  unclosed_tag: (p, snippet) => ({
+    code: 'unbalanced_delimiters',
+    message: `Tag "${snippet}" is never closed: add "}}" after the variable name`
+  }),
+  unopened_tag: (p, snippet) => ({
+    code: 'unbalanced_delimiters',
+    message: `"${snippet}" closes a tag that was never opened: remove the extra "}}" or add "{{" before the variable name`
+  }),
+  duplicate_open_tag: (p, snippet) => ({
+    code: 'unbalanced_delimiters',
+    message: `Tag "${snippet}" is opened twice: remove the extra "{{"`
+  }),
+  duplicate_close_tag: (p, snippet) => ({
+    code: 'unbalanced_delimiters',
+    message: `Tag "${snippet}" is closed twice: remove the extra "}}"`
+  }),
+  unclosed_loop: (p) => ({
+    code: 'unclosed_section',
+    message: `Section "{{#${p.xtag}}}" is never closed: add "{{/${p.xtag}}}" where it should end`
+  }),
+  unopened_loop: (p) => ({
+    code: 'unopened_section',
+    message: `"{{/${p.xtag}}}" closes a section that was never opened: add "{{#${p.xtag}}}" or remove it`
+  }),
+  closing_tag_does_not_match_opening_tag: (p) => ({
+    code: 'mismatched_section',
+    message: `Section "{{#${p.openingtag}}}" is closed by "{{/${p.closingtag}}}": use "{{/${p.openingtag}}}"`
+  }),
+  scopeparser_compilation_failed: (p) => ({
+    code: 'invalid_expression',
+    message: `Invalid tag "{{${p.xtag}}}": ${p.rootError ? p.rootError.message : p.explanation}`
+  })
+};
+
+class TemplateLinter {
+  /**
+   * @param {object} options
+   * @param {object} options.templateInspector - instância de TemplateInspector
+   */
+  constructor({ templateInspector }) {
+    this.templateInspector = templateInspector;
+  }
+
+  /**
+   * Analisa o template. Retorna { valid, errorCount, warningCount, diagnostics };
+   * valid é false se houver algum diagnóstico de severidade "error".
+   */
+  lint(buffer) {
+    let zip;
+    try {
+      zip = new PizZip(buffer);
+    } catch (error) {
+      zip = null;
+    }
+
+    if (!zip || !zip.file('word/document.xml')) {
+      return this.summarize([{
+        severity: 'error',
+        code: 'invalid_docx',
+        message: 'File is not a valid DOCX document',
+        location: null,
+        context: null
+      }]);
+    }
+
+    const parts = {};
+    for (const file of Object.keys(zip.files).filter(name => CONTENT_PARTS.test(name))) {
+      parts[file] = this.readPart(zip.file(file).asText());
+    }
+
+    const diagnostics = [];
+    let structure = null;
+
+    try {
+      structure = this.templateInspector.inspect(buffer).structure;
+    } catch (error) {
+      const errors = (error.properties && error.properties.errors) || [error];
+      for (const compileError of errors) {
+        diagnostics.push(this.describeCompileError(compileError, parts));
+      }
+    }
+
+    for (const [file, part] of Object.entries(parts)) {
+      diagnostics.push(...this.checkCharacters(file, part));
+      diagnostics.push(...this.checkSplitTags(file, part));
+    }
+
+    if (structure) {
+      diagnostics.push(...this.checkCasing(structure, parts));
+    }
+
+    return this.summarize(diagnostics);
+  }
+
+  summarize(diagnostics) {
+    const errorCount = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+
+    return {
+      valid: errorCount === 0,
+      errorCount: errorCount,
+      warningCount: diagnostics.length - errorCount,
+      diagnostics: diagnostics
+    };
+  }
+
+  /**
+   * Parágrafos de uma parte: texto de cada um e a posição de cada trecho no
+   * texto bruto, para localizar os offsets dos erros de compilação
+   */
+  readPart(xml) {
+    const paragraphs = [];
+    const chunks = [];
+    const open = [];
+    let raw = '';
+
+    for (const match of xml.matchAll(PARAGRAPH_TOKENS)) {
+      const [token, selfClosing, textTag, text] = match;
+
+      if (textTag) {
+        const paragraph = open[open.length - 1] || null;
+        chunks.push({ start: raw.length, end: raw.length + text.length, paragraph });
+        raw += text;
+        if (paragraph) {
+          paragraph.text += wordToUtf8(text);
+        }
+      } else if (token === '</w:p>') {
+        open.pop();
+      } else if (!selfClosing) {
+        const paragraph = { text: '' };
+        paragraphs.push(paragraph);
+        open.push(paragraph);
+      }
+    }
+
+    return { xml, raw, chunks, paragraphs: paragraphs.filter(paragraph => paragraph.text.trim()) };
+  }
+
+  /**
+   * Texto do parágrafo na posição (offset do docxtemplater) e o trecho do
+   * parágrafo a partir dela
+   */
+  contextAt(part, offset) {
+    const index = part && typeof offset === 'number'
+      ? part.chunks.findIndex(candidate => offset >= candidate.start && offset < candidate.end)
+      : -1;
+
+    if (index === -1) {
+      return { context: null, snippet: null };
+    }
+
+    const chunk = part.chunks[index];
+    let end = chunk.end;
+    for (const next of part.chunks.slice(index + 1)) {
+      if (next.paragraph !== chunk.paragraph) {
+        break;
+      }
+      end = next.end;
+    }
+
+    return {
+      context: chunk.paragraph ? chunk.paragraph.text : null,
+      snippet: wordToUtf8(part.raw.slice(offset, end)).slice(0, 40).trim()
+    };
+  }
+
+  describeCompileError(error, parts) {
+    const properties = error.properties || {};
+    const file = properties.file || 'word/document.xml';
+    const offset = Array.isArray(properties.offset) ? properties.offset[0] : properties.offset;
+    const { context, snippet } = this.contextAt(parts[file], offset);
+
+    const describe = COMPILE_ERRORS[properties.id];
+    const { code, message } = describe
+      ? describe(properties, snippet || properties.xtag || '')
+      : { code: 'template_error', message: properties.explanation || error.message };
+
+    return { severity: 'error', code, message, location: partLocation(file), context };
+  }
+
+  /**
+   * Caracteres invisíveis no nome da variável e aspas curvas nos argumentos dos filtros
+   */
+  checkCharacters(file, part) {
+    const diagnostics = [];
+
+    for (const paragraph of part.paragraphs) {
+      for (const match of paragraph.text.matchAll(TAG_PATTERN)) {
+        const inner = match[1].trim();
+        const invisible = [...inner].find(char => INVISIBLE_CHARACTERS[char]);
+
+        if (invisible) {
+          const code = invisible.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0');
+          diagnostics.push({
+            severity: 'error',
+            code: 'unsupported_character',
+            message: `Tag "${match[0]}" contains an invisible character (U+${code} ${INVISIBLE_CHARACTERS[invisible]}): retype the tag without it`,
+            location: partLocation(file),
+            context: paragraph.text
+          });
+        }
+
+        if (CURLY_QUOTES.test(inner)) {
+          diagnostics.push({
+            severity: 'error',
+            code: 'unsupported_character',
+            message: `Tag "${match[0]}" contains curly quotes: use straight quotes (" or ') inside tags`,
+            location: partLocation(file),
+            context: paragraph.text
+          });
+        }
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Tags divididas entre runs com formatação diferente (ex.: "{{cli" normal e
+   * "ente}}" em negrito): o valor sai com a formatação do início da tag
+   */
+  checkSplitTags(file, part) {
+    const diagnostics = [];
+    const document = str2xml(part.xml);
+
+    for (const p of Array.from(document.getElementsByTagName('w:p'))) {
+      const runs = this.paragraphRuns(p);
+      const text = runs.map(run => run.text).join('');
+
+      let position = 0;
+      for (const run of runs) {
+        run.start = position;
+        position += run.text.length;
+      }
+
+      for (const match of text.matchAll(TAG_PATTERN)) {
+        const end = match.index + match[0].length;
+        const formats = new Set(runs
+          .filter(run => run.text && run.start < end && run.start + run.text.length > match.index)
+          .map(run => run.format));
+
+        if (formats.size > 1) {
+          diagnostics.push({
+            severity: 'warning',
+            code: 'tag_split_by_formatting',
+            message: `Tag "${match[0]}" has mixed formatting (e.g. only part of it is bold): the value will use the formatting of the start of the tag; apply the same formatting to the whole tag`,
+            location: partLocation(file),
+            context: text
+          });
+        }
+      }
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Runs do parágrafo (sem as de parágrafos internos, como caixas de texto)
+   * com o texto e uma assinatura da formatação
+   */
+  paragraphRuns(p) {
+    const runs = [];
+
+    const walk = node => {
+      for (const child of elements(node)) {
+        if (child.nodeName === 'w:p' || child.nodeName === 'w:txbxContent') {
+          continue;
+        }
+        if (child.nodeName !== 'w:r') {
+          walk(child);
+          continue;
+        }
+
+        const rPr = elements(child).find(element => element.nodeName === 'w:rPr');
+        const format = elements(rPr)
+          .filter(property => !IGNORED_RUN_PROPERTIES.includes(property.nodeName))
+          .map(property => `${property.nodeName}=${property.getAttribute('w:val')}`)
+          .sort()
+          .join(';');
+        const text = elements(child)
+          .filter(element => element.nodeName === 'w:t')
+          .map(element => element.textContent)
+          .join('');
+
+        runs.push({ text, format });
+      }
+    };
+
+    walk(p);
+    return runs;
+  }
+
+  /**
+   * Variáveis que diferem só por maiúsculas/minúsculas ({{Nome}} e {{nome}}):
+   * os dados são procurados com o nome exato, então uma delas fica vazia
+   */
+  checkCasing(structure, parts) {
+    const groups = {};
+    for (const path of this.templateInspector.paths(structure)) {
+      const key = path.toLowerCase();
+      groups[key] = groups[key] || [];
+      groups[key].push(path);
+    }
+
+    return Object.values(groups).filter(paths => paths.length > 1).map(paths => {
+      const names = paths.map(path => path.split('[].').pop());
+      let found = null;
+      for (const [file, part] of Object.entries(parts)) {
+        const paragraph = part.paragraphs.find(candidate => names.some(name => candidate.text.includes(name)));
+        if (paragraph) {
+          found = { location: partLocation(file), context: paragraph.text };
+          break;
+        }
+      }
+
+      return {
+        severity: 'warning',
+        code: 'case_conflict',
+        message: `Variables ${paths.map(path => `"${path}"`).join(' and ')} differ only by case: data keys are case-sensitive, so use the same spelling everywhere`,
+        location: found ? found.location : null,
+        context: found ? found.context : null
+      };
+    });
+  }
+}
+
+module.exports = TemplateLinter;
@@ -0,0 +1,223 @@
+// services/TenantAssets.js
+// Imagens do tenant (logotipos, assinaturas digitalizadas, carimbos) usadas
+// nas tags de imagem dos templates como "asset:ID".
+// Mesmo layout dos templates no storage:
+//   tenants/{tenantId}/assets/{assetId}.png   ← imagem
+//   tenants/{tenantId}/assets/{assetId}.json  ← metadados
+// Sem storage persistente os assets ficam apenas em memória.
+
+const crypto = require('crypto');
+const { IMAGE_TYPES, readImageInfo } = require('./ImageModule');
+
+const METADATA_CONTENT_TYPE = 'application/json';
+const MAX_CACHED_ASSETS = 100;
+
+class TenantAssets {
+  /**
+   * @param {object} storage - driver de services/storage (pode ser null)
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.assets = {};   // tenantId -> assetId -> metadados
+    this.files = {};    // tenantId -> assetId -> Buffer (cache / modo memória)
+  }
+
+  get isPersistent() {
+    return !!(this.storage && this.storage.isConfigured && this.storage.canRead);
+  }
+
+  assetsPrefix(tenantId) {
+    return `tenants/${tenantId}/assets/`;
+  }
+
+  metadataKey(tenantId, assetId) {
+    return `${this.assetsPrefix(tenantId)}${assetId}.json`;
+  }
+
+  fileKey(tenantId, asset) {
+    return `${this.assetsPrefix(tenantId)}${asset.id}.${asset.extension}`;
+  }
+
+  /**
+   * IDs curtos e legíveis: "logo", "assinatura-socio", "carimbo_2025"
+   */
+  isValidId(assetId) {
+    return /^[a-z0-9][a-z0-9_-]{0,63}$/.test(assetId || '');
+  }
+
+  generateId() {
+    return `asset_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  remember(tenantId, asset, buffer = null) {
+    if (!this.assets[tenantId]) {
+      this.assets[tenantId] = {};
+      this.files[tenantId] = {};
+    }
+    this.assets[tenantId][asset.id] = asset;
+
+    if (buffer) {
+      const files = this.files[tenantId];
+      files[asset.id] = buffer;
+
+      // Com storage persistente a memória é só cache: descarta os mais antigos
+      const cached = Object.keys(files);
+      if (this.isPersistent && cached.length > MAX_CACHED_ASSETS) {
+        delete files[cached[0]];
+      }
+    }
+  }
+
+  /**
+   * Salva uma imagem do tenant. Lança Error se o formato não for PNG, JPEG ou GIF.
+   */
+  async save(tenantId, { assetId, name, buffer, uploadedBy = null }) {
+    const info = readImageInfo(buffer);
+    if (!info) {
+      throw new Error(`Unsupported image format (use ${Object.keys(IMAGE_TYPES).join(', ')})`);
+    }
+
+    const existing = assetId ? await this.get(tenantId, assetId) : null;
+
+    const asset = {
+      id: assetId || this.generateId(),
+      name: name || assetId || 'imagem',
+      contentType: IMAGE_TYPES[info.type],
+      extension: info.extension,
+      width: info.width,
+      height: info.height,
+      size: buffer.length,
+      uploadedAt: new Date().toISOString(),
+      uploadedBy: uploadedBy,
+      storage: this.isPersistent ? this.storage.name : 'memory'
+    };
+
+    if (this.isPersistent) {
+      // Substituição com outro formato: remove o arquivo antigo
+      if (existing && existing.extension !== asset.extension) {
+        await this.storage.delete(this.fileKey(tenantId, existing));
+      }
+
+      await this.storage.put(this.fileKey(tenantId, asset), buffer, {
+        contentType: asset.contentType,
+        metadata: { tenantId: tenantId, assetId: asset.id }
+      });
+      await this.storage.put(this.metadataKey(tenantId, asset.id), Buffer.from(JSON.stringify(asset)), {
+        contentType: METADATA_CONTENT_TYPE
+      });
+    }
+
+    this.remember(tenantId, asset, buffer);
+    console.log(`🖼️  Asset ${asset.id} salvo para tenant ${tenantId} (${asset.width}x${asset.height}, ${(buffer.length / 1024).toFixed(2)} KB)`);
+
+    return asset;
+  }
+
+  /**
+   * Metadados de um asset (memória → storage)
+   */
+  async get(tenantId, assetId) {
+    if (!this.isValidId(assetId)) {
+      return null;
+    }
+
+    const cached = this.assets[tenantId]?.[assetId];
+    if (cached) {
+      return cached;
+    }
+
+    if (!this.isPersistent) {
+      return null;
+    }
+
+    const stored = await this.storage.get(this.metadataKey(tenantId, assetId));
+    if (!stored) {
+      return null;
+    }
+
+    const asset = JSON.parse(stored.buffer.toString('utf8'));
+    this.remember(tenantId, asset);
+    return asset;
+  }
+
+  /**
+   * Metadados e conteúdo da imagem: { asset, buffer }, ou null
+   */
+  async getFile(tenantId, assetId) {
+    const asset = await this.get(tenantId, assetId);
+    if (!asset) {
+      return null;
+    }
+
+    let buffer = this.files[tenantId]?.[assetId];
+
+    if (!buffer && this.isPersistent) {
+      const stored = await this.storage.get(this.fileKey(tenantId, asset));
+      if (!stored) {
+        return null;
+      }
+      buffer = stored.buffer;
+      this.remember(tenantId, asset, buffer);
+    }
+
+    return buffer ? { asset, buffer } : null;
+  }
+
+  /**
+   * Todos os assets do tenant, por ID
+   */
+  async list(tenantId) {
+    if (this.isPersistent) {
+      const prefix = this.assetsPrefix(tenantId);
+      const ids = (await this.storage.list(prefix))
+        .map(object => object.key.slice(prefix.length))
+        .filter(relative => relative.endsWith('.json'))
+        .map(relative => relative.slice(0, -'.json'.length))
+        .filter(id => this.isValidId(id));
+
+      for (const id of ids) {
+        await this.get(tenantId, id);
+      }
+    }
+
+    return Object.values(this.assets[tenantId] || {}).sort((a, b) => (a.id < b.id ? -1 : 1));
+  }
+
+  /**
+   * Carrega as imagens referenciadas nos dados. Retorna { assets: { id: { asset, buffer } }, missing }.
+   */
+  async resolve(tenantId, assetIds = []) {
+    const assets = {};
+    const missing = [];
+
+    for (const id of assetIds) {
+      const file = await this.getFile(tenantId, id);
+      if (file) {
+        assets[id] = file;
+      } else {
+        missing.push(id);
+      }
+    }
+
+    return { assets, missing };
+  }
+
+  async delete(tenantId, assetId) {
+    const asset = await this.get(tenantId, assetId);
+    if (!asset) {
+      return false;
+    }
+
+    if (this.isPersistent) {
+      await this.storage.delete(this.fileKey(tenantId, asset));
+      await this.storage.delete(this.metadataKey(tenantId, assetId));
+    }
+
+    delete this.assets[tenantId][assetId];
+    delete this.files[tenantId][assetId];
+    console.log(`🗑️  Asset ${assetId} removido do tenant ${tenantId}`);
+    return true;
+  }
+}
+
+module.exports = TenantAssets;
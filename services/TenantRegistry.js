@@ -0,0 +1,580 @@
+// services/TenantRegistry.js
+// Cadastro de tenants e das suas API keys.
+// Cada tenant pode ter várias keys (uma por integração), com rótulo, data de
+// criação, último uso e validade. Só o hash SHA-256 do segredo é gravado: a
+// key completa aparece uma única vez, na resposta que a emite.
+// Gravado em registry/tenants.json; sem storage persistente fica apenas em memória.
+// O storage é a fonte da verdade: cada alteração relê o cadastro antes de gravar,
+// e as consultas (verify/tokenError) usam uma cópia de no máximo REGISTRY_TTL_MS,
+// para que revogações feitas por outra instância valham em poucos segundos.
+//
+// Formato da key: jwk_{keyId}.{segredo}
+//   keyId   → 16 caracteres hex, identifica a key (e o tenant) sem expor o segredo
+//   segredo → 32 bytes aleatórios em base64url
+
+const crypto = require('crypto');
+
+const REGISTRY_KEY = 'registry/tenants.json';
+const REGISTRY_CONTENT_TYPE = 'application/json';
+const KEY_PREFIX = 'jwk_';
+const KEY_PATTERN = /^jwk_([a-f0-9]{16})\.([A-Za-z0-9_-]{43})$/;
+const MAX_KEYS_PER_TENANT = 20;
+// Último uso é atualizado em memória a cada request, mas gravado no máximo a cada 5 minutos
+const LAST_USED_PERSIST_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REGISTRY_TTL_MS = 15 * 1000;
+
+// Escopos de acesso das keys e dos tokens. Keys sem escopos gravados têm todos.
+const SCOPES = ['templates:read', 'templates:write', 'documents:generate', 'documents:read', 'admin'];
+
+// Equivalência das permissões dos tokens emitidos antes dos escopos
+const LEGACY_PERMISSION_SCOPES = {
+  upload: ['templates:write'],
+  generate: ['documents:generate'],
+  list: ['templates:read', 'documents:read'],
+  delete: ['templates:write']
+};
+
+/**
+ * Erro de operação no cadastro (status HTTP + mensagem da API)
+ */
+class TenantRegistryError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TenantRegistryError';
+    this.status = status;
+  }
+}
+
+const hashSecret = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Data de validade a partir de expiresAt (ISO) ou expiresInDays. null = sem validade.
+ */
+function resolveExpiry({ expiresAt, expiresInDays } = {}) {
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime())) {
+      throw new TenantRegistryError(400, 'expiresAt must be a valid date');
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new TenantRegistryError(400, 'expiresAt must be in the future');
+    }
+    return date.toISOString();
+  }
+
+  if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new TenantRegistryError(400, 'expiresInDays must be a positive number');
+    }
+    return new Date(Date.now() + days * DAY_MS).toISOString();
+  }
+
+  return null;
+}
+
+/**
+ * Lista de escopos pedida (array ou "a,b"), restrita aos escopos de quem pede.
+ * Sem pedido, retorna todos os permitidos.
+ */
+function normalizeScopes(value, allowed = SCOPES) {
+  if (value === undefined || value === null || value === '') {
+    return [...allowed];
+  }
+
+  const requested = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  const scopes = [...new Set(requested.map(scope => String(scope).trim()).filter(Boolean))];
+
+  if (scopes.length === 0) {
+    throw new TenantRegistryError(400, 'scopes must not be empty');
+  }
+
+  for (const scope of scopes) {
+    if (!SCOPES.includes(scope)) {
+      throw new TenantRegistryError(400, `Unknown scope "${scope}" (valid: ${SCOPES.join(', ')})`);
+    }
+    if (!allowed.includes(scope)) {
+      throw new TenantRegistryError(403, `Scope "${scope}" is not granted to this credential`);
+    }
+  }
+
+  return SCOPES.filter(scope => scopes.includes(scope));
+}
+
+/**
+ * Escopos de um token: a claim scopes ou, em tokens antigos, as permissões equivalentes
+ */
+function tokenScopes(decoded) {
+  if (Array.isArray(decoded.scopes)) {
+    return decoded.scopes.filter(scope => SCOPES.includes(scope));
+  }
+
+  const scopes = (decoded.permissions || []).flatMap(permission => LEGACY_PERMISSION_SCOPES[permission] || []);
+  return SCOPES.filter(scope => scopes.includes(scope));
+}
+
+class TenantRegistry {
+  /**
+   * @param {object} storage - driver de services/storage (pode ser null)
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.registry = null;    // { updatedAt, tenants: { tenantId -> tenant } }
+    this.keyIndex = {};      // keyId -> tenantId
+    this.loadedAt = 0;       // quando a cópia em memória foi lida do storage
+    this.revision = 0;       // incrementa a cada gravação (descarta leituras que ficaram para trás)
+    this.loading = null;     // Promise da leitura em andamento (compartilhada entre requests)
+    this.lock = null;        // Promise (serializa escritas no cadastro)
+  }
+
+  get isPersistent() {
+    return !!(this.storage && this.storage.isConfigured && this.storage.canRead);
+  }
+
+  /**
+   * IDs de tenant: os mesmos aceitos no cabeçalho x-tenant-id e nos caminhos do storage
+   */
+  isValidTenantId(tenantId) {
+    return /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/.test(tenantId || '');
+  }
+
+  async withLock(fn) {
+    const previous = this.lock || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.lock = current;
+
+    try {
+      return await current;
+    } finally {
+      if (this.lock === current) {
+        this.lock = null;
+      }
+    }
+  }
+
+  /**
+   * Cadastro atual. A cópia em memória vale por REGISTRY_TTL_MS; fresh força a
+   * releitura do storage (usado dentro do lock, antes de cada alteração).
+   */
+  async load({ fresh = false } = {}) {
+    if (!this.isPersistent) {
+      if (!this.registry) {
+        this.setRegistry({ updatedAt: new Date().toISOString(), tenants: {} });
+      }
+      return this.registry;
+    }
+
+    if (fresh) {
+      return this.readRegistry();
+    }
+
+    if (this.registry && Date.now() - this.loadedAt < REGISTRY_TTL_MS) {
+      return this.registry;
+    }
+
+    if (!this.loading) {
+      this.loading = this.readRegistry().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async readRegistry() {
+    const revision = this.revision;
+    const stored = await this.storage.get(REGISTRY_KEY);
+    const registry = stored
+      ? JSON.parse(stored.buffer.toString('utf8'))
+      : { updatedAt: new Date().toISOString(), tenants: {} };
+
+    // Uma gravação desta instância terminou durante a leitura: a cópia dela é mais nova
+    if (revision !== this.revision && this.registry) {
+      return this.registry;
+    }
+
+    this.setRegistry(registry);
+    return registry;
+  }
+
+  setRegistry(registry) {
+    this.registry = registry;
+    this.loadedAt = Date.now();
+    this.keyIndex = {};
+    for (const tenant of Object.values(registry.tenants)) {
+      for (const key of tenant.keys) {
+        this.keyIndex[key.id] = tenant.id;
+      }
+    }
+  }
+
+  /**
+   * Alteração serializada: relê o cadastro do storage, aplica fn e grava o resultado
+   */
+  async mutate(fn) {
+    return this.withLock(async () => {
+      const registry = await this.load({ fresh: true });
+      return fn(registry);
+    });
+  }
+
+  async persist(registry) {
+    registry.updatedAt = new Date().toISOString();
+
+    if (this.isPersistent) {
+      await this.storage.put(
+        REGISTRY_KEY,
+        Buffer.from(JSON.stringify(registry, null, 2)),
+        { contentType: REGISTRY_CONTENT_TYPE }
+      );
+    }
+
+    this.revision++;
+    this.setRegistry(registry);
+  }
+
+  tenantIn(registry, tenantId) {
+    const tenant = registry.tenants[tenantId];
+    if (!tenant) {
+      throw new TenantRegistryError(404, 'Tenant not found');
+    }
+    return tenant;
+  }
+
+  keyStatus(key, now = Date.now()) {
+    if (key.revokedAt) {
+      return 'revoked';
+    }
+    if (key.expiresAt && new Date(key.expiresAt).getTime() <= now) {
+      return 'expired';
+    }
+    return 'active';
+  }
+
+  keyScopes(key) {
+    return key.scopes || [...SCOPES];
+  }
+
+  /**
+   * Dados da key que podem ser exibidos (sem o hash do segredo)
+   */
+  describeKey(key) {
+    return {
+      id: key.id,
+      prefix: `${KEY_PREFIX}${key.id}`,
+      label: key.label,
+      scopes: this.keyScopes(key),
+      status: this.keyStatus(key),
+      createdAt: key.createdAt,
+      createdBy: key.createdBy,
+      lastUsedAt: key.lastUsedAt,
+      expiresAt: key.expiresAt,
+      revokedAt: key.revokedAt,
+      rotatedFrom: key.rotatedFrom,
+      replacedBy: key.replacedBy
+    };
+  }
+
+  describeTenant(tenant) {
+    return {
+      id: tenant.id,
+      name: tenant.name,
+      status: tenant.status,
+      createdAt: tenant.createdAt,
+      updatedAt: tenant.updatedAt,
+      disabledAt: tenant.disabledAt,
+      keys: tenant.keys.map(key => this.describeKey(key))
+    };
+  }
+
+  async get(tenantId) {
+    const registry = await this.load();
+    return registry.tenants[tenantId] || null;
+  }
+
+  async require(tenantId) {
+    const tenant = await this.get(tenantId);
+    if (!tenant) {
+      throw new TenantRegistryError(404, 'Tenant not found');
+    }
+    return tenant;
+  }
+
+  async list() {
+    const registry = await this.load();
+    return Object.values(registry.tenants).sort((a, b) => (a.id < b.id ? -1 : 1));
+  }
+
+  async create(tenantId, { name } = {}) {
+    if (!this.isValidTenantId(tenantId)) {
+      throw new TenantRegistryError(400, 'tenantId must have 1-64 letters, digits, "-" or "_"');
+    }
+
+    return this.mutate(async (registry) => {
+      if (registry.tenants[tenantId]) {
+        throw new TenantRegistryError(409, 'Tenant already exists');
+      }
+
+      const now = new Date().toISOString();
+      const tenant = {
+        id: tenantId,
+        name: name ? String(name) : tenantId,
+        status: 'active',
+        createdAt: now,
+        updatedAt: now,
+        disabledAt: null,
+        keys: []
+      };
+
+      registry.tenants[tenantId] = tenant;
+      await this.persist(registry);
+
+      console.log(`🏢 Tenant ${tenantId} cadastrado`);
+      return tenant;
+    });
+  }
+
+  /**
+   * Desativa (ou reativa) o tenant: enquanto desativado nenhuma key nem token dele é aceito
+   */
+  async setStatus(tenantId, status) {
+    return this.mutate(async (registry) => {
+      const tenant = this.tenantIn(registry, tenantId);
+      const now = new Date().toISOString();
+
+      tenant.status = status;
+      tenant.disabledAt = status === 'disabled' ? now : null;
+      tenant.updatedAt = now;
+      await this.persist(registry);
+
+      console.log(`🏢 Tenant ${tenantId} ${status === 'disabled' ? 'desativado' : 'reativado'}`);
+      return tenant;
+    });
+  }
+
+  /**
+   * Emite uma key nova. Retorna { key, apiKey } — apiKey (em texto) só existe nesta resposta.
+   */
+  async issueKey(tenantId, { label, scopes, allowedScopes = SCOPES, expiresAt, expiresInDays, createdBy = null, rotatedFrom = null } = {}) {
+    const expiry = resolveExpiry({ expiresAt, expiresInDays });
+    const keyScopes = normalizeScopes(scopes, allowedScopes);
+
+    return this.mutate(async (registry) => {
+      const tenant = this.tenantIn(registry, tenantId);
+
+      const usable = tenant.keys.filter(key => this.keyStatus(key) === 'active');
+      if (usable.length >= MAX_KEYS_PER_TENANT) {
+        throw new TenantRegistryError(409, `Tenant already has ${MAX_KEYS_PER_TENANT} active keys; revoke one first`);
+      }
+
+      const result = this.addKey(tenant, { label, scopes: keyScopes, expiresAt: expiry, createdBy, rotatedFrom });
+      await this.persist(registry);
+
+      console.log(`🔑 Key ${result.key.id} emitida para tenant ${tenantId}`);
+      return result;
+    });
+  }
+
+  addKey(tenant, { label, scopes, expiresAt, createdBy, rotatedFrom }) {
+    let keyId;
+    do {
+      keyId = crypto.randomBytes(8).toString('hex');
+    } while (this.keyIndex[keyId]);
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = {
+      id: keyId,
+      label: label ? String(label).slice(0, 100) : 'default',
+      hash: hashSecret(secret),
+      scopes: scopes,
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy,
+      lastUsedAt: null,
+      expiresAt: expiresAt,
+      revokedAt: null,
+      rotatedFrom: rotatedFrom,
+      replacedBy: null
+    };
+
+    tenant.keys.push(key);
+    tenant.updatedAt = key.createdAt;
+    this.keyIndex[keyId] = tenant.id;
+
+    return { key, apiKey: `${KEY_PREFIX}${keyId}.${secret}` };
+  }
+
+  findKey(tenant, keyId) {
+    const key = tenant.keys.find(item => item.id === keyId);
+    if (!key) {
+      throw new TenantRegistryError(404, 'API key not found');
+    }
+    return key;
+  }
+
+  /**
+   * Substitui uma key por outra com o mesmo rótulo e validade. A antiga continua
+   * valendo por gracePeriodHours (0 = revogada na hora) para a troca nas integrações.
+   */
+  async rotateKey(tenantId, keyId, { gracePeriodHours = 0, allowedScopes = SCOPES, expiresAt, expiresInDays, createdBy = null } = {}) {
+    const grace = Number(gracePeriodHours) || 0;
+    if (grace < 0 || grace > 24 * 30) {
+      throw new TenantRegistryError(400, 'gracePeriodHours must be between 0 and 720');
+    }
+    const expiry = expiresAt !== undefined || expiresInDays !== undefined
+      ? resolveExpiry({ expiresAt, expiresInDays })
+      : undefined;
+
+    return this.mutate(async (registry) => {
+      const tenant = this.tenantIn(registry, tenantId);
+      const previous = this.findKey(tenant, keyId);
+
+      if (this.keyStatus(previous) !== 'active') {
+        throw new TenantRegistryError(409, `API key is ${this.keyStatus(previous)}`);
+      }
+
+      // A key nova herda os escopos da antiga: quem rotaciona precisa tê-los todos
+      normalizeScopes(this.keyScopes(previous), allowedScopes);
+
+      // Sem nova validade, a key nova dura o mesmo que a antiga durava
+      let newExpiry = expiry;
+      if (newExpiry === undefined) {
+        newExpiry = previous.expiresAt
+          ? new Date(Date.now() + (new Date(previous.expiresAt).getTime() - new Date(previous.createdAt).getTime())).toISOString()
+          : null;
+      }
+
+      const result = this.addKey(tenant, {
+        label: previous.label,
+        scopes: this.keyScopes(previous),
+        expiresAt: newExpiry,
+        createdBy: createdBy,
+        rotatedFrom: previous.id
+      });
+
+      previous.replacedBy = result.key.id;
+      if (grace > 0) {
+        const graceEnd = new Date(Date.now() + grace * 60 * 60 * 1000);
+        if (!previous.expiresAt || new Date(previous.expiresAt) > graceEnd) {
+          previous.expiresAt = graceEnd.toISOString();
+        }
+      } else {
+        previous.revokedAt = result.key.createdAt;
+      }
+
+      await this.persist(registry);
+
+      console.log(`🔄 Key ${keyId} do tenant ${tenantId} substituída por ${result.key.id}`);
+      return { ...result, previous };
+    });
+  }
+
+  async revokeKey(tenantId, keyId) {
+    return this.mutate(async (registry) => {
+      const tenant = this.tenantIn(registry, tenantId);
+      const key = this.findKey(tenant, keyId);
+
+      if (!key.revokedAt) {
+        key.revokedAt = new Date().toISOString();
+        tenant.updatedAt = key.revokedAt;
+        await this.persist(registry);
+        console.log(`🚫 Key ${keyId} do tenant ${tenantId} revogada`);
+      }
+
+      return key;
+    });
+  }
+
+  isKeyFormat(apiKey) {
+    return typeof apiKey === 'string' && apiKey.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Valida uma key apresentada em um request.
+   * Retorna { tenant, key } ou { error } com o motivo da recusa.
+   */
+  async verify(apiKey) {
+    const match = KEY_PATTERN.exec(apiKey || '');
+    if (!match) {
+      return { error: 'Invalid API key' };
+    }
+
+    const [, keyId, secret] = match;
+    const registry = await this.load();
+
+    const tenant = registry.tenants[this.keyIndex[keyId]];
+    const key = tenant && tenant.keys.find(item => item.id === keyId);
+    if (!key) {
+      return { error: 'Invalid API key' };
+    }
+
+    const expected = Buffer.from(key.hash, 'hex');
+    const received = Buffer.from(hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) {
+      return { error: 'Invalid API key' };
+    }
+
+    const status = this.keyStatus(key);
+    if (status !== 'active') {
+      return { error: `API key ${status}` };
+    }
+
+    if (tenant.status !== 'active') {
+      return { error: 'Tenant is disabled', status: 403 };
+    }
+
+    this.touch(tenant.id, key);
+    return { tenant, key };
+  }
+
+  touch(tenantId, key) {
+    const now = Date.now();
+    const previous = key.lastUsedAt ? new Date(key.lastUsedAt).getTime() : 0;
+    const lastUsedAt = new Date(now).toISOString();
+    key.lastUsedAt = lastUsedAt;
+
+    if (now - previous < LAST_USED_PERSIST_MS) {
+      return;
+    }
+
+    this.mutate(async (registry) => {
+      const stored = registry.tenants[tenantId]?.keys.find(item => item.id === key.id);
+      if (stored && (!stored.lastUsedAt || stored.lastUsedAt < lastUsedAt)) {
+        stored.lastUsedAt = lastUsedAt;
+        await this.persist(registry);
+      }
+    }).catch(error => {
+      console.error('⚠️  Erro ao gravar último uso da key:', error.message);
+    });
+  }
+
+  /**
+   * Confere um JWT já validado: tenant desativado ou key de origem revogada/expirada
+   * invalidam os tokens emitidos com ela. Retorna o motivo da recusa ou null.
+   * Tenants fora do cadastro não são bloqueados aqui.
+   */
+  async tokenError({ tenantId, keyId }) {
+    const tenant = await this.get(tenantId);
+    if (!tenant) {
+      return null;
+    }
+
+    if (tenant.status !== 'active') {
+      return 'Tenant is disabled';
+    }
+
+    if (keyId) {
+      const key = tenant.keys.find(item => item.id === keyId);
+      if (!key || this.keyStatus(key) !== 'active') {
+        return 'Token was issued with an API key that is no longer active';
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = TenantRegistry;
+module.exports.TenantRegistryError = TenantRegistryError;
+module.exports.SCOPES = SCOPES;
+module.exports.normalizeScopes = normalizeScopes;
+module.exports.tokenScopes = tokenScopes;
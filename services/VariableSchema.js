@@ -0,0 +1,311 @@
+// services/VariableSchema.js
+// Esquema de variáveis de um template: tipo, obrigatoriedade e valor padrão
+// de cada campo. Validado antes da renderização para que um campo faltando
+// ou com erro de digitação não vire "undefined" no documento.
+//
+// Exemplo:
+//   {
+//     "cliente":   { "type": "text", "required": true },
+//     "cpf":       { "type": "cpf", "required": true },
+//     "valor":     { "type": "money", "default": 0 },
+//     "processo":  "cnj",
+//     "partes":    { "type": "list", "items": { "nome": { "type": "text", "required": true } } }
+//   }
+
+const SpreadsheetParser = require('./SpreadsheetParser');
+
+const TYPES = ['text', 'date', 'money', 'integer', 'boolean', 'cpf', 'cnpj', 'cnj', 'cep', 'oab', 'list'];
+
+const UFS = [
+  'AC', 'AL', 'AP', 'AM', 'BA', 'CE', 'DF', 'ES', 'GO', 'MA', 'MT', 'MS', 'MG', 'PA',
+  'PB', 'PR', 'PE', 'PI', 'RJ', 'RN', 'RS', 'RO', 'RR', 'SC', 'SP', 'SE', 'TO'
+];
+
+// Reaproveita a leitura de números e datas em formato brasileiro das planilhas
+const parser = new SpreadsheetParser();
+
+const onlyDigits = value => String(value).replace(/\D/g, '');
+
+/**
+ * CPF: 11 dígitos, dois dígitos verificadores (módulo 11)
+ */
+function isValidCPF(value) {
+  const cpf = onlyDigits(value);
+  if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) {
+    return false;
+  }
+
+  for (let length = 9; length <= 10; length++) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += parseInt(cpf[i]) * (length + 1 - i);
+    }
+    const digit = (sum * 10) % 11 % 10;
+    if (digit !== parseInt(cpf[length])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * CNPJ: 14 dígitos, dois dígitos verificadores (módulo 11, pesos 2 a 9)
+ */
+function isValidCNPJ(value) {
+  const cnpj = onlyDigits(value);
+  if (cnpj.length !== 14 || /^(\d)\1{13}$/.test(cnpj)) {
+    return false;
+  }
+
+  for (let length = 12; length <= 13; length++) {
+    let sum = 0;
+    let weight = length - 7;
+    for (let i = 0; i < length; i++) {
+      sum += parseInt(cnpj[i]) * weight;
+      weight = weight === 2 ? 9 : weight - 1;
+    }
+    const remainder = sum % 11;
+    const digit = remainder < 2 ? 0 : 11 - remainder;
+    if (digit !== parseInt(cnpj[length])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Número único de processo (Resolução CNJ 65/2008): NNNNNNN-DD.AAAA.J.TR.OOOO.
+ * Os dígitos DD fazem o número inteiro (N A J TR O DD) ser ≡ 1 (mod 97).
+ */
+function isValidCNJ(value) {
+  const text = String(value).trim();
+  if (!/^\d{7}-?\d{2}\.?\d{4}\.?\d\.?\d{2}\.?\d{4}$/.test(text)) {
+    return false;
+  }
+
+  const digits = onlyDigits(text);
+  const sequential = digits.slice(0, 7);
+  const checkDigits = digits.slice(7, 9);
+  const rest = digits.slice(9);
+
+  return BigInt(sequential + rest + checkDigits) % 97n === 1n;
+}
+
+/**
+ * CEP: 8 dígitos (00000-000)
+ */
+function isValidCEP(value) {
+  return /^\d{5}-?\d{3}$/.test(String(value).trim());
+}
+
+/**
+ * Inscrição na OAB: número e seccional, em qualquer uma das grafias comuns
+ * ("123456/SP", "SP 123.456", "OAB/SP 123456", com sufixo "A"/"B"/"E"/"N"/"P")
+ */
+function isValidOAB(value) {
+  const text = String(value).toUpperCase().replace(/^OAB\s*[/-]?\s*/, '').trim();
+  const match = text.match(/^(\d{1,3}(?:\.?\d{3})?)\s*-?\s*([ABENP])?\s*[/-]\s*([A-Z]{2})$/) ||
+    text.match(/^([A-Z]{2})\s*[/-]?\s*(\d{1,3}(?:\.?\d{3})?)\s*-?\s*([ABENP])?$/);
+
+  if (!match) {
+    return false;
+  }
+
+  const uf = /^[A-Z]{2}$/.test(match[1]) ? match[1] : match[3];
+  return UFS.includes(uf);
+}
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+/**
+ * Erro na definição do esquema (não nos dados)
+ */
+class SchemaDefinitionError extends Error {
+  constructor(errors) {
+    super(`Invalid variable schema: ${errors.join('; ')}`);
+    this.name = 'SchemaDefinitionError';
+    this.errors = errors;
+  }
+}
+
+class VariableSchema {
+  /**
+   * @param {object} definition - { campo: "tipo" | { type, required, default, label, description, items } }
+   */
+  constructor(definition) {
+    const errors = [];
+    this.fields = this.normalizeFields(definition, '', errors);
+
+    if (errors.length > 0) {
+      throw new SchemaDefinitionError(errors);
+    }
+  }
+
+  normalizeFields(definition, prefix, errors) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      errors.push(`${prefix || 'schema'} must be an object of field definitions`);
+      return {};
+    }
+
+    const fields = {};
+
+    for (const [name, raw] of Object.entries(definition)) {
+      const path = prefix ? `${prefix}.${name}` : name;
+      const field = typeof raw === 'string' ? { type: raw } : { ...raw };
+
+      if (!TYPES.includes(field.type)) {
+        errors.push(`${path}: unknown type "${field.type}" (expected one of ${TYPES.join(', ')})`);
+        continue;
+      }
+
+      const normalized = { type: field.type, required: field.required === true };
+
+      if (field.label) normalized.label = String(field.label);
+      if (field.description) normalized.description = String(field.description);
+
+      if (field.type === 'list') {
+        normalized.items = field.items ? this.normalizeFields(field.items, `${path}[]`, errors) : {};
+      } else if (field.items) {
+        errors.push(`${path}: "items" is only allowed for type "list"`);
+      }
+
+      if (field.default !== undefined) {
+        normalized.default = field.default;
+        const defaultErrors = this.checkValue(normalized, field.default, path);
+        if (defaultErrors.length > 0) {
+          errors.push(`${path}: default value is not a valid ${field.type}`);
+        }
+      }
+
+      fields[name] = normalized;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Confere um valor contra o tipo do campo. Retorna a lista de erros.
+   */
+  checkValue(field, value, path) {
+    const error = (message) => [{ field: path, type: field.type, message: message, value: value }];
+
+    switch (field.type) {
+      case 'text':
+        return typeof value === 'string' || typeof value === 'number' ? [] : error('must be a text');
+
+      case 'date':
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(new Date(value))) {
+          return [];
+        }
+        return typeof value === 'string' && parser.parseDate(value)
+          ? []
+          : error('must be a valid date (DD/MM/AAAA or AAAA-MM-DD)');
+
+      case 'money':
+        return (typeof value === 'number' && isFinite(value)) || (typeof value === 'string' && !isNaN(parser.parseNumber(value)))
+          ? []
+          : error('must be a monetary amount (e.g. 1234.56 or "R$ 1.234,56")');
+
+      case 'integer':
+        return Number.isInteger(typeof value === 'string' ? Number(value.trim()) : value) && String(value).trim() !== ''
+          ? []
+          : error('must be an integer');
+
+      case 'boolean':
+        return typeof value === 'boolean' ? [] : error('must be true or false');
+
+      case 'cpf':
+        return isValidCPF(value) ? [] : error('must be a valid CPF (check digits do not match)');
+
+      case 'cnpj':
+        return isValidCNPJ(value) ? [] : error('must be a valid CNPJ (check digits do not match)');
+
+      case 'cnj':
+        return isValidCNJ(value) ? [] : error('must be a valid CNJ process number (NNNNNNN-DD.AAAA.J.TR.OOOO)');
+
+      case 'cep':
+        return isValidCEP(value) ? [] : error('must be a valid CEP (00000-000)');
+
+      case 'oab':
+        return isValidOAB(value) ? [] : error('must be a valid OAB registration (e.g. 123456/SP)');
+
+      case 'list': {
+        if (!Array.isArray(value)) {
+          return error('must be a list');
+        }
+
+        const errors = [];
+        value.forEach((item, index) => {
+          const itemPath = `${path}[${index}]`;
+          if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            errors.push({ field: itemPath, type: 'object', message: 'must be an object', value: item });
+            return;
+          }
+          errors.push(...this.validateFields(field.items, item, `${itemPath}.`));
+        });
+        return errors;
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Aplica padrões e valida os campos de um objeto (modifica o objeto recebido)
+   */
+  validateFields(fields, data, prefix) {
+    const errors = [];
+
+    for (const [name, field] of Object.entries(fields)) {
+      const path = `${prefix}${name}`;
+
+      if (isEmpty(data[name])) {
+        if (field.default !== undefined) {
+          data[name] = JSON.parse(JSON.stringify(field.default));
+        } else {
+          if (field.required) {
+            errors.push({ field: path, type: field.type, message: 'is required' });
+          }
+          continue;
+        }
+      }
+
+      errors.push(...this.checkValue(field, data[name], path));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Valida os dados de geração.
+   * Retorna { data, errors }: data é uma cópia com os valores padrão aplicados.
+   */
+  validate(data) {
+    const copy = JSON.parse(JSON.stringify(data || {}));
+    const errors = this.validateFields(this.fields, copy, '');
+    return { data: copy, errors: errors };
+  }
+
+  /**
+   * Nomes dos campos de primeiro nível
+   */
+  get fieldNames() {
+    return Object.keys(this.fields);
+  }
+
+  toJSON() {
+    return this.fields;
+  }
+}
+
+module.exports = VariableSchema;
+module.exports.TYPES = TYPES;
+module.exports.SchemaDefinitionError = SchemaDefinitionError;
+module.exports.isValidCPF = isValidCPF;
+module.exports.isValidCNPJ = isValidCNPJ;
+module.exports.isValidCNJ = isValidCNJ;
+module.exports.isValidCEP = isValidCEP;
+module.exports.isValidOAB = isValidOAB;
@@ -0,0 +1,95 @@
+// services/pdf/ConvertApiEngine.js
+// Conversão DOCX → PDF usando a ConvertAPI (serviço externo)
+
+const axios = require('axios');
+const FormData = require('form-data');
+
+class ConvertApiEngine {
+  /**
+   * @param {object} options
+   * @param {string} options.secret - CONVERT_API_SECRET
+   */
+  constructor(options = {}) {
+    this.name = 'convertapi';
+    this.isLocal = false; // o documento sai da nossa infraestrutura
+    this.apiSecret = options.secret;
+    this.isConfigured = !!this.apiSecret && this.apiSecret !== 'SEU_SECRET_AQUI';
+  }
+
+  async convert(docxBuffer, { filename = 'document.docx', timeout = 30000 } = {}) {
+    const form = new FormData();
+    form.append('File', docxBuffer, {
+      filename: filename,
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
+
+    try {
+      const response = await axios.post(
+        `https://v2.convertapi.com/convert/docx/to/pdf?Secret=${this.apiSecret}`,
+        form,
+        {
+          headers: {
+            ...form.getHeaders()
+          },
+          maxBodyLength: Infinity,
+          timeout: timeout
+        }
+      );
+
+      if (response.data && response.data.Files && response.data.Files[0]) {
+        console.log(`   Conversões restantes: ${response.data.ConversionCost?.UserBalance || 'N/A'}`);
+        return Buffer.from(response.data.Files[0].FileData, 'base64');
+      }
+
+      throw new Error('Resposta inesperada da ConvertAPI');
+
+    } catch (error) {
+      if (error.response) {
+        // Erros comuns
+        if (error.response.status === 401) {
+          throw new Error('ConvertAPI: secret inválido ou expirado');
+        } else if (error.response.status === 402) {
+          throw new Error('ConvertAPI: limite de conversões excedido');
+        }
+        throw new Error(`ConvertAPI: ${error.response.data?.Message || error.response.status}`);
+      }
+      throw error;
+    }
+  }
+
+  async testConnection() {
+    if (!this.isConfigured) {
+      return { success: false, message: 'ConvertAPI não configurado' };
+    }
+
+    try {
+      const form = new FormData();
+      form.append('File', Buffer.from('Test document'), 'test.txt');
+
+      // Testar conversão de TXT para PDF (mais barato)
+      const response = await axios.post(
+        `https://v2.convertapi.com/convert/txt/to/pdf?Secret=${this.apiSecret}`,
+        form,
+        {
+          headers: form.getHeaders(),
+          timeout: 10000
+        }
+      );
+
+      if (response.data && response.data.Files) {
+        return {
+          success: true,
+          message: 'ConvertAPI funcionando!',
+          conversionsRemaining: response.data.ConversionCost?.UserBalance || 'N/A'
+        };
+      }
+
+      return { success: false, message: 'Resposta inesperada' };
+
+    } catch (error) {
+      return { success: false, message: error.response?.data?.Message || error.message };
+    }
+  }
+}
+
+module.exports = ConvertApiEngine;
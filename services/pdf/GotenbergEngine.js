@@ -0,0 +1,69 @@
+// services/pdf/GotenbergEngine.js
+// Conversão DOCX → PDF via servidor HTTP no estilo Gotenberg
+// (POST multipart em /forms/libreoffice/convert, resposta é o PDF)
+
+const axios = require('axios');
+const FormData = require('form-data');
+
+class GotenbergEngine {
+  /**
+   * @param {object} options
+   * @param {string} options.url - URL base do serviço (GOTENBERG_URL)
+   * @param {boolean} [options.isLocal] - serviço roda na nossa infraestrutura (padrão: true)
+   * @param {string} [options.authToken] - enviado como Bearer, se o serviço exigir
+   */
+  constructor(options = {}) {
+    this.name = 'gotenberg';
+    this.baseUrl = (options.url || '').replace(/\/$/, '');
+    this.isLocal = options.isLocal !== false;
+    this.authToken = options.authToken || null;
+    this.isConfigured = !!this.baseUrl;
+  }
+
+  headers(form) {
+    return {
+      ...form.getHeaders(),
+      ...(this.authToken ? { Authorization: `Bearer ${this.authToken}` } : {})
+    };
+  }
+
+  async convert(docxBuffer, { filename = 'document.docx', timeout = 30000 } = {}) {
+    const form = new FormData();
+    form.append('files', docxBuffer, {
+      filename: filename.endsWith('.docx') ? filename : `${filename}.docx`,
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/forms/libreoffice/convert`, form, {
+        headers: this.headers(form),
+        responseType: 'arraybuffer',
+        maxBodyLength: Infinity,
+        timeout: timeout
+      });
+
+      return Buffer.from(response.data);
+
+    } catch (error) {
+      if (error.response) {
+        throw new Error(`Gotenberg: HTTP ${error.response.status}`);
+      }
+      throw error;
+    }
+  }
+
+  async testConnection() {
+    if (!this.isConfigured) {
+      return { success: false, message: 'GOTENBERG_URL não configurado' };
+    }
+
+    try {
+      await axios.get(`${this.baseUrl}/health`, { timeout: 5000 });
+      return { success: true, message: 'Gotenberg funcionando!' };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = GotenbergEngine;
@@ -0,0 +1,79 @@
+// services/pdf/LibreOfficeEngine.js
+// Conversão DOCX → PDF com LibreOffice headless instalado no próprio servidor
+
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+class LibreOfficeEngine {
+  /**
+   * @param {object} options
+   * @param {string} [options.binary] - caminho do executável (padrão: soffice no PATH)
+   */
+  constructor(options = {}) {
+    this.name = 'libreoffice';
+    this.isLocal = true;
+    this.binary = options.binary || 'soffice';
+    this.isConfigured = options.enabled !== false;
+  }
+
+  run(args, timeout) {
+    return new Promise((resolve, reject) => {
+      execFile(this.binary, args, { timeout: timeout, killSignal: 'SIGKILL' }, (error, stdout, stderr) => {
+        if (error) {
+          if (error.code === 'ENOENT') {
+            return reject(new Error(`LibreOffice não encontrado (${this.binary})`));
+          }
+          if (error.killed) {
+            return reject(new Error('LibreOffice excedeu o tempo limite'));
+          }
+          return reject(new Error(`LibreOffice falhou: ${stderr || error.message}`));
+        }
+        resolve(stdout);
+      });
+    });
+  }
+
+  async convert(docxBuffer, { timeout = 60000 } = {}) {
+    // Cada conversão usa diretório e perfil próprios: instâncias simultâneas
+    // do LibreOffice não podem compartilhar o mesmo perfil de usuário
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'jusway-pdf-'));
+
+    try {
+      const inputPath = path.join(workDir, 'document.docx');
+      await fs.writeFile(inputPath, docxBuffer);
+
+      await this.run([
+        `-env:UserInstallation=${pathToFileURL(path.join(workDir, 'profile')).href}`,
+        '--headless',
+        '--norestore',
+        '--convert-to', 'pdf',
+        '--outdir', workDir,
+        inputPath
+      ], timeout);
+
+      return await fs.readFile(path.join(workDir, 'document.pdf'));
+
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error('LibreOffice não gerou o PDF');
+      }
+      throw error;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  async testConnection() {
+    try {
+      const version = await this.run(['--version'], 10000);
+      return { success: true, message: version.trim() };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = LibreOfficeEngine;
@@ -0,0 +1,173 @@
+// services/pdf/index.js
+// Registro de engines de conversão DOCX → PDF com ordem de prioridade e fallback.
+//
+// Configuração:
+//   PDF_ENGINES            ordem de tentativa (ex.: "libreoffice,gotenberg,convertapi")
+//   PDF_ENGINE_TIMEOUT     tempo máximo por engine, em ms (padrão 30000)
+//   PDF_CONFIDENTIAL_MODE  "true" = só engines da nossa infraestrutura, nunca serviços externos
+
+const ConvertApiEngine = require('./ConvertApiEngine');
+const LibreOfficeEngine = require('./LibreOfficeEngine');
+const GotenbergEngine = require('./GotenbergEngine');
+
+const DEFAULT_ORDER = ['convertapi', 'gotenberg', 'libreoffice'];
+
+class PDFConverterRegistry {
+  /**
+   * @param {object[]} engines - instâncias de engine (name, isLocal, isConfigured, convert, testConnection)
+   * @param {object} options
+   * @param {string[]} [options.order] - nomes na ordem de prioridade
+   * @param {number} [options.timeout] - tempo máximo por engine (ms)
+   * @param {boolean} [options.confidentialMode] - força apenas engines locais
+   */
+  constructor(engines, options = {}) {
+    this.engines = {};
+    for (const engine of engines) {
+      this.engines[engine.name] = engine;
+    }
+
+    this.order = (options.order || DEFAULT_ORDER).filter(name => this.engines[name]);
+    this.timeout = options.timeout || 30000;
+    this.confidentialMode = !!options.confidentialMode;
+  }
+
+  /**
+   * Existe ao menos uma engine configurada?
+   */
+  get isConfigured() {
+    return this.available().length > 0;
+  }
+
+  /**
+   * Engines configuradas, na ordem de prioridade.
+   * Em modo confidencial, apenas as que rodam na nossa infraestrutura.
+   */
+  available({ confidential = false } = {}) {
+    const localOnly = this.confidentialMode || confidential;
+
+    return this.order
+      .map(name => this.engines[name])
+      .filter(engine => engine.isConfigured && (!localOnly || engine.isLocal));
+  }
+
+  withTimeout(promise, engineName) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${engineName}: tempo limite de ${this.timeout}ms excedido`)),
+        this.timeout
+      );
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Converte tentando cada engine em ordem até uma funcionar.
+   * Retorna { buffer, engine, attempts }; buffer é null se todas falharem.
+   */
+  async convert(docxBuffer, { filename = 'document.docx', confidential = false } = {}) {
+    const engines = this.available({ confidential });
+    const attempts = [];
+
+    if (engines.length === 0) {
+      console.log('📄 Nenhuma engine de PDF disponível' +
+        (this.confidentialMode || confidential ? ' em modo confidencial' : ''));
+      return { buffer: null, engine: null, attempts: attempts };
+    }
+
+    for (const engine of engines) {
+      const startedAt = Date.now();
+
+      try {
+        console.log(`🔄 Convertendo DOCX → PDF com ${engine.name}...`);
+
+        const buffer = await this.withTimeout(
+          engine.convert(docxBuffer, { filename, timeout: this.timeout }),
+          engine.name
+        );
+
+        attempts.push({ engine: engine.name, success: true, durationMs: Date.now() - startedAt });
+        console.log(`✅ PDF gerado com ${engine.name} (${(buffer.length / 1024).toFixed(2)} KB)`);
+
+        return { buffer: buffer, engine: engine.name, attempts: attempts };
+
+      } catch (error) {
+        attempts.push({
+          engine: engine.name,
+          success: false,
+          durationMs: Date.now() - startedAt,
+          error: error.message
+        });
+        console.error(`⚠️  Falha na engine ${engine.name}: ${error.message}`);
+      }
+    }
+
+    return { buffer: null, engine: null, attempts: attempts };
+  }
+
+  /**
+   * Testa todas as engines registradas
+   */
+  async testConnection() {
+    const engines = {};
+
+    for (const name of this.order) {
+      const engine = this.engines[name];
+      engines[name] = engine.isConfigured
+        ? { local: engine.isLocal, ...(await engine.testConnection()) }
+        : { local: engine.isLocal, success: false, message: 'Não configurado' };
+    }
+
+    return {
+      success: Object.values(engines).some(e => e.success),
+      order: this.order,
+      confidentialMode: this.confidentialMode,
+      engines: engines
+    };
+  }
+}
+
+/**
+ * Cria o registro com as engines configuradas pelo ambiente
+ */
+function createPdfConverter(env = process.env) {
+  const order = env.PDF_ENGINES
+    ? env.PDF_ENGINES.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ORDER;
+
+  const registry = new PDFConverterRegistry([
+    new ConvertApiEngine({ secret: env.CONVERT_API_SECRET }),
+    // LibreOffice precisa estar instalado: só é ativado se pedido explicitamente
+    new LibreOfficeEngine({
+      binary: env.LIBREOFFICE_PATH,
+      enabled: !!env.LIBREOFFICE_PATH || (env.PDF_ENGINES || '').includes('libreoffice')
+    }),
+    new GotenbergEngine({
+      url: env.GOTENBERG_URL,
+      isLocal: env.GOTENBERG_EXTERNAL !== 'true',
+      authToken: env.GOTENBERG_TOKEN
+    })
+  ], {
+    order: order,
+    timeout: parseInt(env.PDF_ENGINE_TIMEOUT) || 30000,
+    confidentialMode: env.PDF_CONFIDENTIAL_MODE === 'true'
+  });
+
+  const names = registry.available().map(engine => engine.name);
+  if (names.length > 0) {
+    console.log(`✅ Conversão PDF: ${names.join(' → ')}${registry.confidentialMode ? ' (modo confidencial)' : ''}`);
+  } else {
+    console.log('⚠️  Nenhuma engine de PDF configurada - conversão PDF desabilitada');
+  }
+
+  return registry;
+}
+
+module.exports = {
+  createPdfConverter,
+  PDFConverterRegistry,
+  ConvertApiEngine,
+  LibreOfficeEngine,
+  GotenbergEngine
+};
@@ -0,0 +1,128 @@
+// services/storage/Base44Driver.js
+// Driver de envio para o endpoint de upload do Base44.
+// O Base44 só aceita uploads e devolve uma URL pública: não há listagem
+// nem remoção, então este driver não serve como armazenamento do catálogo.
+
+const axios = require('axios');
+const FormData = require('form-data');
+const path = require('path');
+
+class Base44Driver {
+  /**
+   * @param {object} options
+   * @param {string} options.uploadUrl - endpoint de upload do Base44
+   * @param {string} [options.apiKey]
+   */
+  constructor(options = {}) {
+    this.name = 'base44';
+    this.uploadUrl = options.uploadUrl || null;
+    this.apiKey = options.apiKey || null;
+    this.isConfigured = !!this.uploadUrl;
+    this.canRead = false;
+    this.urls = {}; // chave -> URL devolvida pelo Base44 (apenas nesta execução)
+
+    if (this.isConfigured) {
+      console.log('✅ Storage Base44 configurado');
+    } else {
+      console.log('⚠️  Storage Base44 selecionado mas UPLOAD_URL não está configurado');
+    }
+  }
+
+  unsupported(operation) {
+    return new Error(`Operação "${operation}" não suportada pelo storage Base44`);
+  }
+
+  /**
+   * Envia o arquivo ao Base44
+   */
+  async put(key, body, { contentType } = {}) {
+    if (!this.isConfigured) {
+      throw new Error('UPLOAD_URL not configured for Base44');
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append('file', body, {
+        filename: path.basename(key),
+        contentType: contentType
+      });
+
+      const response = await axios.post(this.uploadUrl, formData, {
+        headers: {
+          ...formData.getHeaders(),
+          'Authorization': this.apiKey ? `Bearer ${this.apiKey}` : undefined
+        },
+        maxBodyLength: Infinity
+      });
+
+      const url = response.data.url || response.data.fileUrl;
+      this.urls[key] = url;
+
+      return { driver: this.name, key: key, size: body.length, url: url };
+
+    } catch (error) {
+      console.error('Erro no upload Base44:', error.message);
+      throw new Error('Failed to upload to Base44');
+    }
+  }
+
+  /**
+   * Baixa um arquivo enviado nesta execução (null se a URL não for conhecida)
+   */
+  async get(key) {
+    const url = this.urls[key];
+    if (!url) {
+      return null;
+    }
+
+    const response = await axios.get(url, { responseType: 'arraybuffer' });
+
+    return {
+      buffer: Buffer.from(response.data),
+      metadata: {},
+      contentType: response.headers['content-type']
+    };
+  }
+
+  async head(key) {
+    const stored = await this.get(key);
+    if (!stored) {
+      return null;
+    }
+
+    return { size: stored.buffer.length, lastModified: null, metadata: {}, contentType: stored.contentType };
+  }
+
+  async list() {
+    throw this.unsupported('list');
+  }
+
+  async listPrefixes() {
+    throw this.unsupported('listPrefixes');
+  }
+
+  async delete() {
+    throw this.unsupported('delete');
+  }
+
+  /**
+   * O Base44 devolve URLs públicas, então o "link assinado" é a própria URL
+   */
+  async presign(key) {
+    const url = this.urls[key];
+    if (!url) {
+      throw new Error(`URL do Base44 desconhecida para ${key}`);
+    }
+    return url;
+  }
+
+  async testConnection() {
+    return {
+      success: this.isConfigured,
+      driver: this.name,
+      message: this.isConfigured ? 'Upload URL configurada' : 'UPLOAD_URL não configurado'
+    };
+  }
+}
+
+module.exports = Base44Driver;
@@ -0,0 +1,243 @@
+// services/storage/LocalDriver.js
+// Driver de armazenamento em disco local (desenvolvimento e testes)
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const META_SUFFIX = '.meta.json';
+
+class LocalDriver {
+  /**
+   * @param {object} options
+   * @param {string} options.rootDir - diretório base dos arquivos
+   * @param {string} [options.baseUrl] - URL pública do servidor (sem ela não há links assinados)
+   * @param {string} options.signingSecret - segredo HMAC dos links assinados
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(options.rootDir || 'data');
+    this.baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+    this.signingSecret = options.signingSecret || crypto.randomBytes(32).toString('hex');
+    this.isConfigured = true;
+    this.canRead = true;
+
+    console.log(`✅ Storage local configurado em ${this.rootDir}`);
+    if (!this.baseUrl) {
+      console.warn('⚠️  BASE_URL não definida - links assinados do storage local desativados');
+    }
+  }
+
+  /**
+   * Caminho absoluto de uma chave, impedindo escapar do diretório base
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (filePath !== this.rootDir && !filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Chave de armazenamento inválida: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  async readMeta(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath + META_SUFFIX, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Salva um objeto (arquivo + metadados ao lado em .meta.json)
+   */
+  async put(key, body, { contentType, metadata = {} } = {}) {
+    const filePath = this.resolvePath(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Grava em arquivo temporário e renomeia, para leitores nunca verem arquivo parcial
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, body);
+    await fs.rename(tempPath, filePath);
+
+    await fs.writeFile(filePath + META_SUFFIX, JSON.stringify({
+      contentType: contentType || null,
+      metadata: metadata
+    }));
+
+    return { driver: this.name, key: key, size: body.length };
+  }
+
+  /**
+   * Busca um objeto (null se não existir)
+   */
+  async get(key) {
+    const filePath = this.resolvePath(key);
+
+    try {
+      const buffer = await fs.readFile(filePath);
+      const meta = await this.readMeta(filePath);
+
+      return {
+        buffer: buffer,
+        metadata: meta.metadata || {},
+        contentType: meta.contentType || undefined
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Busca apenas os metadados de um objeto (null se não existir)
+   */
+  async head(key) {
+    const filePath = this.resolvePath(key);
+
+    try {
+      const stats = await fs.stat(filePath);
+      const meta = await this.readMeta(filePath);
+
+      return {
+        size: stats.size,
+        lastModified: stats.mtime,
+        metadata: meta.metadata || {},
+        contentType: meta.contentType || undefined
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lista todos os objetos sob um prefixo
+   */
+  async list(prefix) {
+    const objects = [];
+
+    const walk = async (dir) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+          continue;
+        }
+
+        if (entry.name.endsWith(META_SUFFIX) || entry.name.endsWith('.tmp')) {
+          continue;
+        }
+
+        const key = path.relative(this.rootDir, fullPath).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) {
+          continue;
+        }
+
+        const stats = await fs.stat(fullPath);
+        objects.push({ key: key, size: stats.size, lastModified: stats.mtime });
+      }
+    };
+
+    // Começa pelo diretório mais profundo contido no prefixo
+    const baseDir = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/')) : '';
+    await walk(this.resolvePath(baseDir));
+
+    return objects.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Lista os "diretórios" imediatamente abaixo de um prefixo (ex.: tenants/)
+   */
+  async listPrefixes(prefix) {
+    try {
+      const entries = await fs.readdir(this.resolvePath(prefix), { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => `${prefix}${entry.name}/`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove um objeto (não falha se já não existir)
+   */
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+    await fs.unlink(filePath).catch(() => {});
+    await fs.unlink(filePath + META_SUFFIX).catch(() => {});
+  }
+
+  /**
+   * Assinatura HMAC de um link de download
+   */
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  verifySignature(key, expires, signature) {
+    if (!expires || !signature || Date.now() / 1000 > parseInt(expires)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expires));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Gera uma URL temporária servida pela rota /files do próprio servidor
+   */
+  async presign(key, { expiresIn = 3600, filename } = {}) {
+    if (!this.baseUrl) {
+      throw new Error('BASE_URL não definida: não é possível gerar links do storage local');
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const params = new URLSearchParams({ expires: String(expires), signature: this.sign(key, expires) });
+
+    if (filename) {
+      params.set('filename', filename);
+    }
+
+    return `${this.baseUrl}/files/${key.split('/').map(encodeURIComponent).join('/')}?${params}`;
+  }
+
+  async testConnection() {
+    try {
+      await this.put('test/connection-test.txt', Buffer.from('Teste de conexão ' + new Date().toISOString()), {
+        contentType: 'text/plain'
+      });
+      return { success: true, driver: this.name, message: 'Conexão OK', rootDir: this.rootDir };
+    } catch (error) {
+      return { success: false, driver: this.name, message: error.message };
+    }
+  }
+}
+
+module.exports = LocalDriver;
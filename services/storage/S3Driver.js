@@ -0,0 +1,239 @@
+// services/storage/S3Driver.js
+// Driver de armazenamento para S3 e serviços compatíveis (Cloudflare R2)
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+class S3Driver {
+  /**
+   * @param {object} options
+   * @param {string} options.name - 'r2' ou 's3' (usado nos logs e nos metadados)
+   * @param {string} options.bucket
+   * @param {string} [options.region]
+   * @param {string} [options.endpoint]
+   * @param {string} [options.accessKeyId]
+   * @param {string} [options.secretAccessKey]
+   * @param {boolean} [options.forcePathStyle]
+   */
+  constructor(options) {
+    this.name = options.name || 's3';
+    this.bucketName = options.bucket;
+    this.isConfigured = false;
+    this.canRead = true;
+    this.client = null;
+
+    if (!this.bucketName) {
+      console.log(`⚠️  ${this.name.toUpperCase()} não está configurado - bucket não informado`);
+      return;
+    }
+
+    try {
+      const clientOptions = {
+        region: options.region || 'auto',
+        forcePathStyle: !!options.forcePathStyle
+      };
+
+      if (options.endpoint) {
+        clientOptions.endpoint = options.endpoint;
+      }
+
+      if (options.accessKeyId && options.secretAccessKey) {
+        clientOptions.credentials = {
+          accessKeyId: options.accessKeyId,
+          secretAccessKey: options.secretAccessKey
+        };
+      }
+
+      this.client = new S3Client(clientOptions);
+      this.isConfigured = true;
+      console.log(`✅ Storage ${this.name.toUpperCase()} configurado (bucket ${this.bucketName})`);
+
+    } catch (error) {
+      console.error(`❌ Erro ao configurar ${this.name.toUpperCase()}:`, error.message);
+    }
+  }
+
+  // Verificar se o erro do S3/R2 significa "objeto não existe"
+  isNotFound(error) {
+    return error.name === 'NoSuchKey' ||
+      error.Code === 'NoSuchKey' ||
+      error.name === 'NotFound' ||
+      error.$metadata?.httpStatusCode === 404;
+  }
+
+  /**
+   * Salva um objeto
+   */
+  async put(key, body, { contentType, metadata = {} } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      Metadata: metadata
+    }));
+
+    return { driver: this.name, bucket: this.bucketName, key: key, size: body.length };
+  }
+
+  /**
+   * Busca um objeto (null se não existir, erro nos demais casos)
+   */
+  async get(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key
+      }));
+
+      const chunks = [];
+      for await (const chunk of response.Body) {
+        chunks.push(chunk);
+      }
+
+      return {
+        buffer: Buffer.concat(chunks),
+        metadata: response.Metadata || {},
+        contentType: response.ContentType
+      };
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Busca apenas os metadados de um objeto (null se não existir)
+   */
+  async head(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: key
+      }));
+
+      return {
+        size: response.ContentLength,
+        lastModified: response.LastModified,
+        metadata: response.Metadata || {},
+        contentType: response.ContentType
+      };
+    } catch (error) {
+      if (this.isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lista todos os objetos sob um prefixo (percorre todas as páginas)
+   */
+  async list(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const item of response.Contents || []) {
+        objects.push({
+          key: item.Key,
+          size: item.Size,
+          lastModified: item.LastModified
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  /**
+   * Lista os "diretórios" imediatamente abaixo de um prefixo (ex.: tenants/)
+   */
+  async listPrefixes(prefix) {
+    const prefixes = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: prefix,
+        Delimiter: '/',
+        ContinuationToken: continuationToken
+      }));
+
+      for (const item of response.CommonPrefixes || []) {
+        prefixes.push(item.Prefix);
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return prefixes;
+  }
+
+  /**
+   * Remove um objeto (não falha se já não existir)
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucketName,
+      Key: key
+    }));
+  }
+
+  /**
+   * Gera uma URL temporária de download
+   */
+  async presign(key, { expiresIn = 3600, filename } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+      ResponseContentDisposition: filename ? `attachment; filename="${filename}"` : undefined
+    });
+
+    return getSignedUrl(this.client, command, { expiresIn: expiresIn });
+  }
+
+  /**
+   * Testa a conexão gravando um pequeno arquivo
+   */
+  async testConnection() {
+    if (!this.isConfigured) {
+      return { success: false, driver: this.name, message: `${this.name.toUpperCase()} não configurado` };
+    }
+
+    try {
+      console.log(`🔍 Testando conexão com ${this.name.toUpperCase()}...`);
+
+      await this.put('test/connection-test.txt', Buffer.from('Teste de conexão ' + new Date().toISOString()), {
+        contentType: 'text/plain'
+      });
+
+      console.log(`✅ Conexão com ${this.name.toUpperCase()} funcionando!`);
+      return { success: true, driver: this.name, message: 'Conexão OK' };
+
+    } catch (error) {
+      console.error(`❌ Erro ao conectar com ${this.name.toUpperCase()}:`, error.message);
+      return { success: false, driver: this.name, message: error.message };
+    }
+  }
+}
+
+module.exports = S3Driver;
@@ -0,0 +1,142 @@
+// services/storage/index.js
+// Camada única de armazenamento usada pelos dois servidores.
+//
+// Todos os drivers expõem a mesma interface:
+//   put(key, body, { contentType, metadata }) / get(key) / head(key)
+//   list(prefix) / listPrefixes(prefix) / delete(key) / presign(key, { expiresIn, filename })
+//
+// O driver é escolhido por STORAGE_DRIVER ('r2', 's3', 'local', 'base44').
+// Sem essa variável, usa R2 se as credenciais existirem e disco local caso contrário
+// (com aviso na inicialização: em produção o driver deve ser explícito).
+
+const crypto = require('crypto');
+const S3Driver = require('./S3Driver');
+const LocalDriver = require('./LocalDriver');
+const Base44Driver = require('./Base44Driver');
+
+/**
+ * Decide qual driver usar a partir das variáveis de ambiente
+ */
+function resolveDriverName(env) {
+  // STORAGE_PROVIDER é o nome antigo usado por services/StorageService.js
+  const configured = (env.STORAGE_DRIVER || env.STORAGE_PROVIDER || '').toLowerCase();
+  if (configured) {
+    return configured;
+  }
+
+  if (env.R2_ACCOUNT_ID && env.R2_ACCESS_KEY_ID && env.R2_SECRET_ACCESS_KEY) {
+    return 'r2';
+  }
+
+  return 'local';
+}
+
+/**
+ * Segredo dos links assinados do driver local. Sem STORAGE_SIGNING_SECRET, é
+ * derivado do JWT_SECRET para que um não sirva no lugar do outro.
+ */
+function localSigningSecret(env) {
+  if (env.STORAGE_SIGNING_SECRET) {
+    return env.STORAGE_SIGNING_SECRET;
+  }
+
+  if (env.JWT_SECRET) {
+    return crypto.createHmac('sha256', env.JWT_SECRET).update('jusway-storage-signed-links').digest('hex');
+  }
+
+  return undefined;
+}
+
+/**
+ * Cria o driver de armazenamento configurado
+ */
+function createStorage(env = process.env) {
+  const driverName = resolveDriverName(env);
+
+  switch (driverName) {
+    case 'r2':
+      return new S3Driver({
+        name: 'r2',
+        bucket: env.R2_BUCKET_NAME || 'jusway-templates',
+        endpoint: env.R2_ACCOUNT_ID ? `https://${env.R2_ACCOUNT_ID}.r2.cloudflarestorage.com` : undefined,
+        accessKeyId: env.R2_ACCESS_KEY_ID,
+        secretAccessKey: env.R2_SECRET_ACCESS_KEY,
+        forcePathStyle: true
+      });
+
+    case 's3':
+      return new S3Driver({
+        name: 's3',
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION || env.AWS_REGION || 'us-east-1',
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true'
+      });
+
+    case 'base44':
+      return new Base44Driver({
+        uploadUrl: env.UPLOAD_URL,
+        apiKey: env.STORAGE_API_KEY
+      });
+
+    case 'local':
+      if (!env.STORAGE_DRIVER && !env.STORAGE_PROVIDER) {
+        console.warn('⚠️  STORAGE_DRIVER não definido e credenciais do R2 incompletas - usando disco local. Defina STORAGE_DRIVER=local para confirmar');
+      }
+      return new LocalDriver({
+        rootDir: env.LOCAL_STORAGE_PATH || 'data',
+        baseUrl: env.BASE_URL,
+        signingSecret: localSigningSecret(env)
+      });
+
+    default:
+      throw new Error(`STORAGE_DRIVER desconhecido: ${driverName}`);
+  }
+}
+
+/**
+ * Rota Express que entrega arquivos do driver local via link assinado
+ * (GET /files/<chave>?expires=...&signature=...)
+ */
+function createSignedFileHandler(storage) {
+  return async (req, res) => {
+    if (!(storage instanceof LocalDriver)) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const key = req.params[0];
+    const { expires, signature, filename } = req.query;
+
+    if (!storage.verifySignature(key, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+
+    try {
+      const stored = await storage.get(key);
+
+      if (!stored) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      res.set('Content-Type', stored.contentType || 'application/octet-stream');
+      if (filename) {
+        res.attachment(filename);
+      }
+      res.send(stored.buffer);
+
+    } catch (error) {
+      console.error('❌ Erro ao servir arquivo:', error.message);
+      res.status(500).json({ error: 'Failed to read file' });
+    }
+  };
+}
+
+module.exports = {
+  createStorage,
+  createSignedFileHandler,
+  S3Driver,
+  LocalDriver,
+  Base44Driver
+};